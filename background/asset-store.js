@@ -0,0 +1,199 @@
+/**
+ * Asset Store
+ * Images (and other binary data) for every workspace, kept as blobs in the
+ * extension's IndexedDB. It lives here because content scripts would get the
+ * IndexedDB of whatever page they run on. Assets are content-addressed by
+ * SHA-256, so the same image is stored once however many items use it.
+ * Loaded by service-worker.js (importScripts).
+ */
+
+const ASSET_DB_NAME = 'spawncanvas_assets';
+const ASSET_DB_VERSION = 1;
+const ASSET_STORE_NAME = 'assets';
+
+const ASSET_ID_PATTERN = /asset_[0-9a-f]{64}/g;
+
+// Storage keys whose data can refer to assets: workspaces, their undo history and
+// the items last copied to the clipboard (must match store.js and history.js)
+const ASSET_REFERENCE_PREFIXES = ['spawncanvas_workspace_', 'spawncanvas_history_', 'spawncanvas_clipboard_assets'];
+
+// An asset is only deleted once nothing has referred to it for this long, so
+// items that are not saved yet (or only live in a tab's memory) keep their images
+const ASSET_GRACE_MS = 24 * 60 * 60 * 1000;
+
+// Cleanups started by items being deleted wait this long (minutes), on an alarm
+// so they survive the service worker being stopped; deletions meanwhile share it
+const ASSET_CLEANUP_ALARM = 'spawncanvas_asset_cleanup';
+const ASSET_CLEANUP_DELAY_MINUTES = 10;
+
+let assetDbPromise = null;
+let assetCleanup = null;
+
+function openAssetDb() {
+  if (!assetDbPromise) {
+    assetDbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(ASSET_DB_NAME, ASSET_DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(ASSET_STORE_NAME, { keyPath: 'id' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        assetDbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return assetDbPromise;
+}
+
+/**
+ * Run work against the asset store in one transaction
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {function} work - Called with the object store; what it returns is resolved once the transaction completes
+ * @returns {Promise<any>}
+ */
+async function withAssetStore(mode, work) {
+  const db = await openAssetDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(ASSET_STORE_NAME, mode);
+    const result = work(transaction.objectStore(ASSET_STORE_NAME));
+    transaction.oncomplete = () => resolve(result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * @param {Blob} blob - Binary data
+ * @returns {Promise<string>} Data URL
+ */
+async function blobToDataUrl(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return `data:${blob.type || 'application/octet-stream'};base64,${btoa(binary)}`;
+}
+
+/**
+ * Store a blob, or find the asset that already holds the same bytes
+ * @param {Blob} blob - Binary data
+ * @returns {Promise<string>} Asset ID
+ */
+async function putAsset(blob) {
+  const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+  const id = 'asset_' + Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+
+  await withAssetStore('readwrite', (store) => {
+    const request = store.get(id);
+    request.onsuccess = () => {
+      const existing = request.result;
+      if (!existing) {
+        store.put({ id, blob, type: blob.type, size: blob.size, createdAt: Date.now(), orphanedAt: null });
+      } else if (existing.orphanedAt) {
+        // About to be used again
+        existing.orphanedAt = null;
+        store.put(existing);
+      }
+    };
+  });
+  return id;
+}
+
+/**
+ * @param {string} id - Asset ID
+ * @returns {Promise<Blob>} The asset's data
+ */
+async function getAsset(id) {
+  const request = await withAssetStore('readonly', store => store.get(id));
+  if (!request.result) {
+    throw new Error(`Asset not found: ${id}`);
+  }
+  return request.result.blob;
+}
+
+/**
+ * @param {any} value - Stored data
+ * @returns {Set<string>} Asset IDs it refers to
+ */
+function getAssetReferences(value) {
+  if (value === undefined) return new Set();
+  return new Set(JSON.stringify(value).match(ASSET_ID_PATTERN) || []);
+}
+
+/**
+ * Whether a chrome.storage change stopped referring to an asset (items deleted,
+ * undo history trimmed, a workspace removed)
+ * @param {string} key - Storage key
+ * @param {{oldValue: any, newValue: any}} change - The change
+ * @returns {boolean}
+ */
+function dropsAssetReferences(key, change) {
+  if (!ASSET_REFERENCE_PREFIXES.some(prefix => key.startsWith(prefix))) return false;
+  const remaining = getAssetReferences(change.newValue);
+  return [...getAssetReferences(change.oldValue)].some(id => !remaining.has(id));
+}
+
+/**
+ * Find the assets referred to from saved workspaces, undo history and the
+ * clipboard, and delete assets that have had no references for ASSET_GRACE_MS
+ * @returns {Promise<number>} Number of assets deleted
+ */
+async function collectAssetGarbage() {
+  const everything = await chrome.storage.local.get(null);
+  const referenced = new Set();
+  Object.keys(everything)
+    .filter(key => ASSET_REFERENCE_PREFIXES.some(prefix => key.startsWith(prefix)))
+    .forEach(key => {
+      getAssetReferences(everything[key]).forEach(id => referenced.add(id));
+    });
+
+  const now = Date.now();
+  let removed = 0;
+  await withAssetStore('readwrite', (store) => {
+    store.openCursor().onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (!cursor) return;
+
+      const asset = cursor.value;
+      const orphanedAt = referenced.has(asset.id) ? null : (asset.orphanedAt || now);
+      if (orphanedAt !== null && now - orphanedAt >= ASSET_GRACE_MS) {
+        cursor.delete();
+        removed++;
+      } else if (orphanedAt !== asset.orphanedAt) {
+        cursor.update({ ...asset, orphanedAt });
+      }
+      cursor.continue();
+    };
+  });
+
+  console.log(`[SpawnCanvas] Asset cleanup: ${removed} unused asset(s) deleted`);
+  return removed;
+}
+
+/**
+ * Start a cleanup unless one is already running
+ */
+function cleanUpAssets() {
+  if (assetCleanup) return;
+  assetCleanup = collectAssetGarbage()
+    .catch(err => console.error('[SpawnCanvas] Asset cleanup failed:', err))
+    .finally(() => {
+      assetCleanup = null;
+    });
+}
+
+/**
+ * Clean up in ASSET_CLEANUP_DELAY_MINUTES, unless a cleanup is already scheduled
+ * (service-worker.js runs it when the alarm goes off)
+ * @returns {Promise<void>}
+ */
+async function scheduleAssetCleanup() {
+  try {
+    if (await chrome.alarms.get(ASSET_CLEANUP_ALARM)) return;
+    await chrome.alarms.create(ASSET_CLEANUP_ALARM, { delayInMinutes: ASSET_CLEANUP_DELAY_MINUTES });
+  } catch (err) {
+    console.error('[SpawnCanvas] Could not schedule asset cleanup:', err);
+  }
+}
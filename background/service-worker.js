@@ -1,5 +1,26 @@
-// Storage key for memories (must match store.js)
+importScripts('asset-store.js');
+
+// Storage keys (must match store.js)
 const MEMORIES_KEY = 'spawncanvas_memories';
+const WORKSPACES_LIST_KEY = 'spawncanvas_workspaces_list';
+const WORKSPACE_PREFIX = 'spawncanvas_workspace_';
+const DEFAULT_WORKSPACE_ID = 'default';
+const DEFAULT_WORKSPACE_NAME = 'Default Workspace';
+
+// Workspace names and containers the clip menus offer, cached for the browser session
+// so that saving a workspace doesn't mean reading every workspace again
+const CLIP_TARGETS_KEY = 'spawncanvas_clip_targets';
+
+// Web clipper: each menu opens a submenu of workspaces, and workspaces with
+// containers a submenu of "Canvas" plus their containers
+const CLIP_MENUS = {
+  selection: { title: 'Send selection to SpawnCanvas', contexts: ['selection'] },
+  link: { title: 'Send link to SpawnCanvas', contexts: ['link'] },
+  image: { title: 'Send image to SpawnCanvas', contexts: ['image'] }
+};
+
+// How long the toolbar badge confirms a clip (ms)
+const CLIP_BADGE_MS = 2000;
 
 chrome.action.onClicked.addListener((tab) => {
   chrome.tabs.sendMessage(tab.id, { action: "TOGGLE_OVERLAY" }).catch((err) => {
@@ -9,6 +30,57 @@ chrome.action.onClicked.addListener((tab) => {
   });
 });
 
+chrome.runtime.onInstalled.addListener(() => {
+  queueClipMenuUpdate(refreshClipMenus);
+  cleanUpAssets();
+});
+chrome.runtime.onStartup.addListener(() => {
+  queueClipMenuUpdate(refreshClipMenus);
+  cleanUpAssets();
+});
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === ASSET_CLEANUP_ALARM) {
+    cleanUpAssets();
+  }
+});
+
+// Keep the clip menus in step with workspaces and their containers, and clean up
+// images after the items using them are deleted
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'local') return;
+
+  // Deleted items (or a deleted workspace) can leave images nothing uses any more
+  if (Object.keys(changes).some(key => dropsAssetReferences(key, changes[key]))) {
+    scheduleAssetCleanup();
+  }
+
+  if (changes[WORKSPACES_LIST_KEY]) {
+    queueClipMenuUpdate(refreshClipMenus);
+    return;
+  }
+  const workspaceKeys = Object.keys(changes).filter(key => key.startsWith(WORKSPACE_PREFIX));
+  if (workspaceKeys.length > 0) {
+    queueClipMenuUpdate(() => updateClipTargets(workspaceKeys.map(key => ({
+      id: key.slice(WORKSPACE_PREFIX.length),
+      workspace: changes[key].newValue
+    }))));
+  }
+});
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  let target;
+  try {
+    target = JSON.parse(info.menuItemId);
+  } catch (err) {
+    return;
+  }
+  // Only menu items that name a container (or null for the canvas itself) are targets
+  if (!Array.isArray(target) || target.length !== 3 || !tab) return;
+
+  const [kind, workspaceId, containerId] = target;
+  sendClip(tab, info, { kind, workspaceId, containerId });
+});
+
 // Handle messages from content scripts
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.action === 'SAVE_MEMORY') {
@@ -20,6 +92,47 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       });
     return true; // Keep channel open for async response
   }
+
+  if (message.action === 'CAPTURE_VISIBLE_TAB') {
+    // The canvas hides itself before asking, so only the page is in the screenshot
+    chrome.tabs.captureVisibleTab(sender.tab.windowId, { format: 'png' })
+      .then(dataUrl => sendResponse({ success: true, dataUrl }))
+      .catch(err => {
+        console.error('[SpawnCanvas] Error capturing tab:', err);
+        sendResponse({ success: false, error: err.message });
+      });
+    return true; // Keep channel open for async response
+  }
+
+  if (message.action === 'PUT_ASSET') {
+    fetch(message.dataUrl)
+      .then(response => response.blob())
+      .then(putAsset)
+      .then(id => sendResponse({ success: true, id }))
+      .catch(err => {
+        console.error('[SpawnCanvas] Error storing asset:', err);
+        sendResponse({ success: false, error: err.message });
+      });
+    return true; // Keep channel open for async response
+  }
+
+  if (message.action === 'SAVE_IMAGE_ASSET') {
+    // Images dragged from a page are fetched here, like clipped ones
+    saveImageAsset(message.url)
+      .then(id => sendResponse({ success: Boolean(id), id }));
+    return true; // Keep channel open for async response
+  }
+
+  if (message.action === 'GET_ASSET') {
+    getAsset(message.id)
+      .then(blobToDataUrl)
+      .then(dataUrl => sendResponse({ success: true, dataUrl }))
+      .catch(err => {
+        console.error('[SpawnCanvas] Error reading asset:', err);
+        sendResponse({ success: false, error: err.message });
+      });
+    return true; // Keep channel open for async response
+  }
 });
 
 /**
@@ -62,3 +175,192 @@ async function saveMemory(projectId, message) {
     throw err;
   }
 }
+
+// Menu updates run one at a time, since rebuilding removes every menu item first
+let clipMenuUpdate = Promise.resolve();
+
+function queueClipMenuUpdate(task) {
+  clipMenuUpdate = clipMenuUpdate
+    .then(task)
+    .catch(err => console.error('[SpawnCanvas] Failed to update clip menus:', err));
+}
+
+/**
+ * What the clip menus need to know about a workspace
+ * @param {object} workspace - Workspace data
+ * @returns {{name: string, containers: Array<{id: string, title: string}>}}
+ */
+function getClipTarget(workspace) {
+  return {
+    name: workspace.name,
+    containers: (workspace.items || [])
+      .filter(item => item.type === 'container')
+      .map(item => ({ id: item.id, title: item.title || '' }))
+  };
+}
+
+/**
+ * Read every workspace and rebuild the clip menus
+ */
+async function refreshClipMenus() {
+  const listResult = await chrome.storage.local.get(WORKSPACES_LIST_KEY);
+  const order = listResult[WORKSPACES_LIST_KEY] || [DEFAULT_WORKSPACE_ID];
+  const workspaces = {};
+  for (const id of order) {
+    const key = WORKSPACE_PREFIX + id;
+    const result = await chrome.storage.local.get(key);
+    if (result[key]) {
+      workspaces[id] = getClipTarget(result[key]);
+    } else if (id === DEFAULT_WORKSPACE_ID) {
+      // Created by the canvas the first time it loads
+      workspaces[id] = { name: DEFAULT_WORKSPACE_NAME, containers: [] };
+    }
+  }
+
+  const targets = { order, workspaces };
+  await chrome.storage.session.set({ [CLIP_TARGETS_KEY]: targets });
+  await buildClipMenus(targets);
+}
+
+/**
+ * Apply saved workspaces to the cached targets, rebuilding the menus only if
+ * a name or a container changed
+ * @param {Array<{id: string, workspace: object|undefined}>} updates - Saved (or removed) workspaces
+ */
+async function updateClipTargets(updates) {
+  const result = await chrome.storage.session.get(CLIP_TARGETS_KEY);
+  const targets = result[CLIP_TARGETS_KEY];
+  if (!targets) {
+    await refreshClipMenus();
+    return;
+  }
+
+  let changed = false;
+  updates.forEach(({ id, workspace }) => {
+    if (!targets.order.includes(id)) return;
+    const next = workspace ? getClipTarget(workspace) : undefined;
+    if (JSON.stringify(next) !== JSON.stringify(targets.workspaces[id])) {
+      targets.workspaces[id] = next;
+      changed = true;
+    }
+  });
+  if (!changed) return;
+
+  await chrome.storage.session.set({ [CLIP_TARGETS_KEY]: targets });
+  await buildClipMenus(targets);
+}
+
+function createMenuItem(properties) {
+  chrome.contextMenus.create(properties, () => {
+    if (chrome.runtime.lastError) {
+      console.error('[SpawnCanvas] Could not create menu item:', chrome.runtime.lastError.message);
+    }
+  });
+}
+
+/**
+ * Replace the clip menus. Item IDs are JSON: [kind, workspaceId] for workspace
+ * submenus and [kind, workspaceId, containerId or null] for targets.
+ * @param {{order: string[], workspaces: object}} targets - Cached clip targets
+ */
+async function buildClipMenus(targets) {
+  await new Promise(resolve => chrome.contextMenus.removeAll(resolve));
+
+  Object.entries(CLIP_MENUS).forEach(([kind, menu]) => {
+    createMenuItem({ id: kind, title: menu.title, contexts: menu.contexts });
+
+    targets.order.forEach(workspaceId => {
+      const workspace = targets.workspaces[workspaceId];
+      if (!workspace) return;
+
+      const menuItem = { parentId: kind, title: workspace.name, contexts: menu.contexts };
+      if (workspace.containers.length === 0) {
+        createMenuItem({ ...menuItem, id: JSON.stringify([kind, workspaceId, null]) });
+        return;
+      }
+
+      const workspaceMenuId = JSON.stringify([kind, workspaceId]);
+      createMenuItem({ ...menuItem, id: workspaceMenuId });
+      createMenuItem({
+        id: JSON.stringify([kind, workspaceId, null]),
+        parentId: workspaceMenuId,
+        title: 'Canvas',
+        contexts: menu.contexts
+      });
+      createMenuItem({
+        id: JSON.stringify([kind, workspaceId, null, 'separator']),
+        parentId: workspaceMenuId,
+        type: 'separator',
+        contexts: menu.contexts
+      });
+      workspace.containers.forEach(container => {
+        createMenuItem({
+          id: JSON.stringify([kind, workspaceId, container.id]),
+          parentId: workspaceMenuId,
+          title: container.title || 'Untitled container',
+          contexts: menu.contexts
+        });
+      });
+    });
+  });
+}
+
+/**
+ * Send a clip to the tab's canvas, which adds it through the store
+ * @param {chrome.tabs.Tab} tab - Tab the menu was used in
+ * @param {chrome.contextMenus.OnClickData} info - What was clicked
+ * @param {{kind: string, workspaceId: string, containerId: string|null}} target - Where it goes
+ */
+async function sendClip(tab, info, target) {
+  const clip = {
+    ...target,
+    pageUrl: info.pageUrl || tab.url || '',
+    pageTitle: tab.title || '',
+    text: info.selectionText || '',
+    linkUrl: info.linkUrl || '',
+    linkText: info.linkText || '',
+    srcUrl: info.srcUrl || ''
+  };
+  if (target.kind === 'image') {
+    clip.assetId = await saveImageAsset(clip.srcUrl);
+  }
+
+  let success = false;
+  try {
+    // The canvas only runs in the top frame
+    const response = await chrome.tabs.sendMessage(tab.id, { action: 'CLIP_TO_CANVAS', clip }, { frameId: 0 });
+    success = Boolean(response && response.success);
+  } catch (err) {
+    // Restricted pages (like chrome://) and tabs opened before the extension loaded have no canvas
+    console.log('Could not send clip:', err);
+  }
+  showClipBadge(tab.id, success);
+}
+
+/**
+ * Fetch an image into the asset store so the canvas keeps it even if it
+ * disappears from the web (the service worker isn't limited by the page's CORS rules)
+ * @param {string} url - Image address
+ * @returns {Promise<string>} Asset ID, or '' if it couldn't be fetched
+ */
+async function saveImageAsset(url) {
+  try {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const blob = await response.blob();
+    if (!blob.type.startsWith('image/')) throw new Error(`Not an image: ${blob.type}`);
+    return await putAsset(blob);
+  } catch (err) {
+    console.log('[SpawnCanvas] Could not fetch image, keeping its address:', err);
+    return '';
+  }
+}
+
+/**
+ * Briefly mark the toolbar button with whether a clip was added
+ */
+function showClipBadge(tabId, success) {
+  chrome.action.setBadgeBackgroundColor({ tabId, color: success ? '#4ADE80' : '#EF4444' });
+  chrome.action.setBadgeText({ tabId, text: success ? '✓' : '!' });
+  setTimeout(() => chrome.action.setBadgeText({ tabId, text: '' }), CLIP_BADGE_MS);
+}
@@ -17,6 +17,44 @@ class CanvasApp {
     this.panStart = { x: 0, y: 0 };
     this.isSpaceDown = false; // For Space+Drag panning
 
+    // Pointer state (mouse, touch and pen all arrive as Pointer Events)
+    this.activeInteraction = null; // Drag in progress ({ cancel }), see trackPointer
+    this.touchPoints = new Map(); // Touches on the canvas by pointerId, for pinch/pan
+    this.pinch = null;
+    this.longPress = null;
+    this.activePens = new Set(); // While a pen is down, touches are treated as a resting palm
+    this.suppressCanvasClick = false; // Set when a drag on the background ends, so its click doesn't deselect
+
+    // Zoom state
+    this.zoom = 1;
+    this.minZoom = 0.1;
+    this.maxZoom = 3;
+    this.zoomStep = 1.2;
+
+    // Minimap state
+    this.minimapSize = 180;
+    this.minimapFrame = null;
+
+    // Connector arrow modes, cycled from the connector actions
+    this.connectorArrowModes = ['end', 'both', 'none', 'start'];
+
+    // Last known pointer position (client coords) over the canvas, for paste placement
+    this.lastPointer = null;
+
+    // Text last selected on the page while the overlay was hidden, for link card excerpts
+    this.lastPageSelection = '';
+
+    // Search palette state
+    this.searchEntries = null; // Index snapshot, built when the palette opens
+    this.searchResultList = [];
+    this.searchSelectedIndex = 0;
+    this.searchDebounceTimer = null;
+    this.pendingSearchReveal = null; // Match to show once a workspace switch has rendered
+
+    // Command palette state
+    this.commandResultList = [];
+    this.commandSelectedIndex = 0;
+
     // Selection state
     this.selectedItems = new Set();
     this.isSelecting = false;
@@ -27,21 +65,58 @@ class CanvasApp {
     this.activeTab = 'workspace'; // 'workspace' | 'memory'
     this.selectedProjectId = null;
 
-    this.canvasSize = 5000;
+    // Area covered by the grid (canvas coordinates); grows with the content
+    this.canvasBounds = {
+      left: -CanvasApp.CANVAS_MARGIN,
+      top: -CanvasApp.CANVAS_MARGIN,
+      width: CanvasApp.CANVAS_MARGIN * 2,
+      height: CanvasApp.CANVAS_MARGIN * 2
+    };
     this.gridSize = 20;
 
+    // Virtualized rendering: IDs inside collapsed containers, and the pending sync frame
+    this.hiddenItemIds = new Set();
+    this.renderSyncFrame = null;
+
+    // Drawing: 'select', 'eraser' or a key of Drawing.TOOLS / Drawing.SHAPES, and the style new lines get
+    this.activeTool = 'select';
+    this.drawStyle = { color: Drawing.DEFAULT_COLOR, strokeWidth: Drawing.DEFAULT_STROKE_WIDTH };
+
+    // Screenshot being cropped or annotated: { image, base, annotations, tool, source },
+    // and whether one is still being taken
+    this.capture = null;
+    this.capturePending = false;
+
+    // Whether something is being dragged from the page (rather than from another app)
+    this.isPageDrag = false;
+
+    // AI settings being edited: { [provider]: { apiKey, model } }, and the provider shown
+    this.aiSettingsDraft = {};
+    this.aiSettingsProvider = null;
+
     this.handleKeyDown = this.handleKeyDown.bind(this);
-    this.handleCanvasMouseDown = this.handleCanvasMouseDown.bind(this);
-    this.handleCanvasMouseMove = this.handleCanvasMouseMove.bind(this);
-    this.handleCanvasMouseUp = this.handleCanvasMouseUp.bind(this);
+    this.handleCanvasPointerDown = this.handleCanvasPointerDown.bind(this);
+    this.handleTouchPointerDown = this.handleTouchPointerDown.bind(this);
+    this.handleTouchPointerMove = this.handleTouchPointerMove.bind(this);
+    this.handleTouchPointerUp = this.handleTouchPointerUp.bind(this);
+    this.handleDrawPointerDown = this.handleDrawPointerDown.bind(this);
+    this.handleCanvasWheel = this.handleCanvasWheel.bind(this);
+    this.handleDragOver = this.handleDragOver.bind(this);
+    this.handleDragLeave = this.handleDragLeave.bind(this);
+    this.handleDrop = this.handleDrop.bind(this);
   }
 
   async init() {
     this.render();
     this.cacheElements();
     this.attachEventListeners();
+    this.registerCommands();
 
     await Store.init();
+    await KeymapManager.load();
+    this.updateShortcutHints();
+    this.updateGridSnapButton();
+    HistoryManager.setMaxDepth(await Store.getHistoryDepth() || HistoryManager.DEFAULT_MAX_HISTORY);
 
     // Load history for current workspace
     const currentWorkspace = Store.getCurrentWorkspace();
@@ -53,6 +128,7 @@ class CanvasApp {
     const viewport = Store.getViewport();
     if (viewport.x !== 0 || viewport.y !== 0) {
       this.panOffset = { x: viewport.x, y: viewport.y };
+      this.zoom = viewport.zoom;
       this.updateCanvasTransform();
     } else {
       this.resetView();
@@ -71,6 +147,9 @@ class CanvasApp {
   }
 
   subscribeToStoreEvents() {
+    // Record item changes for undo/redo
+    Store.on('item:operation', (op) => HistoryManager.record(op));
+
     Store.on('workspace:switched', async () => {
       // Load history for new workspace
       const currentWorkspace = Store.getCurrentWorkspace();
@@ -78,15 +157,64 @@ class CanvasApp {
         await HistoryManager.loadHistory(currentWorkspace.id);
       }
 
-      // Clear canvas and re-render
+      // Restore viewport (reset to center as per phase3.md spec), then render what it shows
       this.clearCanvas();
-      this.renderAllItems();
-
-      // Restore viewport (reset to center as per phase3.md spec)
       this.resetView();
+      this.renderAllItems();
+      this.updateGridSnapButton();
 
       // Update dropdown selection
       this.updateWorkspaceDropdownSelection();
+
+      // Finish a jump to a search result in this workspace
+      if (this.pendingSearchReveal) {
+        const reveal = this.pendingSearchReveal;
+        this.pendingSearchReveal = null;
+        this.revealSearchMatch(reveal);
+      }
+    });
+
+    // Show changes another tab saved to this workspace
+    Store.on('workspace:merged', () => {
+      this.syncRenderedItems();
+      this.updateSelectionBounds();
+    });
+
+    // Keep the minimap and canvas size in sync with item changes
+    ['item:created', 'item:updated', 'item:deleted', 'workspace:merged'].forEach(event => {
+      Store.on(event, () => {
+        this.updateCanvasBounds();
+        this.scheduleMinimapRender();
+      });
+    });
+
+    // Re-route connectors when their endpoints change
+    Store.on('item:updated', (item) => {
+      const element = this.getItemElement(item.id);
+      if (element) {
+        element.dataset.version = item.updatedAt;
+        this.updateItemAccessibility(element, item);
+      }
+
+      if (item.type !== 'connector') {
+        this.updateConnectorsFor([item.id]);
+      }
+      if (item.type === 'container') {
+        this.updateContainerCount(item.id);
+      }
+      if (this.selectedItems.has(item.id)) {
+        this.updateSelectionBounds();
+      }
+    });
+
+    // Connectors can be removed by Store when an endpoint is deleted
+    Store.on('item:deleted', (item) => {
+      if (item.type === 'connector') {
+        const element = this.connectorLayer.querySelector(`[data-item-id="${item.id}"]`);
+        if (element) element.remove();
+        this.selectedItems.delete(item.id);
+        this.updateConnectorActions();
+      }
     });
   }
 
@@ -113,17 +241,37 @@ class CanvasApp {
                 <button class="settings-menu-item" data-action="delete-workspace">🗑️ Delete Workspace</button>
                 <button class="settings-menu-item" data-action="export-workspace">📤 Export Workspace</button>
                 <button class="settings-menu-item" data-action="export-all">📦 Export All Workspaces</button>
+                <button class="settings-menu-item" data-action="toggle-keymap">⌨️ Keyboard Shortcuts</button>
+                <div class="settings-history">
+                  <label>↩️ Undo steps</label>
+                  <input type="number" class="history-depth-input" min="1" max="1000" step="1">
+                </div>
                 <div class="settings-menu-divider"></div>
                 <div class="settings-ai">
                   <label>🤖 AI Provider</label>
                   <select class="ai-provider-select">
                     <option value="claude">Claude (Anthropic)</option>
-                    <option value="openai">OpenAI (GPT-4o)</option>
+                    <option value="openai">OpenAI (GPT)</option>
                     <option value="gemini">Gemini (Google)</option>
                   </select>
-                  <label>🔑 API Key</label>
-                  <input type="password" class="api-key-input" placeholder="Enter API key...">
-                  <button class="api-key-save" data-action="save-api-key">Save</button>
+                  <label for="sc-api-key">🔑 API Key</label>
+                  <input type="password" id="sc-api-key" class="api-key-input" placeholder="Enter API key...">
+                  <label for="sc-ai-model">🧠 Model</label>
+                  <input type="text" id="sc-ai-model" class="ai-model-input" list="sc-ai-models" spellcheck="false">
+                  <datalist id="sc-ai-models"></datalist>
+                  <div class="settings-ai-options">
+                    <label>Temperature
+                      <input type="number" class="ai-temperature-input" min="0" max="2" step="0.1" placeholder="Default">
+                    </label>
+                    <label>Max tokens
+                      <input type="number" class="ai-max-tokens-input" min="1" step="1">
+                    </label>
+                  </div>
+                  <div class="settings-ai-actions">
+                    <button class="api-key-test" data-action="test-ai-connection">Test connection</button>
+                    <button class="api-key-save" data-action="save-api-key">Save</button>
+                  </div>
+                  <div class="ai-test-status" role="status" aria-live="polite"></div>
                 </div>
               </div>
             </div>
@@ -131,20 +279,99 @@ class CanvasApp {
             <button class="add-btn" data-action="add-note">+ Note</button>
             <button class="add-btn" data-action="add-checklist">+ Checklist</button>
             <button class="add-btn" data-action="add-container">+ Container</button>
+            <button class="add-btn" data-action="add-link" title="Save this page as a link card">+ Link</button>
+            <button class="add-btn" data-action="capture" title="Capture this page, or drag to capture part of it">📷 Capture</button>
+            <div class="draw-tools" role="group" aria-label="Drawing tools">
+              <button class="tool-btn icon-btn active" data-action="tool-select" title="Select (V)" aria-label="Select" aria-pressed="true">↖</button>
+              <button class="tool-btn icon-btn" data-action="tool-pen" title="Pen (P)" aria-label="Pen" aria-pressed="false">✎</button>
+              <button class="tool-btn icon-btn" data-action="tool-highlighter" title="Highlighter (H)" aria-label="Highlighter" aria-pressed="false">🖍</button>
+              <button class="tool-btn icon-btn" data-action="tool-rectangle" title="Rectangle (R)" aria-label="Rectangle" aria-pressed="false">▭</button>
+              <button class="tool-btn icon-btn" data-action="tool-ellipse" title="Ellipse (O)" aria-label="Ellipse" aria-pressed="false">◯</button>
+              <button class="tool-btn icon-btn" data-action="tool-diamond" title="Diamond (D)" aria-label="Diamond" aria-pressed="false">◇</button>
+              <button class="tool-btn icon-btn" data-action="tool-line" title="Line (L)" aria-label="Line" aria-pressed="false">╱</button>
+              <button class="tool-btn icon-btn" data-action="tool-eraser" title="Eraser (E)" aria-label="Eraser" aria-pressed="false">⌫</button>
+              <input type="color" class="draw-color-input" value="${Drawing.DEFAULT_COLOR}" title="Line color" aria-label="Line color">
+              <select class="draw-width-select" title="Line width" aria-label="Line width">
+                <option value="2">Thin</option>
+                <option value="4">Medium</option>
+                <option value="8">Thick</option>
+                <option value="16">Extra thick</option>
+              </select>
+            </div>
           </div>
         </div>
         <div class="toolbar-right">
+          <div class="zoom-controls">
+            <button class="icon-btn" data-action="zoom-out" title="Zoom out (-)">−</button>
+            <button class="zoom-level" data-action="zoom-reset" title="Reset zoom to 100%">100%</button>
+            <button class="icon-btn" data-action="zoom-in" title="Zoom in (+)">+</button>
+            <button class="icon-btn" data-action="zoom-fit" title="Zoom to fit all items (Shift+1)">⛶</button>
+            <button class="icon-btn" data-action="zoom-selection" title="Zoom to selection (Shift+2)">⊡</button>
+          </div>
+          <button class="grid-snap-btn icon-btn" data-action="toggle-grid-snap" title="Snap to grid">#</button>
           <button class="undo-btn icon-btn" data-action="undo" title="Undo (Ctrl+Z)">↩️</button>
           <button class="redo-btn icon-btn" data-action="redo" title="Redo (Ctrl+Y)">↪️</button>
           <button class="close-btn icon-btn" data-action="close" title="Close (Esc)">×</button>
         </div>
       </div>
-      <div class="canvas-area">
+      <div class="canvas-area" role="region" aria-label="Canvas" aria-describedby="sc-canvas-help">
+        <p id="sc-canvas-help" class="sr-only">
+          Tab and Shift+Tab move between items in reading order, Alt+Shift+arrow keys move to the nearest item in that direction.
+          Arrow keys nudge the selected items, hold Shift for bigger steps.
+          Enter edits the focused item and Escape leaves it.
+        </p>
         <div class="canvas-surface">
+          <div class="canvas-grid"></div>
           <div class="center-anchor"></div>
+          <svg class="connector-layer" xmlns="http://www.w3.org/2000/svg">
+            <defs>
+              <marker id="sc-arrow" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="8" markerHeight="8" orient="auto-start-reverse">
+                <path d="M 0 0 L 10 5 L 0 10 z"></path>
+              </marker>
+            </defs>
+            <path class="connector-preview hidden"></path>
+          </svg>
+          <div class="connector-actions hidden">
+            <button data-action="connector-label" title="Edit label" aria-label="Edit label">🏷️</button>
+            <button data-action="connector-arrows" title="Change arrowheads" aria-label="Change arrowheads">⇄</button>
+            <button data-action="connector-delete" title="Delete connector" aria-label="Delete connector">🗑</button>
+          </div>
+          <div class="selection-bounds hidden">
+            <div class="resize-handle corner se"></div>
+            <div class="resize-handle edge e"></div>
+            <div class="resize-handle edge s"></div>
+          </div>
+          <div class="align-actions hidden">
+            <button data-action="align-left" title="Align left edges" aria-label="Align left edges">⇤</button>
+            <button data-action="align-center" title="Align horizontal centers" aria-label="Align horizontal centers">↔</button>
+            <button data-action="align-right" title="Align right edges" aria-label="Align right edges">⇥</button>
+            <button data-action="align-top" title="Align top edges" aria-label="Align top edges">⤒</button>
+            <button data-action="align-middle" title="Align vertical centers" aria-label="Align vertical centers">↕</button>
+            <button data-action="align-bottom" title="Align bottom edges" aria-label="Align bottom edges">⤓</button>
+            <span class="align-actions-divider"></span>
+            <button data-action="distribute-horizontal" class="distribute-btn" title="Space evenly horizontally" aria-label="Space evenly horizontally">⋯</button>
+            <button data-action="distribute-vertical" class="distribute-btn" title="Space evenly vertically" aria-label="Space evenly vertically">⋮</button>
+            <span class="align-actions-divider"></span>
+            <button data-action="match-width" title="Match widths (widest item)" aria-label="Match widths (widest item)">W</button>
+            <button data-action="match-height" title="Match heights (tallest item)" aria-label="Match heights (tallest item)">H</button>
+            <span class="align-actions-divider"></span>
+            <button data-action="layout-grid" title="Auto-layout: compact grid" aria-label="Auto-layout: compact grid">▦</button>
+            <button data-action="layout-masonry" title="Auto-layout: masonry by height" aria-label="Auto-layout: masonry by height">▥</button>
+            <button data-action="layout-flow-created" title="Auto-layout: flow by creation time" aria-label="Auto-layout: flow by creation time">⇶</button>
+          </div>
+          <div class="snap-guides"></div>
+          <svg class="draw-preview hidden" xmlns="http://www.w3.org/2000/svg"></svg>
           <!-- Canvas items will be rendered here -->
         </div>
+        <div class="minimap">
+          <div class="minimap-header">
+            <span>Map</span>
+            <button class="minimap-toggle" data-action="toggle-minimap" title="Collapse map">▾</button>
+          </div>
+          <canvas class="minimap-canvas"></canvas>
+        </div>
       </div>
+      <div class="sr-announcer sr-only" role="status" aria-live="polite"></div>
       <div class="memory-area hidden">
         <div class="memory-sidebar">
           <div class="memory-sidebar-header">
@@ -192,6 +419,29 @@ class CanvasApp {
           </div>
         </div>
       </div>
+      <div class="keymap-modal">
+        <div class="prompts-modal-content">
+          <div class="prompts-modal-header">
+            <h3>Keyboard Shortcuts</h3>
+            <button class="prompts-modal-close" data-action="close-keymap">×</button>
+          </div>
+          <div class="prompts-modal-body">
+            <div class="prompt-section">
+              <p class="prompt-hint">Click + to record a key, × to remove one. An action with no keys is disabled.</p>
+              <div class="keymap-list"></div>
+            </div>
+            <div class="prompt-section">
+              <label>Keys the page keeps</label>
+              <p class="prompt-hint">The canvas ignores these keys while it is open, so the page or browser receives them.</p>
+              <div class="keymap-passthrough"></div>
+            </div>
+          </div>
+          <div class="prompts-modal-footer keymap-footer">
+            <button class="prompt-reset-btn" data-action="reset-keymap">Reset All to Defaults</button>
+            <button class="prompts-save-btn" data-action="save-keymap">Save</button>
+          </div>
+        </div>
+      </div>
       <div class="ai-input-modal">
         <div class="ai-input-modal-content">
           <div class="ai-input-modal-header">
@@ -209,6 +459,62 @@ class CanvasApp {
           </div>
         </div>
       </div>
+      <div class="container-delete-modal" role="dialog" aria-labelledby="sc-container-delete-title">
+        <div class="ai-input-modal-content">
+          <div class="ai-input-modal-header">
+            <h3 id="sc-container-delete-title">Delete Container</h3>
+            <button class="ai-input-modal-close" data-choice="cancel" aria-label="Cancel">×</button>
+          </div>
+          <div class="ai-input-modal-body">
+            <p class="container-delete-message"></p>
+          </div>
+          <div class="ai-input-modal-footer">
+            <button class="ai-input-cancel-btn" data-choice="cancel">Cancel</button>
+            <button class="ai-input-cancel-btn" data-choice="keep">Keep Items</button>
+            <button class="ai-input-submit-btn container-delete-all-btn" data-choice="all">Delete All</button>
+          </div>
+        </div>
+      </div>
+      <div class="palette search-palette">
+        <div class="palette-content">
+          <input type="text" class="palette-input search-input" placeholder="Search all workspaces and memories...">
+          <div class="palette-results search-results"></div>
+          <div class="palette-footer">↑↓ to navigate · Enter to open · Esc to close</div>
+        </div>
+      </div>
+      <div class="palette command-palette">
+        <div class="palette-content">
+          <input type="text" class="palette-input command-input" placeholder="Type a command...">
+          <div class="palette-results command-results"></div>
+          <div class="palette-footer">↑↓ to navigate · Enter to run · Esc to close</div>
+        </div>
+      </div>
+      <div class="capture-layer hidden" tabindex="-1" role="dialog" aria-label="Choose the part of the page to capture">
+        <img class="capture-screenshot" alt="" draggable="false">
+        <div class="capture-selection hidden"></div>
+        <div class="capture-hint">Drag to capture part of the page · Enter captures all of it · Esc cancels</div>
+      </div>
+      <div class="capture-editor" role="dialog" aria-label="Annotate capture">
+        <div class="prompts-modal-content capture-editor-content">
+          <div class="prompts-modal-header">
+            <h3>Annotate Capture</h3>
+            <div class="capture-tools" role="group" aria-label="Annotation tools">
+              <button class="active" data-action="capture-tool-arrow" title="Arrow" aria-label="Arrow" aria-pressed="true">➚</button>
+              <button data-action="capture-tool-box" title="Box" aria-label="Box" aria-pressed="false">▭</button>
+              <button data-action="capture-tool-blur" title="Blur" aria-label="Blur" aria-pressed="false">▒</button>
+              <button data-action="capture-undo" title="Undo last mark (Ctrl+Z)" aria-label="Undo last mark">↶</button>
+            </div>
+            <button class="prompts-modal-close" data-action="cancel-capture" aria-label="Cancel">×</button>
+          </div>
+          <div class="capture-canvas-wrap">
+            <canvas class="capture-canvas"></canvas>
+          </div>
+          <div class="prompts-modal-footer keymap-footer">
+            <button class="prompt-reset-btn" data-action="cancel-capture">Cancel</button>
+            <button class="prompts-save-btn" data-action="insert-capture">Insert</button>
+          </div>
+        </div>
+      </div>
     `;
 
     this.shadowRoot.appendChild(this.wrapper);
@@ -224,12 +530,53 @@ class CanvasApp {
     this.settingsDropdown = this.wrapper.querySelector('.settings-dropdown');
     this.apiKeyInput = this.wrapper.querySelector('.api-key-input');
     this.aiProviderSelect = this.wrapper.querySelector('.ai-provider-select');
+    this.aiModelInput = this.wrapper.querySelector('.ai-model-input');
+    this.aiModelList = this.wrapper.querySelector('#sc-ai-models');
+    this.aiTemperatureInput = this.wrapper.querySelector('.ai-temperature-input');
+    this.aiMaxTokensInput = this.wrapper.querySelector('.ai-max-tokens-input');
+    this.aiTestStatus = this.wrapper.querySelector('.ai-test-status');
+    this.historyDepthInput = this.wrapper.querySelector('.history-depth-input');
     this.promptsModal = this.wrapper.querySelector('.prompts-modal');
     this.checklistPromptTextarea = this.wrapper.querySelector('.checklist-prompt');
     this.notePromptTextarea = this.wrapper.querySelector('.note-prompt');
     this.aiInputModal = this.wrapper.querySelector('.ai-input-modal');
+    this.keymapModal = this.wrapper.querySelector('.keymap-modal');
+    this.keymapList = this.wrapper.querySelector('.keymap-list');
+    this.keymapPassthroughList = this.wrapper.querySelector('.keymap-passthrough');
     this.aiInputTextarea = this.wrapper.querySelector('.ai-input-textarea');
     this.aiInputTitle = this.wrapper.querySelector('.ai-input-title');
+    this.containerDeleteModal = this.wrapper.querySelector('.container-delete-modal');
+    this.containerDeleteMessage = this.wrapper.querySelector('.container-delete-message');
+    this.zoomLevelLabel = this.wrapper.querySelector('.zoom-level');
+    this.minimap = this.wrapper.querySelector('.minimap');
+    this.minimapCanvas = this.wrapper.querySelector('.minimap-canvas');
+    this.minimapToggle = this.wrapper.querySelector('.minimap-toggle');
+    this.connectorLayer = this.wrapper.querySelector('.connector-layer');
+    this.connectorPreview = this.wrapper.querySelector('.connector-preview');
+    this.connectorActions = this.wrapper.querySelector('.connector-actions');
+    this.canvasGrid = this.wrapper.querySelector('.canvas-grid');
+    this.centerAnchor = this.wrapper.querySelector('.center-anchor');
+    this.selectionBounds = this.wrapper.querySelector('.selection-bounds');
+    this.alignActions = this.wrapper.querySelector('.align-actions');
+    this.snapGuides = this.wrapper.querySelector('.snap-guides');
+    this.drawTools = this.wrapper.querySelector('.draw-tools');
+    this.drawColorInput = this.wrapper.querySelector('.draw-color-input');
+    this.drawWidthSelect = this.wrapper.querySelector('.draw-width-select');
+    this.drawWidthSelect.value = String(Drawing.DEFAULT_STROKE_WIDTH);
+    this.drawPreview = this.wrapper.querySelector('.draw-preview');
+    this.announcer = this.wrapper.querySelector('.sr-announcer');
+    this.gridSnapBtn = this.wrapper.querySelector('.grid-snap-btn');
+    this.searchPalette = this.wrapper.querySelector('.search-palette');
+    this.searchInput = this.wrapper.querySelector('.search-input');
+    this.searchResults = this.wrapper.querySelector('.search-results');
+    this.commandPalette = this.wrapper.querySelector('.command-palette');
+    this.commandInput = this.wrapper.querySelector('.command-input');
+    this.commandResults = this.wrapper.querySelector('.command-results');
+    this.captureLayer = this.wrapper.querySelector('.capture-layer');
+    this.captureScreenshot = this.wrapper.querySelector('.capture-screenshot');
+    this.captureSelection = this.wrapper.querySelector('.capture-selection');
+    this.captureEditor = this.wrapper.querySelector('.capture-editor');
+    this.captureCanvas = this.wrapper.querySelector('.capture-canvas');
 
     // Memory tab elements
     this.memoryArea = this.wrapper.querySelector('.memory-area');
@@ -241,28 +588,42 @@ class CanvasApp {
 
     // State for AI input modal
     this.aiInputTarget = null; // { id: string, type: 'checklist' | 'note' }
+
+    // Settles the open container delete question
+    this.resolveContainerDelete = null;
+
+    // State for the keymap editor
+    this.keymapDraft = null; // { bindings, passthrough } being edited
+    this.keymapRecording = null; // { actionId } or { passthrough: true } while waiting for a key
   }
 
   attachEventListeners() {
     // Keyboard events on wrapper
     this.wrapper.addEventListener('keydown', this.handleKeyDown);
 
-    // Capture Ctrl+Z/Y at document level when overlay is visible
+    // Global shortcuts (undo/redo, palettes) are captured at document level so they
+    // work while typing and take precedence over the page's own shortcuts
     this._documentKeyHandler = (e) => {
-      if (!this.wrapper.isConnected) return;
-      if ((e.ctrlKey || e.metaKey) && (e.key === 'z' || e.key === 'Z' || e.key === 'y' || e.key === 'Y')) {
-        e.preventDefault();
-        e.stopPropagation();
-        if (e.key === 'z' || e.key === 'Z') {
-          if (e.shiftKey) {
-            this.redo();
-          } else {
-            this.undo();
-          }
-        } else {
-          this.redo();
-        }
+      if (!this.isOverlayVisible() || e.isComposing) return;
+
+      // The keymap editor is waiting for a key
+      if (this.keymapRecording) {
+        this.recordKeymapKey(e);
+        return;
       }
+
+      // Keys go to the capture in progress (see handleCaptureKeyDown)
+      if (this.capture) return;
+
+      const action = KeymapManager.match(e);
+      if (!action || !KeymapManager.isGlobal(action)) return;
+
+      // A global action rebound to a plain key must not swallow typing
+      if (this.isEditableTarget(e) && !e.ctrlKey && !e.metaKey && !e.altKey) return;
+
+      e.preventDefault();
+      e.stopPropagation();
+      this.runKeyAction(action);
     };
     document.addEventListener('keydown', this._documentKeyHandler, true); // Use capture phase
 
@@ -283,6 +644,13 @@ class CanvasApp {
         e.preventDefault();
         e.stopPropagation();
 
+        // Canvas items copied from this or another overlay
+        const payload = this.readItemsPayload(e.clipboardData);
+        if (payload) {
+          this.pasteItems(payload.items);
+          return;
+        }
+
         // Check for images first
         const clipboardItems = e.clipboardData?.items;
         if (clipboardItems) {
@@ -297,10 +665,13 @@ class CanvasApp {
           }
         }
 
-        // Fall back to text paste
+        // Fall back to text paste; a bare web address becomes a link card
         try {
           const text = await navigator.clipboard.readText();
-          if (text && text.trim()) {
+          const url = text ? this.parseLinkUrl(text) : null;
+          if (url) {
+            this.createLinkFromPaste(url);
+          } else if (text && text.trim()) {
             this.createNoteFromPaste(text.trim());
           }
         } catch (err) {
@@ -310,6 +681,44 @@ class CanvasApp {
     };
     document.addEventListener('paste', this._pasteHandler, true);
 
+    // Copy/cut selected items as a structured payload when nothing is being edited
+    this._copyHandler = (e) => {
+      if (!this.isOverlayVisible() || this.isEditingText()) return;
+      if (this.selectedItems.size === 0) return;
+
+      e.preventDefault();
+      e.stopPropagation();
+      const payload = this.writeItemsPayload(e.clipboardData, Array.from(this.selectedItems));
+
+      if (e.type === 'cut' && payload) {
+        // Only what was copied is cut: connectors without both endpoints stay. Container
+        // contents went into the payload, so they are cut as well
+        const copiedIds = new Set(payload.items.map(item => item.id));
+        const cutIds = Array.from(this.selectedItems).filter(id => copiedIds.has(id));
+        this.deleteItems(cutIds, { includeChildren: true });
+      }
+    };
+    document.addEventListener('copy', this._copyHandler, true);
+    document.addEventListener('cut', this._copyHandler, true);
+
+    // Remember what is selected on the page, so a link card saved after opening the overlay can quote it
+    this.lastPageSelection = SpawnCanvasBridge.getSelectedText();
+    this._selectionChangeHandler = () => {
+      if (this.isOverlayVisible()) return;
+      this.lastPageSelection = SpawnCanvasBridge.getSelectedText();
+    };
+    document.addEventListener('selectionchange', this._selectionChangeHandler);
+
+    // Items dropped from the page link back to it (drags from the canvas itself start on the host)
+    this._dragStartHandler = (e) => {
+      this.isPageDrag = e.target !== this.shadowRoot.host;
+    };
+    this._dragEndHandler = () => {
+      this.isPageDrag = false;
+    };
+    document.addEventListener('dragstart', this._dragStartHandler, true);
+    document.addEventListener('dragend', this._dragEndHandler, true);
+
     // Track Space key for pan mode
     this._spaceKeyDownHandler = (e) => {
       if (!this.wrapper.isConnected) return;
@@ -318,7 +727,7 @@ class CanvasApp {
       const target = e.composedPath ? e.composedPath()[0] : e.target;
       const isInput = target.matches && (target.matches('input, textarea') || target.isContentEditable);
 
-      if (e.code === 'Space' && !isInput) {
+      if (e.code === 'Space' && !isInput && !KeymapManager.isPassthrough(e)) {
         e.preventDefault();
         this.isSpaceDown = true;
         this.canvasArea.classList.add('pan-mode');
@@ -419,6 +828,141 @@ class CanvasApp {
       }
     });
 
+    // Container delete choice
+    this.containerDeleteModal.addEventListener('click', (e) => {
+      if (e.target === this.containerDeleteModal) {
+        this.closeContainerDeleteModal(null);
+        return;
+      }
+      const choice = e.target.closest('[data-choice]')?.dataset.choice;
+      if (choice) {
+        this.closeContainerDeleteModal(choice === 'cancel' ? null : choice);
+      }
+    });
+    this.containerDeleteModal.addEventListener('keydown', (e) => {
+      // Keep canvas shortcuts (Delete again, arrows...) away while the choice is open
+      e.stopPropagation();
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        this.closeContainerDeleteModal(null);
+      }
+    });
+
+    // Search palette
+    this.searchPalette.addEventListener('click', (e) => {
+      if (e.target === this.searchPalette) {
+        this.closeSearchPalette();
+        return;
+      }
+      const result = e.target.closest('.palette-item');
+      if (result) {
+        this.openSearchResult(Number(result.dataset.index));
+      }
+    });
+    this.searchInput.addEventListener('input', () => {
+      clearTimeout(this.searchDebounceTimer);
+      this.searchDebounceTimer = setTimeout(() => {
+        this.searchDebounceTimer = null;
+        this.runSearch();
+      }, 120);
+    });
+    this.searchInput.addEventListener('keydown', (e) => {
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        this.moveSearchSelection(e.key === 'ArrowDown' ? 1 : -1);
+      } else if (e.key === 'Enter') {
+        e.preventDefault();
+        // Catch up with typing that has not been searched yet
+        if (this.searchDebounceTimer) {
+          clearTimeout(this.searchDebounceTimer);
+          this.searchDebounceTimer = null;
+          this.runSearch();
+        }
+        this.openSearchResult(this.searchSelectedIndex);
+      } else if (e.key === 'Escape') {
+        e.preventDefault();
+        e.stopPropagation();
+        this.closeSearchPalette();
+      }
+    });
+
+    // Keymap editor clicks (delegated)
+    this.keymapModal.addEventListener('click', (e) => {
+      if (e.target === this.keymapModal) {
+        this.closeKeymapModal();
+        return;
+      }
+
+      const button = e.target.closest('[data-action]');
+      if (!button) return;
+      const action = button.dataset.action;
+      const actionId = button.closest('.keymap-row')?.dataset.keymapAction;
+
+      switch (action) {
+        case 'keymap-add-key':
+          this.keymapRecording = actionId ? { actionId } : { passthrough: true };
+          this.renderKeymapEditor();
+          break;
+        case 'keymap-remove-key':
+          if (actionId) {
+            this.keymapDraft.bindings[actionId].splice(Number(button.dataset.index), 1);
+          } else {
+            this.keymapDraft.passthrough.splice(Number(button.dataset.index), 1);
+          }
+          this.renderKeymapEditor();
+          break;
+        case 'keymap-reset-action':
+          this.keymapDraft.bindings[actionId] = KeymapManager.getAction(actionId).keys.slice();
+          this.renderKeymapEditor();
+          break;
+        default:
+          this.handleToolbarAction(action);
+      }
+    });
+
+    // Screen capture: drag a region on the screenshot, then draw annotations on it
+    this.captureLayer.addEventListener('pointerdown', (e) => {
+      if (e.button === 0) this.startCaptureRegionDrag(e);
+    });
+    this.captureCanvas.addEventListener('pointerdown', (e) => {
+      if (e.button === 0) this.startCaptureAnnotation(e);
+    });
+    this.captureEditor.addEventListener('click', (e) => {
+      const action = e.target.closest('[data-action]')?.dataset.action;
+      if (action) {
+        this.handleToolbarAction(action);
+      }
+    });
+
+    // Command palette
+    this.commandPalette.addEventListener('click', (e) => {
+      if (e.target === this.commandPalette) {
+        this.closeCommandPalette();
+        return;
+      }
+      const row = e.target.closest('.palette-item');
+      if (row) {
+        this.runPaletteCommand(Number(row.dataset.index));
+      }
+    });
+    this.commandInput.addEventListener('input', () => this.updateCommandResults());
+    this.commandInput.addEventListener('keydown', (e) => {
+      const count = this.commandResultList.length;
+      if ((e.key === 'ArrowDown' || e.key === 'ArrowUp') && count > 0) {
+        e.preventDefault();
+        const direction = e.key === 'ArrowDown' ? 1 : -1;
+        this.commandSelectedIndex = (this.commandSelectedIndex + direction + count) % count;
+        this.highlightPaletteItem(this.commandResults, this.commandSelectedIndex);
+      } else if (e.key === 'Enter') {
+        e.preventDefault();
+        this.runPaletteCommand(this.commandSelectedIndex);
+      } else if (e.key === 'Escape') {
+        e.preventDefault();
+        e.stopPropagation();
+        this.closeCommandPalette();
+      }
+    });
+
     // Handle Enter key in AI input textarea (Ctrl+Enter to submit)
     this.aiInputTextarea.addEventListener('keydown', (e) => {
       if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
@@ -438,15 +982,119 @@ class CanvasApp {
       e.target.value = ''; // Reset so same file can be selected again
     });
 
-    // Canvas panning
-    this.canvasArea.addEventListener('mousedown', this.handleCanvasMouseDown);
-    this.canvasArea.addEventListener('mousemove', this.handleCanvasMouseMove);
-    this.canvasArea.addEventListener('mouseup', this.handleCanvasMouseUp);
-    this.canvasArea.addEventListener('mouseleave', this.handleCanvasMouseUp);
+    // Track pointer so pasted items land under the cursor
+    this.canvasArea.addEventListener('pointermove', (e) => {
+      this.lastPointer = { x: e.clientX, y: e.clientY };
+    });
+    this.canvasArea.addEventListener('pointerleave', () => {
+      this.lastPointer = null;
+    });
+
+    // Touches are tracked before items see them, so a second finger can turn any drag into a pinch
+    this.canvasArea.addEventListener('pointerdown', this.handleTouchPointerDown, true);
+    this.canvasArea.addEventListener('pointermove', this.handleTouchPointerMove, true);
+    this.canvasArea.addEventListener('pointerup', this.handleTouchPointerUp, true);
+    this.canvasArea.addEventListener('pointercancel', this.handleTouchPointerUp, true);
+
+    // Drawing tools take the pointer before items do, so lines can start on top of them
+    this.canvasArea.addEventListener('pointerdown', this.handleDrawPointerDown, true);
+    this.drawColorInput.addEventListener('change', () => {
+      this.setDrawStyle({ color: Drawing.normalizeColor(this.drawColorInput.value) });
+    });
+    this.drawWidthSelect.addEventListener('change', () => {
+      this.setDrawStyle({ strokeWidth: Drawing.normalizeStrokeWidth(this.drawWidthSelect.value) });
+    });
+
+    // Canvas panning and box selection
+    this.canvasArea.addEventListener('pointerdown', this.handleCanvasPointerDown);
+
+    // Right-drag pans, and a long press shouldn't open the page menu; text fields keep theirs
+    this.canvasArea.addEventListener('contextmenu', (e) => {
+      if (!this.isTextInput(e.target)) {
+        e.preventDefault();
+      }
+    });
+
+    // Ctrl+wheel and trackpad pinch (reported as Ctrl+wheel) zoom
+    this.canvasArea.addEventListener('wheel', this.handleCanvasWheel, { passive: false });
+
+    // Files, and links, images and text dragged from the page, become items where they are dropped
+    this.canvasArea.addEventListener('dragover', this.handleDragOver);
+    this.canvasArea.addEventListener('dragleave', this.handleDragLeave);
+    this.canvasArea.addEventListener('drop', this.handleDrop);
+
+    // Undo depth setting is saved as soon as it changes
+    this.historyDepthInput.addEventListener('change', () => this.saveHistoryDepth());
+
+    // Each provider has its own key and model
+    this.aiProviderSelect.addEventListener('change', () => {
+      this.storeAiProviderDraft();
+      this.showAiProviderSettings(this.aiProviderSelect.value);
+    });
+
+    // Minimap: collapse toggle and click/drag navigation
+    this.minimapToggle.addEventListener('click', () => this.toggleMinimap());
+    this.minimapCanvas.addEventListener('pointerdown', (e) => {
+      if (e.button === 0) this.startMinimapNavigation(e);
+    });
+
+    // Connectors: select on click, edit label on double-click
+    this.connectorLayer.addEventListener('pointerdown', (e) => {
+      const connector = e.target.closest('.connector');
+      if (!connector || e.button !== 0) return;
+      e.stopPropagation();
+      this.selectItem(connector.dataset.itemId, e.shiftKey);
+    });
+    this.connectorLayer.addEventListener('dblclick', (e) => {
+      const connector = e.target.closest('.connector');
+      if (connector) {
+        this.editConnectorLabel(connector.dataset.itemId);
+      }
+    });
+    this.connectorActions.addEventListener('pointerdown', (e) => e.stopPropagation());
+
+    // Multi-selection: resize the whole group from its bounding box
+    this.selectionBounds.addEventListener('pointerdown', (e) => {
+      if (!e.target.classList.contains('resize-handle') || e.button !== 0) return;
+      e.stopPropagation();
+      this.startGroupResize(e, e.target);
+    });
+
+    // Multi-selection: align, distribute and match sizes
+    this.alignActions.addEventListener('pointerdown', (e) => e.stopPropagation());
+    this.alignActions.addEventListener('click', (e) => {
+      const action = e.target.closest('[data-action]')?.dataset.action;
+      if (!action) return;
+      e.stopPropagation();
+      if (action.startsWith('layout-')) {
+        this.autoLayout(action.slice('layout-'.length));
+      } else {
+        this.arrangeSelection(action);
+      }
+    });
+    this.connectorActions.addEventListener('click', (e) => {
+      const action = e.target.closest('[data-action]')?.dataset.action;
+      const connectorId = this.connectorActions.dataset.connectorId;
+      if (!action || !connectorId) return;
+      e.stopPropagation();
+
+      if (action === 'connector-label') {
+        this.editConnectorLabel(connectorId);
+      } else if (action === 'connector-arrows') {
+        this.cycleConnectorArrows(connectorId);
+      } else if (action === 'connector-delete') {
+        this.deleteItem(connectorId);
+      }
+    });
 
     // Click on canvas to deselect
     this.canvasSurface.addEventListener('click', (e) => {
-      if (e.target === this.canvasSurface || e.target.classList.contains('center-anchor')) {
+      if (this.suppressCanvasClick) {
+        this.suppressCanvasClick = false;
+        return;
+      }
+      if (e.target === this.canvasSurface || e.target === this.canvasGrid ||
+        e.target.classList.contains('center-anchor')) {
         this.deselectAll();
       }
     });
@@ -455,13 +1103,21 @@ class CanvasApp {
     // DELEGATED EVENT HANDLERS FOR CANVAS ITEMS
     // ========================================
 
-    // Delegated mousedown for items (drag) and resize handles
-    this.canvasSurface.addEventListener('mousedown', (e) => {
+    // Delegated pointerdown for items (drag) and resize handles.
+    // Middle and right buttons fall through to the canvas, which pans.
+    this.canvasSurface.addEventListener('pointerdown', (e) => {
       const item = e.target.closest('.canvas-item');
-      if (!item) return;
+      if (!item || e.button !== 0) return;
 
       const itemId = item.dataset.itemId;
 
+      // Handle connection handles (start drawing a connector)
+      if (e.target.classList.contains('connect-handle')) {
+        e.stopPropagation();
+        this.startConnectorDraw(e, itemId, e.target.dataset.side);
+        return;
+      }
+
       // Handle resize handles
       if (e.target.classList.contains('resize-handle')) {
         e.stopPropagation();
@@ -469,13 +1125,25 @@ class CanvasApp {
         return;
       }
 
-      // Don't start drag if clicking on input/textarea or buttons
+      // Don't start drag if clicking on input/textarea, buttons or links
       if (e.target.tagName === 'INPUT' ||
         e.target.tagName === 'TEXTAREA' ||
-        e.target.tagName === 'BUTTON') {
+        e.target.tagName === 'BUTTON' ||
+        e.target.closest('a')) {
         return;
       }
 
+      // A long press toggles the item in the selection, like Shift+click
+      if (e.pointerType === 'touch') {
+        const previousSelection = Array.from(this.selectedItems);
+        this.startLongPress(e, () => {
+          this.cancelPointerInteraction();
+          this.deselectAll();
+          previousSelection.forEach(id => this.selectItem(id, true));
+          this.selectItem(itemId, true);
+        });
+      }
+
       // Select and start drag
       const isShiftClick = e.shiftKey;
       if (!this.selectedItems.has(itemId)) {
@@ -506,6 +1174,12 @@ class CanvasApp {
         case 'cycle-color':
           this.cycleContainerColor(itemId);
           break;
+        case 'toggle-collapse':
+          this.toggleContainerCollapsed(itemId);
+          break;
+        case 'layout-container':
+          this.layoutContainer(itemId, 'grid');
+          break;
         case 'add-checklist-item':
           this.addChecklistItem(itemId);
           break;
@@ -524,6 +1198,36 @@ class CanvasApp {
         case 'copy-image':
           this.copyImageToClipboard(itemId);
           break;
+        case 'open-link':
+          this.openLink(itemId);
+          break;
+        case 'go-to-source':
+          this.openSource(itemId);
+          break;
+        case 'download-attachment':
+          this.downloadAttachment(itemId);
+          break;
+        case 'toggle-markdown':
+          this.toggleNoteMarkdown(itemId);
+          break;
+      }
+    });
+
+    // Double-click a Markdown preview to edit the source
+    this.canvasSurface.addEventListener('dblclick', (e) => {
+      if (!e.target.closest('.markdown-preview') || e.target.closest('a, input')) return;
+      const item = e.target.closest('.canvas-item');
+      if (item) {
+        this.toggleNoteMarkdown(item.dataset.itemId, false);
+      }
+    });
+
+    // Double-click a link card to open the page (a plain click selects or drags it)
+    this.canvasSurface.addEventListener('dblclick', (e) => {
+      if (!e.target.closest('.link-content')) return;
+      const item = e.target.closest('.canvas-item');
+      if (item) {
+        this.openLink(item.dataset.itemId);
       }
     });
 
@@ -535,11 +1239,11 @@ class CanvasApp {
       const itemId = item.dataset.itemId;
 
       if (e.target.classList.contains('item-title')) {
+        this.pushHistory(`title:${itemId}`);
         Store.updateItem(itemId, { title: e.target.value });
-        this.pushHistoryDebounced();
       } else if (e.target.classList.contains('note-content')) {
+        this.pushHistory(`content:${itemId}`);
         Store.updateItem(itemId, { content: e.target.value });
-        this.pushHistoryDebounced();
       } else if (e.target.classList.contains('item-text')) {
         // Checklist item text
         const checklistItem = e.target.closest('.checklist-item');
@@ -553,6 +1257,15 @@ class CanvasApp {
     this.canvasSurface.addEventListener('change', (e) => {
       if (e.target.type !== 'checkbox') return;
 
+      // Task checkbox inside a Markdown note preview
+      if (e.target.dataset.taskIndex !== undefined) {
+        const note = e.target.closest('.canvas-item');
+        if (note) {
+          this.toggleMarkdownTask(note.dataset.itemId, Number(e.target.dataset.taskIndex), e.target.checked);
+        }
+        return;
+      }
+
       const item = e.target.closest('.canvas-item');
       const checklistItem = e.target.closest('.checklist-item');
       if (!item || !checklistItem) return;
@@ -560,8 +1273,32 @@ class CanvasApp {
       this.toggleChecklistItem(item.dataset.itemId, checklistItem.dataset.itemId, e.target.checked);
     });
 
+    // Focusing an item (Tab, or a screen reader) selects it
+    this.canvasSurface.addEventListener('focusin', (e) => {
+      if (!e.target.classList.contains('canvas-item')) return;
+      const itemId = e.target.dataset.itemId;
+      if (!this.selectedItems.has(itemId)) {
+        this.selectItem(itemId);
+      }
+    });
+
+    // Focusing an element can scroll the canvas area; the view is moved by panning only
+    this.canvasArea.addEventListener('scroll', () => {
+      this.canvasArea.scrollLeft = 0;
+      this.canvasArea.scrollTop = 0;
+    });
+
     // Delegated keydown for Enter (new item) and Tab (indentation)
     this.canvasSurface.addEventListener('keydown', (e) => {
+      if (e.target.classList.contains('canvas-item')) {
+        this.handleItemKeyDown(e);
+        return;
+      }
+      if (e.target.classList.contains('add-checklist-item') && (e.key === 'Enter' || e.key === ' ')) {
+        e.preventDefault();
+        e.target.click();
+        return;
+      }
       if (!e.target.classList.contains('item-text')) return;
 
       const item = e.target.closest('.canvas-item');
@@ -722,11 +1459,13 @@ class CanvasApp {
     console.log('[SpawnCanvas] All workspaces exported');
   }
 
-  async handleImportFile(file) {
+  /**
+   * @param {File} file - Export file
+   * @param {string} [importType] - 'single' or 'all' (defaults to the kind of import chosen in the menu)
+   */
+  async handleImportFile(file, importType = this.importFileInput.dataset.importType || 'single') {
     if (!file) return;
 
-    const importType = this.importFileInput.dataset.importType || 'single';
-
     try {
       const text = await file.text();
 
@@ -753,35 +1492,23 @@ class CanvasApp {
   }
 
   /**
-   * Push current state to history stack
-   */
-  pushHistory() {
-    const items = Store.getAllItems();
-    HistoryManager.push(items);
-  }
-
-  /**
-   * Debounced push for text changes
+   * Start a new undo step; item changes made by the calling code (before it awaits anything) are undone together
+   * @param {string} [coalesceKey] - Merge with the previous step if it used the same key moments ago (typing)
    */
-  pushHistoryDebounced() {
-    if (this._historyDebounceTimer) {
-      clearTimeout(this._historyDebounceTimer);
-    }
-    this._historyDebounceTimer = setTimeout(() => {
-      this.pushHistory();
-      this._historyDebounceTimer = null;
-    }, 1000);
+  pushHistory(coalesceKey) {
+    HistoryManager.beginStep(coalesceKey);
   }
 
   /**
    * Undo last action
    */
   undo() {
-    const currentItems = Store.getAllItems();
-    const previousState = HistoryManager.undo(currentItems);
-
-    if (previousState) {
-      this.restoreState(previousState);
+    const workspace = Store.getCurrentWorkspace();
+    if (workspace && HistoryManager.undo(workspace.items)) {
+      this.restoreState();
+      this.announce('Undone');
+    } else {
+      this.announce('Nothing to undo');
     }
   }
 
@@ -789,99 +1516,399 @@ class CanvasApp {
    * Redo last undone action
    */
   redo() {
-    const currentItems = Store.getAllItems();
-    const nextState = HistoryManager.redo(currentItems);
-
-    if (nextState) {
-      this.restoreState(nextState);
+    const workspace = Store.getCurrentWorkspace();
+    if (workspace && HistoryManager.redo(workspace.items)) {
+      this.restoreState();
+      this.announce('Redone');
+    } else {
+      this.announce('Nothing to redo');
     }
   }
 
   /**
-   * Restore state from history
+   * Save and re-render after history changed the workspace items
    */
-  restoreState(items) {
+  restoreState() {
     HistoryManager.setRestoring(true);
 
-    // Get current workspace and replace items
-    const workspace = Store.getCurrentWorkspace();
-    if (workspace) {
-      workspace.items = items;
-      Store.saveNow();
-    }
+    Store.saveNow();
 
-    // Re-render canvas
-    this.clearCanvas();
+    // Reconcile the canvas with the restored items
     this.renderAllItems();
+    this.updateConnectorActions();
+    this.updateSelectionBounds();
+    this.scheduleMinimapRender();
 
     HistoryManager.setRestoring(false);
   }
 
   clearCanvas() {
-    const items = this.canvasSurface.querySelectorAll('.canvas-item');
+    const items = this.canvasSurface.querySelectorAll('.canvas-item, .connector');
     items.forEach(item => item.remove());
     this.selectedItems.clear();
+    this.updateConnectorActions();
+    this.updateSelectionBounds();
   }
 
   renderAllItems() {
-    const items = Store.getAllItems();
-    items.forEach(item => {
-      if (item.type === 'note') {
-        this.renderNote(item);
-      } else if (item.type === 'checklist') {
-        this.renderChecklist(item);
-      } else if (item.type === 'container') {
-        this.renderContainer(item);
-      } else if (item.type === 'image') {
-        this.renderImage(item);
-      }
-    });
+    this.syncRenderedItems();
+    this.updateCanvasBounds();
   }
 
-  handleKeyDown(e) {
-    // Handle Ctrl+Z / Ctrl+Y even in inputs (but not during text composition)
-    if ((e.ctrlKey || e.metaKey) && !e.isComposing) {
-      if (e.key === 'z' || e.key === 'Z') {
-        e.preventDefault();
-        if (e.shiftKey) {
-          this.redo();
-        } else {
-          this.undo();
-        }
-        return;
+  renderItem(item) {
+    if (item.type === 'note') {
+      this.renderNote(item);
+    } else if (item.type === 'checklist') {
+      this.renderChecklist(item);
+    } else if (item.type === 'container') {
+      this.renderContainer(item);
+    } else if (item.type === 'image') {
+      this.renderImage(item);
+    } else if (item.type === 'link') {
+      this.renderLink(item);
+    } else if (item.type === 'attachment') {
+      this.renderAttachment(item);
+    } else if (item.type === 'stroke' || item.type === 'shape') {
+      this.renderDrawing(item);
+    } else if (item.type === 'connector') {
+      this.renderConnector(item);
+    }
+
+    const element = this.getItemElement(item.id);
+    if (element) {
+      this.updateItemAccessibility(element, item);
+      // Lets syncRenderedItems spot elements that no longer match the store
+      element.dataset.version = item.updatedAt;
+      if (this.selectedItems.has(item.id)) {
+        element.classList.add('selected');
       }
-      if (e.key === 'y' || e.key === 'Y') {
-        e.preventDefault();
-        this.redo();
+    }
+    return element;
+  }
+
+  /**
+   * Make an item element focusable and give it a role and a label for screen readers
+   */
+  updateItemAccessibility(element, item) {
+    if (item.type === 'connector') return;
+
+    const typeLabel = CanvasApp.ITEM_TYPE_LABELS[item.type] || 'Item';
+    let label = item.title || `Untitled ${typeLabel.toLowerCase()}`;
+    if (item.type === 'checklist') {
+      const done = (item.items || []).filter(i => i.completed).length;
+      label += `, ${done} of ${(item.items || []).length} done`;
+    } else if (item.type === 'container') {
+      label += `, ${this.describeCount((item.children || []).length, 'item')}${item.collapsed ? ', collapsed' : ''}`;
+    } else if (item.type === 'image') {
+      label = typeLabel;
+    } else if (item.type === 'link') {
+      const hostname = this.getLinkHostname(item.url);
+      if (hostname) label += `, ${hostname}`;
+    } else if (item.type === 'attachment') {
+      label += `, ${this.formatFileSize(item.fileSize)}`;
+    } else if (item.type === 'stroke') {
+      label = `${Drawing.TOOLS[item.tool] || 'Pen'} stroke`;
+    } else if (item.type === 'shape') {
+      label = Drawing.SHAPES[item.shape] || typeLabel;
+    }
+
+    element.tabIndex = 0;
+    element.setAttribute('role', 'group');
+    element.setAttribute('aria-roledescription', typeLabel.toLowerCase());
+    element.setAttribute('aria-label', label);
+  }
+
+  getItemElement(id) {
+    return this.canvasSurface.querySelector(
+      `.canvas-item[data-item-id="${id}"], .connector[data-item-id="${id}"]`);
+  }
+
+  /**
+   * Reconcile rendered elements with the store. Only items in or near the
+   * viewport get elements (plus selected and focused ones, wherever they are);
+   * items that changed behind our back (undo/redo) are re-rendered in place and
+   * deleted ones are removed. Connectors are cheap and always rendered.
+   */
+  syncRenderedItems() {
+    if (this.renderSyncFrame) {
+      cancelAnimationFrame(this.renderSyncFrame);
+      this.renderSyncFrame = null;
+    }
+
+    this.updateHiddenItems();
+
+    const area = this.getRenderArea();
+    const focusedElement = this.shadowRoot.activeElement;
+    const focusedItem = focusedElement && focusedElement.closest ? focusedElement.closest('.canvas-item') : null;
+    const focusedId = focusedItem ? focusedItem.dataset.itemId : null;
+
+    const items = Store.getAllItems();
+    const ranks = this.getStackRanks();
+    const wanted = new Map();
+    items.forEach(item => {
+      if (item.type !== 'connector') {
+        if (this.hiddenItemIds.has(item.id)) return;
+        const inView = this.checkIntersection(area, {
+          left: item.position.x,
+          top: item.position.y,
+          width: item.size.width,
+          height: item.size.height
+        });
+        if (!inView && !this.selectedItems.has(item.id) && item.id !== focusedId) return;
+      }
+      wanted.set(item.id, item);
+    });
+
+    // Drop, keep or refresh what is already rendered
+    const rendered = new Set();
+    const refreshed = [];
+    this.canvasSurface.querySelectorAll('.canvas-item, .connector').forEach(element => {
+      const id = element.dataset.itemId;
+      const item = wanted.get(id);
+      if (!item) {
+        element.remove();
         return;
       }
+      rendered.add(id);
+      if (element.dataset.version !== String(item.updatedAt)) {
+        this.rerenderItem(element, item);
+        refreshed.push(id);
+      }
+    });
+
+    // Render newcomers, then connectors so they route from their endpoints
+    const missing = Array.from(wanted.values()).filter(item => !rendered.has(item.id));
+    missing
+      .filter(item => item.type !== 'connector')
+      .forEach(item => this.renderItem(item));
+    missing
+      .filter(item => item.type === 'connector')
+      .forEach(item => this.renderItem(item));
+    this.applyStackOrder(ranks);
+
+    // Selection can't refer to items that are gone
+    const existing = new Set(items.map(item => item.id));
+    this.selectedItems.forEach(id => {
+      if (!existing.has(id)) this.selectedItems.delete(id);
+    });
+
+    this.applyCollapsedState();
+    if (refreshed.length > 0) {
+      this.updateConnectorsFor(refreshed);
+    }
+  }
+
+  /**
+   * Sync on the next frame (coalesces pan and zoom events)
+   */
+  scheduleRenderSync() {
+    if (this.renderSyncFrame) return;
+    this.renderSyncFrame = requestAnimationFrame(() => {
+      this.renderSyncFrame = null;
+      this.syncRenderedItems();
+    });
+  }
+
+  /**
+   * The visible canvas area plus a margin, in canvas coordinates
+   */
+  getRenderArea() {
+    const view = this.getVisibleCanvasRect();
+    if (view.width === 0 || view.height === 0) {
+      // Not laid out yet; assume the overlay fills the window
+      view.width = window.innerWidth / this.zoom;
+      view.height = window.innerHeight / this.zoom;
+    }
+    const margin = Math.max(view.width, view.height) * CanvasApp.RENDER_MARGIN;
+    return {
+      left: view.left - margin,
+      top: view.top - margin,
+      width: view.width + margin * 2,
+      height: view.height + margin * 2
+    };
+  }
+
+  /**
+   * Replace an element with a fresh render of its item, keeping its stacking position
+   */
+  rerenderItem(element, item) {
+    const parent = element.parentNode;
+    const next = element.nextSibling;
+    element.remove();
+    const fresh = this.renderItem(item);
+    if (fresh && parent) {
+      parent.insertBefore(fresh, next);
+    }
+  }
+
+  /**
+   * Position of every spatial item in the stored paint order (bottom first)
+   */
+  getStackRanks() {
+    return new Map(Store.getStackingOrder().map((item, index) => [item.id, index]));
+  }
+
+  /**
+   * Reorder the rendered items to match the stored stacking order.
+   * Containers, connectors and items each have their own CSS z-index band,
+   * so DOM order only decides stacking within a band.
+   */
+  applyStackOrder(ranks = this.getStackRanks()) {
+    const elements = Array.from(this.canvasSurface.querySelectorAll(':scope > .canvas-item'));
+    const rankOf = element => {
+      const rank = ranks.get(element.dataset.itemId);
+      return rank === undefined ? ranks.size : rank;
+    };
+    const sorted = elements.slice().sort((a, b) => rankOf(a) - rankOf(b));
+    if (sorted.every((element, index) => element === elements[index])) return;
+
+    // Moving an element drops its focus, so give it back
+    const active = this.shadowRoot.activeElement;
+    sorted.forEach(element => this.canvasSurface.appendChild(element));
+    if (active && active.isConnected && this.shadowRoot.activeElement !== active) {
+      active.focus({ preventScroll: true });
+    }
+  }
+
+  /**
+   * Render an item now if it isn't (e.g. before selecting an off-screen item)
+   */
+  ensureItemRendered(id) {
+    if (this.getItemElement(id)) return;
+    const item = Store.getItem(id);
+    if (!item || this.isItemHidden(id)) return;
+
+    this.renderItem(item);
+    this.applyStackOrder();
+  }
+
+  /**
+   * Get items that occupy space on the canvas (everything except connectors)
+   */
+  getSpatialItems() {
+    return Store.getAllItems().filter(item => item.type !== 'connector');
+  }
+
+  handleKeyDown(e) {
+    // A capture in progress has keys of its own
+    if (this.capture) {
+      this.handleCaptureKeyDown(e);
+      return;
     }
 
-    // Ignore other keys if typing in an input
-    if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') {
+    // Ignore keys if typing in an input (global shortcuts are handled at document level)
+    if (this.isEditableTarget(e)) {
       if (e.key === 'Escape') {
-        e.target.blur();
+        // Leaving a field inside an item puts focus back on the item
+        const itemElement = e.target.closest('.canvas-item');
+        if (itemElement) {
+          itemElement.focus({ preventScroll: true });
+        } else {
+          e.target.blur();
+        }
       }
       return;
     }
 
-    switch (e.key) {
-      case 'Escape':
-        this.handleClose();
+    const action = KeymapManager.match(e);
+    if (!action || KeymapManager.isGlobal(action) || e.isComposing) return;
+
+    e.preventDefault();
+    this.runKeyAction(action);
+  }
+
+  /**
+   * Run a keymap action (see KeymapManager for the action IDs)
+   */
+  runKeyAction(action) {
+    switch (action) {
+      case 'undo':
+        this.undo();
         break;
-      case 'Home':
-      case '0':
-        this.resetView();
+      case 'redo':
+        this.redo();
+        break;
+      case 'search':
+        this.closeCommandPalette();
+        this.openSearchPalette();
         break;
-      case 'Delete':
-      case 'Backspace':
+      case 'command-palette':
+        if (this.commandPalette.classList.contains('open')) {
+          this.closeCommandPalette();
+        } else {
+          this.closeSearchPalette();
+          this.openCommandPalette();
+        }
+        break;
+      case 'duplicate':
+        this.duplicateSelectedItems();
+        break;
+      case 'delete-selection':
         this.deleteSelectedItems();
         break;
-      case '1':
-        this.navigateItems(-1); // Previous item
+      case 'center':
+        this.resetView();
+        break;
+      case 'zoom-in':
+        this.zoomIn();
+        break;
+      case 'zoom-out':
+        this.zoomOut();
+        break;
+      case 'zoom-fit':
+        this.zoomToFit();
+        break;
+      case 'zoom-selection':
+        this.zoomToSelection();
+        break;
+      case 'prev-item':
+        this.navigateItems(-1);
+        break;
+      case 'next-item':
+        this.navigateItems(1);
+        break;
+      case 'focus-left':
+      case 'focus-right':
+      case 'focus-up':
+      case 'focus-down':
+        this.focusItemInDirection(action.slice('focus-'.length));
+        break;
+      case 'nudge-left':
+      case 'nudge-right':
+      case 'nudge-up':
+      case 'nudge-down':
+        this.nudgeSelection(action.slice('nudge-'.length), false);
+        break;
+      case 'nudge-left-far':
+      case 'nudge-right-far':
+      case 'nudge-up-far':
+      case 'nudge-down-far':
+        this.nudgeSelection(action.slice('nudge-'.length, -'-far'.length), true);
+        break;
+      case 'bring-to-front':
+      case 'bring-forward':
+      case 'send-backward':
+      case 'send-to-back':
+        this.restackSelection(action);
         break;
-      case '2':
-        this.navigateItems(1); // Next item
+      case 'tool-select':
+      case 'tool-pen':
+      case 'tool-highlighter':
+      case 'tool-rectangle':
+      case 'tool-ellipse':
+      case 'tool-diamond':
+      case 'tool-line':
+      case 'tool-eraser':
+        this.setTool(action.slice('tool-'.length));
+        break;
+      case 'close':
+        if (this.keymapModal.classList.contains('open')) {
+          this.closeKeymapModal();
+        } else if (this.activeTool !== 'select') {
+          this.setTool('select');
+        } else {
+          this.handleClose();
+        }
         break;
     }
   }
@@ -897,9 +1924,60 @@ class CanvasApp {
       case 'add-container':
         this.addContainer();
         break;
+      case 'add-link':
+        this.addLinkFromPage();
+        break;
+      case 'capture':
+        this.startCapture(true);
+        break;
+      case 'capture-page':
+        this.startCapture(false);
+        break;
+      case 'capture-tool-arrow':
+      case 'capture-tool-box':
+      case 'capture-tool-blur':
+        this.setCaptureTool(action.slice('capture-tool-'.length));
+        break;
+      case 'capture-undo':
+        this.undoCaptureAnnotation();
+        break;
+      case 'cancel-capture':
+        this.closeCapture();
+        break;
+      case 'insert-capture':
+        this.insertCapture();
+        break;
+      case 'tool-select':
+      case 'tool-pen':
+      case 'tool-highlighter':
+      case 'tool-rectangle':
+      case 'tool-ellipse':
+      case 'tool-diamond':
+      case 'tool-line':
+      case 'tool-eraser':
+        this.setTool(action.slice('tool-'.length));
+        break;
       case 'center':
         this.resetView();
         break;
+      case 'zoom-in':
+        this.zoomIn();
+        break;
+      case 'zoom-out':
+        this.zoomOut();
+        break;
+      case 'zoom-reset':
+        this.zoomToCenter(1);
+        break;
+      case 'zoom-fit':
+        this.zoomToFit();
+        break;
+      case 'zoom-selection':
+        this.zoomToSelection();
+        break;
+      case 'toggle-grid-snap':
+        this.toggleGridSnap();
+        break;
       case 'close':
         this.handleClose();
         break;
@@ -927,9 +2005,24 @@ class CanvasApp {
       case 'save-api-key':
         this.saveApiKey();
         break;
+      case 'test-ai-connection':
+        this.testAiConnection();
+        break;
       case 'toggle-prompts':
         this.togglePromptsModal();
         break;
+      case 'toggle-keymap':
+        this.openKeymapModal();
+        break;
+      case 'close-keymap':
+        this.closeKeymapModal();
+        break;
+      case 'save-keymap':
+        this.saveKeymap();
+        break;
+      case 'reset-keymap':
+        this.resetKeymap();
+        break;
       case 'close-prompts':
         this.closePromptsModal();
         break;
@@ -957,32 +2050,130 @@ class CanvasApp {
 
     // Load settings when opening
     if (isOpening) {
-      const [apiKey, provider] = await Promise.all([
-        Store.getApiKey(),
-        Store.getAiProvider()
+      const providers = AIService.getProviders();
+      const [provider, options, ...perProvider] = await Promise.all([
+        Store.getAiProvider(),
+        Store.getAiOptions(),
+        ...providers.map(({ id }) => Promise.all([Store.getApiKey(id), Store.getAiModel(id)]))
       ]);
-      this.apiKeyInput.value = apiKey || '';
+
+      // Keys and models are edited per provider; switching provider keeps unsaved edits
+      this.aiSettingsDraft = {};
+      providers.forEach(({ id }, index) => {
+        const [apiKey, model] = perProvider[index];
+        this.aiSettingsDraft[id] = { apiKey: apiKey || '', model: model || '' };
+      });
       this.aiProviderSelect.value = provider || 'claude';
+      this.showAiProviderSettings(this.aiProviderSelect.value);
+      this.aiTemperatureInput.value = options.temperature ?? '';
+      this.aiMaxTokensInput.value = options.maxTokens ?? '';
+      this.historyDepthInput.value = HistoryManager.getMaxDepth();
+    }
+  }
+
+  /**
+   * Fill the key and model fields with a provider's (draft) settings
+   */
+  showAiProviderSettings(providerId) {
+    const provider = AIService.getProviders().find(({ id }) => id === providerId);
+    const draft = this.aiSettingsDraft[providerId] || { apiKey: '', model: '' };
+
+    this.aiSettingsProvider = providerId;
+    this.apiKeyInput.value = draft.apiKey;
+    this.aiModelInput.value = draft.model;
+    this.aiModelInput.placeholder = provider ? provider.model : '';
+    this.aiModelList.innerHTML = (provider ? provider.models : [])
+      .map(model => `<option value="${this.escapeHtml(model)}"></option>`)
+      .join('');
+    this.aiTemperatureInput.max = provider ? provider.maxTemperature : 2;
+    this.aiMaxTokensInput.placeholder = String(AIService.DEFAULT_MAX_TOKENS);
+    this.setAiTestStatus('');
+  }
+
+  /**
+   * Keep the key and model typed for the provider being edited
+   */
+  storeAiProviderDraft() {
+    if (!this.aiSettingsProvider) return;
+    this.aiSettingsDraft[this.aiSettingsProvider] = {
+      apiKey: this.apiKeyInput.value.trim(),
+      model: this.aiModelInput.value.trim()
+    };
+  }
+
+  /**
+   * Temperature and max tokens from the settings fields (null where left empty)
+   */
+  readAiOptions() {
+    const temperature = this.aiTemperatureInput.value.trim();
+    const maxTokens = this.aiMaxTokensInput.value.trim();
+    return {
+      temperature: temperature === '' ? null : Number(temperature),
+      maxTokens: maxTokens === '' ? null : Number(maxTokens)
+    };
+  }
+
+  setAiTestStatus(message, state) {
+    this.aiTestStatus.textContent = message;
+    this.aiTestStatus.classList.toggle('success', state === 'success');
+    this.aiTestStatus.classList.toggle('error', state === 'error');
+  }
+
+  /**
+   * Make a minimal request with the settings as they are typed (saved or not)
+   */
+  async testAiConnection() {
+    this.storeAiProviderDraft();
+    const provider = this.aiProviderSelect.value;
+    const { apiKey, model } = this.aiSettingsDraft[provider];
+    const name = AIService.getProviders().find(({ id }) => id === provider)?.name || provider;
+
+    if (!apiKey) {
+      this.setAiTestStatus(`Enter an API key for ${name} first.`, 'error');
+      return;
+    }
+
+    const testButton = this.settingsDropdown.querySelector('[data-action="test-ai-connection"]');
+    testButton.disabled = true;
+    this.setAiTestStatus(`Connecting to ${name}...`);
+    try {
+      const result = await AIService.testConnection(apiKey, provider, { ...this.readAiOptions(), model });
+      this.setAiTestStatus(`✓ Connected to ${name} (${result.model}).`, 'success');
+    } catch (err) {
+      console.error('[SpawnCanvas] AI connection test failed:', err);
+      this.setAiTestStatus(`✗ ${err.message}`, 'error');
+    } finally {
+      testButton.disabled = false;
     }
   }
 
+  async saveHistoryDepth() {
+    const depth = HistoryManager.setMaxDepth(this.historyDepthInput.value);
+    this.historyDepthInput.value = depth;
+    await Store.setHistoryDepth(depth);
+  }
+
   closeSettingsMenu() {
     this.settingsDropdown.classList.remove('open');
   }
 
   async saveApiKey() {
-    const apiKey = this.apiKeyInput.value.trim();
+    this.storeAiProviderDraft();
     const provider = this.aiProviderSelect.value;
+    const { apiKey, model } = this.aiSettingsDraft[provider];
 
-    await Promise.all([
-      Store.setApiKey(apiKey),
-      Store.setAiProvider(provider)
-    ]);
+    // One provider at a time: keys and models are each stored in one map
+    for (const [id, draft] of Object.entries(this.aiSettingsDraft)) {
+      await Store.setApiKey(draft.apiKey, id);
+      await Store.setAiModel(draft.model, id);
+    }
+    await Store.setAiProvider(provider);
+    await Store.setAiOptions(this.readAiOptions());
 
     if (apiKey) {
-      alert(`Settings saved!\nProvider: ${provider}\nAPI key: ${apiKey.substring(0, 10)}...`);
+      alert(`Settings saved!\nProvider: ${provider}\nModel: ${AIService.normalizeOptions(provider, { model }).model}\nAPI key: ${apiKey.substring(0, 10)}...`);
     } else {
-      alert('API key cleared.');
+      alert(`Settings saved. No API key set for ${provider}.`);
     }
     this.closeSettingsMenu();
   }
@@ -1066,6 +2257,37 @@ class CanvasApp {
     this.aiInputTextarea.value = '';
   }
 
+  /**
+   * Ask what deleting containers should do with the items inside them
+   * @param {number} containerCount - Containers being deleted
+   * @param {number} itemCount - Items inside them
+   * @returns {Promise<string|null>} 'all' (delete the items too), 'keep' (leave them on the canvas) or null (cancelled)
+   */
+  askContainerDelete(containerCount, itemCount) {
+    // Only one question at a time
+    this.closeContainerDeleteModal(null);
+
+    const holder = containerCount === 1 ? 'This container holds' : `These ${containerCount} containers hold`;
+    this.containerDeleteMessage.textContent =
+      `${holder} ${this.describeCount(itemCount, 'item')}. Delete them too, or keep them on the canvas?`;
+    this.containerDeleteModal.classList.add('open');
+    this.containerDeleteModal.querySelector('[data-choice="keep"]').focus();
+
+    return new Promise(resolve => {
+      this.resolveContainerDelete = resolve;
+    });
+  }
+
+  closeContainerDeleteModal(choice) {
+    const resolve = this.resolveContainerDelete;
+    if (!resolve) return;
+
+    this.resolveContainerDelete = null;
+    this.containerDeleteModal.classList.remove('open');
+    this.wrapper.focus({ preventScroll: true });
+    resolve(choice);
+  }
+
   // ============================================
   // TAB SWITCHING
   // ============================================
@@ -1260,103 +2482,315 @@ class CanvasApp {
     }
   }
 
-  handleCanvasMouseDown(e) {
+  handleCanvasPointerDown(e) {
+    this.suppressCanvasClick = false;
+    if (this.pinch || this.activeInteraction) return;
+
+    // Middle or right drag pans from anywhere (mouse, or a pen's barrel button)
+    if (e.button === 1 || e.button === 2) {
+      if (this.isTextInput(e.target)) return;
+      e.preventDefault(); // No autoscroll
+      this.startPan(e);
+      return;
+    }
+
     // Only act if clicking on canvas background
     const isCanvasBackground = e.target === this.canvasArea ||
       e.target === this.canvasSurface ||
+      e.target === this.canvasGrid ||
       e.target.classList.contains('center-anchor');
 
-    if (!isCanvasBackground) return;
+    if (!isCanvasBackground || e.button !== 0) return;
 
-    // Space+Drag = Pan
-    if (this.isSpaceDown) {
-      this.isPanning = true;
-      this.panStart = {
-        x: e.clientX - this.panOffset.x,
-        y: e.clientY - this.panOffset.y
-      };
-      this.canvasArea.classList.add('panning');
+    if (e.pointerType === 'touch') {
+      // One finger pans; holding it still starts a selection box instead
+      this.startPan(e);
+      this.startLongPress(e, () => {
+        this.cancelPointerInteraction();
+        this.startSelection(e);
+      });
+    } else if (this.isSpaceDown) {
+      // Space+Drag = Pan
+      this.startPan(e);
     } else {
       // Regular drag on empty space = Selection box
       this.startSelection(e);
     }
   }
 
-  startSelection(e) {
-    this.isSelecting = true;
+  isTextInput(element) {
+    return !!element && (element.tagName === 'INPUT' || element.tagName === 'TEXTAREA' || element.isContentEditable);
+  }
 
-    // Get mouse position relative to canvas surface
-    const surfaceRect = this.canvasSurface.getBoundingClientRect();
-    this.selectionStart = {
-      x: e.clientX - surfaceRect.left,
-      y: e.clientY - surfaceRect.top
-    };
+  /**
+   * Whether a key event comes from a field or editable content (on the canvas or the page)
+   */
+  isEditableTarget(e) {
+    const target = e.composedPath ? e.composedPath()[0] : e.target;
+    return this.isTextInput(target) || (!!target && target.tagName === 'SELECT');
+  }
 
-    // Create selection box element
-    this.selectionBox = document.createElement('div');
-    this.selectionBox.className = 'selection-box';
-    this.selectionBox.style.left = `${this.selectionStart.x}px`;
-    this.selectionBox.style.top = `${this.selectionStart.y}px`;
-    this.selectionBox.style.width = '0px';
-    this.selectionBox.style.height = '0px';
-    this.canvasSurface.appendChild(this.selectionBox);
+  /**
+   * Follow one pointer until it is released. Only that pointer's events are passed on,
+   * so other fingers or a mouse can't interfere. A pinch starting mid-drag cancels the
+   * interaction: onEnd then gets (null, true) and should put things back.
+   * @param {PointerEvent} e - The pointerdown event
+   * @param {Function} onMove - Called with each pointermove
+   * @param {Function} onEnd - Called with (event, cancelled) on pointerup or pointercancel
+   */
+  trackPointer(e, onMove, onEnd) {
+    const pointerId = e.pointerId;
+
+    const finish = (event, cancelled) => {
+      document.removeEventListener('pointermove', handleMove);
+      document.removeEventListener('pointerup', handleUp);
+      document.removeEventListener('pointercancel', handleCancel);
+      if (this.activeInteraction === interaction) {
+        this.activeInteraction = null;
+      }
+      onEnd(event, cancelled);
+    };
+    const handleMove = (event) => {
+      if (event.pointerId === pointerId) onMove(event);
+    };
+    const handleUp = (event) => {
+      if (event.pointerId === pointerId) finish(event, false);
+    };
+    const handleCancel = (event) => {
+      if (event.pointerId === pointerId) finish(event, true);
+    };
 
-    this.canvasArea.classList.add('selecting');
+    const interaction = { cancel: () => finish(null, true) };
+    this.activeInteraction = interaction;
+    document.addEventListener('pointermove', handleMove);
+    document.addEventListener('pointerup', handleUp);
+    document.addEventListener('pointercancel', handleCancel);
   }
 
-  handleCanvasMouseMove(e) {
-    if (this.isPanning) {
-      this.panOffset = {
-        x: e.clientX - this.panStart.x,
-        y: e.clientY - this.panStart.y
-      };
-      this.updateCanvasTransform();
-    } else if (this.isSelecting) {
-      this.updateSelection(e);
+  /**
+   * Stop the drag in progress (and any pending long press)
+   */
+  cancelPointerInteraction() {
+    this.clearLongPress();
+    if (this.activeInteraction) {
+      this.activeInteraction.cancel();
     }
   }
 
-  updateSelection(e) {
-    if (!this.selectionBox) return;
-
-    const surfaceRect = this.canvasSurface.getBoundingClientRect();
-    const currentX = e.clientX - surfaceRect.left;
-    const currentY = e.clientY - surfaceRect.top;
+  /**
+   * Call onLongPress if the pointer is held still for a moment
+   */
+  startLongPress(e, onLongPress) {
+    this.clearLongPress();
 
-    // Calculate box dimensions (handle negative drag)
-    const left = Math.min(this.selectionStart.x, currentX);
-    const top = Math.min(this.selectionStart.y, currentY);
-    const width = Math.abs(currentX - this.selectionStart.x);
-    const height = Math.abs(currentY - this.selectionStart.y);
+    const pointerId = e.pointerId;
+    const startX = e.clientX;
+    const startY = e.clientY;
 
-    this.selectionBox.style.left = `${left}px`;
-    this.selectionBox.style.top = `${top}px`;
-    this.selectionBox.style.width = `${width}px`;
-    this.selectionBox.style.height = `${height}px`;
+    const handleMove = (event) => {
+      if (event.pointerId === pointerId &&
+        Math.hypot(event.clientX - startX, event.clientY - startY) > CanvasApp.TAP_SLOP) {
+        this.clearLongPress();
+      }
+    };
+    const handleEnd = (event) => {
+      if (event.pointerId === pointerId) this.clearLongPress();
+    };
 
-    // Live selection feedback - highlight items that intersect
-    this.updateSelectionHighlight({ left, top, width, height });
+    document.addEventListener('pointermove', handleMove);
+    document.addEventListener('pointerup', handleEnd);
+    document.addEventListener('pointercancel', handleEnd);
+    this.longPress = {
+      timer: setTimeout(() => {
+        this.clearLongPress();
+        onLongPress();
+      }, CanvasApp.LONG_PRESS_MS),
+      cleanup: () => {
+        document.removeEventListener('pointermove', handleMove);
+        document.removeEventListener('pointerup', handleEnd);
+        document.removeEventListener('pointercancel', handleEnd);
+      }
+    };
   }
 
-  updateSelectionHighlight(boxRect) {
-    const items = Store.getAllItems();
-    const shiftHeld = false; // We'll check this on mouse up for final selection
+  clearLongPress() {
+    if (!this.longPress) return;
+    clearTimeout(this.longPress.timer);
+    this.longPress.cleanup();
+    this.longPress = null;
+  }
 
-    items.forEach(item => {
-      const element = this.canvasSurface.querySelector(`[data-item-id="${item.id}"]`);
-      if (!element) return;
+  startPan(e) {
+    this.isPanning = true;
+    this.panStart = {
+      x: e.clientX - this.panOffset.x,
+      y: e.clientY - this.panOffset.y
+    };
+    this.canvasArea.classList.add('panning');
 
-      const itemRect = {
-        left: item.position.x,
-        top: item.position.y,
-        width: item.size.width,
-        height: item.size.height
+    let moved = false;
+    this.trackPointer(e, (moveEvent) => {
+      moved = moved ||
+        Math.hypot(moveEvent.clientX - e.clientX, moveEvent.clientY - e.clientY) > CanvasApp.TAP_SLOP;
+      this.panOffset = {
+        x: moveEvent.clientX - this.panStart.x,
+        y: moveEvent.clientY - this.panStart.y
       };
-
-      if (this.checkIntersection(boxRect, itemRect)) {
-        element.classList.add('selection-highlight');
-      } else {
-        element.classList.remove('selection-highlight');
+      this.updateCanvasTransform();
+    }, () => {
+      this.isPanning = false;
+      this.canvasArea.classList.remove('panning');
+      if (moved) {
+        this.suppressCanvasClick = true;
+        // Save viewport position
+        Store.updateViewport(this.panOffset.x, this.panOffset.y, this.zoom);
+      }
+    });
+  }
+
+  /**
+   * Track touches on the canvas. A second finger cancels whatever the first one
+   * was doing and starts a pinch; touches while a pen is down are ignored as a palm.
+   */
+  handleTouchPointerDown(e) {
+    if (e.pointerType === 'pen') {
+      this.activePens.add(e.pointerId);
+      return;
+    }
+    if (e.pointerType !== 'touch') return;
+
+    if (this.activePens.size > 0) {
+      e.stopPropagation();
+      return;
+    }
+
+    this.touchPoints.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    if (this.touchPoints.size === 2) {
+      e.stopPropagation();
+      this.cancelPointerInteraction();
+      this.startPinch();
+    } else if (this.touchPoints.size > 2) {
+      e.stopPropagation();
+    }
+  }
+
+  handleTouchPointerMove(e) {
+    if (!this.touchPoints.has(e.pointerId)) return;
+    this.touchPoints.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    if (this.pinch) {
+      this.updatePinch();
+    }
+  }
+
+  handleTouchPointerUp(e) {
+    this.activePens.delete(e.pointerId);
+    if (!this.touchPoints.delete(e.pointerId)) return;
+
+    if (this.pinch && this.touchPoints.size < 2) {
+      // The remaining finger does nothing until it is lifted
+      this.pinch = null;
+      this.suppressCanvasClick = true;
+      Store.updateViewport(this.panOffset.x, this.panOffset.y, this.zoom);
+    }
+  }
+
+  /**
+   * Two fingers: the canvas point under their midpoint follows it (pan),
+   * and the distance between them sets the zoom (pinch)
+   */
+  startPinch() {
+    const [a, b] = Array.from(this.touchPoints.values());
+    const midX = (a.x + b.x) / 2;
+    const midY = (a.y + b.y) / 2;
+    this.pinch = {
+      startZoom: this.zoom,
+      startDistance: Math.max(1, Math.hypot(a.x - b.x, a.y - b.y)),
+      anchor: this.screenToCanvas(midX, midY)
+    };
+  }
+
+  updatePinch() {
+    const [a, b] = Array.from(this.touchPoints.values());
+    const midX = (a.x + b.x) / 2;
+    const midY = (a.y + b.y) / 2;
+    const distance = Math.hypot(a.x - b.x, a.y - b.y);
+    const areaRect = this.canvasArea.getBoundingClientRect();
+
+    this.zoom = this.clampZoom(this.pinch.startZoom * distance / this.pinch.startDistance);
+    this.panOffset = {
+      x: midX - areaRect.left - this.pinch.anchor.x * this.zoom,
+      y: midY - areaRect.top - this.pinch.anchor.y * this.zoom
+    };
+    this.updateCanvasTransform();
+  }
+
+  startSelection(e) {
+    this.isSelecting = true;
+
+    // Get mouse position in canvas coordinates
+    this.selectionStart = this.screenToCanvas(e.clientX, e.clientY);
+
+    // Create selection box element
+    this.selectionBox = document.createElement('div');
+    this.selectionBox.className = 'selection-box';
+    this.selectionBox.style.left = `${this.selectionStart.x}px`;
+    this.selectionBox.style.top = `${this.selectionStart.y}px`;
+    this.selectionBox.style.width = '0px';
+    this.selectionBox.style.height = '0px';
+    this.canvasSurface.appendChild(this.selectionBox);
+
+    this.canvasArea.classList.add('selecting');
+
+    this.trackPointer(e, (moveEvent) => this.updateSelection(moveEvent), (upEvent, cancelled) => {
+      if (cancelled) {
+        this.cancelSelection();
+      } else {
+        this.endSelection(upEvent);
+      }
+    });
+  }
+
+  updateSelection(e) {
+    if (!this.selectionBox) return;
+
+    const current = this.screenToCanvas(e.clientX, e.clientY);
+    const currentX = current.x;
+    const currentY = current.y;
+
+    // Calculate box dimensions (handle negative drag)
+    const left = Math.min(this.selectionStart.x, currentX);
+    const top = Math.min(this.selectionStart.y, currentY);
+    const width = Math.abs(currentX - this.selectionStart.x);
+    const height = Math.abs(currentY - this.selectionStart.y);
+
+    this.selectionBox.style.left = `${left}px`;
+    this.selectionBox.style.top = `${top}px`;
+    this.selectionBox.style.width = `${width}px`;
+    this.selectionBox.style.height = `${height}px`;
+
+    // Live selection feedback - highlight items that intersect
+    this.updateSelectionHighlight({ left, top, width, height });
+  }
+
+  updateSelectionHighlight(boxRect) {
+    const items = this.getSpatialItems().filter(item => !this.isItemHidden(item.id));
+    const shiftHeld = false; // We'll check this on mouse up for final selection
+
+    items.forEach(item => {
+      const element = this.canvasSurface.querySelector(`[data-item-id="${item.id}"]`);
+      if (!element) return;
+
+      const itemRect = {
+        left: item.position.x,
+        top: item.position.y,
+        width: item.size.width,
+        height: item.size.height
+      };
+
+      if (this.checkIntersection(boxRect, itemRect)) {
+        element.classList.add('selection-highlight');
+      } else {
+        element.classList.remove('selection-highlight');
       }
     });
   }
@@ -1371,16 +2805,18 @@ class CanvasApp {
     );
   }
 
-  handleCanvasMouseUp(e) {
-    if (this.isPanning) {
-      this.isPanning = false;
-      this.canvasArea.classList.remove('panning');
-
-      // Save viewport position
-      Store.updateViewport(this.panOffset.x, this.panOffset.y);
-    } else if (this.isSelecting) {
-      this.endSelection(e);
+  /**
+   * Drop the selection box without changing the selection
+   */
+  cancelSelection() {
+    if (this.selectionBox) {
+      this.selectionBox.remove();
+      this.selectionBox = null;
     }
+    this.isSelecting = false;
+    this.canvasArea.classList.remove('selecting');
+    this.canvasSurface.querySelectorAll('.selection-highlight')
+      .forEach(el => el.classList.remove('selection-highlight'));
   }
 
   endSelection(e) {
@@ -1407,16 +2843,19 @@ class CanvasApp {
     const highlighted = this.canvasSurface.querySelectorAll('.selection-highlight');
     highlighted.forEach(el => el.classList.remove('selection-highlight'));
 
-    // If box is too small (just a click), treat as deselect
-    if (boxRect.width < 5 && boxRect.height < 5) {
+    // If box is too small on screen (just a click), treat as deselect
+    if (boxRect.width * this.zoom < 5 && boxRect.height * this.zoom < 5) {
       if (!e.shiftKey) {
         this.deselectAll();
       }
       return;
     }
 
+    // The click that follows the drag must not clear the new selection
+    this.suppressCanvasClick = true;
+
     // Find all items that intersect with the selection box
-    const items = Store.getAllItems();
+    const items = this.getSpatialItems().filter(item => !this.isItemHidden(item.id));
     const selectedIds = [];
 
     items.forEach(item => {
@@ -1438,10 +2877,7 @@ class CanvasApp {
       selectedIds.forEach(id => {
         this.selectedItems.add(id);
         const element = this.canvasSurface.querySelector(`[data-item-id="${id}"]`);
-        if (element) {
-          element.classList.add('selected');
-          this.bringToFront(element);
-        }
+        if (element) element.classList.add('selected');
       });
     } else {
       // Replace selection
@@ -1449,12 +2885,11 @@ class CanvasApp {
       selectedIds.forEach(id => {
         this.selectedItems.add(id);
         const element = this.canvasSurface.querySelector(`[data-item-id="${id}"]`);
-        if (element) {
-          element.classList.add('selected');
-          this.bringToFront(element);
-        }
+        if (element) element.classList.add('selected');
       });
     }
+    this.updateSelectionBounds();
+    this.announce(`${this.describeCount(this.selectedItems.size, 'item')} selected`);
   }
 
 
@@ -1486,850 +2921,4101 @@ class CanvasApp {
       // Update store
       const item = Store.getItem(id);
       if (item) {
-        item.size.height = newHeight;
-        Store.updateItem(id, { size: item.size });
+        Store.updateItem(id, { size: { ...item.size, height: newHeight } });
       }
     }
   }
 
-  bringToFront(element) {
-    // Re-append to parent to bring to front (DOM order = z-index for same z-index value)
-    if (element && element.parentNode) {
-      element.parentNode.appendChild(element);
+  updateCanvasTransform() {
+    this.canvasSurface.style.transform =
+      `translate(${this.panOffset.x}px, ${this.panOffset.y}px) scale(${this.zoom})`;
+
+    if (this.zoomLevelLabel) {
+      this.zoomLevelLabel.textContent = `${Math.round(this.zoom * 100)}%`;
     }
+
+    this.scheduleMinimapRender();
+    this.scheduleRenderSync();
   }
 
-  updateCanvasTransform() {
-    this.canvasSurface.style.transform =
-      `translate(${this.panOffset.x}px, ${this.panOffset.y}px)`;
+  /**
+   * Size the grid and connector layer to cover the content plus a margin, so the
+   * canvas grows in any direction (including negative coordinates) as items move out
+   * @param {Array} [extraRects] - Live rects to include (e.g. items being dragged)
+   */
+  updateCanvasBounds(extraRects = []) {
+    const rects = this.getSpatialItems().map(item => ({
+      left: item.position.x,
+      top: item.position.y,
+      width: item.size.width,
+      height: item.size.height
+    }));
+
+    // The anchor marks the middle of the content (the origin on an empty canvas)
+    const home = this.getHomePoint();
+    this.centerAnchor.style.left = `${home.x}px`;
+    this.centerAnchor.style.top = `${home.y}px`;
+
+    rects.push(...extraRects, { left: home.x, top: home.y, width: 0, height: 0 });
+
+    const margin = CanvasApp.CANVAS_MARGIN;
+    const step = CanvasApp.CANVAS_GROW_STEP;
+    const content = Alignment.getBounds(rects);
+    const left = Math.floor((content.left - margin) / step) * step;
+    const top = Math.floor((content.top - margin) / step) * step;
+    const right = Math.ceil((content.left + content.width + margin) / step) * step;
+    const bottom = Math.ceil((content.top + content.height + margin) / step) * step;
+
+    const bounds = { left, top, width: right - left, height: bottom - top };
+    const current = this.canvasBounds;
+    const changed = bounds.left !== current.left || bounds.top !== current.top ||
+      bounds.width !== current.width || bounds.height !== current.height;
+    this.canvasBounds = bounds;
+    if (!changed && this.canvasGrid.style.width) return;
+
+    [this.canvasGrid, this.connectorLayer].forEach(layer => {
+      layer.style.left = `${bounds.left}px`;
+      layer.style.top = `${bounds.top}px`;
+      layer.style.width = `${bounds.width}px`;
+      layer.style.height = `${bounds.height}px`;
+    });
+    // Keep connector paths in canvas coordinates
+    this.connectorLayer.setAttribute('viewBox', `${bounds.left} ${bounds.top} ${bounds.width} ${bounds.height}`);
+
+    this.scheduleMinimapRender();
+  }
+
+  /**
+   * Middle of the visible content, or the canvas origin when there is none
+   * @returns {{x: number, y: number}} Point in canvas coordinates
+   */
+  getHomePoint() {
+    const items = this.getSpatialItems().filter(item => !this.isItemHidden(item.id));
+    if (items.length === 0) return { x: 0, y: 0 };
+
+    const bounds = this.getItemsBounds(items);
+    return { x: bounds.left + bounds.width / 2, y: bounds.top + bounds.height / 2 };
   }
 
+  /**
+   * Reset to 100% centred on the content (or the canvas origin when empty)
+   */
   resetView() {
     const areaRect = this.canvasArea.getBoundingClientRect();
-    const centerX = this.canvasSize / 2;
-    const centerY = this.canvasSize / 2;
+    const home = this.getHomePoint();
 
+    this.zoom = 1;
     this.panOffset = {
-      x: -(centerX - areaRect.width / 2),
-      y: -(centerY - areaRect.height / 2)
+      x: -(home.x - areaRect.width / 2),
+      y: -(home.y - areaRect.height / 2)
     };
 
     this.updateCanvasTransform();
 
     // Save viewport position
-    Store.updateViewport(this.panOffset.x, this.panOffset.y);
+    Store.updateViewport(this.panOffset.x, this.panOffset.y, this.zoom);
   }
 
-  handleClose() {
-    // Save before closing
-    Store.saveNow();
+  // ============================================
+  // KEYBOARD SHORTCUTS
+  // ============================================
 
-    // Dispatch event to overlay manager
-    const event = new CustomEvent('spawn-canvas-close', { bubbles: true, composed: true });
-    this.wrapper.dispatchEvent(event);
+  openKeymapModal() {
+    this.settingsDropdown.classList.remove('open');
+    this.keymapDraft = {
+      bindings: KeymapManager.getBindings(),
+      passthrough: KeymapManager.getPassthrough()
+    };
+    this.keymapRecording = null;
+    this.renderKeymapEditor();
+    this.keymapModal.classList.add('open');
   }
 
-  deselectAll() {
-    this.selectedItems.forEach(id => {
-      const element = this.canvasSurface.querySelector(`[data-item-id="${id}"]`);
-      if (element) {
-        element.classList.remove('selected');
-      }
-    });
-    this.selectedItems.clear();
+  closeKeymapModal() {
+    this.keymapModal.classList.remove('open');
+    this.keymapDraft = null;
+    this.keymapRecording = null;
   }
 
-  deleteSelectedItems() {
-    if (this.selectedItems.size === 0) return;
+  renderKeymapEditor() {
+    const { bindings, passthrough } = this.keymapDraft;
+    const conflicts = KeymapManager.findConflicts(bindings);
+    const recording = this.keymapRecording;
 
-    this.selectedItems.forEach(id => {
-      this.deleteItem(id);
-    });
-    this.selectedItems.clear();
-  }
+    const renderKey = (combo, index, className = '') => `
+      <span class="keymap-key ${className}">
+        ${this.escapeHtml(combo)}
+        <button data-action="keymap-remove-key" data-index="${index}" title="Remove">×</button>
+      </span>
+    `;
+    const renderAdd = (active) => active
+      ? '<span class="keymap-key recording">Press a key… (Esc to cancel)</span>'
+      : '<button class="keymap-add" data-action="keymap-add-key" title="Add a key">+</button>';
+
+    this.keymapList.innerHTML = KeymapManager.getActions().map(action => {
+      const keys = bindings[action.id];
+      const clashes = [];
+      keys.forEach(combo => {
+        (conflicts[combo] || [])
+          .filter(id => id !== action.id)
+          .forEach(id => clashes.push(`${combo} is also used by “${KeymapManager.getAction(id).title}”`));
+        if (passthrough.includes(combo)) {
+          clashes.push(`${combo} is kept by the page`);
+        }
+      });
 
-  navigateItems(direction) {
-    const items = Store.getAllItems();
-    if (items.length === 0) return;
+      return `
+        <div class="keymap-row" data-keymap-action="${action.id}">
+          <span class="keymap-title">${this.escapeHtml(action.title)}</span>
+          <div class="keymap-keys">
+            ${keys.map((combo, index) => renderKey(combo, index,
+              conflicts[combo] || passthrough.includes(combo) ? 'conflict' : '')).join('')}
+            ${keys.length === 0 ? '<span class="keymap-disabled">Disabled</span>' : ''}
+            ${renderAdd(recording && recording.actionId === action.id)}
+            <button class="keymap-reset" data-action="keymap-reset-action" title="Restore default keys">↺</button>
+          </div>
+          ${clashes.length ? `<div class="keymap-conflict">${clashes.map(c => this.escapeHtml(c)).join('<br>')}</div>` : ''}
+        </div>
+      `;
+    }).join('');
 
-    const itemIds = items.map(item => item.id);
+    this.keymapPassthroughList.innerHTML = `
+      <div class="keymap-keys">
+        ${passthrough.map((combo, index) => renderKey(combo, index)).join('')}
+        ${renderAdd(recording && recording.passthrough)}
+      </div>
+    `;
+  }
 
-    let currentIndex = -1;
-    if (this.selectedItems.size === 1) {
-      const selectedId = Array.from(this.selectedItems)[0];
-      currentIndex = itemIds.indexOf(selectedId);
-    }
+  /**
+   * Capture the next key press for the keymap editor
+   */
+  recordKeymapKey(e) {
+    e.preventDefault();
+    e.stopPropagation();
 
-    let nextIndex = currentIndex + direction;
-    if (nextIndex < 0) nextIndex = itemIds.length - 1;
-    if (nextIndex >= itemIds.length) nextIndex = 0;
+    if (e.key === 'Escape' && !e.ctrlKey && !e.metaKey && !e.altKey && !e.shiftKey) {
+      this.keymapRecording = null;
+      this.renderKeymapEditor();
+      return;
+    }
 
-    this.deselectAll();
-    this.selectItem(itemIds[nextIndex]);
-    this.panToItem(itemIds[nextIndex]);
-  }
+    const combo = KeymapManager.eventToCombo(e);
+    if (!combo) return; // Wait for a non-modifier key
 
-  selectItem(id, addToSelection = false) {
-    if (!addToSelection) {
-      this.deselectAll();
+    const recording = this.keymapRecording;
+    const list = recording.passthrough
+      ? this.keymapDraft.passthrough
+      : this.keymapDraft.bindings[recording.actionId];
+    if (!list.includes(combo)) {
+      list.push(combo);
     }
 
-    // If Shift+Click on already selected item, toggle it off
-    if (addToSelection && this.selectedItems.has(id)) {
-      this.selectedItems.delete(id);
-      const element = this.canvasSurface.querySelector(`[data-item-id="${id}"]`);
-      if (element) {
-        element.classList.remove('selected');
-      }
+    this.keymapRecording = null;
+    this.renderKeymapEditor();
+  }
+
+  async saveKeymap() {
+    const conflicts = KeymapManager.findConflicts(this.keymapDraft.bindings);
+    const clashing = Object.keys(conflicts);
+    if (clashing.length > 0) {
+      alert(`Some keys are assigned to more than one action: ${clashing.join(', ')}\n\nRemove the duplicates before saving.`);
       return;
     }
 
-    this.selectedItems.add(id);
-    const element = this.canvasSurface.querySelector(`[data-item-id="${id}"]`);
-    if (element) {
-      element.classList.add('selected');
-      this.bringToFront(element);
-    }
+    await KeymapManager.save(this.keymapDraft);
+    this.updateShortcutHints();
+    this.closeKeymapModal();
   }
 
-  panToItem(id) {
-    const item = Store.getItem(id);
-    if (!item) return;
-
-    const areaRect = this.canvasArea.getBoundingClientRect();
+  resetKeymap() {
+    if (!confirm('Reset all keyboard shortcuts to their defaults?')) return;
 
-    // Center the item in the viewport
-    this.panOffset = {
-      x: -(item.position.x + item.size.width / 2 - areaRect.width / 2),
-      y: -(item.position.y + item.size.height / 2 - areaRect.height / 2)
+    this.keymapDraft = {
+      bindings: KeymapManager.getDefaultBindings(),
+      passthrough: []
     };
+    this.keymapRecording = null;
+    this.renderKeymapEditor();
+  }
 
-    this.updateCanvasTransform();
-    Store.updateViewport(this.panOffset.x, this.panOffset.y);
+  /**
+   * Show the current shortcuts in toolbar button tooltips
+   */
+  updateShortcutHints() {
+    this.toolbar.querySelectorAll('[data-action]').forEach(button => {
+      if (!KeymapManager.getAction(button.dataset.action)) return;
+
+      const label = button.title.replace(/\s*\(.*\)$/, '');
+      const shortcut = KeymapManager.formatShortcut(button.dataset.action);
+      button.title = shortcut ? `${label} (${shortcut})` : label;
+    });
   }
 
-  getNewItemPosition() {
-    const areaRect = this.canvasArea.getBoundingClientRect();
-    const viewCenterX = -this.panOffset.x + areaRect.width / 2;
-    const viewCenterY = -this.panOffset.y + areaRect.height / 2;
+  // ============================================
+  // COMMAND PALETTE
+  // ============================================
 
-    // Snap to grid
-    const x = Math.round((viewCenterX - 100) / this.gridSize) * this.gridSize;
-    const y = Math.round((viewCenterY - 75) / this.gridSize) * this.gridSize;
+  /**
+   * Register the built-in commands. Other features add theirs with CommandRegistry.register.
+   */
+  registerCommands() {
+    const hasSelection = () => this.activeTab === 'workspace' && this.selectedItems.size > 0;
+    const selectedOfType = (type) => {
+      if (this.selectedItems.size !== 1) return null;
+      const item = Store.getItem(Array.from(this.selectedItems)[0]);
+      return item && item.type === type ? item : null;
+    };
+    const toolbar = (action) => () => this.handleToolbarAction(action);
+    const shortcut = (action) => () => KeymapManager.formatShortcut(action);
+
+    [
+      // Create
+      { id: 'add-note', title: 'Add note', category: 'Create', run: toolbar('add-note') },
+      { id: 'add-checklist', title: 'Add checklist', category: 'Create', run: toolbar('add-checklist') },
+      { id: 'add-container', title: 'Add container', category: 'Create', keywords: 'group', run: toolbar('add-container') },
+      { id: 'add-link', title: 'Add link to this page', category: 'Create', keywords: 'bookmark url clip', run: toolbar('add-link') },
+      { id: 'capture', title: 'Capture part of this page', category: 'Create', keywords: 'screenshot region image snip', run: toolbar('capture') },
+      { id: 'capture-page', title: 'Capture visible page', category: 'Create', keywords: 'screenshot image', run: toolbar('capture-page') },
+
+      // Edit
+      { id: 'undo', title: 'Undo', category: 'Edit', shortcut: shortcut('undo'), run: toolbar('undo') },
+      { id: 'redo', title: 'Redo', category: 'Edit', shortcut: shortcut('redo'), run: toolbar('redo') },
+      { id: 'duplicate', title: 'Duplicate selection', category: 'Edit', shortcut: shortcut('duplicate'), when: hasSelection, run: () => this.duplicateSelectedItems() },
+      { id: 'delete-selection', title: 'Delete selection', category: 'Edit', shortcut: shortcut('delete-selection'), when: hasSelection, run: () => this.deleteSelectedItems() },
+      { id: 'search', title: 'Search workspaces and memories', category: 'Edit', shortcut: shortcut('search'), keywords: 'find', run: () => this.openSearchPalette() },
+
+      // Arrange
+      ...[
+        ['align-left', 'Align left edges'],
+        ['align-center', 'Align horizontal centers'],
+        ['align-right', 'Align right edges'],
+        ['align-top', 'Align top edges'],
+        ['align-middle', 'Align vertical centers'],
+        ['align-bottom', 'Align bottom edges'],
+        ['distribute-horizontal', 'Distribute horizontally', 3],
+        ['distribute-vertical', 'Distribute vertically', 3],
+        ['match-width', 'Match widths'],
+        ['match-height', 'Match heights']
+      ].map(([id, title, minItems = 2]) => ({
+        id,
+        title,
+        category: 'Arrange',
+        keywords: 'layout space evenly size',
+        when: () => this.activeTab === 'workspace' && this.getSelectionRootIds().length >= minItems,
+        run: () => this.arrangeSelection(id)
+      })),
+      ...Object.keys(AutoLayout.LAYOUTS).map(layout => ({
+        id: `layout-${layout}`,
+        title: `Auto-layout: ${AutoLayout.LAYOUTS[layout]}`,
+        category: 'Arrange',
+        keywords: 'arrange tidy organize container',
+        when: () => this.activeTab === 'workspace' && !!this.getAutoLayoutTarget(),
+        run: () => this.autoLayout(layout)
+      })),
+      ...[
+        ['bring-to-front', 'Bring to front'],
+        ['bring-forward', 'Bring forward'],
+        ['send-backward', 'Send backward'],
+        ['send-to-back', 'Send to back']
+      ].map(([id, title]) => ({
+        id,
+        title,
+        category: 'Arrange',
+        shortcut: shortcut(id),
+        keywords: 'order stack z-index layer raise lower',
+        when: hasSelection,
+        run: () => this.restackSelection(id)
+      })),
+      { id: 'toggle-grid-snap', title: 'Toggle snap to grid', category: 'Arrange', run: toolbar('toggle-grid-snap') },
+
+      // Draw
+      ...Object.keys(CanvasApp.TOOL_LABELS).map(tool => ({
+        id: `tool-${tool}`,
+        title: `${CanvasApp.TOOL_LABELS[tool]} tool`,
+        category: 'Draw',
+        shortcut: shortcut(`tool-${tool}`),
+        keywords: 'draw sketch shape pen',
+        when: () => this.activeTab === 'workspace',
+        run: () => this.setTool(tool)
+      })),
+
+      // View
+      { id: 'center', title: 'Reset view to center', category: 'View', shortcut: shortcut('center'), run: toolbar('center') },
+      { id: 'zoom-in', title: 'Zoom in', category: 'View', shortcut: shortcut('zoom-in'), run: toolbar('zoom-in') },
+      { id: 'zoom-out', title: 'Zoom out', category: 'View', shortcut: shortcut('zoom-out'), run: toolbar('zoom-out') },
+      { id: 'zoom-reset', title: 'Zoom to 100%', category: 'View', keywords: 'actual size', run: toolbar('zoom-reset') },
+      { id: 'zoom-fit', title: 'Zoom to fit all items', category: 'View', shortcut: shortcut('zoom-fit'), run: toolbar('zoom-fit') },
+      { id: 'zoom-selection', title: 'Zoom to selection', category: 'View', shortcut: shortcut('zoom-selection'), when: hasSelection, run: toolbar('zoom-selection') },
+      { id: 'toggle-minimap', title: 'Toggle minimap', category: 'View', keywords: 'map navigator', run: () => this.toggleMinimap() },
+      { id: 'show-workspace-tab', title: 'Show Workspace tab', category: 'View', when: () => this.activeTab !== 'workspace', run: () => this.switchTab('workspace') },
+      { id: 'show-memory-tab', title: 'Show Memory tab', category: 'View', when: () => this.activeTab !== 'memory', run: () => this.switchTab('memory') },
+      { id: 'close', title: 'Close canvas', category: 'View', shortcut: shortcut('close'), run: toolbar('close') },
+
+      // Workspace
+      { id: 'new-workspace', title: 'New workspace', category: 'Workspace', run: () => this.handleWorkspaceChange('__new__') },
+      { id: 'rename-workspace', title: 'Rename workspace', category: 'Workspace', run: toolbar('rename-workspace') },
+      { id: 'delete-workspace', title: 'Delete workspace', category: 'Workspace', run: toolbar('delete-workspace') },
+      { id: 'export-workspace', title: 'Export workspace', category: 'Workspace', keywords: 'backup download', run: toolbar('export-workspace') },
+      { id: 'export-all', title: 'Export all workspaces', category: 'Workspace', keywords: 'backup download', run: toolbar('export-all') },
+      { id: 'import-workspace', title: 'Import workspace', category: 'Workspace', keywords: 'restore upload', run: () => this.handleWorkspaceChange('__import__') },
+      { id: 'import-all', title: 'Import all workspaces', category: 'Workspace', keywords: 'restore upload', run: () => this.handleWorkspaceChange('__import_all__') },
+
+      // Settings & AI
+      { id: 'toggle-keymap', title: 'Edit keyboard shortcuts', category: 'Settings', keywords: 'keymap keybindings hotkeys', run: toolbar('toggle-keymap') },
+      { id: 'toggle-settings', title: 'Open settings (AI provider, API keys and model)', category: 'Settings', keywords: 'temperature max tokens test connection', run: toolbar('toggle-settings') },
+      { id: 'toggle-prompts', title: 'Edit AI prompts', category: 'AI', run: toolbar('toggle-prompts') },
+      {
+        id: 'generate-checklist',
+        title: 'Generate checklist items with AI',
+        category: 'AI',
+        when: () => !!selectedOfType('checklist'),
+        run: () => this.openAiInputModal(selectedOfType('checklist').id, 'checklist')
+      },
+      {
+        id: 'expand-note',
+        title: 'Expand note with AI',
+        category: 'AI',
+        when: () => !!selectedOfType('note'),
+        run: () => this.openAiInputModal(selectedOfType('note').id, 'note')
+      }
+    ].forEach(command => CommandRegistry.register(command));
+
+    // One command per other workspace, read from the workspace dropdown
+    CommandRegistry.registerProvider(() => {
+      const current = Store.getCurrentWorkspace();
+      return Array.from(this.workspaceSelector.options)
+        .filter(option => !option.value.startsWith('__') && (!current || option.value !== current.id))
+        .map(option => ({
+          id: `switch-workspace:${option.value}`,
+          title: `Switch to workspace: ${option.textContent}`,
+          category: 'Workspace',
+          run: () => Store.switchWorkspace(option.value)
+        }));
+    });
+  }
 
-    return { x, y };
+  openCommandPalette() {
+    this.commandPalette.classList.add('open');
+    this.commandInput.value = '';
+    this.updateCommandResults();
+    this.commandInput.focus();
   }
 
-  addNote() {
-    // Save state before adding
-    this.pushHistory();
+  closeCommandPalette() {
+    if (!this.commandPalette.classList.contains('open')) return;
+    this.commandPalette.classList.remove('open');
+    this.commandResultList = [];
+    this.wrapper.focus({ preventScroll: true });
+  }
 
-    const position = this.getNewItemPosition();
+  updateCommandResults() {
+    this.commandResultList = CommandRegistry.search(this.commandInput.value);
+    this.commandSelectedIndex = 0;
 
-    const note = Store.createItem('note', {
-      title: '',
-      content: '',
-      position,
-      size: { width: 250, height: 180 }
-    });
+    if (this.commandResultList.length === 0) {
+      this.commandResults.innerHTML = '<div class="palette-empty">No matching commands</div>';
+      return;
+    }
 
-    if (note) {
-      this.renderNote(note);
-      this.selectItem(note.id);
+    this.commandResults.innerHTML = this.commandResultList.map(({ command, indices }, index) => {
+      const matched = new Set(indices);
+      const keys = typeof command.shortcut === 'function' ? command.shortcut() : command.shortcut;
+      const title = command.title.split('').map((char, i) =>
+        matched.has(i) ? `<mark>${this.escapeHtml(char)}</mark>` : this.escapeHtml(char)).join('');
 
-      // Focus the title input
-      setTimeout(() => {
-        const titleInput = this.canvasSurface.querySelector(`[data-item-id="${note.id}"] .item-title`);
-        if (titleInput) titleInput.focus();
-      }, 0);
-    }
+      return `
+        <div class="palette-item ${index === 0 ? 'active' : ''}" data-index="${index}">
+          <div class="palette-item-body">
+            <div class="palette-item-title">${title}</div>
+          </div>
+          <span class="palette-item-meta">${this.escapeHtml(command.category || '')}</span>
+          ${keys ? `<kbd>${this.escapeHtml(keys)}</kbd>` : ''}
+        </div>
+      `;
+    }).join('');
   }
 
-  /**
-   * Create a note from pasted content (when nothing is focused)
-   */
-  createNoteFromPaste(content) {
-    // Save state before adding
-    this.pushHistory();
+  runPaletteCommand(index) {
+    const result = this.commandResultList[index];
+    if (!result) return;
 
-    const position = this.getNewItemPosition();
+    // Close first so commands that open prompts or modals get focus
+    this.closeCommandPalette();
+    try {
+      result.command.run();
+    } catch (err) {
+      console.error(`[SpawnCanvas] Command "${result.command.id}" failed:`, err);
+    }
+  }
 
-    // Calculate height based on content length (rough estimate)
-    const lineCount = content.split('\n').length;
-    const estimatedHeight = Math.max(180, Math.min(400, 80 + lineCount * 20));
+  // ============================================
+  // SEARCH
+  // ============================================
+
+  async openSearchPalette() {
+    this.searchPalette.classList.add('open');
+    this.searchInput.focus();
+    this.searchInput.select();
+
+    // Index every workspace; the current one is read from memory so unsaved edits are found
+    this.searchEntries = null;
+    this.runSearch();
+
+    const current = Store.getCurrentWorkspace();
+    const workspaces = [];
+    for (const id of await Store.getWorkspaceList()) {
+      const workspace = current && current.id === id ? current : await Store.loadWorkspaceData(id);
+      if (workspace) {
+        workspaces.push(workspace);
+      }
+    }
+    const memories = await Store.getMemories();
+
+    if (!this.searchPalette.classList.contains('open')) return;
+    this.searchEntries = CanvasSearch.buildEntries(workspaces, memories);
+    this.runSearch();
+  }
+
+  closeSearchPalette() {
+    if (!this.searchPalette.classList.contains('open')) return;
+    clearTimeout(this.searchDebounceTimer);
+    this.searchDebounceTimer = null;
+    this.searchPalette.classList.remove('open');
+    this.searchEntries = null;
+    this.searchResultList = [];
+    this.wrapper.focus({ preventScroll: true });
+  }
+
+  runSearch() {
+    const query = this.searchInput.value.trim();
+    this.searchSelectedIndex = 0;
+
+    if (!this.searchEntries) {
+      this.searchResultList = [];
+      this.searchResults.innerHTML = query ? '<div class="palette-empty">Indexing…</div>' : '';
+      return;
+    }
+
+    this.searchResultList = CanvasSearch.search(this.searchEntries, query);
+    if (!query) {
+      this.searchResults.innerHTML = '';
+      return;
+    }
+    if (this.searchResultList.length === 0) {
+      this.searchResults.innerHTML = '<div class="palette-empty">No matches</div>';
+      return;
+    }
+
+    const icons = { note: '📝', checklist: '☑️', container: '🗂️', image: '🖼️', link: '🔗', attachment: '📎', memory: '💬' };
+
+    this.searchResults.innerHTML = this.searchResultList.map((result, index) => {
+      const { entry, field, ranges } = result;
+      const title = field.name === 'title'
+        ? CanvasSearch.highlight(field.text, ranges)
+        : this.escapeHtml(entry.title || 'Untitled');
+      const snippet = field.name === 'title'
+        ? ''
+        : CanvasSearch.highlight(field.text, ranges, CanvasSearch.SNIPPET_LENGTH);
+      const location = entry.kind === 'memory'
+        ? `Memory · ${field.name === 'prompt' ? 'You' : 'AI'}`
+        : entry.workspaceName;
+
+      return `
+        <div class="palette-item ${index === 0 ? 'active' : ''}" data-index="${index}">
+          <span class="palette-item-icon">${icons[entry.kind === 'memory' ? 'memory' : entry.itemType] || '•'}</span>
+          <div class="palette-item-body">
+            <div class="palette-item-title">${title}</div>
+            ${snippet ? `<div class="palette-item-snippet">${snippet}</div>` : ''}
+          </div>
+          <span class="palette-item-meta">${this.escapeHtml(location)}</span>
+        </div>
+      `;
+    }).join('');
+  }
+
+  moveSearchSelection(direction) {
+    const count = this.searchResultList.length;
+    if (count === 0) return;
+
+    this.searchSelectedIndex = (this.searchSelectedIndex + direction + count) % count;
+    this.highlightPaletteItem(this.searchResults, this.searchSelectedIndex);
+  }
+
+  /**
+   * Mark the palette row at an index as active and scroll it into view
+   */
+  highlightPaletteItem(resultsElement, index) {
+    resultsElement.querySelectorAll('.palette-item').forEach(row => {
+      const active = Number(row.dataset.index) === index;
+      row.classList.toggle('active', active);
+      if (active) {
+        row.scrollIntoView({ block: 'nearest' });
+      }
+    });
+  }
+
+  async openSearchResult(index) {
+    const result = this.searchResultList[index];
+    if (!result) return;
+
+    this.closeSearchPalette();
+    const { entry, field, ranges } = result;
+
+    if (entry.kind === 'memory') {
+      await this.revealMemoryMessage(entry.projectId, entry.messageId);
+      return;
+    }
+
+    if (this.activeTab !== 'workspace') {
+      this.switchTab('workspace');
+    }
+
+    const reveal = { itemId: entry.itemId, field, range: ranges[0] };
+    const current = Store.getCurrentWorkspace();
+    if (current && current.id === entry.workspaceId) {
+      this.revealSearchMatch(reveal);
+      return;
+    }
+
+    // The workspace renders asynchronously after switching; the switch handler finishes the reveal
+    this.pendingSearchReveal = reveal;
+    const switched = await Store.switchWorkspace(entry.workspaceId);
+    if (!switched) {
+      this.pendingSearchReveal = null;
+    }
+  }
+
+  /**
+   * Center, select and highlight a matched item, selecting the matched text when it is editable
+   */
+  revealSearchMatch({ itemId, field, range }) {
+    const item = Store.getItem(itemId);
+    if (!item) return;
+
+    this.expandContainersAround(itemId);
+    this.panToItem(itemId);
+    this.selectItem(itemId);
+
+    const element = this.canvasSurface.querySelector(`[data-item-id="${itemId}"]`);
+    if (!element) return;
+    this.flashElement(element);
+
+    let input = null;
+    if (field.name === 'title') {
+      input = element.querySelector('.item-title');
+    } else if (field.name === 'content' && !item.markdown) {
+      input = element.querySelector('.note-content');
+    } else if (field.name === 'checklist') {
+      input = element.querySelector(`.checklist-item[data-item-id="${field.checklistItemId}"] .item-text`);
+    }
+
+    if (input && range) {
+      input.focus({ preventScroll: true });
+      input.setSelectionRange(range[0], range[1]);
+    }
+  }
+
+  async revealMemoryMessage(projectId, messageId) {
+    this.switchTab('memory');
+    await this.selectProject(projectId);
+
+    const message = this.chatHistory.querySelector(`.memory-message[data-message-id="${messageId}"]`);
+    if (message) {
+      message.scrollIntoView({ block: 'center' });
+      this.flashElement(message);
+    }
+  }
+
+  flashElement(element) {
+    element.classList.remove('search-hit');
+    void element.offsetWidth; // Restart the animation
+    element.classList.add('search-hit');
+    setTimeout(() => element.classList.remove('search-hit'), 1600);
+  }
+
+  // ============================================
+  // MINIMAP
+  // ============================================
+
+  toggleMinimap() {
+    const collapsed = this.minimap.classList.toggle('collapsed');
+    this.minimapToggle.textContent = collapsed ? '▸' : '▾';
+    this.minimapToggle.title = collapsed ? 'Expand map' : 'Collapse map';
+    this.scheduleMinimapRender();
+  }
+
+  /**
+   * Coalesce minimap redraws into one per animation frame
+   */
+  scheduleMinimapRender() {
+    if (this.minimapFrame) return;
+    this.minimapFrame = requestAnimationFrame(() => {
+      this.minimapFrame = null;
+      this.renderMinimap();
+    });
+  }
+
+  renderMinimap() {
+    if (!this.minimapCanvas || this.minimap.classList.contains('collapsed')) return;
+
+    const size = this.minimapSize;
+    const ratio = window.devicePixelRatio || 1;
+    if (this.minimapCanvas.width !== size * ratio) {
+      this.minimapCanvas.width = size * ratio;
+      this.minimapCanvas.height = size * ratio;
+      this.minimapCanvas.style.width = `${size}px`;
+      this.minimapCanvas.style.height = `${size}px`;
+    }
+
+    const ctx = this.minimapCanvas.getContext('2d');
+    const { scale, left, top } = this.getMinimapTransform();
+    const toMapX = (x) => (x - left) * scale;
+    const toMapY = (y) => (y - top) * scale;
+    const styles = getComputedStyle(this.wrapper);
+
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.clearRect(0, 0, size, size);
+
+    // Connectors as straight lines between endpoint centers
+    ctx.strokeStyle = styles.getPropertyValue('--text-secondary').trim();
+    ctx.lineWidth = 1;
+    Store.getAllItems()
+      .filter(item => item.type === 'connector')
+      .forEach(connector => {
+        const from = Store.getItem(connector.from?.itemId);
+        const to = Store.getItem(connector.to?.itemId);
+        if (!from || !to) return;
+        ctx.beginPath();
+        ctx.moveTo(toMapX(from.position.x + from.size.width / 2), toMapY(from.position.y + from.size.height / 2));
+        ctx.lineTo(toMapX(to.position.x + to.size.width / 2), toMapY(to.position.y + to.size.height / 2));
+        ctx.stroke();
+      });
+
+    // Containers first so other items draw on top of them
+    const items = this.getSpatialItems().sort((a, b) =>
+      (a.type === 'container' ? 0 : 1) - (b.type === 'container' ? 0 : 1));
+
+    items.forEach(item => {
+      const x = toMapX(item.position.x);
+      const y = toMapY(item.position.y);
+      const w = Math.max(2, item.size.width * scale);
+      const h = Math.max(2, item.size.height * scale);
+
+      if (item.type === 'container') {
+        const color = styles.getPropertyValue(`--container-${item.color}`).trim() || '#4DABF7';
+        ctx.globalAlpha = 0.35;
+        ctx.fillStyle = color;
+        ctx.fillRect(x, y, w, h);
+        ctx.globalAlpha = 1;
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 1;
+        ctx.strokeRect(x + 0.5, y + 0.5, w - 1, h - 1);
+      } else if (item.type === 'stroke' || item.type === 'shape') {
+        // Drawings show their line rather than their (mostly empty) box
+        ctx.strokeStyle = this.selectedItems.has(item.id)
+          ? styles.getPropertyValue('--accent').trim()
+          : Drawing.normalizeColor(item.color);
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        Drawing.getOutline(item).forEach(([pointX, pointY], index) => {
+          if (index === 0) {
+            ctx.moveTo(toMapX(pointX), toMapY(pointY));
+          } else {
+            ctx.lineTo(toMapX(pointX), toMapY(pointY));
+          }
+        });
+        ctx.stroke();
+      } else {
+        ctx.fillStyle = this.selectedItems.has(item.id)
+          ? styles.getPropertyValue('--accent').trim()
+          : styles.getPropertyValue('--text-muted').trim();
+        ctx.fillRect(x, y, w, h);
+      }
+    });
+
+    // Current viewport rectangle
+    const view = this.getVisibleCanvasRect();
+    ctx.strokeStyle = styles.getPropertyValue('--text-primary').trim();
+    ctx.lineWidth = 1;
+    ctx.strokeRect(toMapX(view.left), toMapY(view.top), view.width * scale, view.height * scale);
+  }
+
+  /**
+   * Scale and top-left corner (canvas coordinates) of the square area the minimap shows
+   */
+  getMinimapTransform() {
+    const bounds = this.canvasBounds;
+    const extent = Math.max(bounds.width, bounds.height);
+    return {
+      scale: this.minimapSize / extent,
+      left: bounds.left - (extent - bounds.width) / 2,
+      top: bounds.top - (extent - bounds.height) / 2
+    };
+  }
+
+  /**
+   * Get the region of the canvas surface currently visible, in canvas coordinates
+   */
+  getVisibleCanvasRect() {
+    const areaRect = this.canvasArea.getBoundingClientRect();
+    return {
+      left: -this.panOffset.x / this.zoom,
+      top: -this.panOffset.y / this.zoom,
+      width: areaRect.width / this.zoom,
+      height: areaRect.height / this.zoom
+    };
+  }
+
+  /**
+   * Center the viewport on a canvas point (without persisting)
+   */
+  centerViewportOn(x, y) {
+    const areaRect = this.canvasArea.getBoundingClientRect();
+    this.panOffset = {
+      x: areaRect.width / 2 - x * this.zoom,
+      y: areaRect.height / 2 - y * this.zoom
+    };
+    this.updateCanvasTransform();
+  }
+
+  startMinimapNavigation(e) {
+    e.preventDefault();
+    e.stopPropagation();
+
+    const moveTo = (event) => {
+      const rect = this.minimapCanvas.getBoundingClientRect();
+      const { scale, left, top } = this.getMinimapTransform();
+      this.centerViewportOn(
+        left + (event.clientX - rect.left) * (this.minimapSize / rect.width) / scale,
+        top + (event.clientY - rect.top) * (this.minimapSize / rect.height) / scale
+      );
+    };
+
+    moveTo(e);
+
+    this.trackPointer(e, moveTo, () => {
+      Store.updateViewport(this.panOffset.x, this.panOffset.y, this.zoom);
+    });
+  }
+
+  // ============================================
+  // ZOOM
+  // ============================================
+
+  /**
+   * Convert a client (screen) point to canvas surface coordinates
+   */
+  screenToCanvas(clientX, clientY) {
+    const areaRect = this.canvasArea.getBoundingClientRect();
+    return {
+      x: (clientX - areaRect.left - this.panOffset.x) / this.zoom,
+      y: (clientY - areaRect.top - this.panOffset.y) / this.zoom
+    };
+  }
+
+  clampZoom(zoom) {
+    return Math.max(this.minZoom, Math.min(this.maxZoom, zoom));
+  }
+
+  /**
+   * Set zoom level keeping the given client point fixed on screen
+   */
+  zoomAt(zoom, clientX, clientY) {
+    const newZoom = this.clampZoom(zoom);
+    if (newZoom === this.zoom) return;
+
+    const areaRect = this.canvasArea.getBoundingClientRect();
+    const anchor = this.screenToCanvas(clientX, clientY);
+
+    this.zoom = newZoom;
+    this.panOffset = {
+      x: clientX - areaRect.left - anchor.x * newZoom,
+      y: clientY - areaRect.top - anchor.y * newZoom
+    };
+
+    this.updateCanvasTransform();
+    Store.updateViewport(this.panOffset.x, this.panOffset.y, this.zoom);
+  }
+
+  /**
+   * Set zoom level keeping the viewport center fixed
+   */
+  zoomToCenter(zoom) {
+    const areaRect = this.canvasArea.getBoundingClientRect();
+    this.zoomAt(zoom, areaRect.left + areaRect.width / 2, areaRect.top + areaRect.height / 2);
+  }
+
+  zoomIn() {
+    this.zoomToCenter(this.zoom * this.zoomStep);
+  }
+
+  zoomOut() {
+    this.zoomToCenter(this.zoom / this.zoomStep);
+  }
+
+  handleCanvasWheel(e) {
+    // Plain wheel is left alone; Ctrl+wheel (and trackpad pinch) zooms
+    if (!e.ctrlKey && !e.metaKey) return;
+    e.preventDefault();
+
+    // Pinch gestures report small fractional deltas, mouse wheels report ~100 per notch
+    const factor = Math.exp(-e.deltaY * (e.deltaMode === 1 ? 0.05 : 0.002));
+    this.zoomAt(this.zoom * factor, e.clientX, e.clientY);
+  }
+
+  /**
+   * Zoom and pan so that the given items fill the viewport
+   * @param {Array} items - Items to fit
+   */
+  zoomToItems(items) {
+    if (!items || items.length === 0) return;
+
+    const bounds = this.getItemsBounds(items);
+    const areaRect = this.canvasArea.getBoundingClientRect();
+    const padding = 40;
+
+    const fitZoom = Math.min(
+      (areaRect.width - padding * 2) / bounds.width,
+      (areaRect.height - padding * 2) / bounds.height
+    );
+
+    // Never zoom in past 100% when fitting
+    this.zoom = this.clampZoom(Math.min(1, fitZoom));
+    this.panOffset = {
+      x: areaRect.width / 2 - (bounds.left + bounds.width / 2) * this.zoom,
+      y: areaRect.height / 2 - (bounds.top + bounds.height / 2) * this.zoom
+    };
+
+    this.updateCanvasTransform();
+    Store.updateViewport(this.panOffset.x, this.panOffset.y, this.zoom);
+  }
+
+  zoomToFit() {
+    this.zoomToItems(this.getSpatialItems());
+  }
+
+  zoomToSelection() {
+    const items = Array.from(this.selectedItems)
+      .map(id => Store.getItem(id))
+      .filter(item => item && item.type !== 'connector');
+    this.zoomToItems(items);
+  }
+
+  /**
+   * Get the bounding box of a set of items in canvas coordinates
+   */
+  getItemsBounds(items) {
+    return Alignment.getBounds(items.map(item => ({
+      left: item.position.x,
+      top: item.position.y,
+      width: item.size.width,
+      height: item.size.height
+    })));
+  }
+
+  handleClose() {
+    // Save before closing
+    Store.saveNow();
+
+    // Dispatch event to overlay manager
+    const event = new CustomEvent('spawn-canvas-close', { bubbles: true, composed: true });
+    this.wrapper.dispatchEvent(event);
+  }
+
+  deselectAll() {
+    this.selectedItems.forEach(id => {
+      const element = this.canvasSurface.querySelector(`[data-item-id="${id}"]`);
+      if (element) {
+        element.classList.remove('selected');
+      }
+    });
+    this.selectedItems.clear();
+    this.scheduleMinimapRender();
+    this.updateConnectorActions();
+    this.updateSelectionBounds();
+  }
+
+  deleteSelectedItems() {
+    if (this.selectedItems.size === 0) return;
+
+    this.deleteItems(Array.from(this.selectedItems));
+    this.selectedItems.clear();
+  }
+
+  /**
+   * Delete several items as a single undo step.
+   * Containers with contents not in the batch ask whether to delete or release them.
+   * @param {Array<string>} ids - Item IDs
+   * @param {{includeChildren?: boolean}} [options] - Skip the prompt and delete (true) or release (false) contents
+   */
+  deleteItems(ids, options = {}) {
+    const existing = ids.filter(id => Store.getItem(id));
+    if (existing.length === 0) return;
+
+    const idSet = new Set(existing);
+    const contents = [];
+    existing
+      .map(id => Store.getItem(id))
+      .filter(item => item.type === 'container')
+      .forEach(container => {
+        Store.getDescendants(container.id).forEach(child => {
+          if (!idSet.has(child.id) && !contents.includes(child.id)) {
+            contents.push(child.id);
+          }
+        });
+      });
+
+    if (contents.length > 0) {
+      if (options.includeChildren === undefined) {
+        // Ask first, then delete with the answer
+        const containerCount = existing.filter(id => Store.getItem(id).type === 'container').length;
+        this.askContainerDelete(containerCount, contents.length).then(choice => {
+          if (choice) {
+            this.deleteItems(ids, { ...options, includeChildren: choice === 'all' });
+          }
+        });
+        return;
+      }
+      if (options.includeChildren) {
+        existing.push(...contents);
+      }
+    }
+
+    // Save state once for the whole batch
+    this.pushHistory();
+
+    const hadFocus = existing.some(id => {
+      const element = this.getItemElement(id);
+      return element && element.contains(this.shadowRoot.activeElement);
+    });
+    const deletedLabel = existing.length === 1
+      ? `${CanvasApp.ITEM_TYPE_LABELS[Store.getItem(existing[0]).type] || 'Item'} deleted`
+      : `${this.describeCount(existing.length, 'item')} deleted`;
+
+    existing.forEach(id => {
+      const element = this.canvasSurface.querySelector(`[data-item-id="${id}"]`);
+      if (element) {
+        element.remove();
+      }
+      Store.deleteItem(id);
+      this.selectedItems.delete(id);
+    });
+    this.applyCollapsedState();
+    this.updateConnectorActions();
+    this.updateSelectionBounds();
+
+    // Keep keyboard focus on the canvas rather than losing it with the element
+    if (hadFocus) {
+      this.wrapper.focus({ preventScroll: true });
+    }
+    this.announce(deletedLabel);
+  }
+
+  navigateItems(direction) {
+    const items = this.getItemsInReadingOrder();
+    if (items.length === 0) return;
+
+    const itemIds = items.map(item => item.id);
+    const currentIndex = itemIds.indexOf(this.getCurrentItemId());
+
+    let nextIndex = currentIndex + direction;
+    if (currentIndex === -1 && direction < 0) nextIndex = itemIds.length - 1;
+    if (nextIndex < 0) nextIndex = itemIds.length - 1;
+    if (nextIndex >= itemIds.length) nextIndex = 0;
+
+    this.focusItem(itemIds[nextIndex]);
+  }
+
+  /**
+   * Visible items sorted top to bottom, then left to right
+   */
+  getItemsInReadingOrder() {
+    return this.getSpatialItems()
+      .filter(item => !this.isItemHidden(item.id))
+      .sort((a, b) => a.position.y - b.position.y || a.position.x - b.position.x);
+  }
+
+  /**
+   * The item keyboard commands start from: the focused item, or the only selected one
+   */
+  getCurrentItemId() {
+    const active = this.shadowRoot.activeElement;
+    const element = active && active.closest ? active.closest('.canvas-item') : null;
+    if (element && this.canvasSurface.contains(element)) {
+      return element.dataset.itemId;
+    }
+    if (this.selectedItems.size === 1) {
+      const id = Array.from(this.selectedItems)[0];
+      const item = Store.getItem(id);
+      if (item && item.type !== 'connector') return id;
+    }
+    return null;
+  }
+
+  /**
+   * Select an item, bring it into view and give it keyboard focus
+   */
+  focusItem(id) {
+    const item = Store.getItem(id);
+    if (!item) return;
+
+    this.selectItem(id);
+
+    const view = this.getVisibleCanvasRect();
+    const inView = item.position.x >= view.left && item.position.y >= view.top &&
+      item.position.x + item.size.width <= view.left + view.width &&
+      item.position.y + item.size.height <= view.top + view.height;
+    if (!inView) {
+      this.panToItem(id);
+    }
+
+    const element = this.getItemElement(id);
+    if (element) {
+      element.focus({ preventScroll: true });
+    }
+  }
+
+  /**
+   * Move focus to the nearest item in a direction from the current one
+   * @param {string} direction - 'left' | 'right' | 'up' | 'down'
+   */
+  focusItemInDirection(direction) {
+    if (this.activeTab !== 'workspace') return;
+
+    const items = this.getItemsInReadingOrder();
+    const currentId = this.getCurrentItemId();
+    const current = currentId ? Store.getItem(currentId) : null;
+    if (!current) {
+      if (items.length > 0) this.focusItem(items[0].id);
+      return;
+    }
+
+    const vector = CanvasApp.DIRECTIONS[direction];
+    const centerOf = item => ({
+      x: item.position.x + item.size.width / 2,
+      y: item.position.y + item.size.height / 2
+    });
+    const from = centerOf(current);
+
+    // Distance along the direction, with sideways distance counting double
+    let best = null;
+    let bestScore = Infinity;
+    items.forEach(item => {
+      if (item.id === current.id) return;
+      const to = centerOf(item);
+      const along = (to.x - from.x) * vector.x + (to.y - from.y) * vector.y;
+      if (along <= 0) return;
+      const across = Math.abs((to.x - from.x) * vector.y - (to.y - from.y) * vector.x);
+      const score = along + across * 2;
+      if (score < bestScore) {
+        best = item;
+        bestScore = score;
+      }
+    });
+
+    if (best) {
+      this.focusItem(best.id);
+    }
+  }
+
+  /**
+   * Keys on a focused item (not one of its fields): Tab moves through items
+   * in reading order, Enter edits the item and Escape leaves it
+   */
+  handleItemKeyDown(e) {
+    const itemId = e.target.dataset.itemId;
+
+    if (e.key === 'Tab' && !e.ctrlKey && !e.altKey && !e.metaKey) {
+      const itemIds = this.getItemsInReadingOrder().map(item => item.id);
+      if (itemIds.length < 2) return;
+      e.preventDefault();
+      const index = itemIds.indexOf(itemId);
+      const next = (index + (e.shiftKey ? -1 : 1) + itemIds.length) % itemIds.length;
+      this.focusItem(itemIds[next]);
+    } else if (e.key === 'Enter' && !e.ctrlKey && !e.altKey && !e.metaKey) {
+      const field = e.target.querySelector('.item-title');
+      if (field) {
+        e.preventDefault();
+        field.focus({ preventScroll: true });
+      }
+    } else if (e.key === 'Escape') {
+      // Escape again (from the canvas) closes the overlay
+      e.preventDefault();
+      e.stopPropagation();
+      this.deselectAll();
+      this.wrapper.focus({ preventScroll: true });
+    }
+  }
+
+  /**
+   * Move the selection with the keyboard. Steps follow the grid when it is on;
+   * repeated presses are one undo step.
+   * @param {string} direction - 'left' | 'right' | 'up' | 'down'
+   * @param {boolean} far - Take a large step
+   */
+  nudgeSelection(direction, far) {
+    if (this.activeTab !== 'workspace') return;
+
+    const rootIds = this.getSelectionRootIds();
+    if (rootIds.length === 0) return;
+
+    const { ids } = this.getMoveGroup(rootIds[0]);
+    const step = Store.isGridSnapEnabled()
+      ? this.gridSize * (far ? CanvasApp.NUDGE_LARGE_GRID_STEPS : 1)
+      : (far ? CanvasApp.NUDGE_LARGE_STEP : CanvasApp.NUDGE_STEP);
+    const vector = CanvasApp.DIRECTIONS[direction];
+
+    // Keep the group on the canvas
+    const bounds = Alignment.getBounds(ids.map(id => this.getItemRect(id)).filter(Boolean));
+    const limit = CanvasApp.MAX_CANVAS_EXTENT;
+    const offsetX = Math.max(-limit, Math.min(bounds.left + vector.x * step, limit - bounds.width)) - bounds.left;
+    const offsetY = Math.max(-limit, Math.min(bounds.top + vector.y * step, limit - bounds.height)) - bounds.top;
+    if (offsetX === 0 && offsetY === 0) return;
+
+    this.pushHistory(`nudge:${rootIds.slice().sort().join(',')}`);
+    ids.forEach(id => {
+      const item = Store.getItem(id);
+      Store.updateItem(id, { position: { x: item.position.x + offsetX, y: item.position.y + offsetY } });
+      this.applyItemGeometry(id);
+    });
+    rootIds.forEach(id => this.updateItemMembership(id));
+    this.updateConnectorsFor(ids);
+    this.updateSelectionBounds();
+  }
+
+  /**
+   * Move the selection up or down the stacking order, among its siblings
+   * @param {string} action - 'bring-to-front' | 'bring-forward' | 'send-backward' | 'send-to-back'
+   */
+  restackSelection(action) {
+    if (this.activeTab !== 'workspace') return;
+
+    const rootIds = this.getSelectionRootIds();
+    if (rootIds.length === 0) return;
+
+    const [mode, message] = CanvasApp.RESTACK_ACTIONS[action];
+    this.pushHistory();
+    if (Store.restackItems(rootIds, mode)) {
+      this.applyStackOrder();
+      this.announce(message);
+    }
+  }
+
+  /**
+   * Read a short message out to screen readers
+   */
+  announce(message) {
+    if (!this.announcer) return;
+    // Clear first so the same message twice in a row is read again
+    this.announcer.textContent = '';
+    clearTimeout(this.announceTimer);
+    this.announceTimer = setTimeout(() => {
+      this.announcer.textContent = message;
+    }, 50);
+  }
+
+  describeCount(count, noun) {
+    return `${count} ${noun}${count === 1 ? '' : 's'}`;
+  }
+
+  selectItem(id, addToSelection = false) {
+    if (!addToSelection) {
+      this.deselectAll();
+    }
+
+    // If Shift+Click on already selected item, toggle it off
+    if (addToSelection && this.selectedItems.has(id)) {
+      this.selectedItems.delete(id);
+      const element = this.canvasSurface.querySelector(`[data-item-id="${id}"]`);
+      if (element) {
+        element.classList.remove('selected');
+      }
+      this.updateConnectorActions();
+      this.updateSelectionBounds();
+      return;
+    }
+
+    this.selectedItems.add(id);
+    this.ensureItemRendered(id);
+    const element = this.canvasSurface.querySelector(`[data-item-id="${id}"]`);
+    if (element) {
+      element.classList.add('selected');
+    }
+    this.scheduleMinimapRender();
+    this.updateConnectorActions();
+    this.updateSelectionBounds();
+  }
+
+  panToItem(id) {
+    const item = Store.getItem(id);
+    if (!item) return;
+
+    const areaRect = this.canvasArea.getBoundingClientRect();
+
+    // Center the item in the viewport
+    this.panOffset = {
+      x: -((item.position.x + item.size.width / 2) * this.zoom - areaRect.width / 2),
+      y: -((item.position.y + item.size.height / 2) * this.zoom - areaRect.height / 2)
+    };
+
+    this.updateCanvasTransform();
+    Store.updateViewport(this.panOffset.x, this.panOffset.y, this.zoom);
+  }
+
+  getNewItemPosition() {
+    const areaRect = this.canvasArea.getBoundingClientRect();
+    const viewCenterX = (-this.panOffset.x + areaRect.width / 2) / this.zoom;
+    const viewCenterY = (-this.panOffset.y + areaRect.height / 2) / this.zoom;
+
+    // Snap to grid
+    const x = this.snapToGrid(viewCenterX - 100);
+    const y = this.snapToGrid(viewCenterY - 75);
+
+    return { x, y };
+  }
+
+  addNote() {
+    // Save state before adding
+    this.pushHistory();
+
+    const position = this.getNewItemPosition();
+
+    const note = Store.createItem('note', {
+      title: '',
+      content: '',
+      position,
+      size: { width: 250, height: 180 }
+    });
+
+    if (note) {
+      this.renderItem(note);
+      this.updateItemMembership(note.id);
+      this.selectItem(note.id);
+
+      // Focus the title input
+      setTimeout(() => {
+        const titleInput = this.canvasSurface.querySelector(`[data-item-id="${note.id}"] .item-title`);
+        if (titleInput) titleInput.focus();
+      }, 0);
+    }
+  }
+
+  /**
+   * Create a note from pasted content (when nothing is focused)
+   * @param {string} content - Note text
+   * @param {object} [extra] - More item fields (e.g. title and position of a dropped file)
+   */
+  createNoteFromPaste(content, extra = {}) {
+    // Save state before adding
+    this.pushHistory();
+
+    const position = extra.position || this.getNewItemPosition();
+
+    // Calculate height based on content length (rough estimate)
+    const lineCount = content.split('\n').length;
+    const estimatedHeight = Math.max(180, Math.min(400, 80 + lineCount * 20));
+
+    const note = Store.createItem('note', {
+      title: 'Copied content',
+      content: content,
+      ...extra,
+      position,
+      size: { width: 300, height: estimatedHeight }
+    });
+
+    if (note) {
+      this.renderItem(note);
+      this.updateItemMembership(note.id);
+      this.selectItem(note.id);
+    }
+  }
+
+  /**
+   * Create an image item from pasted image (when nothing is focused)
+   * @param {Blob} blob - Image data
+   * @param {object} [extra] - More item fields (e.g. where a capture came from, or where a file was dropped)
+   */
+  createImageFromPaste(blob, extra = {}) {
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      const base64Data = e.target.result;
+
+      // Get image dimensions
+      const img = new Image();
+      img.onload = async () => {
+        let assetId;
+        try {
+          assetId = await AssetStore.put(base64Data);
+        } catch (err) {
+          console.error('[SpawnCanvas] Failed to store image:', err);
+          alert('Could not add the image: ' + err.message);
+          return;
+        }
+
+        this.pushHistory();
+        const position = extra.position || this.getNewItemPosition();
+
+        const imageItem = Store.createItem('image', {
+          ...extra,
+          assetId,
+          position,
+          size: this.getImageItemSize(img)
+        });
+
+        if (imageItem) {
+          this.renderItem(imageItem);
+          this.updateItemMembership(imageItem.id);
+          this.selectItem(imageItem.id);
+        }
+      };
+      img.src = base64Data;
+    };
+    reader.readAsDataURL(blob);
+  }
+
+  /**
+   * Size for an image item: its natural size, scaled down to at most 800px and no smaller than 100px
+   * @param {HTMLImageElement} img - Loaded image
+   */
+  getImageItemSize(img) {
+    let width = img.width;
+    let height = img.height;
+    const maxSize = 800;
+
+    if (width > maxSize || height > maxSize) {
+      const ratio = Math.min(maxSize / width, maxSize / height);
+      width = Math.round(width * ratio);
+      height = Math.round(height * ratio);
+    }
+
+    return { width: Math.max(100, width), height: Math.max(100, height) };
+  }
+
+  renderNote(note) {
+    const element = document.createElement('div');
+    element.className = `canvas-item note${note.markdown ? ' markdown-mode' : ''}`;
+    element.dataset.itemId = note.id;
+    element.style.left = `${note.position.x}px`;
+    element.style.top = `${note.position.y}px`;
+    element.style.width = `${note.size.width}px`;
+    element.style.height = `${note.size.height}px`;
+
+    element.innerHTML = `
+      <div class="item-header">
+        <input type="text" class="item-title" placeholder="Note title..." aria-label="Note title" value="${this.escapeHtml(note.title)}">
+        <div class="item-actions">
+          <button class="markdown-btn" data-action="toggle-markdown" title="${note.markdown ? 'Edit Markdown source' : 'Preview as Markdown'}" aria-label="${note.markdown ? 'Edit Markdown source' : 'Preview as Markdown'}">${note.markdown ? '✏️' : 'M↓'}</button>
+          <button class="generate-btn" data-action="expand-note" title="Expand with AI" aria-label="Expand with AI">✨</button>
+          ${this.renderSourceButton(note)}
+          <button class="copy-btn" data-action="copy" title="Copy to clipboard" aria-label="Copy to clipboard">📋</button>
+          <button class="delete-btn" data-action="delete" title="Delete" aria-label="Delete">🗑</button>
+        </div>
+      </div>
+      <div class="item-content">
+        <textarea class="note-content" placeholder="Write your note..." aria-label="Note text">${this.escapeHtml(note.content)}</textarea>
+        <div class="markdown-preview">${note.markdown ? MarkdownRenderer.render(note.content) : ''}</div>
+      </div>
+      <div class="resize-handle corner se"></div>
+      <div class="resize-handle edge e"></div>
+      <div class="resize-handle edge s"></div>
+      ${this.renderConnectHandles()}
+    `;
+
+    this.canvasSurface.appendChild(element);
+  }
+
+  renderImage(image) {
+    const element = document.createElement('div');
+    element.className = 'canvas-item image';
+    element.dataset.itemId = image.id;
+    element.style.left = `${image.position.x}px`;
+    element.style.top = `${image.position.y}px`;
+    element.style.width = `${image.size.width}px`;
+    element.style.height = `${image.size.height}px`;
+
+    element.innerHTML = `
+      <div class="image-content">
+        <img alt="${image.source ? 'Image from page' : 'Pasted image'}" draggable="false">
+      </div>
+      ${image.source ? `<div class="item-actions image-actions">${this.renderSourceButton(image)}</div>` : ''}
+      <div class="resize-handle corner se"></div>
+      <div class="resize-handle edge e"></div>
+      <div class="resize-handle edge s"></div>
+      ${this.renderConnectHandles()}
+    `;
+
+    this.canvasSurface.appendChild(element);
+
+    const img = element.querySelector('img');
+    this.getImageSrc(image)
+      .then(src => {
+        img.src = src;
+      })
+      .catch(err => {
+        console.error('[SpawnCanvas] Could not load image:', err);
+        img.alt = 'Image not found';
+      });
+  }
+
+  /**
+   * Address to show an image item from: its stored asset, or (for clipped
+   * images that couldn't be stored) the image's original address
+   * @param {object} image - Image item
+   * @returns {Promise<string>} URL
+   */
+  async getImageSrc(image) {
+    if (image.assetId) {
+      return AssetStore.getUrl(image.assetId);
+    }
+    const url = this.getSafeImageUrl(image.imageData);
+    if (!url) throw new Error('Image has no data');
+    return url;
+  }
+
+  /**
+   * Save the current page as a link card, quoting the text selected on it (if any)
+   */
+  addLinkFromPage() {
+    const page = SpawnCanvasBridge.getPageMetadata();
+    this.createLink({ ...page, excerpt: this.lastPageSelection });
+    this.lastPageSelection = '';
+  }
+
+  /**
+   * Create a link card for a pasted web address (with the page's details when it is this page)
+   */
+  createLinkFromPaste(url) {
+    const page = SpawnCanvasBridge.getPageMetadata();
+    if (page.url === url) {
+      this.createLink(page);
+      return;
+    }
+
+    const { origin } = new URL(url);
+    this.createLink({
+      url,
+      title: this.getLinkHostname(url),
+      favicon: `${origin}/favicon.ico`,
+      description: ''
+    });
+  }
+
+  /**
+   * @param {{url: string, title: string, favicon: string, description: string, excerpt?: string}} data - Link details
+   */
+  createLink(data) {
+    // Save state before adding
+    this.pushHistory();
+
+    const excerpt = (data.excerpt || '').slice(0, CanvasApp.LINK_EXCERPT_LENGTH);
+    const link = Store.createItem('link', {
+      title: data.title || '',
+      url: data.url,
+      favicon: data.favicon || '',
+      description: (data.description || '').slice(0, CanvasApp.LINK_DESCRIPTION_LENGTH),
+      excerpt,
+      position: this.getNewItemPosition(),
+      size: { width: 320, height: excerpt ? 240 : 150 }
+    });
+
+    if (link) {
+      this.renderItem(link);
+      this.updateItemMembership(link.id);
+      this.selectItem(link.id);
+      this.announce('Link added');
+    }
+  }
+
+  renderLink(link) {
+    const element = document.createElement('div');
+    element.className = 'canvas-item link';
+    element.dataset.itemId = link.id;
+    element.style.left = `${link.position.x}px`;
+    element.style.top = `${link.position.y}px`;
+    element.style.width = `${link.size.width}px`;
+    element.style.height = `${link.size.height}px`;
+
+    // Stored data may come from an import, so only web addresses get through
+    const url = this.parseLinkUrl(link.url || '') || '';
+    const favicon = this.getSafeImageUrl(link.favicon);
+    const address = url ? url.replace(/^https?:\/\/(www\.)?/, '').replace(/\/$/, '') : link.url;
+
+    element.innerHTML = `
+      <div class="item-header">
+        ${favicon ? `<img class="link-favicon" src="${this.escapeHtml(favicon)}" alt="" draggable="false">` : ''}
+        <input type="text" class="item-title" placeholder="Link title..." aria-label="Link title" value="${this.escapeHtml(link.title)}">
+        <div class="item-actions">
+          <button class="open-link-btn" data-action="open-link" title="Open in new tab" aria-label="Open in new tab">↗</button>
+          ${this.renderSourceButton(link)}
+          <button class="copy-btn" data-action="copy" title="Copy to clipboard" aria-label="Copy to clipboard">📋</button>
+          <button class="delete-btn" data-action="delete" title="Delete" aria-label="Delete">🗑</button>
+        </div>
+      </div>
+      <div class="item-content link-content"${url ? ' title="Double-click to open in a new tab"' : ''}>
+        <span class="link-url">${this.escapeHtml(address)}</span>
+        ${link.description ? `<span class="link-description">${this.escapeHtml(link.description)}</span>` : ''}
+        ${link.excerpt ? `<blockquote class="link-excerpt">${this.escapeHtml(link.excerpt)}</blockquote>` : ''}
+      </div>
+      <div class="resize-handle corner se"></div>
+      <div class="resize-handle edge e"></div>
+      <div class="resize-handle edge s"></div>
+      ${this.renderConnectHandles()}
+    `;
+
+    // Sites without a favicon (or that block loading it) just show the title
+    const faviconImage = element.querySelector('.link-favicon');
+    if (faviconImage) {
+      faviconImage.addEventListener('error', () => faviconImage.remove());
+    }
+
+    this.canvasSurface.appendChild(element);
+  }
+
+  openLink(id) {
+    const link = Store.getItem(id);
+    const url = link ? this.parseLinkUrl(link.url || '') : null;
+    if (url) {
+      window.open(url, '_blank', 'noopener');
+    }
+  }
+
+  /**
+   * The address if text is nothing but a web address (http, https or starting with www.), otherwise null
+   */
+  parseLinkUrl(text) {
+    const value = text.trim();
+    if (!value || /\s/.test(value)) return null;
+    try {
+      const url = new URL(/^www\./i.test(value) ? `https://${value}` : value);
+      return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : null;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  getLinkHostname(url) {
+    const parsed = this.parseLinkUrl(url || '');
+    return parsed ? new URL(parsed).hostname.replace(/^www\./, '') : '';
+  }
+
+  /**
+   * The address if it is safe to load as an image (web or inline data), otherwise ''
+   */
+  getSafeImageUrl(url) {
+    if (typeof url !== 'string') return '';
+    if (/^data:image\//i.test(url)) return url;
+    return this.parseLinkUrl(url) || '';
+  }
+
+  /**
+   * Add a selection, link or image sent from the page's context menu (see
+   * background/service-worker.js). Works while the overlay is hidden, and the
+   * target workspace doesn't have to be the open one.
+   * @param {object} clip - { kind, workspaceId, containerId, pageUrl, pageTitle, text, linkUrl, linkText, srcUrl, assetId }
+   * @returns {Promise<boolean>} Whether the item was added
+   */
+  async receiveClip(clip) {
+    const source = { url: clip.pageUrl || '', title: clip.pageTitle || '', capturedAt: Date.now() };
+    const clipItem = await this.getClipItem(clip);
+    if (!clipItem) return false;
+    const { type, data } = clipItem;
+
+    const isCurrent = Store.getCurrentWorkspace()?.id === clip.workspaceId;
+    if (isCurrent) {
+      // Save state before adding
+      this.pushHistory();
+    }
+
+    const item = await Store.addItemToWorkspace(clip.workspaceId, type, { ...data, source }, clip.containerId);
+    if (!item) {
+      alert('Could not send to SpawnCanvas: the workspace no longer exists.');
+      return false;
+    }
+
+    if (isCurrent) {
+      this.syncRenderedItems();
+      this.announce(`${CanvasApp.ITEM_TYPE_LABELS[type]} added from page`);
+    }
+    return true;
+  }
+
+  /**
+   * Item for a clip: selections become notes, links link cards and images image items
+   * (used for the context menu and for content dragged onto the canvas)
+   * @param {object} clip - { kind, pageTitle, text, linkUrl, linkText, srcUrl, assetId }
+   * @returns {Promise<{type: string, data: object}|null>} Item type and data, or null if there is nothing to add
+   */
+  async getClipItem(clip) {
+    const title = clip.pageTitle || '';
+
+    if (clip.kind === 'selection') {
+      // The menu flattens line breaks; the page's own selection keeps them when it is the same text
+      const selected = SpawnCanvasBridge.getSelectedText();
+      const flatten = text => text.replace(/\s+/g, ' ').trim();
+      const content = selected && flatten(selected) === flatten(clip.text || '') ? selected : (clip.text || '');
+      if (!content) return null;
+
+      const lineCount = content.split('\n').length;
+      return {
+        type: 'note',
+        data: {
+          title,
+          content,
+          size: { width: 300, height: Math.max(180, Math.min(400, 80 + lineCount * 20)) }
+        }
+      };
+    }
+
+    if (clip.kind === 'link') {
+      const url = this.parseLinkUrl(clip.linkUrl || '');
+      if (!url) {
+        alert('Only web links (http or https) can be sent to SpawnCanvas.');
+        return null;
+      }
+      return {
+        type: 'link',
+        data: {
+          title: (clip.linkText || '').trim() || this.getLinkHostname(url),
+          url,
+          favicon: `${new URL(url).origin}/favicon.ico`,
+          size: { width: 320, height: 150 }
+        }
+      };
+    }
+
+    if (clip.kind === 'image') {
+      // The service worker stores the image; if it couldn't, the item points at the original
+      const image = clip.assetId
+        ? { assetId: clip.assetId }
+        : { imageData: this.getSafeImageUrl(clip.srcUrl) };
+      const img = new Image();
+      try {
+        img.src = await this.getImageSrc(image);
+        await img.decode();
+      } catch (err) {
+        console.error('[SpawnCanvas] Could not load clipped image:', err);
+        return null;
+      }
+      return { type: 'image', data: { title, ...image, size: this.getImageItemSize(img) } };
+    }
+
+    return null;
+  }
+
+  /**
+   * "Go to source" button for items clipped from a page (nothing for other items)
+   */
+  renderSourceButton(item) {
+    const url = item.source ? this.parseLinkUrl(item.source.url || '') : null;
+    if (!url) return '';
+
+    const hostname = this.getLinkHostname(url);
+    const captured = item.source.capturedAt
+      ? `, clipped ${this.formatDate(item.source.capturedAt).toLowerCase()} at ${this.formatTime(item.source.capturedAt)}`
+      : '';
+    const label = this.escapeHtml(`Go to source (${hostname}${captured})`);
+    return `<button class="source-btn" data-action="go-to-source" title="${label}" aria-label="${label}">🌐</button>`;
+  }
+
+  openSource(id) {
+    const item = Store.getItem(id);
+    const url = item && item.source ? this.parseLinkUrl(item.source.url || '') : null;
+    if (url) {
+      window.open(url, '_blank', 'noopener');
+    }
+  }
+
+  /**
+   * Render a freehand stroke or a shape as an SVG stretched to the item's box.
+   * Only the line itself (plus a little slack) takes the pointer, so what lies
+   * inside or behind a drawing can still be clicked.
+   */
+  renderDrawing(drawing) {
+    const element = document.createElement('div');
+    element.className = `canvas-item drawing ${drawing.type}${drawing.tool === 'highlighter' ? ' highlighter' : ''}`;
+    element.dataset.itemId = drawing.id;
+    element.style.left = `${drawing.position.x}px`;
+    element.style.top = `${drawing.position.y}px`;
+    element.style.width = `${drawing.size.width}px`;
+    element.style.height = `${drawing.size.height}px`;
+
+    let viewBox;
+    let markup;
+    if (drawing.type === 'stroke') {
+      const box = drawing.viewBox || drawing.size;
+      viewBox = `0 0 ${Number(box.width) || 1} ${Number(box.height) || 1}`;
+      markup = `<path d="${Drawing.buildStrokePath(drawing.points)}"></path>`;
+    } else {
+      viewBox = `0 0 ${Drawing.SHAPE_BOX} ${Drawing.SHAPE_BOX}`;
+      markup = Drawing.buildShapeMarkup(drawing.shape, drawing.flip);
+    }
+
+    element.innerHTML = `
+      <svg class="drawing-svg" viewBox="${viewBox}" preserveAspectRatio="none" xmlns="http://www.w3.org/2000/svg"
+        style="color: ${Drawing.normalizeColor(drawing.color)}; --line-width: ${Drawing.getDisplayWidth(drawing)}px">
+        <g class="drawing-hit">${markup}</g>
+        <g class="drawing-line">${markup}</g>
+      </svg>
+      <div class="resize-handle corner se"></div>
+      <div class="resize-handle edge e"></div>
+      <div class="resize-handle edge s"></div>
+      ${this.renderConnectHandles()}
+    `;
+
+    this.canvasSurface.appendChild(element);
+  }
+
+  /**
+   * Switch between selecting and the drawing tools; picking the active tool again goes back to selecting
+   * @param {string} tool - 'select' | 'eraser' | a key of Drawing.TOOLS or Drawing.SHAPES
+   */
+  setTool(tool) {
+    if (tool === this.activeTool && tool !== 'select') {
+      tool = 'select';
+    }
+    this.activeTool = tool;
+
+    this.drawTools.querySelectorAll('.tool-btn').forEach(button => {
+      const active = button.dataset.action === `tool-${tool}`;
+      button.classList.toggle('active', active);
+      button.setAttribute('aria-pressed', String(active));
+    });
+    this.canvasArea.classList.toggle('drawing-mode', tool !== 'select');
+    this.canvasArea.classList.toggle('erasing', tool === 'eraser');
+    this.announce(`${CanvasApp.TOOL_LABELS[tool]} tool`);
+  }
+
+  /**
+   * Change the color or width that new lines are drawn with; selected strokes and shapes change too
+   * @param {{color?: string, strokeWidth?: number}} changes - Style fields
+   */
+  setDrawStyle(changes) {
+    this.drawStyle = { ...this.drawStyle, ...changes };
+
+    const ids = Array.from(this.selectedItems).filter(id => {
+      const item = Store.getItem(id);
+      return item && (item.type === 'stroke' || item.type === 'shape');
+    });
+    if (ids.length === 0) return;
+
+    this.pushHistory();
+    ids.forEach(id => {
+      Store.updateItem(id, changes);
+      const element = this.getItemElement(id);
+      if (element) {
+        this.rerenderItem(element, Store.getItem(id));
+      }
+    });
+    this.scheduleMinimapRender();
+  }
+
+  /**
+   * Start drawing, drawing a shape or erasing when a drawing tool is active.
+   * Space still pans, and a second finger still turns into a pinch.
+   */
+  handleDrawPointerDown(e) {
+    // A pen's eraser end erases whichever drawing tool is active
+    const penEraser = e.pointerType === 'pen' && e.button === 5;
+    if (this.activeTool === 'select' || (e.button !== 0 && !penEraser) || this.isSpaceDown) return;
+    if (this.pinch || this.activeInteraction || this.touchPoints.size > 1) return;
+    // A palm resting while the pen is down
+    if (e.pointerType === 'touch' && this.activePens.size > 0) return;
+    if (e.target.closest('.minimap')) return;
+
+    e.stopPropagation();
+    e.preventDefault();
+    // Drawing on empty space shouldn't deselect when its click arrives
+    this.suppressCanvasClick = true;
+
+    if (this.activeTool === 'eraser' || penEraser) {
+      this.startErase(e);
+    } else if (Drawing.TOOLS[this.activeTool]) {
+      this.startStroke(e);
+    } else {
+      this.startShape(e);
+    }
+  }
+
+  getCanvasPoint(e) {
+    const point = this.screenToCanvas(e.clientX, e.clientY);
+    return [point.x, point.y];
+  }
+
+  /**
+   * Show a line being drawn (in canvas coordinates) until the pointer is released
+   */
+  showDrawPreview(markup, style) {
+    this.drawPreview.innerHTML = markup;
+    this.drawPreview.style.color = Drawing.normalizeColor(style.color);
+    this.drawPreview.style.setProperty('--line-width', `${Drawing.getDisplayWidth(style)}px`);
+    this.drawPreview.classList.toggle('highlighter', style.tool === 'highlighter');
+    this.drawPreview.classList.remove('hidden');
+  }
+
+  hideDrawPreview() {
+    this.drawPreview.classList.add('hidden');
+    this.drawPreview.innerHTML = '';
+  }
+
+  /**
+   * Freehand pen or highlighter stroke; becomes a stroke item when the pointer is released
+   */
+  startStroke(e) {
+    const style = { type: 'stroke', tool: this.activeTool, ...this.drawStyle };
+    const points = [this.getCanvasPoint(e)];
+
+    this.showDrawPreview(`<path d="${Drawing.buildStrokePath(points)}"></path>`, style);
+    const path = this.drawPreview.querySelector('path');
+
+    this.trackPointer(e, (moveEvent) => {
+      // Pens report more positions than there are frames
+      const events = moveEvent.getCoalescedEvents ? moveEvent.getCoalescedEvents() : [];
+      (events.length > 0 ? events : [moveEvent]).forEach(event => points.push(this.getCanvasPoint(event)));
+      path.setAttribute('d', Drawing.buildStrokePath(points));
+    }, (upEvent, cancelled) => {
+      this.hideDrawPreview();
+      if (cancelled) return;
+
+      this.pushHistory();
+      const stroke = Store.createItem('stroke', {
+        tool: style.tool,
+        color: style.color,
+        strokeWidth: style.strokeWidth,
+        ...Drawing.createStroke(points)
+      });
+      if (stroke) {
+        this.renderItem(stroke);
+        this.updateItemMembership(stroke.id);
+        this.updateCanvasBounds();
+      }
+    });
+  }
+
+  /**
+   * Drag out a shape from corner to corner (Shift keeps it square, or a line at 45° steps).
+   * A click without dragging places a default-sized shape.
+   */
+  startShape(e) {
+    const shape = this.activeTool;
+    const style = { type: 'shape', ...this.drawStyle };
+    const start = this.getCanvasPoint(e);
+    let box = null;
+
+    const markup = Drawing.buildShapeMarkup(shape);
+    this.showDrawPreview('', style);
+
+    this.trackPointer(e, (moveEvent) => {
+      box = Drawing.getShapeBox(start, this.getCanvasPoint(moveEvent), shape, moveEvent.shiftKey);
+      this.drawPreview.innerHTML = `
+        <svg x="${box.position.x}" y="${box.position.y}" width="${box.size.width}" height="${box.size.height}"
+          viewBox="0 0 ${Drawing.SHAPE_BOX} ${Drawing.SHAPE_BOX}" preserveAspectRatio="none">
+          ${box.flip ? Drawing.buildShapeMarkup(shape, true) : markup}
+        </svg>
+      `;
+    }, (upEvent, cancelled) => {
+      this.hideDrawPreview();
+      if (cancelled) return;
+
+      const dragged = box && Math.max(box.size.width, box.size.height) * this.zoom > CanvasApp.TAP_SLOP;
+      if (!dragged) {
+        const size = Drawing.DEFAULT_SHAPE_SIZE;
+        box = Drawing.getShapeBox(start, [start[0] + size, start[1] + (shape === 'line' ? 0 : size)], shape);
+      }
+
+      this.pushHistory();
+      const item = Store.createItem('shape', {
+        shape,
+        color: style.color,
+        strokeWidth: style.strokeWidth,
+        ...box
+      });
+      if (item) {
+        this.renderItem(item);
+        this.updateItemMembership(item.id);
+        this.updateCanvasBounds();
+      }
+    });
+  }
+
+  /**
+   * Erase whole strokes and shapes the pointer passes over, as one undo step
+   */
+  startErase(e) {
+    const radius = CanvasApp.ERASER_RADIUS / this.zoom;
+    const candidates = Store.getAllItems()
+      .filter(item => (item.type === 'stroke' || item.type === 'shape') && !this.isItemHidden(item.id));
+    const erased = new Set();
+
+    const eraseAlong = (from, to) => {
+      candidates.forEach(item => {
+        if (erased.has(item.id) || !Drawing.hitTestSegment(item, from, to, radius)) return;
+        erased.add(item.id);
+        const element = this.getItemElement(item.id);
+        if (element) element.classList.add('erased');
+      });
+    };
+
+    let last = this.getCanvasPoint(e);
+    eraseAlong(last, last);
+
+    this.trackPointer(e, (moveEvent) => {
+      const point = this.getCanvasPoint(moveEvent);
+      eraseAlong(last, point);
+      last = point;
+    }, (upEvent, cancelled) => {
+      if (cancelled) {
+        erased.forEach(id => {
+          const element = this.getItemElement(id);
+          if (element) element.classList.remove('erased');
+        });
+      } else if (erased.size > 0) {
+        this.deleteItems(Array.from(erased));
+      }
+    });
+  }
+
+  addChecklist() {
+    // Save state before adding
+    this.pushHistory();
+
+    const position = this.getNewItemPosition();
+
+    const checklist = Store.createItem('checklist', {
+      title: '',
+      items: [],
+      position,
+      size: { width: 280, height: 200 }
+    });
+
+    if (checklist) {
+      this.renderItem(checklist);
+      this.updateItemMembership(checklist.id);
+      this.selectItem(checklist.id);
+
+      // Focus the title input
+      setTimeout(() => {
+        const titleInput = this.canvasSurface.querySelector(`[data-item-id="${checklist.id}"] .item-title`);
+        if (titleInput) titleInput.focus();
+      }, 0);
+    }
+  }
+
+  renderChecklist(checklist) {
+    const element = document.createElement('div');
+    element.className = 'canvas-item checklist';
+    element.dataset.itemId = checklist.id;
+    element.style.left = `${checklist.position.x}px`;
+    element.style.top = `${checklist.position.y}px`;
+    element.style.width = `${checklist.size.width}px`;
+    element.style.height = `${checklist.size.height}px`;
+
+    element.innerHTML = `
+      <div class="item-header">
+        <input type="text" class="item-title" placeholder="Checklist title..." aria-label="Checklist title" value="${this.escapeHtml(checklist.title)}">
+        <div class="item-actions">
+          <button class="generate-btn" data-action="generate-checklist" title="Generate items with AI" aria-label="Generate items with AI">✨</button>
+          <button class="copy-btn" data-action="copy" title="Copy to clipboard" aria-label="Copy to clipboard">📋</button>
+          <button class="delete-btn" data-action="delete" title="Delete" aria-label="Delete">🗑</button>
+        </div>
+      </div>
+      <div class="item-content">
+        <ul class="checklist-items" aria-label="Checklist items">
+          ${this.renderChecklistItems(checklist.items)}
+        </ul>
+        <div class="add-checklist-item" data-action="add-checklist-item" role="button" tabindex="0">+ Add item</div>
+      </div>
+      <div class="resize-handle corner se"></div>
+      <div class="resize-handle edge e"></div>
+      <div class="resize-handle edge s"></div>
+      ${this.renderConnectHandles()}
+    `;
+
+    this.canvasSurface.appendChild(element);
+  }
+
+  renderChecklistItems(items) {
+    if (!items || items.length === 0) return '';
+
+    return items.map(item => `
+      <li class="checklist-item ${item.completed ? 'completed' : ''} ${item.nested ? `nested-${item.nested}` : ''}" data-item-id="${item.id}">
+        <input type="checkbox" ${item.completed ? 'checked' : ''} aria-label="${this.escapeHtml(item.text || 'Untitled item')}">
+        <input type="text" class="item-text" value="${this.escapeHtml(item.text)}" placeholder="Item..." aria-label="Item text">
+        <button class="item-delete" data-action="delete-checklist-item" title="Delete item" aria-label="Delete item">×</button>
+      </li>
+    `).join('');
+  }
+
+  addChecklistItem(checklistId) {
+    // Save state before adding checklist item
+    this.pushHistory();
+
+    const checklist = Store.getItem(checklistId);
+    if (!checklist) return;
+
+    const newItem = {
+      id: `ci_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`,
+      text: '',
+      completed: false,
+      nested: 0
+    };
+
+    Store.updateItem(checklistId, { items: [...checklist.items, newItem] });
+
+    // Re-render checklist items
+    const element = this.canvasSurface.querySelector(`[data-item-id="${checklistId}"]`);
+    const ul = element.querySelector('.checklist-items');
+    ul.innerHTML = this.renderChecklistItems(checklist.items);
+
+    // Auto-resize
+    setTimeout(() => {
+      this.autoResizeChecklist(checklistId);
+
+      // Focus the new item
+      const inputs = ul.querySelectorAll('.item-text');
+      if (inputs.length > 0) {
+        inputs[inputs.length - 1].focus();
+      }
+    }, 0);
+  }
+
+  async generateChecklistItems(checklistId, userPrompt) {
+    const checklist = Store.getItem(checklistId);
+    if (!checklist) return;
+
+    const { provider, apiKey, ...options } = await Store.getAiSettings();
+
+    if (!apiKey) {
+      alert('Please set your API key in Settings (gear icon) first.');
+      return;
+    }
+
+    // Show loading state
+    const element = this.canvasSurface.querySelector(`[data-item-id="${checklistId}"]`);
+    const generateBtn = element.querySelector('.generate-btn');
+    const originalText = generateBtn.textContent;
+    generateBtn.textContent = '⏳';
+    generateBtn.disabled = true;
+
+    try {
+      const result = await AIService.generateChecklistItems(userPrompt, apiKey, provider, null, options);
+
+      // Save state before adding items
+      this.pushHistory();
+
+      // Update title if empty and AI generated one
+      let title = checklist.title;
+      if (result.title && (!checklist.title || checklist.title.trim() === '')) {
+        title = result.title;
+        const titleInput = element.querySelector('.item-title');
+        if (titleInput) {
+          titleInput.value = result.title;
+        }
+      }
+
+      // Add generated items
+      const newItems = result.items.map(text => ({
+        id: `ci_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`,
+        text: text,
+        completed: false,
+        nested: 0
+      }));
+
+      Store.updateItem(checklistId, { title, items: [...checklist.items, ...newItems] });
+
+      // Re-render checklist items
+      const ul = element.querySelector('.checklist-items');
+      ul.innerHTML = this.renderChecklistItems(checklist.items);
+
+      // Auto-resize
+      setTimeout(() => this.autoResizeChecklist(checklistId), 0);
+
+    } catch (err) {
+      console.error('[SpawnCanvas] AI generation error:', err);
+      alert('AI generation failed: ' + err.message);
+    } finally {
+      generateBtn.textContent = originalText;
+      generateBtn.disabled = false;
+    }
+  }
+
+  async expandNoteContent(noteId, userPrompt) {
+    const note = Store.getItem(noteId);
+    if (!note) return;
+
+    const { provider, apiKey, ...options } = await Store.getAiSettings();
+
+    if (!apiKey) {
+      alert('Please set your API key in Settings (gear icon) first.');
+      return;
+    }
+
+    // Show loading state
+    const element = this.canvasSurface.querySelector(`[data-item-id="${noteId}"]`);
+    const expandBtn = element.querySelector('[data-action="expand-note"]');
+    const originalText = expandBtn.textContent;
+    expandBtn.textContent = '⏳';
+    expandBtn.disabled = true;
+
+    try {
+      const result = await AIService.expandNote(userPrompt, note.content, apiKey, provider, null, options);
+
+      // Save state before updating
+      this.pushHistory();
+
+      // Update title if empty and AI generated one
+      let title = note.title;
+      if (result.title && (!note.title || note.title.trim() === '')) {
+        title = result.title;
+        const titleInput = element.querySelector('.item-title');
+        if (titleInput) {
+          titleInput.value = result.title;
+        }
+      }
+
+      // Update note content
+      Store.updateItem(noteId, { title, content: result.content });
+
+      // Update textarea
+      const textarea = element.querySelector('.note-content');
+      if (textarea) {
+        textarea.value = result.content;
+      }
+
+      // Refresh the Markdown preview if it is showing
+      if (note.markdown) {
+        this.renderMarkdownPreview(noteId);
+      }
+
+    } catch (err) {
+      console.error('[SpawnCanvas] AI expansion error:', err);
+      alert('AI expansion failed: ' + err.message);
+    } finally {
+      expandBtn.textContent = originalText;
+      expandBtn.disabled = false;
+    }
+  }
+
+  toggleChecklistItem(checklistId, itemId, completed) {
+    // Save state before toggling
+    this.pushHistory();
+
+    const checklist = Store.getItem(checklistId);
+    if (!checklist) return;
+
+    const item = checklist.items.find(i => i.id === itemId);
+    if (item) {
+      Store.updateItem(checklistId, {
+        items: checklist.items.map(i => i.id === itemId ? { ...i, completed } : i)
+      });
+
+      const li = this.canvasSurface.querySelector(`[data-item-id="${checklistId}"] [data-item-id="${itemId}"]`);
+      if (li) {
+        li.classList.toggle('completed', completed);
+      }
+      this.announce(completed ? 'Checklist item completed' : 'Checklist item not completed');
+    }
+  }
+
+  updateChecklistItemText(checklistId, itemId, text) {
+    const checklist = Store.getItem(checklistId);
+    if (!checklist) return;
+
+    const item = checklist.items.find(i => i.id === itemId);
+    if (item) {
+      this.pushHistory(`checklist-text:${checklistId}:${itemId}`);
+      Store.updateItem(checklistId, {
+        items: checklist.items.map(i => i.id === itemId ? { ...i, text } : i)
+      });
+
+      const checkbox = this.canvasSurface.querySelector(
+        `[data-item-id="${checklistId}"] [data-item-id="${itemId}"] input[type="checkbox"]`);
+      if (checkbox) {
+        checkbox.setAttribute('aria-label', text || 'Untitled item');
+      }
+    }
+  }
+
+  deleteChecklistItem(checklistId, itemId) {
+    // Save state before deleting checklist item
+    this.pushHistory();
+
+    const checklist = Store.getItem(checklistId);
+    if (!checklist) return;
+
+    const index = checklist.items.findIndex(i => i.id === itemId);
+    if (index > -1) {
+      Store.updateItem(checklistId, { items: checklist.items.filter(i => i.id !== itemId) });
+
+      const li = this.canvasSurface.querySelector(`[data-item-id="${checklistId}"] [data-item-id="${itemId}"]`);
+      if (li) {
+        li.remove();
+        // Auto-resize
+        this.autoResizeChecklist(checklistId);
+      }
+      this.announce('Checklist item deleted');
+    }
+  }
+
+
+  toggleChecklistItemNesting(checklistId, itemId, indent) {
+    // Save state before changing nesting
+    this.pushHistory();
+
+    const checklist = Store.getItem(checklistId);
+    if (!checklist) return;
+
+    const item = checklist.items.find(i => i.id === itemId);
+    if (item) {
+      let nested = item.nested || 0;
+      if (indent && nested < 2) {
+        nested += 1;
+      } else if (!indent && nested > 0) {
+        nested -= 1;
+      }
+      Store.updateItem(checklistId, {
+        items: checklist.items.map(i => i.id === itemId ? { ...i, nested } : i)
+      });
+
+      const li = this.canvasSurface.querySelector(`[data-item-id="${checklistId}"] [data-item-id="${itemId}"]`);
+      if (li) {
+        li.classList.remove('nested-1', 'nested-2');
+        if (nested > 0) {
+          li.classList.add(`nested-${nested}`);
+        }
+      }
+    }
+  }
+
+  addContainer() {
+    // Save state before adding
+    this.pushHistory();
+
+    const position = this.getNewItemPosition();
+
+    const colors = ['red', 'orange', 'yellow', 'green', 'teal', 'blue', 'purple', 'pink'];
+    const randomColor = colors[Math.floor(Math.random() * colors.length)];
+
+    const container = Store.createItem('container', {
+      title: '',
+      color: randomColor,
+      position,
+      size: { width: 350, height: 250 },
+      children: []
+    });
+
+    if (container) {
+      this.renderItem(container);
+      this.updateItemMembership(container.id);
+      this.selectItem(container.id);
+
+      // Focus the title input
+      setTimeout(() => {
+        const titleInput = this.canvasSurface.querySelector(`[data-item-id="${container.id}"] .item-title`);
+        if (titleInput) titleInput.focus();
+      }, 0);
+    }
+  }
+
+  renderContainer(container) {
+    const element = document.createElement('div');
+    element.className = `canvas-item container color-${container.color}${container.collapsed ? ' collapsed' : ''}`;
+    element.dataset.itemId = container.id;
+    element.style.left = `${container.position.x}px`;
+    element.style.top = `${container.position.y}px`;
+    element.style.width = `${container.size.width}px`;
+    element.style.height = `${container.size.height}px`;
+
+    element.innerHTML = `
+      <div class="container-color-bar"></div>
+      <div class="item-header">
+        <button class="collapse-btn" data-action="toggle-collapse" title="${container.collapsed ? 'Expand' : 'Collapse'}" aria-label="${container.collapsed ? 'Expand' : 'Collapse'}">${container.collapsed ? '▸' : '▾'}</button>
+        <input type="text" class="item-title" placeholder="Container title..." aria-label="Container title" value="${this.escapeHtml(container.title)}">
+        <span class="container-count">${(container.children || []).length || ''}</span>
+        <div class="item-actions">
+          <button class="layout-btn" data-action="layout-container" title="Tidy contents into a grid" aria-label="Tidy contents into a grid">▦</button>
+          <button class="color-btn" data-action="cycle-color" title="Change color" aria-label="Change color">🎨</button>
+          <button class="delete-btn" data-action="delete" title="Delete" aria-label="Delete">🗑</button>
+        </div>
+      </div>
+      <div class="container-content">
+        <!-- Contained items would be rendered here -->
+      </div>
+      <div class="resize-handle corner se"></div>
+      <div class="resize-handle edge e"></div>
+      <div class="resize-handle edge s"></div>
+      ${this.renderConnectHandles()}
+    `;
+
+    this.canvasSurface.appendChild(element);
+  }
+
+  cycleContainerColor(containerId) {
+    // Save state before changing color
+    this.pushHistory();
+
+    const container = Store.getItem(containerId);
+    if (!container) return;
+
+    const colors = ['red', 'orange', 'yellow', 'green', 'teal', 'blue', 'purple', 'pink'];
+    const currentIndex = colors.indexOf(container.color);
+    const nextIndex = (currentIndex + 1) % colors.length;
+
+    const newColor = colors[nextIndex];
+    Store.updateItem(containerId, { color: newColor });
+
+    const element = this.canvasSurface.querySelector(`[data-item-id="${containerId}"]`);
+    if (element) {
+      colors.forEach(c => element.classList.remove(`color-${c}`));
+      element.classList.add(`color-${newColor}`);
+    }
+  }
+
+  /**
+   * Get all items that belong to a container, including nested containers' contents
+   */
+  getItemsInsideContainer(containerId) {
+    const container = Store.getItem(containerId);
+    if (!container || container.type !== 'container') return [];
+
+    return Store.getDescendants(containerId);
+  }
+
+  /**
+   * Find the innermost expanded container under an item's center point.
+   * The item itself and its own descendants are never candidates.
+   */
+  findDropContainer(itemId, position) {
+    const item = Store.getItem(itemId);
+    if (!item) return null;
+
+    const excluded = new Set([itemId, ...this.getItemsInsideContainer(itemId).map(child => child.id)]);
+    const centerX = position.x + item.size.width / 2;
+    const centerY = position.y + item.size.height / 2;
+
+    const candidates = this.getSpatialItems().filter(container =>
+      container.type === 'container' &&
+      !container.collapsed &&
+      !excluded.has(container.id) &&
+      !this.isItemHidden(container.id) &&
+      centerX >= container.position.x && centerX <= container.position.x + container.size.width &&
+      centerY >= container.position.y && centerY <= container.position.y + container.size.height);
+
+    if (candidates.length === 0) return null;
+    return candidates.reduce((a, b) =>
+      a.size.width * a.size.height <= b.size.width * b.size.height ? a : b);
+  }
+
+  /**
+   * Assign an item to the container it was dropped on, or release it when dragged out
+   */
+  updateItemMembership(itemId) {
+    const item = Store.getItem(itemId);
+    if (!item || item.type === 'connector') return;
+
+    const target = this.findDropContainer(itemId, item.position);
+    const current = Store.getParentContainer(itemId);
+    const targetId = target ? target.id : null;
+    if ((current ? current.id : null) === targetId) return;
+
+    Store.setItemParent(itemId, targetId);
+
+    // Land on top of its new siblings
+    Store.restackItems([itemId], 'front');
+    this.applyStackOrder();
+  }
+
+  updateContainerCount(containerId) {
+    const container = Store.getItem(containerId);
+    const count = this.canvasSurface.querySelector(`[data-item-id="${containerId}"] .container-count`);
+    if (container && count) {
+      count.textContent = (container.children || []).length || '';
+    }
+  }
+
+  toggleContainerCollapsed(containerId) {
+    const container = Store.getItem(containerId);
+    if (!container || container.type !== 'container') return;
+
+    // Save state before collapsing
+    this.pushHistory();
+
+    this.setContainerCollapsed(containerId, !container.collapsed);
+    this.applyCollapsedState();
+  }
+
+  setContainerCollapsed(containerId, collapsed) {
+    Store.updateItem(containerId, { collapsed });
+
+    const element = this.canvasSurface.querySelector(`[data-item-id="${containerId}"]`);
+    if (element) {
+      element.classList.toggle('collapsed', collapsed);
+      const button = element.querySelector('.collapse-btn');
+      button.textContent = collapsed ? '▸' : '▾';
+      button.title = collapsed ? 'Expand' : 'Collapse';
+      button.setAttribute('aria-label', button.title);
+    }
+  }
+
+  /**
+   * Expand any collapsed containers an item is nested in so it becomes visible
+   */
+  expandContainersAround(itemId) {
+    let expanded = false;
+    let parent = Store.getParentContainer(itemId);
+    while (parent) {
+      if (parent.collapsed) {
+        this.setContainerCollapsed(parent.id, false);
+        expanded = true;
+      }
+      parent = Store.getParentContainer(parent.id);
+    }
+
+    if (expanded) {
+      this.applyCollapsedState();
+    }
+  }
+
+  /**
+   * Recompute which items are inside collapsed containers
+   */
+  updateHiddenItems() {
+    const hidden = new Set();
+    Store.getAllItems()
+      .filter(item => item.type === 'container' && item.collapsed)
+      .forEach(container => {
+        this.getItemsInsideContainer(container.id).forEach(child => hidden.add(child.id));
+      });
+    this.hiddenItemIds = hidden;
+  }
+
+  /**
+   * Hide everything inside collapsed containers and re-route affected connectors
+   */
+  applyCollapsedState() {
+    this.updateHiddenItems();
+    const hidden = this.hiddenItemIds;
+
+    const changed = [];
+    this.canvasSurface.querySelectorAll('.canvas-item').forEach(element => {
+      const id = element.dataset.itemId;
+      const hide = hidden.has(id);
+      if (element.classList.contains('collapsed-hidden') !== hide) {
+        element.classList.toggle('collapsed-hidden', hide);
+        changed.push(id);
+      }
+      if (hide && this.selectedItems.has(id)) {
+        this.selectedItems.delete(id);
+        element.classList.remove('selected');
+      }
+      if (element.classList.contains('container')) {
+        changed.push(id);
+      }
+    });
+
+    this.updateConnectorsFor(changed);
+    this.scheduleMinimapRender();
+    this.updateSelectionBounds();
+  }
+
+  isItemHidden(id) {
+    return this.hiddenItemIds.has(id);
+  }
+
+  startDrag(e, element, itemId) {
+    const item = Store.getItem(itemId);
+    if (!item) return;
+
+    const startX = e.clientX;
+    const startY = e.clientY;
+
+    // Dragging part of a multi-selection moves the whole selection;
+    // containers bring their contents along
+    const { rootIds, ids } = this.getMoveGroup(itemId);
+    // Off-screen members may not be rendered; they only get their new position on drop
+    const moving = ids.map(id => ({
+      id,
+      element: this.canvasSurface.querySelector(`[data-item-id="${id}"]`),
+      startPos: { ...Store.getItem(id).position },
+      position: null
+    }));
+    const bounds = Alignment.getBounds(ids.map(id => this.getItemRect(id)).filter(Boolean));
+
+    // Lift everything that moves so the group keeps its own stacking order
+    const movingElements = moving.filter(entry => entry.element).map(entry => entry.element);
+    movingElements.forEach(element => element.classList.add('dragging'));
+
+    // Other visible items the group can line up with
+    const snapTargets = this.getSpatialItems()
+      .filter(other => !ids.includes(other.id) && !this.isItemHidden(other.id))
+      .map(other => this.getItemRect(other.id));
+
+    let moved = false;
+
+    const onPointerMove = (moveEvent) => {
+      // Small jitters (a finger or pen settling) aren't a drag yet
+      if (!moved && Math.hypot(moveEvent.clientX - startX, moveEvent.clientY - startY) <= CanvasApp.TAP_SLOP &&
+        moveEvent.pointerType !== 'mouse') {
+        return;
+      }
+
+      // Convert screen delta to canvas units
+      const deltaX = (moveEvent.clientX - startX) / this.zoom;
+      const deltaY = (moveEvent.clientY - startY) / this.zoom;
+
+      // Line edges and centres up with nearby items, otherwise snap the group's
+      // corner to the grid, and keep the whole group on the canvas
+      const rect = { ...bounds, left: bounds.left + deltaX, top: bounds.top + deltaY };
+      const snap = Alignment.findSnap(rect, snapTargets, Alignment.SNAP_THRESHOLD / this.zoom);
+      const left = snap.x !== null ? rect.left + snap.x : this.snapToGrid(rect.left);
+      const top = snap.y !== null ? rect.top + snap.y : this.snapToGrid(rect.top);
+      const limit = CanvasApp.MAX_CANVAS_EXTENT;
+      const offsetX = Math.max(-limit, Math.min(left, limit - bounds.width)) - bounds.left;
+      const offsetY = Math.max(-limit, Math.min(top, limit - bounds.height)) - bounds.top;
+
+      const movedBounds = { ...bounds, left: bounds.left + offsetX, top: bounds.top + offsetY };
+      this.showSnapGuides(Alignment.getGuides(movedBounds, snapTargets));
+
+      // Grow the canvas as the group nears its edges
+      this.updateCanvasBounds([movedBounds]);
+
+      moving.forEach(entry => {
+        entry.position = { x: entry.startPos.x + offsetX, y: entry.startPos.y + offsetY };
+        if (entry.element) {
+          entry.element.style.left = `${entry.position.x}px`;
+          entry.element.style.top = `${entry.position.y}px`;
+        }
+      });
+      moved = true;
 
-    const note = Store.createItem('note', {
-      title: 'Copied content',
-      content: content,
-      position,
-      size: { width: 300, height: estimatedHeight }
+      // Attached connectors follow the moving items
+      this.updateConnectorsFor(ids);
+      this.updateSelectionBounds();
+    };
+
+    const onPointerUp = (upEvent, cancelled) => {
+      movingElements.forEach(element => element.classList.remove('dragging'));
+      this.showSnapGuides([]);
+
+      if (cancelled) {
+        // Put everything back where it was
+        moving.forEach(entry => {
+          if (entry.element) {
+            entry.element.style.left = `${entry.startPos.x}px`;
+            entry.element.style.top = `${entry.startPos.y}px`;
+          }
+        });
+        this.updateConnectorsFor(ids);
+        this.updateSelectionBounds();
+        return;
+      }
+
+      // Save final positions to store (one undo step for the whole group)
+      this.pushHistory();
+      moving.forEach(entry => {
+        if (entry.position) {
+          Store.updateItem(entry.id, { position: entry.position });
+        }
+      });
+
+      // Dropping into or dragging out of a container changes membership
+      if (moved) {
+        rootIds.forEach(id => this.updateItemMembership(id));
+      }
+    };
+
+    this.trackPointer(e, onPointerMove, onPointerUp);
+  }
+
+  /**
+   * Items that move when an item is dragged: the selection if the item is part of it
+   * (otherwise just the item), plus the contents of any containers among them
+   * @returns {{rootIds: Array<string>, ids: Array<string>}} Top-level items and every item to move
+   */
+  getMoveGroup(itemId) {
+    const candidates = this.selectedItems.has(itemId)
+      ? Array.from(this.selectedItems).filter(id => {
+        const item = Store.getItem(id);
+        return item && item.type !== 'connector' && !this.isItemHidden(id);
+      })
+      : [itemId];
+
+    // Items inside a selected container move with it rather than on their own
+    const nested = new Set();
+    candidates.forEach(id => {
+      Store.getDescendants(id).forEach(child => nested.add(child.id));
     });
+    const rootIds = candidates.filter(id => !nested.has(id));
 
-    if (note) {
-      this.renderNote(note);
-      this.selectItem(note.id);
-    }
+    return { rootIds, ids: [...rootIds, ...nested] };
   }
 
   /**
-   * Create an image item from pasted image (when nothing is focused)
+   * Smallest size an item can be resized to
    */
-  createImageFromPaste(blob) {
-    const reader = new FileReader();
-    reader.onload = (e) => {
-      const base64Data = e.target.result;
+  getMinItemSize(item) {
+    if (item.type === 'container') return { width: 300, height: 200 };
+    if (item.type === 'image') return { width: 50, height: 50 };
+    if (item.type === 'stroke' || item.type === 'shape') return { width: 1, height: 1 };
+    return { width: 200, height: 100 };
+  }
 
-      // Get image dimensions
-      const img = new Image();
-      img.onload = () => {
-        // Scale down if too large (max 800px width/height)
-        let width = img.width;
-        let height = img.height;
-        const maxSize = 800;
-
-        if (width > maxSize || height > maxSize) {
-          const ratio = Math.min(maxSize / width, maxSize / height);
-          width = Math.round(width * ratio);
-          height = Math.round(height * ratio);
-        }
+  startResize(e, element, itemId, handle) {
+    const item = Store.getItem(itemId);
+    if (!item) return;
+
+    const startX = e.clientX;
+    const startY = e.clientY;
+    const startSize = { ...item.size };
+
+    const isRight = handle.classList.contains('e') || handle.classList.contains('se');
+    const isBottom = handle.classList.contains('s') || handle.classList.contains('se');
+
+    const { width: minWidth, height: minHeight } = this.getMinItemSize(item);
+
+    const onPointerMove = (moveEvent) => {
+      // Convert screen delta to canvas units
+      const deltaX = (moveEvent.clientX - startX) / this.zoom;
+      const deltaY = (moveEvent.clientY - startY) / this.zoom;
+
+      const size = { ...item.size };
+
+      if (isRight) {
+        size.width = Math.max(minWidth, this.snapToGrid(startSize.width + deltaX));
+        element.style.width = `${size.width}px`;
+      }
+
+      if (isBottom) {
+        size.height = Math.max(minHeight, this.snapToGrid(startSize.height + deltaY));
+        element.style.height = `${size.height}px`;
+      }
+
+      // Store size for save on pointer up
+      element._pendingSize = size;
 
-        // Ensure minimum size
-        width = Math.max(100, width);
-        height = Math.max(100, height);
+      // Attached connectors follow the resized edges
+      this.updateConnectorsFor([itemId]);
+    };
 
+    const onPointerUp = (upEvent, cancelled) => {
+      if (cancelled) {
+        element.style.width = `${startSize.width}px`;
+        element.style.height = `${startSize.height}px`;
+        this.updateConnectorsFor([itemId]);
+      } else if (element._pendingSize) {
+        // Save final size to store
         this.pushHistory();
-        const position = this.getNewItemPosition();
+        Store.updateItem(itemId, { size: element._pendingSize });
+      }
+      delete element._pendingSize;
+    };
 
-        const imageItem = Store.createItem('image', {
-          imageData: base64Data,
-          position,
-          size: { width, height }
+    this.trackPointer(e, onPointerMove, onPointerUp);
+  }
+
+  /**
+   * Show the group bounding box (with resize handles) around a multi-selection
+   */
+  updateSelectionBounds() {
+    if (!this.selectionBounds) return;
+
+    const rects = this.getSelectionRootIds()
+      .map(id => this.getItemRect(id))
+      .filter(Boolean);
+
+    if (rects.length < 2) {
+      this.selectionBounds.classList.add('hidden');
+      this.alignActions.classList.add('hidden');
+      return;
+    }
+
+    const bounds = Alignment.getBounds(rects);
+    this.selectionBounds.style.left = `${bounds.left}px`;
+    this.selectionBounds.style.top = `${bounds.top}px`;
+    this.selectionBounds.style.width = `${bounds.width}px`;
+    this.selectionBounds.style.height = `${bounds.height}px`;
+    this.selectionBounds.classList.remove('hidden');
+
+    // Align toolbar sits above the group; distributing needs three items
+    this.alignActions.style.left = `${bounds.left + bounds.width / 2}px`;
+    this.alignActions.style.top = `${bounds.top}px`;
+    this.alignActions.querySelectorAll('.distribute-btn').forEach(button => {
+      button.classList.toggle('hidden', rects.length < 3);
+    });
+    this.alignActions.classList.remove('hidden');
+  }
+
+  /**
+   * Selected items (excluding connectors) that aren't inside another selected container
+   */
+  getSelectionRootIds() {
+    const ids = Array.from(this.selectedItems).filter(id => {
+      const item = Store.getItem(id);
+      return item && item.type !== 'connector' && !this.isItemHidden(id);
+    });
+    return ids.length > 0 ? this.getMoveGroup(ids[0]).rootIds : [];
+  }
+
+  /**
+   * Resize a multi-selection by dragging its bounding box; every item
+   * (and the contents of selected containers) scales proportionally
+   */
+  startGroupResize(e, handle) {
+    const rootIds = this.getSelectionRootIds();
+    if (rootIds.length < 2) return;
+
+    const startX = e.clientX;
+    const startY = e.clientY;
+    const bounds = Alignment.getBounds(rootIds.map(id => this.getItemRect(id)));
+    const { ids } = this.getMoveGroup(rootIds[0]);
+
+    const isRight = handle.classList.contains('e') || handle.classList.contains('se');
+    const isBottom = handle.classList.contains('s') || handle.classList.contains('se');
+
+    const scaled = ids.map(id => {
+      const item = Store.getItem(id);
+      return {
+        id,
+        element: this.canvasSurface.querySelector(`[data-item-id="${id}"]`),
+        startPos: { ...item.position },
+        startSize: { ...item.size },
+        minSize: this.getMinItemSize(item),
+        position: null,
+        size: null
+      };
+    });
+
+    const onPointerMove = (moveEvent) => {
+      // Convert screen delta to canvas units
+      const deltaX = (moveEvent.clientX - startX) / this.zoom;
+      const deltaY = (moveEvent.clientY - startY) / this.zoom;
+
+      // Snap the group's far edges to the grid and keep them on the canvas
+      let scaleX = 1;
+      let scaleY = 1;
+      if (isRight) {
+        const width = this.snapToGrid(bounds.width + deltaX);
+        scaleX = Math.max(this.gridSize, Math.min(width, CanvasApp.MAX_CANVAS_EXTENT - bounds.left)) / bounds.width;
+      }
+      if (isBottom) {
+        const height = this.snapToGrid(bounds.height + deltaY);
+        scaleY = Math.max(this.gridSize, Math.min(height, CanvasApp.MAX_CANVAS_EXTENT - bounds.top)) / bounds.height;
+      }
+
+      scaled.forEach(entry => {
+        const position = {
+          x: Math.round(bounds.left + (entry.startPos.x - bounds.left) * scaleX),
+          y: Math.round(bounds.top + (entry.startPos.y - bounds.top) * scaleY)
+        };
+        const size = {
+          width: Math.max(entry.minSize.width, Math.round(entry.startSize.width * scaleX)),
+          height: Math.max(entry.minSize.height, Math.round(entry.startSize.height * scaleY))
+        };
+        entry.position = position;
+        entry.size = size;
+        if (entry.element) {
+          entry.element.style.left = `${position.x}px`;
+          entry.element.style.top = `${position.y}px`;
+          entry.element.style.width = `${size.width}px`;
+          entry.element.style.height = `${size.height}px`;
+        }
+      });
+
+      this.updateConnectorsFor(ids);
+      this.updateSelectionBounds();
+    };
+
+    const onPointerUp = (upEvent, cancelled) => {
+      if (cancelled) {
+        scaled.forEach(entry => {
+          if (entry.element) {
+            entry.element.style.left = `${entry.startPos.x}px`;
+            entry.element.style.top = `${entry.startPos.y}px`;
+            entry.element.style.width = `${entry.startSize.width}px`;
+            entry.element.style.height = `${entry.startSize.height}px`;
+          }
         });
+        this.updateConnectorsFor(ids);
+        this.updateSelectionBounds();
+        return;
+      }
 
-        if (imageItem) {
-          this.renderImage(imageItem);
-          this.selectItem(imageItem.id);
+      // Save final positions and sizes to store (one undo step for the whole group)
+      this.pushHistory();
+      scaled.forEach(entry => {
+        if (entry.size) {
+          Store.updateItem(entry.id, { position: entry.position, size: entry.size });
         }
-      };
-      img.src = base64Data;
+      });
     };
-    reader.readAsDataURL(blob);
+
+    this.trackPointer(e, onPointerMove, onPointerUp);
+  }
+
+  /**
+   * Round a canvas coordinate to the grid, unless grid snapping is off for this workspace
+   */
+  snapToGrid(value) {
+    if (!Store.isGridSnapEnabled()) return Math.round(value);
+    return Math.round(value / this.gridSize) * this.gridSize;
+  }
+
+  toggleGridSnap() {
+    Store.setGridSnap(!Store.isGridSnapEnabled());
+    this.updateGridSnapButton();
+  }
+
+  updateGridSnapButton() {
+    const enabled = Store.isGridSnapEnabled();
+    this.gridSnapBtn.classList.toggle('active', enabled);
+    this.gridSnapBtn.title = enabled ? 'Snap to grid: on' : 'Snap to grid: off';
   }
 
-  renderNote(note) {
-    const element = document.createElement('div');
-    element.className = 'canvas-item note';
-    element.dataset.itemId = note.id;
-    element.style.left = `${note.position.x}px`;
-    element.style.top = `${note.position.y}px`;
-    element.style.width = `${note.size.width}px`;
-    element.style.height = `${note.size.height}px`;
+  /**
+   * Draw alignment guide lines (pass an empty list to clear them)
+   * @param {Array} guides - Guides from Alignment.getGuides
+   */
+  showSnapGuides(guides) {
+    this.snapGuides.innerHTML = guides.map(guide => {
+      const style = guide.orientation === 'vertical'
+        ? `left: ${guide.position}px; top: ${guide.start}px; height: ${guide.end - guide.start}px;`
+        : `top: ${guide.position}px; left: ${guide.start}px; width: ${guide.end - guide.start}px;`;
+      return `<div class="snap-guide ${guide.orientation}" style="${style}"></div>`;
+    }).join('');
+  }
+
+  /**
+   * Align, distribute or match the sizes of the selected items as one undo step.
+   * Containers bring their contents along.
+   * @param {string} action - 'align-<mode>', 'distribute-<axis>', 'match-width' or 'match-height'
+   */
+  arrangeSelection(action) {
+    const rootIds = this.getSelectionRootIds();
+    if (rootIds.length < 2) return;
+
+    const rects = rootIds.map(id => ({ id, ...this.getItemRect(id) }));
+    let arranged;
+    if (action.startsWith('align-')) {
+      arranged = Alignment.align(rects, action.slice('align-'.length));
+    } else if (action.startsWith('distribute-')) {
+      if (rects.length < 3) return;
+      arranged = Alignment.distribute(rects, action.slice('distribute-'.length));
+    } else if (action === 'match-width' || action === 'match-height') {
+      arranged = Alignment.matchSize(rects, action.slice('match-'.length));
+    } else {
+      return;
+    }
+
+    // Save state before arranging
+    this.pushHistory();
+
+    const changedIds = [];
+    arranged.forEach((rect, index) => {
+      const item = Store.getItem(rect.id);
+      const original = rects[index];
+      const changes = {};
+
+      const offsetX = rect.left - original.left;
+      const offsetY = rect.top - original.top;
+      if (offsetX !== 0 || offsetY !== 0) {
+        changes.position = { x: item.position.x + offsetX, y: item.position.y + offsetY };
+        Store.getDescendants(item.id).forEach(child => {
+          Store.updateItem(child.id, {
+            position: { x: child.position.x + offsetX, y: child.position.y + offsetY }
+          });
+          changedIds.push(child.id);
+        });
+      }
+
+      // Collapsed containers keep their expanded height
+      const minSize = this.getMinItemSize(item);
+      const size = { ...item.size };
+      if (rect.width !== original.width) {
+        size.width = Math.max(minSize.width, rect.width);
+      }
+      if (rect.height !== original.height && !(item.type === 'container' && item.collapsed)) {
+        size.height = Math.max(minSize.height, rect.height);
+      }
+      if (size.width !== item.size.width || size.height !== item.size.height) {
+        changes.size = size;
+      }
+
+      if (Object.keys(changes).length > 0) {
+        Store.updateItem(item.id, changes);
+        changedIds.push(item.id);
+      }
+    });
+
+    changedIds.forEach(id => this.applyItemGeometry(id));
+    rootIds.forEach(id => this.updateItemMembership(id));
+    this.updateConnectorsFor(changedIds);
+    this.updateSelectionBounds();
+  }
+
+  /**
+   * What auto-layout applies to: a single selected container's contents,
+   * or two or more selected items
+   * @returns {{ids: Array<string>, container: object|null}|null} Target or null
+   */
+  getAutoLayoutTarget() {
+    const rootIds = this.getSelectionRootIds();
+    if (rootIds.length === 1) {
+      const item = Store.getItem(rootIds[0]);
+      if (item.type !== 'container' || item.collapsed) return null;
+      const ids = (item.children || []).filter(id => Store.getItem(id));
+      return ids.length > 0 ? { ids, container: item } : null;
+    }
+    return rootIds.length >= 2 ? { ids: rootIds, container: null } : null;
+  }
+
+  /**
+   * Auto-layout the selection (or the selected container's contents)
+   * @param {string} layout - Layout key from AutoLayout.LAYOUTS
+   */
+  autoLayout(layout) {
+    const target = this.getAutoLayoutTarget();
+    if (target) {
+      this.layoutItems(target.ids, layout, target.container);
+    }
+  }
+
+  layoutContainer(containerId, layout) {
+    const container = Store.getItem(containerId);
+    if (!container || container.collapsed) return;
+
+    const ids = (container.children || []).filter(id => Store.getItem(id));
+    if (ids.length > 0) {
+      this.layoutItems(ids, layout, container);
+    }
+  }
+
+  /**
+   * Rearrange items without overlaps as one undo step. Containers bring their
+   * contents along and grow to fit what they hold.
+   * @param {Array<string>} ids - Items to arrange
+   * @param {string} layout - Layout key from AutoLayout.LAYOUTS
+   * @param {object|null} container - Lay out inside this container (its direct children)
+   */
+  layoutItems(ids, layout, container) {
+    const rects = ids.map(id => {
+      const item = Store.getItem(id);
+      return { id, ...this.getItemRect(id), createdAt: item.createdAt, title: item.title || '' };
+    });
+
+    const options = {};
+    if (container) {
+      options.container = container;
+    } else {
+      // Keep clear of the items that aren't being arranged (other than the containers around them)
+      const moving = new Set(ids.flatMap(id => [id, ...Store.getDescendants(id).map(item => item.id)]));
+      const enclosing = new Set();
+      ids.forEach(id => {
+        for (let parent = Store.getParentContainer(id); parent && !enclosing.has(parent.id);
+          parent = Store.getParentContainer(parent.id)) {
+          enclosing.add(parent.id);
+        }
+      });
+      options.avoid = this.getSpatialItems()
+        .filter(item => !moving.has(item.id) && !enclosing.has(item.id) && !this.isItemHidden(item.id))
+        .map(item => this.getItemRect(item.id));
+    }
+    const arranged = AutoLayout.arrange(rects, layout, options);
+
+    // Save state before arranging
+    this.pushHistory();
+
+    const changedIds = [];
+    arranged.forEach((rect, index) => {
+      const offsetX = rect.left - rects[index].left;
+      const offsetY = rect.top - rects[index].top;
+      if (offsetX === 0 && offsetY === 0) return;
+
+      [Store.getItem(rect.id), ...Store.getDescendants(rect.id)].forEach(item => {
+        Store.updateItem(item.id, {
+          position: { x: item.position.x + offsetX, y: item.position.y + offsetY }
+        });
+        this.applyItemGeometry(item.id);
+        changedIds.push(item.id);
+      });
+    });
+
+    // Containers holding the arranged items grow to fit them
+    const parentIds = new Set(ids.map(id => Store.getParentContainer(id)).filter(Boolean).map(parent => parent.id));
+    parentIds.forEach(parentId => this.growContainerToFit(parentId, changedIds));
+
+    this.updateConnectorsFor(changedIds);
+    this.updateSelectionBounds();
+  }
+
+  /**
+   * Enlarge a container (and the containers around it) so its contents fit inside
+   * @param {string} containerId - Container ID
+   * @param {Array<string>} [changedIds] - Collects the IDs of resized containers
+   */
+  growContainerToFit(containerId, changedIds = []) {
+    const container = Store.getItem(containerId);
+    if (!container || container.type !== 'container') return;
+
+    const rects = (container.children || []).map(id => this.getItemRect(id)).filter(Boolean);
+    if (rects.length === 0) return;
+
+    Store.getGrownContainers(Store.getAllItems(), container, Alignment.getBounds(rects))
+      .forEach(({ id, size }) => {
+        Store.updateItem(id, { size });
+        this.applyItemGeometry(id);
+        changedIds.push(id);
+      });
+  }
+
+  /**
+   * Move and size an item's element to match the store
+   */
+  applyItemGeometry(id) {
+    const item = Store.getItem(id);
+    const element = this.canvasSurface.querySelector(`.canvas-item[data-item-id="${id}"]`);
+    if (!item || !element) return;
+
+    element.style.left = `${item.position.x}px`;
+    element.style.top = `${item.position.y}px`;
+    element.style.width = `${item.size.width}px`;
+    element.style.height = `${item.size.height}px`;
+  }
+
+  deleteItem(id) {
+    this.deleteItems([id]);
+  }
+
+  // ============================================
+  // DRAG AND DROP
+  // ============================================
+
+  /**
+   * Whether a drag carries something that can become an item
+   */
+  canDrop(dataTransfer) {
+    return Array.from(dataTransfer?.types || []).some(type =>
+      CanvasApp.DROP_TYPES.includes(type));
+  }
+
+  handleDragOver(e) {
+    // Text fields take dropped text themselves
+    if (this.isTextInput(e.target) || !this.canDrop(e.dataTransfer)) return;
+
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'copy';
+    this.canvasArea.classList.add('drop-target');
+  }
+
+  handleDragLeave(e) {
+    // Moving onto an item is still over the canvas
+    if (!this.canvasArea.contains(e.relatedTarget)) {
+      this.canvasArea.classList.remove('drop-target');
+    }
+  }
+
+  async handleDrop(e) {
+    if (this.isTextInput(e.target) || !this.canDrop(e.dataTransfer)) return;
+
+    e.preventDefault();
+    e.stopPropagation();
+    this.canvasArea.classList.remove('drop-target');
+
+    const point = this.screenToCanvas(e.clientX, e.clientY);
+    const position = { x: this.snapToGrid(point.x), y: this.snapToGrid(point.y) };
+
+    // The drop's data can only be read while the event is being handled
+    const files = Array.from(e.dataTransfer.files);
+    if (files.length > 0) {
+      // Several files fan out from the drop point
+      for (const [index, file] of files.entries()) {
+        const offset = index * CanvasApp.DROP_CASCADE_OFFSET;
+        await this.dropFile(file, { x: position.x + offset, y: position.y + offset });
+      }
+      return;
+    }
+
+    const clip = this.getDroppedClip(e.dataTransfer);
+    if (clip) {
+      await this.dropClip(clip, position);
+    }
+  }
+
+  /**
+   * Images become image items, text and Markdown files notes, exports an
+   * offer to import them, and anything else a file attachment
+   * @param {File} file - Dropped file
+   * @param {{x: number, y: number}} position - Where it was dropped (canvas coordinates)
+   */
+  async dropFile(file, position) {
+    const name = file.name || '';
+    const title = name.replace(/\.[^.]+$/, '');
+
+    if (file.type.startsWith('image/')) {
+      this.createImageFromPaste(file, { title, position });
+      return;
+    }
+
+    if (/\.(md|markdown|txt)$/i.test(name) || file.type === 'text/plain' || file.type === 'text/markdown') {
+      const content = await file.text();
+      const markdown = /\.(md|markdown)$/i.test(name) || file.type === 'text/markdown';
+      this.createNoteFromPaste(content, { title, markdown, position });
+      return;
+    }
+
+    if (/\.json$/i.test(name) || file.type === 'application/json') {
+      const importType = await this.getExportFileType(file);
+      if (importType) {
+        const what = importType === 'all' ? 'all workspaces' : 'the workspace';
+        if (confirm(`"${name}" is a SpawnCanvas export. Import ${what} from it?`)) {
+          await this.handleImportFile(file, importType);
+        }
+        return;
+      }
+    }
+
+    await this.createAttachment(file, position);
+  }
+
+  /**
+   * @param {File} file - JSON file
+   * @returns {Promise<string|null>} 'single' or 'all' if it is a workspace export, otherwise null
+   */
+  async getExportFileType(file) {
+    try {
+      const data = JSON.parse(await file.text());
+      if (data.type === 'all' && Array.isArray(data.workspaces)) return 'all';
+      if (data.workspace && data.workspace.name) return 'single';
+    } catch (err) {
+      // Not JSON after all; kept as a file
+    }
+    return null;
+  }
+
+  /**
+   * What a drag from the page carries, in the shape of a web clip (see getClipItem)
+   * @param {DataTransfer} dataTransfer - Drop data
+   * @returns {object|null} Clip, or null if there is nothing to add
+   */
+  getDroppedClip(dataTransfer) {
+    const page = this.isPageDrag ? SpawnCanvasBridge.getPageMetadata() : { url: '', title: '' };
+    const clip = { pageUrl: page.url, pageTitle: page.title };
+
+    const html = dataTransfer.getData('text/html');
+    const text = dataTransfer.getData('text/plain');
+    const url = dataTransfer.getData('text/uri-list')
+      .split(/\r?\n/)
+      .find(line => line.trim() && !line.startsWith('#')) || '';
+
+    // Parsed only to be read, never inserted
+    const dropped = html ? new DOMParser().parseFromString(html, 'text/html') : null;
+    const image = dropped && dropped.querySelector('img[src]');
+    const srcUrl = image ? this.getDroppedImageUrl(image.getAttribute('src'), page.url) : '';
+    if (srcUrl && !dropped.body.textContent.trim()) {
+      return { ...clip, kind: 'image', srcUrl };
+    }
+
+    if (url) {
+      const anchor = dropped && dropped.querySelector('a[href]');
+      const linkText = anchor ? anchor.textContent : (text.trim() !== url.trim() ? text : '');
+      return { ...clip, kind: 'link', linkUrl: url, linkText };
+    }
 
-    element.innerHTML = `
-      <div class="item-header">
-        <input type="text" class="item-title" placeholder="Note title..." value="${this.escapeHtml(note.title)}">
-        <div class="item-actions">
-          <button class="generate-btn" data-action="expand-note" title="Expand with AI">✨</button>
-          <button class="copy-btn" data-action="copy" title="Copy to clipboard">📋</button>
-          <button class="delete-btn" data-action="delete" title="Delete">🗑</button>
-        </div>
-      </div>
-      <div class="item-content">
-        <textarea class="note-content" placeholder="Write your note...">${this.escapeHtml(note.content)}</textarea>
-      </div>
-      <div class="resize-handle corner se"></div>
-      <div class="resize-handle edge e"></div>
-      <div class="resize-handle edge s"></div>
-    `;
+    if (text.trim()) {
+      return { ...clip, kind: 'selection', text };
+    }
+    return null;
+  }
 
-    this.canvasSurface.appendChild(element);
+  /**
+   * Absolute address of a dropped image, or '' if it doesn't parse or isn't safe to load
+   * @param {string} src - The img's src attribute
+   * @param {string} pageUrl - Page it was dragged from ('' if unknown; relative srcs are then skipped)
+   */
+  getDroppedImageUrl(src, pageUrl) {
+    try {
+      return this.getSafeImageUrl(pageUrl ? new URL(src, pageUrl).href : src);
+    } catch (err) {
+      return '';
+    }
   }
 
-  renderImage(image) {
-    const element = document.createElement('div');
-    element.className = 'canvas-item image';
-    element.dataset.itemId = image.id;
-    element.style.left = `${image.position.x}px`;
-    element.style.top = `${image.position.y}px`;
-    element.style.width = `${image.size.width}px`;
-    element.style.height = `${image.size.height}px`;
+  /**
+   * Add a link, image or text dragged from the page at the drop point
+   * @param {object} clip - From getDroppedClip
+   * @param {{x: number, y: number}} position - Where it was dropped (canvas coordinates)
+   */
+  async dropClip(clip, position) {
+    if (clip.kind === 'image') {
+      // Stored by the service worker, which isn't limited by the page's CORS rules
+      try {
+        const response = await SpawnCanvasBridge.sendToBackground('SAVE_IMAGE_ASSET', { url: clip.srcUrl });
+        clip.assetId = response?.id || '';
+      } catch (err) {
+        console.error('[SpawnCanvas] Could not store dropped image:', err);
+      }
+    }
 
-    element.innerHTML = `
-      <div class="image-content">
-        <img src="${image.imageData}" alt="Pasted image" draggable="false">
-      </div>
-      <div class="resize-handle corner se"></div>
-      <div class="resize-handle edge e"></div>
-      <div class="resize-handle edge s"></div>
-    `;
+    const clipItem = await this.getClipItem(clip);
+    if (!clipItem) return;
+    const { type, data } = clipItem;
+    if (clip.pageUrl) {
+      data.source = { url: clip.pageUrl, title: clip.pageTitle, capturedAt: Date.now() };
+    }
 
-    this.canvasSurface.appendChild(element);
+    // Save state before adding
+    this.pushHistory();
+
+    const item = Store.createItem(type, { ...data, position });
+    if (item) {
+      this.renderItem(item);
+      this.updateItemMembership(item.id);
+      this.selectItem(item.id);
+      this.announce(`${CanvasApp.ITEM_TYPE_LABELS[type]} added`);
+    }
   }
 
-  addChecklist() {
+  /**
+   * Keep a dropped file as an attachment item; its data goes to AssetStore
+   * @param {File} file - Dropped file
+   * @param {{x: number, y: number}} position - Where it was dropped (canvas coordinates)
+   */
+  async createAttachment(file, position) {
+    if (file.size > CanvasApp.MAX_ATTACHMENT_SIZE) {
+      alert(`"${file.name}" is too big to add (files can be up to ${this.formatFileSize(CanvasApp.MAX_ATTACHMENT_SIZE)}).`);
+      return;
+    }
+
+    let assetId;
+    try {
+      const dataUrl = await new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(file);
+      });
+      assetId = await AssetStore.put(dataUrl);
+    } catch (err) {
+      console.error('[SpawnCanvas] Failed to store file:', err);
+      alert('Could not add the file: ' + err.message);
+      return;
+    }
+
     // Save state before adding
     this.pushHistory();
 
-    const position = this.getNewItemPosition();
-
-    const checklist = Store.createItem('checklist', {
-      title: '',
-      items: [],
+    const attachment = Store.createItem('attachment', {
+      title: file.name,
+      assetId,
+      fileName: file.name,
+      mimeType: file.type,
+      fileSize: file.size,
       position,
-      size: { width: 280, height: 200 }
+      size: { width: 260, height: 110 }
     });
 
-    if (checklist) {
-      this.renderChecklist(checklist);
-      this.selectItem(checklist.id);
-
-      // Focus the title input
-      setTimeout(() => {
-        const titleInput = this.canvasSurface.querySelector(`[data-item-id="${checklist.id}"] .item-title`);
-        if (titleInput) titleInput.focus();
-      }, 0);
+    if (attachment) {
+      this.renderItem(attachment);
+      this.updateItemMembership(attachment.id);
+      this.selectItem(attachment.id);
+      this.announce('File added');
     }
   }
 
-  renderChecklist(checklist) {
+  renderAttachment(attachment) {
     const element = document.createElement('div');
-    element.className = 'canvas-item checklist';
-    element.dataset.itemId = checklist.id;
-    element.style.left = `${checklist.position.x}px`;
-    element.style.top = `${checklist.position.y}px`;
-    element.style.width = `${checklist.size.width}px`;
-    element.style.height = `${checklist.size.height}px`;
+    element.className = 'canvas-item attachment';
+    element.dataset.itemId = attachment.id;
+    element.style.left = `${attachment.position.x}px`;
+    element.style.top = `${attachment.position.y}px`;
+    element.style.width = `${attachment.size.width}px`;
+    element.style.height = `${attachment.size.height}px`;
+
+    const extension = (/\.([^.]+)$/.exec(attachment.fileName || '') || [])[1];
+    const details = [extension ? extension.toUpperCase() : 'File', this.formatFileSize(attachment.fileSize)];
 
     element.innerHTML = `
       <div class="item-header">
-        <input type="text" class="item-title" placeholder="Checklist title..." value="${this.escapeHtml(checklist.title)}">
+        <input type="text" class="item-title" placeholder="File name..." aria-label="File title" value="${this.escapeHtml(attachment.title)}">
         <div class="item-actions">
-          <button class="generate-btn" data-action="generate-checklist" title="Generate items with AI">✨</button>
-          <button class="copy-btn" data-action="copy" title="Copy to clipboard">📋</button>
-          <button class="delete-btn" data-action="delete" title="Delete">🗑</button>
+          <button class="download-btn" data-action="download-attachment" title="Download" aria-label="Download">⬇</button>
+          <button class="delete-btn" data-action="delete" title="Delete" aria-label="Delete">🗑</button>
         </div>
       </div>
-      <div class="item-content">
-        <ul class="checklist-items">
-          ${this.renderChecklistItems(checklist.items)}
-        </ul>
-        <div class="add-checklist-item" data-action="add-checklist-item">+ Add item</div>
+      <div class="item-content attachment-content">
+        <span class="attachment-icon" aria-hidden="true">📎</span>
+        <span class="attachment-details">
+          <span class="attachment-name">${this.escapeHtml(attachment.fileName)}</span>
+          <span class="attachment-meta">${this.escapeHtml(details.join(' · '))}</span>
+        </span>
       </div>
       <div class="resize-handle corner se"></div>
       <div class="resize-handle edge e"></div>
       <div class="resize-handle edge s"></div>
+      ${this.renderConnectHandles()}
     `;
 
     this.canvasSurface.appendChild(element);
   }
 
-  renderChecklistItems(items) {
-    if (!items || items.length === 0) return '';
-
-    return items.map(item => `
-      <li class="checklist-item ${item.completed ? 'completed' : ''} ${item.nested ? `nested-${item.nested}` : ''}" data-item-id="${item.id}">
-        <input type="checkbox" ${item.completed ? 'checked' : ''}>
-        <input type="text" class="item-text" value="${this.escapeHtml(item.text)}" placeholder="Item...">
-        <button class="item-delete" data-action="delete-checklist-item" title="Delete item">×</button>
-      </li>
-    `).join('');
-  }
-
-  addChecklistItem(checklistId) {
-    // Save state before adding checklist item
-    this.pushHistory();
-
-    const checklist = Store.getItem(checklistId);
-    if (!checklist) return;
-
-    const newItem = {
-      id: `ci_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`,
-      text: '',
-      completed: false,
-      nested: 0
-    };
-
-    checklist.items.push(newItem);
-    Store.updateItem(checklistId, { items: checklist.items });
-
-    // Re-render checklist items
-    const element = this.canvasSurface.querySelector(`[data-item-id="${checklistId}"]`);
-    const ul = element.querySelector('.checklist-items');
-    ul.innerHTML = this.renderChecklistItems(checklist.items);
-
-    // Auto-resize
-    setTimeout(() => {
-      this.autoResizeChecklist(checklistId);
+  async downloadAttachment(id) {
+    const attachment = Store.getItem(id);
+    if (!attachment || !attachment.assetId) return;
 
-      // Focus the new item
-      const inputs = ul.querySelectorAll('.item-text');
-      if (inputs.length > 0) {
-        inputs[inputs.length - 1].focus();
-      }
-    }, 0);
+    try {
+      const a = document.createElement('a');
+      a.href = await AssetStore.getUrl(attachment.assetId);
+      a.download = attachment.fileName || attachment.title || 'file';
+      a.click();
+    } catch (err) {
+      console.error('[SpawnCanvas] Failed to download file:', err);
+      alert('Could not download the file: its data is missing.');
+    }
   }
 
-  async generateChecklistItems(checklistId, userPrompt) {
-    const checklist = Store.getItem(checklistId);
-    if (!checklist) return;
-
-    const [apiKey, provider] = await Promise.all([
-      Store.getApiKey(),
-      Store.getAiProvider()
-    ]);
-
-    if (!apiKey) {
-      alert('Please set your API key in Settings (gear icon) first.');
-      return;
+  /**
+   * File size for people, e.g. "1.4 MB"
+   */
+  formatFileSize(bytes) {
+    const units = ['bytes', 'KB', 'MB', 'GB'];
+    let size = Number(bytes) || 0;
+    let unit = 0;
+    while (size >= 1024 && unit < units.length - 1) {
+      size /= 1024;
+      unit++;
     }
+    return `${unit === 0 ? size : size.toFixed(size < 10 ? 1 : 0)} ${units[unit]}`;
+  }
 
-    // Show loading state
-    const element = this.canvasSurface.querySelector(`[data-item-id="${checklistId}"]`);
-    const generateBtn = element.querySelector('.generate-btn');
-    const originalText = generateBtn.textContent;
-    generateBtn.textContent = '⏳';
-    generateBtn.disabled = true;
+  // ============================================
+  // SCREEN CAPTURE
+  // ============================================
 
+  /**
+   * Screenshot the visible part of the page with the overlay hidden, then let the
+   * user pick a region of it (optional) and annotate it before it is inserted
+   * @param {boolean} chooseRegion - Ask for a region instead of using the whole screenshot
+   */
+  async startCapture(chooseRegion) {
+    // A second shortcut press while the screenshot is still being taken is ignored
+    if (this.capture || this.capturePending) return;
+    this.capturePending = true;
+    this.setTool('select');
+
+    const host = this.shadowRoot.host;
+    let response;
+    let image = null;
+    host.style.setProperty('visibility', 'hidden', 'important');
     try {
-      const result = await AIService.generateChecklistItems(userPrompt, apiKey, provider);
-
-      // Save state before adding items
-      this.pushHistory();
-
-      // Update title if empty and AI generated one
-      if (result.title && (!checklist.title || checklist.title.trim() === '')) {
-        checklist.title = result.title;
-        const titleInput = element.querySelector('.item-title');
-        if (titleInput) {
-          titleInput.value = result.title;
-        }
-      }
-
-      // Add generated items
-      for (const text of result.items) {
-        const newItem = {
-          id: `ci_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`,
-          text: text,
-          completed: false,
-          nested: 0
-        };
-        checklist.items.push(newItem);
+      // Let the page paint a frame without the overlay first
+      await new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+      response = await SpawnCanvasBridge.sendToBackground('CAPTURE_VISIBLE_TAB');
+      if (response && response.success) {
+        image = await Capture.loadImage(response.dataUrl);
       }
-
-      Store.updateItem(checklistId, { title: checklist.title, items: checklist.items });
-
-      // Re-render checklist items
-      const ul = element.querySelector('.checklist-items');
-      ul.innerHTML = this.renderChecklistItems(checklist.items);
-
-      // Auto-resize
-      setTimeout(() => this.autoResizeChecklist(checklistId), 0);
-
     } catch (err) {
-      console.error('[SpawnCanvas] AI generation error:', err);
-      alert('AI generation failed: ' + err.message);
+      response = { success: false, error: err.message };
     } finally {
-      generateBtn.textContent = originalText;
-      generateBtn.disabled = false;
+      host.style.removeProperty('visibility');
+      this.capturePending = false;
     }
-  }
-
-  async expandNoteContent(noteId, userPrompt) {
-    const note = Store.getItem(noteId);
-    if (!note) return;
-
-    const [apiKey, provider] = await Promise.all([
-      Store.getApiKey(),
-      Store.getAiProvider()
-    ]);
 
-    if (!apiKey) {
-      alert('Please set your API key in Settings (gear icon) first.');
+    if (!image) {
+      console.error('[SpawnCanvas] Capture failed:', response?.error);
+      alert('Could not capture this page. Browser pages and the extension store can\'t be captured.');
       return;
     }
 
-    // Show loading state
-    const element = this.canvasSurface.querySelector(`[data-item-id="${noteId}"]`);
-    const expandBtn = element.querySelector('[data-action="expand-note"]');
-    const originalText = expandBtn.textContent;
-    expandBtn.textContent = '⏳';
-    expandBtn.disabled = true;
-
-    try {
-      const result = await AIService.expandNote(userPrompt, note.content, apiKey, provider);
-
-      // Save state before updating
-      this.pushHistory();
-
-      // Update title if empty and AI generated one
-      if (result.title && (!note.title || note.title.trim() === '')) {
-        note.title = result.title;
-        const titleInput = element.querySelector('.item-title');
-        if (titleInput) {
-          titleInput.value = result.title;
-        }
+    this.capture = {
+      image,
+      base: null,
+      annotations: [],
+      tool: 'arrow',
+      source: {
+        url: SpawnCanvasBridge.getCurrentUrl(),
+        title: SpawnCanvasBridge.getCurrentTitle(),
+        capturedAt: Date.now()
       }
+    };
 
-      // Update note content
-      Store.updateItem(noteId, { title: note.title, content: result.content });
+    if (chooseRegion) {
+      this.captureScreenshot.src = response.dataUrl;
+      this.captureSelection.classList.add('hidden');
+      this.captureLayer.classList.remove('hidden');
+      this.captureLayer.focus();
+    } else {
+      this.openCaptureEditor(null);
+    }
+  }
 
-      // Update textarea
-      const textarea = element.querySelector('.note-content');
-      if (textarea) {
-        textarea.value = result.content;
+  /**
+   * Drag out the region to keep on the frozen screenshot
+   */
+  startCaptureRegionDrag(e) {
+    e.preventDefault();
+    const bounds = this.captureLayer.getBoundingClientRect();
+    const toLayer = (event) => [
+      Math.max(0, Math.min(bounds.width, event.clientX - bounds.left)),
+      Math.max(0, Math.min(bounds.height, event.clientY - bounds.top))
+    ];
+    const start = toLayer(e);
+    let end = start;
+
+    this.trackPointer(e, (event) => {
+      end = toLayer(event);
+      const rect = Capture.getRect(start, end);
+      Object.assign(this.captureSelection.style, {
+        left: `${rect.x}px`,
+        top: `${rect.y}px`,
+        width: `${rect.width}px`,
+        height: `${rect.height}px`
+      });
+      this.captureSelection.classList.remove('hidden');
+    }, (event, cancelled) => {
+      if (cancelled || !this.capture || !Capture.isDrag(start, end)) {
+        this.captureSelection.classList.add('hidden');
+        return;
       }
 
-    } catch (err) {
-      console.error('[SpawnCanvas] AI expansion error:', err);
-      alert('AI expansion failed: ' + err.message);
-    } finally {
-      expandBtn.textContent = originalText;
-      expandBtn.disabled = false;
-    }
+      // The screenshot is in device pixels; the layer covers the viewport in CSS pixels
+      const scale = this.capture.image.naturalWidth / bounds.width;
+      const rect = Capture.getRect(start, end);
+      this.openCaptureEditor({
+        x: rect.x * scale,
+        y: rect.y * scale,
+        width: rect.width * scale,
+        height: rect.height * scale
+      });
+    });
   }
 
-  toggleChecklistItem(checklistId, itemId, completed) {
-    // Save state before toggling
-    this.pushHistory();
+  /**
+   * @param {object|null} region - Part of the screenshot to keep (in its pixels), or null for all of it
+   */
+  openCaptureEditor(region) {
+    const { image } = this.capture;
+    this.capture.base = Capture.crop(image, region || {
+      x: 0, y: 0, width: image.naturalWidth, height: image.naturalHeight
+    });
+    this.capture.annotations = [];
 
-    const checklist = Store.getItem(checklistId);
-    if (!checklist) return;
+    this.captureCanvas.width = this.capture.base.width;
+    this.captureCanvas.height = this.capture.base.height;
+    this.renderCaptureCanvas();
+    this.setCaptureTool(this.capture.tool);
 
-    const item = checklist.items.find(i => i.id === itemId);
-    if (item) {
-      item.completed = completed;
-      Store.updateItem(checklistId, { items: checklist.items });
+    this.captureLayer.classList.add('hidden');
+    this.captureEditor.classList.add('open');
+    this.captureEditor.querySelector('[data-action="insert-capture"]').focus();
+  }
 
-      const li = this.canvasSurface.querySelector(`[data-item-id="${checklistId}"] [data-item-id="${itemId}"]`);
-      if (li) {
-        li.classList.toggle('completed', completed);
+  renderCaptureCanvas() {
+    Capture.render(this.captureCanvas.getContext('2d'), this.capture.base, this.capture.annotations);
+  }
+
+  setCaptureTool(tool) {
+    if (!this.capture || !Capture.TOOLS[tool]) return;
+    this.capture.tool = tool;
+    this.captureEditor.querySelectorAll('[data-action^="capture-tool-"]').forEach(button => {
+      const active = button.dataset.action === `capture-tool-${tool}`;
+      button.classList.toggle('active', active);
+      button.setAttribute('aria-pressed', String(active));
+    });
+  }
+
+  /**
+   * Draw an arrow, box or blur by dragging across the capture
+   */
+  startCaptureAnnotation(e) {
+    if (!this.capture || !this.capture.base) return;
+    e.preventDefault();
+
+    // The canvas is shown scaled down to fit, so map screen points to its pixels
+    const bounds = this.captureCanvas.getBoundingClientRect();
+    const toImage = (event) => [
+      Math.max(0, Math.min(this.captureCanvas.width, (event.clientX - bounds.left) * this.captureCanvas.width / bounds.width)),
+      Math.max(0, Math.min(this.captureCanvas.height, (event.clientY - bounds.top) * this.captureCanvas.height / bounds.height))
+    ];
+    const annotation = { tool: this.capture.tool, start: toImage(e), end: toImage(e) };
+    const annotations = this.capture.annotations;
+    annotations.push(annotation);
+
+    this.trackPointer(e, (event) => {
+      annotation.end = toImage(event);
+      this.renderCaptureCanvas();
+    }, (event, cancelled) => {
+      if (cancelled || !Capture.isDrag(annotation.start, annotation.end)) {
+        annotations.splice(annotations.indexOf(annotation), 1);
       }
-    }
+      if (this.capture) this.renderCaptureCanvas();
+    });
   }
 
-  updateChecklistItemText(checklistId, itemId, text) {
-    const checklist = Store.getItem(checklistId);
-    if (!checklist) return;
+  undoCaptureAnnotation() {
+    if (!this.capture || this.capture.annotations.length === 0) return;
+    this.capture.annotations.pop();
+    this.renderCaptureCanvas();
+  }
 
-    const item = checklist.items.find(i => i.id === itemId);
-    if (item) {
-      item.text = text;
-      Store.updateItem(checklistId, { items: checklist.items });
-      this.pushHistoryDebounced();
+  handleCaptureKeyDown(e) {
+    const inEditor = this.captureEditor.classList.contains('open');
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      this.cancelPointerInteraction();
+      this.closeCapture();
+    } else if (e.key === 'Enter' && !inEditor) {
+      e.preventDefault();
+      this.cancelPointerInteraction();
+      this.openCaptureEditor(null);
+    } else if (inEditor && (e.ctrlKey || e.metaKey) && !e.shiftKey && e.key.toLowerCase() === 'z') {
+      e.preventDefault();
+      this.undoCaptureAnnotation();
     }
   }
 
-  deleteChecklistItem(checklistId, itemId) {
-    // Save state before deleting checklist item
-    this.pushHistory();
+  /**
+   * Insert the annotated capture the way a pasted image is, remembering the page it shows
+   */
+  insertCapture() {
+    if (!this.capture || !this.capture.base) return;
+    const { source } = this.capture;
+    this.captureCanvas.toBlob((blob) => {
+      if (blob) {
+        this.createImageFromPaste(blob, { title: source.title, source });
+        this.announce('Capture added');
+      }
+    }, 'image/png');
+    this.closeCapture();
+  }
 
-    const checklist = Store.getItem(checklistId);
-    if (!checklist) return;
+  closeCapture() {
+    this.capture = null;
+    this.captureLayer.classList.add('hidden');
+    this.captureSelection.classList.add('hidden');
+    this.captureScreenshot.removeAttribute('src');
+    this.captureEditor.classList.remove('open');
+    this.wrapper.focus({ preventScroll: true });
+  }
 
-    const index = checklist.items.findIndex(i => i.id === itemId);
-    if (index > -1) {
-      checklist.items.splice(index, 1);
-      Store.updateItem(checklistId, { items: checklist.items });
+  // ============================================
+  // CONNECTORS
+  // ============================================
 
-      const li = this.canvasSurface.querySelector(`[data-item-id="${checklistId}"] [data-item-id="${itemId}"]`);
-      if (li) {
-        li.remove();
-        // Auto-resize
-        this.autoResizeChecklist(checklistId);
-      }
-    }
+  renderConnectHandles() {
+    return ['top', 'right', 'bottom', 'left']
+      .map(side => `<div class="connect-handle ${side}" data-side="${side}" title="Drag to connect"></div>`)
+      .join('');
   }
 
+  /**
+   * Get an item's current rectangle, preferring the live DOM position during drag/resize
+   */
+  getItemRect(id) {
+    const element = this.canvasSurface.querySelector(`.canvas-item[data-item-id="${id}"]`);
+    if (element) {
+      return {
+        left: parseFloat(element.style.left),
+        top: parseFloat(element.style.top),
+        width: parseFloat(element.style.width),
+        // Collapsed containers only show their title bar
+        height: element.classList.contains('collapsed')
+          ? CanvasApp.COLLAPSED_CONTAINER_HEIGHT
+          : parseFloat(element.style.height)
+      };
+    }
 
-  toggleChecklistItemNesting(checklistId, itemId, indent) {
-    // Save state before changing nesting
-    this.pushHistory();
+    // Not rendered (off-screen), so read the store
+    const item = Store.getItem(id);
+    if (!item) return null;
+    return {
+      left: item.position.x,
+      top: item.position.y,
+      width: item.size.width,
+      height: item.type === 'container' && item.collapsed
+        ? CanvasApp.COLLAPSED_CONTAINER_HEIGHT
+        : item.size.height
+    };
+  }
 
-    const checklist = Store.getItem(checklistId);
-    if (!checklist) return;
+  /**
+   * Resolve 'auto' (or missing) anchor sides to the side facing the other item
+   */
+  resolveAnchorSide(side, rect, otherRect) {
+    if (side && side !== 'auto') return side;
 
-    const item = checklist.items.find(i => i.id === itemId);
-    if (item) {
-      if (indent && item.nested < 2) {
-        item.nested = (item.nested || 0) + 1;
-      } else if (!indent && item.nested > 0) {
-        item.nested = item.nested - 1;
-      }
-      Store.updateItem(checklistId, { items: checklist.items });
+    const dx = (otherRect.left + otherRect.width / 2) - (rect.left + rect.width / 2);
+    const dy = (otherRect.top + otherRect.height / 2) - (rect.top + rect.height / 2);
+    if (Math.abs(dx) > Math.abs(dy)) {
+      return dx > 0 ? 'right' : 'left';
+    }
+    return dy > 0 ? 'bottom' : 'top';
+  }
 
-      const li = this.canvasSurface.querySelector(`[data-item-id="${checklistId}"] [data-item-id="${itemId}"]`);
-      if (li) {
-        li.classList.remove('nested-1', 'nested-2');
-        if (item.nested > 0) {
-          li.classList.add(`nested-${item.nested}`);
-        }
-      }
+  getAnchorPoint(rect, side) {
+    switch (side) {
+      case 'top':
+        return { x: rect.left + rect.width / 2, y: rect.top };
+      case 'bottom':
+        return { x: rect.left + rect.width / 2, y: rect.top + rect.height };
+      case 'left':
+        return { x: rect.left, y: rect.top + rect.height / 2 };
+      case 'right':
+      default:
+        return { x: rect.left + rect.width, y: rect.top + rect.height / 2 };
     }
   }
 
-  addContainer() {
-    // Save state before adding
-    this.pushHistory();
+  /**
+   * Build a cubic bezier between two anchors that leaves each side along its normal
+   * @returns {{d: string, mid: {x: number, y: number}}}
+   */
+  buildConnectorPath(start, startSide, end, endSide) {
+    const normals = {
+      top: { x: 0, y: -1 },
+      right: { x: 1, y: 0 },
+      bottom: { x: 0, y: 1 },
+      left: { x: -1, y: 0 }
+    };
+    const distance = Math.hypot(end.x - start.x, end.y - start.y);
+    const bend = Math.max(40, Math.min(150, distance / 2));
+
+    const n1 = normals[startSide] || { x: 0, y: 0 };
+    const n2 = normals[endSide] || { x: 0, y: 0 };
+    const c1 = { x: start.x + n1.x * bend, y: start.y + n1.y * bend };
+    const c2 = { x: end.x + n2.x * bend, y: end.y + n2.y * bend };
+
+    // Point on the curve at t = 0.5
+    const mid = {
+      x: (start.x + 3 * c1.x + 3 * c2.x + end.x) / 8,
+      y: (start.y + 3 * c1.y + 3 * c2.y + end.y) / 8
+    };
 
-    const position = this.getNewItemPosition();
+    return {
+      d: `M ${start.x} ${start.y} C ${c1.x} ${c1.y}, ${c2.x} ${c2.y}, ${end.x} ${end.y}`,
+      mid
+    };
+  }
 
-    const colors = ['red', 'orange', 'yellow', 'green', 'teal', 'blue', 'purple', 'pink'];
-    const randomColor = colors[Math.floor(Math.random() * colors.length)];
+  renderConnector(connector) {
+    const svgNs = 'http://www.w3.org/2000/svg';
+    const group = document.createElementNS(svgNs, 'g');
+    group.setAttribute('class', 'connector');
+    group.dataset.itemId = connector.id;
 
-    const container = Store.createItem('container', {
-      title: '',
-      color: randomColor,
-      position,
-      size: { width: 350, height: 250 },
-      children: []
-    });
+    const hitPath = document.createElementNS(svgNs, 'path');
+    hitPath.setAttribute('class', 'connector-hit');
+    const linePath = document.createElementNS(svgNs, 'path');
+    linePath.setAttribute('class', 'connector-line');
+    const label = document.createElementNS(svgNs, 'text');
+    label.setAttribute('class', 'connector-label');
 
-    if (container) {
-      this.renderContainer(container);
-      this.selectItem(container.id);
+    group.append(hitPath, linePath, label);
+    this.connectorLayer.appendChild(group);
 
-      // Focus the title input
-      setTimeout(() => {
-        const titleInput = this.canvasSurface.querySelector(`[data-item-id="${container.id}"] .item-title`);
-        if (titleInput) titleInput.focus();
-      }, 0);
-    }
+    this.updateConnectorElement(connector);
   }
 
-  renderContainer(container) {
-    const element = document.createElement('div');
-    element.className = `canvas-item container color-${container.color}`;
-    element.dataset.itemId = container.id;
-    element.style.left = `${container.position.x}px`;
-    element.style.top = `${container.position.y}px`;
-    element.style.width = `${container.size.width}px`;
-    element.style.height = `${container.size.height}px`;
+  updateConnectorElement(connector) {
+    const group = this.connectorLayer.querySelector(`[data-item-id="${connector.id}"]`);
+    if (!group) return;
 
-    element.innerHTML = `
-      <div class="container-color-bar"></div>
-      <div class="item-header">
-        <input type="text" class="item-title" placeholder="Container title..." value="${this.escapeHtml(container.title)}">
-        <div class="item-actions">
-          <button class="color-btn" data-action="cycle-color" title="Change color">🎨</button>
-          <button class="delete-btn" data-action="delete" title="Delete">🗑</button>
-        </div>
-      </div>
-      <div class="container-content">
-        <!-- Contained items would be rendered here -->
-      </div>
-      <div class="resize-handle corner se"></div>
-      <div class="resize-handle edge e"></div>
-      <div class="resize-handle edge s"></div>
-    `;
+    const fromRect = this.getItemRect(connector.from?.itemId);
+    const toRect = this.getItemRect(connector.to?.itemId);
+    if (!fromRect || !toRect ||
+      this.isItemHidden(connector.from.itemId) || this.isItemHidden(connector.to.itemId)) {
+      group.classList.add('hidden');
+      return;
+    }
+    group.classList.remove('hidden');
 
-    this.canvasSurface.appendChild(element);
-  }
+    const startSide = this.resolveAnchorSide(connector.from.side, fromRect, toRect);
+    const endSide = this.resolveAnchorSide(connector.to.side, toRect, fromRect);
+    const path = this.buildConnectorPath(
+      this.getAnchorPoint(fromRect, startSide), startSide,
+      this.getAnchorPoint(toRect, endSide), endSide
+    );
 
-  cycleContainerColor(containerId) {
-    // Save state before changing color
-    this.pushHistory();
+    group.querySelector('.connector-hit').setAttribute('d', path.d);
 
-    const container = Store.getItem(containerId);
-    if (!container) return;
+    const linePath = group.querySelector('.connector-line');
+    linePath.setAttribute('d', path.d);
+    if (connector.arrowStart) {
+      linePath.setAttribute('marker-start', 'url(#sc-arrow)');
+    } else {
+      linePath.removeAttribute('marker-start');
+    }
+    if (connector.arrowEnd) {
+      linePath.setAttribute('marker-end', 'url(#sc-arrow)');
+    } else {
+      linePath.removeAttribute('marker-end');
+    }
 
-    const colors = ['red', 'orange', 'yellow', 'green', 'teal', 'blue', 'purple', 'pink'];
-    const currentIndex = colors.indexOf(container.color);
-    const nextIndex = (currentIndex + 1) % colors.length;
+    const label = group.querySelector('.connector-label');
+    label.textContent = connector.label || '';
+    label.setAttribute('x', path.mid.x);
+    label.setAttribute('y', path.mid.y);
 
-    const newColor = colors[nextIndex];
-    Store.updateItem(containerId, { color: newColor });
+    group._midpoint = path.mid;
+    if (this.connectorActions.dataset.connectorId === connector.id) {
+      this.updateConnectorActions();
+    }
+  }
 
-    const element = this.canvasSurface.querySelector(`[data-item-id="${containerId}"]`);
-    if (element) {
-      colors.forEach(c => element.classList.remove(`color-${c}`));
-      element.classList.add(`color-${newColor}`);
+  /**
+   * Re-route every connector attached to any of the given items
+   */
+  updateConnectorsFor(itemIds) {
+    const ids = new Set(itemIds);
+    Store.getAllItems()
+      .filter(item => item.type === 'connector' &&
+        (ids.has(item.from?.itemId) || ids.has(item.to?.itemId)))
+      .forEach(connector => this.updateConnectorElement(connector));
+  }
+
+  /**
+   * Show the connector action bar when exactly one connector is selected
+   */
+  updateConnectorActions() {
+    if (!this.connectorActions) return;
+
+    const connectorId = this.selectedItems.size === 1 ? Array.from(this.selectedItems)[0] : null;
+    const connector = connectorId ? Store.getItem(connectorId) : null;
+    const group = connector && connector.type === 'connector'
+      ? this.connectorLayer.querySelector(`[data-item-id="${connector.id}"]`)
+      : null;
+
+    if (!group || !group._midpoint) {
+      this.connectorActions.classList.add('hidden');
+      delete this.connectorActions.dataset.connectorId;
+      return;
     }
+
+    this.connectorActions.dataset.connectorId = connector.id;
+    this.connectorActions.style.left = `${group._midpoint.x}px`;
+    this.connectorActions.style.top = `${group._midpoint.y}px`;
+    this.connectorActions.classList.remove('hidden');
   }
 
   /**
-   * Get all items whose center point is inside a container
+   * Drag from a connection handle to another item to create a connector
    */
-  getItemsInsideContainer(containerId) {
-    const container = Store.getItem(containerId);
-    if (!container || container.type !== 'container') return [];
+  startConnectorDraw(e, fromId, fromSide) {
+    const fromRect = this.getItemRect(fromId);
+    if (!fromRect) return;
+
+    const start = this.getAnchorPoint(fromRect, fromSide);
+    this.connectorPreview.classList.remove('hidden');
+    this.canvasArea.classList.add('connecting');
+
+    const onPointerMove = (moveEvent) => {
+      const end = this.screenToCanvas(moveEvent.clientX, moveEvent.clientY);
+      const path = this.buildConnectorPath(start, fromSide, end, null);
+      this.connectorPreview.setAttribute('d', path.d);
+    };
+
+    const onPointerUp = (upEvent, cancelled) => {
+      this.connectorPreview.classList.add('hidden');
+      this.connectorPreview.removeAttribute('d');
+      this.canvasArea.classList.remove('connecting');
+      if (cancelled) return;
+
+      const target = this.shadowRoot.elementFromPoint(upEvent.clientX, upEvent.clientY);
+      const targetItem = target?.closest('.canvas-item');
+      const toId = targetItem?.dataset.itemId;
+      if (!toId || toId === fromId) return;
+
+      // Dropping on a handle picks that side, otherwise use the nearest edge
+      let toSide = target.classList.contains('connect-handle') ? target.dataset.side : null;
+      if (!toSide) {
+        const point = this.screenToCanvas(upEvent.clientX, upEvent.clientY);
+        toSide = this.getNearestSide(this.getItemRect(toId), point);
+      }
 
-    const containerBounds = {
-      left: container.position.x,
-      right: container.position.x + container.size.width,
-      top: container.position.y,
-      bottom: container.position.y + container.size.height
+      this.addConnector({ itemId: fromId, side: fromSide }, { itemId: toId, side: toSide });
     };
 
-    return Store.getAllItems().filter(item => {
-      if (item.id === containerId || item.type === 'container') return false;
-      // Check if item center is inside container
-      const centerX = item.position.x + item.size.width / 2;
-      const centerY = item.position.y + item.size.height / 2;
-      return centerX >= containerBounds.left && centerX <= containerBounds.right &&
-        centerY >= containerBounds.top && centerY <= containerBounds.bottom;
-    });
+    onPointerMove(e);
+    this.trackPointer(e, onPointerMove, onPointerUp);
   }
 
-  startDrag(e, element, itemId) {
-    const item = Store.getItem(itemId);
-    if (!item) return;
+  getNearestSide(rect, point) {
+    const distances = {
+      top: Math.abs(point.y - rect.top),
+      bottom: Math.abs(point.y - (rect.top + rect.height)),
+      left: Math.abs(point.x - rect.left),
+      right: Math.abs(point.x - (rect.left + rect.width))
+    };
+    return Object.keys(distances).reduce((a, b) => distances[a] <= distances[b] ? a : b);
+  }
 
-    // Save state before drag starts
+  addConnector(from, to) {
+    // Save state before adding
     this.pushHistory();
 
-    const startX = e.clientX;
-    const startY = e.clientY;
-    const startPos = { ...item.position };
-
-    // If dragging a container, find items inside and their relative offsets
-    let groupedItems = [];
-    if (item.type === 'container') {
-      const insideItems = this.getItemsInsideContainer(itemId);
-      groupedItems = insideItems.map(insideItem => ({
-        id: insideItem.id,
-        element: this.canvasSurface.querySelector(`[data-item-id="${insideItem.id}"]`),
-        offsetX: insideItem.position.x - item.position.x,
-        offsetY: insideItem.position.y - item.position.y,
-        size: insideItem.size
-      }));
+    const connector = Store.createItem('connector', { from, to });
+    if (connector) {
+      this.renderItem(connector);
+      this.selectItem(connector.id);
     }
+  }
 
-    element.classList.add('dragging');
+  editConnectorLabel(connectorId) {
+    const connector = Store.getItem(connectorId);
+    if (!connector) return;
 
-    const onMouseMove = (moveEvent) => {
-      const deltaX = moveEvent.clientX - startX;
-      const deltaY = moveEvent.clientY - startY;
+    const label = prompt('Connector label:', connector.label || '');
+    if (label === null || label === connector.label) return;
 
-      // Snap to grid
-      const newX = Math.round((startPos.x + deltaX) / this.gridSize) * this.gridSize;
-      const newY = Math.round((startPos.y + deltaY) / this.gridSize) * this.gridSize;
+    // Save state before changing label
+    this.pushHistory();
+    Store.updateItem(connectorId, { label: label.trim() });
+    this.updateConnectorElement(connector);
+  }
 
-      const position = {
-        x: Math.max(0, Math.min(newX, this.canvasSize - item.size.width)),
-        y: Math.max(0, Math.min(newY, this.canvasSize - item.size.height))
-      };
+  cycleConnectorArrows(connectorId) {
+    const connector = Store.getItem(connectorId);
+    if (!connector) return;
 
-      // Update container DOM
-      element.style.left = `${position.x}px`;
-      element.style.top = `${position.y}px`;
-      element._pendingPosition = position;
-
-      // Move grouped items along with container
-      groupedItems.forEach(grouped => {
-        if (grouped.element) {
-          const groupedPos = {
-            x: Math.max(0, Math.min(position.x + grouped.offsetX, this.canvasSize - grouped.size.width)),
-            y: Math.max(0, Math.min(position.y + grouped.offsetY, this.canvasSize - grouped.size.height))
-          };
-          grouped.element.style.left = `${groupedPos.x}px`;
-          grouped.element.style.top = `${groupedPos.y}px`;
-          grouped.element._pendingPosition = groupedPos;
-        }
-      });
-    };
+    // Save state before changing arrowheads
+    this.pushHistory();
 
-    const onMouseUp = () => {
-      element.classList.remove('dragging');
+    const currentMode = connector.arrowStart
+      ? (connector.arrowEnd ? 'both' : 'start')
+      : (connector.arrowEnd ? 'end' : 'none');
+    const modes = this.connectorArrowModes;
+    const nextMode = modes[(modes.indexOf(currentMode) + 1) % modes.length];
 
-      // Save final position to store
-      if (element._pendingPosition) {
-        Store.updateItem(itemId, { position: element._pendingPosition });
-        delete element._pendingPosition;
-      }
+    Store.updateItem(connectorId, {
+      arrowStart: nextMode === 'start' || nextMode === 'both',
+      arrowEnd: nextMode === 'end' || nextMode === 'both'
+    });
+    this.updateConnectorElement(connector);
+  }
 
-      // Save grouped items' positions
-      groupedItems.forEach(grouped => {
-        if (grouped.element && grouped.element._pendingPosition) {
-          Store.updateItem(grouped.id, { position: grouped.element._pendingPosition });
-          delete grouped.element._pendingPosition;
-        }
-      });
+  // ============================================
+  // MARKDOWN NOTES
+  // ============================================
 
-      document.removeEventListener('mousemove', onMouseMove);
-      document.removeEventListener('mouseup', onMouseUp);
-    };
+  /**
+   * Switch a note between Markdown preview and source editing
+   * @param {string} noteId - Note ID
+   * @param {boolean} [markdown] - Force preview on/off (toggles if omitted)
+   */
+  toggleNoteMarkdown(noteId, markdown) {
+    const note = Store.getItem(noteId);
+    if (!note) return;
+
+    const enabled = typeof markdown === 'boolean' ? markdown : !note.markdown;
+
+    // Save state before switching
+    this.pushHistory();
+    Store.updateItem(noteId, { markdown: enabled });
 
-    document.addEventListener('mousemove', onMouseMove);
-    document.addEventListener('mouseup', onMouseUp);
+    const element = this.canvasSurface.querySelector(`[data-item-id="${noteId}"]`);
+    if (!element) return;
+
+    element.classList.toggle('markdown-mode', enabled);
+    const button = element.querySelector('.markdown-btn');
+    if (button) {
+      button.textContent = enabled ? '✏️' : 'M↓';
+      button.title = enabled ? 'Edit Markdown source' : 'Preview as Markdown';
+      button.setAttribute('aria-label', button.title);
+    }
+
+    if (enabled) {
+      this.renderMarkdownPreview(noteId);
+    } else {
+      const textarea = element.querySelector('.note-content');
+      if (textarea) textarea.focus();
+    }
   }
 
-  startResize(e, element, itemId, handle) {
-    const item = Store.getItem(itemId);
-    if (!item) return;
+  renderMarkdownPreview(noteId) {
+    const note = Store.getItem(noteId);
+    const preview = this.canvasSurface.querySelector(`[data-item-id="${noteId}"] .markdown-preview`);
+    if (!note || !preview) return;
 
-    // Save state before resize starts
-    this.pushHistory();
+    // MarkdownRenderer escapes and sanitises its output
+    preview.innerHTML = MarkdownRenderer.render(note.content);
+  }
 
-    const startX = e.clientX;
-    const startY = e.clientY;
-    const startSize = { ...item.size };
+  toggleMarkdownTask(noteId, taskIndex, checked) {
+    const note = Store.getItem(noteId);
+    if (!note) return;
 
-    const isRight = handle.classList.contains('e') || handle.classList.contains('se');
-    const isBottom = handle.classList.contains('s') || handle.classList.contains('se');
+    // Save state before toggling
+    this.pushHistory();
 
-    let minWidth = 200;
-    let minHeight = 100;
-    if (item.type === 'container') {
-      minWidth = 300;
-      minHeight = 200;
-    } else if (item.type === 'image') {
-      minWidth = 50;
-      minHeight = 50;
+    const content = MarkdownRenderer.toggleTask(note.content, taskIndex, checked);
+    Store.updateItem(noteId, { content });
+
+    const textarea = this.canvasSurface.querySelector(`[data-item-id="${noteId}"] .note-content`);
+    if (textarea) {
+      textarea.value = content;
     }
+  }
 
-    const onMouseMove = (moveEvent) => {
-      const deltaX = moveEvent.clientX - startX;
-      const deltaY = moveEvent.clientY - startY;
+  // ============================================
+  // COPY / PASTE / DUPLICATE
+  // ============================================
 
-      const size = { ...item.size };
+  isOverlayVisible() {
+    return this.wrapper.isConnected && this.wrapper.getClientRects().length > 0;
+  }
 
-      if (isRight) {
-        const newWidth = Math.max(minWidth, startSize.width + deltaX);
-        size.width = Math.round(newWidth / this.gridSize) * this.gridSize;
-        element.style.width = `${size.width}px`;
-      }
+  isEditingText() {
+    const activeElement = this.shadowRoot.activeElement || document.activeElement;
+    return Boolean(activeElement && (
+      activeElement.tagName === 'INPUT' ||
+      activeElement.tagName === 'TEXTAREA' ||
+      activeElement.isContentEditable
+    ));
+  }
 
-      if (isBottom) {
-        const newHeight = Math.max(minHeight, startSize.height + deltaY);
-        size.height = Math.round(newHeight / this.gridSize) * this.gridSize;
-        element.style.height = `${size.height}px`;
-      }
+  /**
+   * Build a clipboard payload from item IDs, with positions relative to the group's top-left.
+   * Containers include their contents; connectors are kept only when both endpoints are part of the payload.
+   * @returns {{type: string, version: number, items: Array}|null}
+   */
+  buildItemsPayload(ids) {
+    const selectedIds = new Set(ids);
+    ids.forEach(id => {
+      // Containers carry their contents along
+      this.getItemsInsideContainer(id).forEach(child => selectedIds.add(child.id));
+    });
+    const selected = Array.from(selectedIds).map(id => Store.getItem(id)).filter(Boolean);
+    const spatial = selected.filter(item => item.type !== 'connector');
+    if (spatial.length === 0) return null;
+
+    const spatialIds = new Set(spatial.map(item => item.id));
+    const connectors = Store.getAllItems().filter(item =>
+      item.type === 'connector' &&
+      spatialIds.has(item.from?.itemId) &&
+      spatialIds.has(item.to?.itemId));
+
+    const bounds = this.getItemsBounds(spatial);
+    const items = [...spatial, ...connectors].map(item => {
+      const { createdAt, updatedAt, ...copy } = JSON.parse(JSON.stringify(item));
+      copy.position = {
+        x: item.position.x - bounds.left,
+        y: item.position.y - bounds.top
+      };
+      return copy;
+    });
 
-      // Store size for save on mouse up
-      element._pendingSize = size;
-    };
+    return { type: CanvasApp.CLIPBOARD_TYPE, version: 1, items };
+  }
 
-    const onMouseUp = () => {
-      // Save final size to store
-      if (element._pendingSize) {
-        Store.updateItem(itemId, { size: element._pendingSize });
-        delete element._pendingSize;
-      }
+  /**
+   * Put items on the clipboard (as a payload for pasting, and as plain text)
+   * @returns {{type: string, version: number, items: Array}|null} What was copied, or null if nothing was
+   */
+  writeItemsPayload(clipboardData, ids) {
+    const payload = this.buildItemsPayload(ids);
+    if (!payload || !clipboardData) return null;
+
+    const text = payload.items
+      .filter(item => item.type !== 'connector')
+      .map(item => this.getItemPlainText(item))
+      .filter(Boolean)
+      .join('\n\n');
+
+    clipboardData.setData(CanvasApp.CLIPBOARD_MIME, JSON.stringify(payload));
+    clipboardData.setData('text/plain', text);
+    Store.setClipboardAssets(AssetStore.collectIds(payload.items));
+    console.log(`[SpawnCanvas] Copied ${payload.items.length} item(s)`);
+    return payload;
+  }
 
-      document.removeEventListener('mousemove', onMouseMove);
-      document.removeEventListener('mouseup', onMouseUp);
-    };
+  readItemsPayload(clipboardData) {
+    const json = clipboardData?.getData(CanvasApp.CLIPBOARD_MIME);
+    if (!json) return null;
 
-    document.addEventListener('mousemove', onMouseMove);
-    document.addEventListener('mouseup', onMouseUp);
+    try {
+      const payload = JSON.parse(json);
+      if (payload.type !== CanvasApp.CLIPBOARD_TYPE || !Array.isArray(payload.items)) {
+        return null;
+      }
+      return payload;
+    } catch (err) {
+      console.error('[SpawnCanvas] Invalid clipboard payload:', err);
+      return null;
+    }
   }
 
-  deleteItem(id) {
-    // Save state before deleting
-    this.pushHistory();
+  /**
+   * Recreate payload items with fresh IDs, as one undo step
+   * @param {Array} items - Payload items (positions relative to the group's top-left)
+   * @param {{x: number, y: number}} [origin] - Canvas position for the group (defaults to cursor or view center)
+   */
+  pasteItems(items, origin) {
+    if (!items || items.length === 0) return;
 
-    const element = this.canvasSurface.querySelector(`[data-item-id="${id}"]`);
-    if (element) {
-      element.remove();
+    if (!origin) {
+      origin = this.lastPointer
+        ? this.screenToCanvas(this.lastPointer.x, this.lastPointer.y)
+        : this.getNewItemPosition();
     }
-    Store.deleteItem(id);
-    this.selectedItems.delete(id);
+    const originX = this.snapToGrid(origin.x);
+    const originY = this.snapToGrid(origin.y);
+
+    // Save state once for the whole paste
+    this.pushHistory();
+
+    // Pasted items go on top, keeping their order among themselves
+    const byStack = Store.regenerateItemIds(items)
+      .map((item, index) => ({ item, index }))
+      .sort((a, b) => (a.item.z || 0) - (b.item.z || 0) || a.index - b.index)
+      .map(({ item }) => item);
+
+    const created = byStack.map(item => Store.createItem(item.type, {
+      ...item,
+      z: undefined,
+      position: {
+        x: originX + (item.position?.x || 0),
+        y: originY + (item.position?.y || 0)
+      }
+    })).filter(Boolean);
+
+    this.deselectAll();
+    created
+      .filter(item => item.type !== 'connector')
+      .forEach(item => this.renderItem(item));
+    created
+      .filter(item => item.type === 'connector')
+      .forEach(item => this.renderItem(item));
+    this.applyStackOrder();
+
+    // Items pasted over a container go into it (pasted containers keep their own contents)
+    created
+      .filter(item => item.type !== 'connector' && !Store.getParentContainer(item.id))
+      .forEach(item => this.updateItemMembership(item.id));
+    this.applyCollapsedState();
+    created
+      .filter(item => item.type !== 'connector' && !this.isItemHidden(item.id))
+      .forEach(item => this.selectItem(item.id, true));
+
+    console.log(`[SpawnCanvas] Pasted ${created.length} item(s)`);
+    this.announce(`${this.describeCount(created.filter(item => item.type !== 'connector').length, 'item')} pasted`);
   }
 
-  async copyItemToClipboard(id) {
-    const item = Store.getItem(id);
-    if (!item) return;
+  duplicateSelectedItems() {
+    const payload = this.buildItemsPayload(Array.from(this.selectedItems));
+    if (!payload) return;
+
+    const bounds = this.getItemsBounds(Array.from(this.selectedItems)
+      .map(id => Store.getItem(id))
+      .filter(item => item && item.type !== 'connector'));
+
+    this.pasteItems(payload.items, {
+      x: bounds.left + this.gridSize,
+      y: bounds.top + this.gridSize
+    });
+  }
 
+  /**
+   * Plain-text representation of an item for the clipboard
+   */
+  getItemPlainText(item) {
     let text = '';
 
     if (item.type === 'note') {
@@ -2341,10 +7027,46 @@ class CanvasApp {
         const checkbox = ci.completed ? '[x]' : '[ ]';
         text += `${indent}${checkbox} ${ci.text}\n`;
       });
+    } else if (item.type === 'container') {
+      text = item.title;
+    } else if (item.type === 'attachment') {
+      text = item.fileName || item.title;
+    } else if (item.type === 'link') {
+      text = `${item.title}\n${item.url}`;
+      if (item.excerpt) {
+        text += `\n\n> ${item.excerpt.replace(/\n/g, '\n> ')}`;
+      }
+    }
+
+    return text.trim();
+  }
+
+  async copyItemToClipboard(id) {
+    const item = Store.getItem(id);
+    if (!item) return;
+
+    // Markdown notes offer both the raw source and rendered rich text
+    if (item.type === 'note' && item.markdown && typeof ClipboardItem !== 'undefined') {
+      const markdown = `${item.title ? `# ${item.title}\n\n` : ''}${item.content}`.trim();
+      const html = MarkdownRenderer.render(markdown);
+      try {
+        await navigator.clipboard.write([
+          new ClipboardItem({
+            'text/plain': new Blob([markdown], { type: 'text/plain' }),
+            'text/html': new Blob([html], { type: 'text/html' })
+          })
+        ]);
+        console.log('[SpawnCanvas] Copied Markdown and rich text to clipboard');
+        return;
+      } catch (err) {
+        console.error('[SpawnCanvas] Failed to copy rich text, falling back to plain text:', err);
+      }
     }
 
+    const text = this.getItemPlainText(item);
+
     try {
-      await navigator.clipboard.writeText(text.trim());
+      await navigator.clipboard.writeText(text);
       console.log('[SpawnCanvas] Copied to clipboard');
     } catch (err) {
       console.error('[SpawnCanvas] Failed to copy:', err);
@@ -2353,11 +7075,10 @@ class CanvasApp {
 
   async copyImageToClipboard(id) {
     const item = Store.getItem(id);
-    if (!item || !item.imageData) return;
+    if (!item) return;
 
     try {
-      // Convert base64 data URL to blob
-      const response = await fetch(item.imageData);
+      const response = await fetch(await this.getImageSrc(item));
       const blob = await response.blob();
 
       await navigator.clipboard.write([
@@ -2373,8 +7094,85 @@ class CanvasApp {
     if (!text) return '';
     const div = document.createElement('div');
     div.textContent = text;
-    return div.innerHTML;
+    // Also safe inside quoted attributes (page titles often contain quotes)
+    return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
   }
 }
 
+// Clipboard format for copied canvas items
+CanvasApp.CLIPBOARD_TYPE = 'spawncanvas/items';
+CanvasApp.CLIPBOARD_MIME = 'application/x-spawncanvas+json';
+
+// Names read out for each item type
+CanvasApp.ITEM_TYPE_LABELS = {
+  note: 'Note',
+  checklist: 'Checklist',
+  container: 'Container',
+  image: 'Image',
+  link: 'Link',
+  attachment: 'File',
+  connector: 'Connector',
+  stroke: 'Drawing',
+  shape: 'Shape'
+};
+
+// Drag data that can become items, largest file that can be dropped (it travels
+// to the service worker as a data URL), and how far apart several dropped files land
+CanvasApp.DROP_TYPES = ['Files', 'text/uri-list', 'text/html', 'text/plain'];
+CanvasApp.MAX_ATTACHMENT_SIZE = 25 * 1024 * 1024;
+CanvasApp.DROP_CASCADE_OFFSET = 40;
+
+// Longest description and selected-text excerpt kept on a link card
+CanvasApp.LINK_DESCRIPTION_LENGTH = 300;
+CanvasApp.LINK_EXCERPT_LENGTH = 1000;
+
+// Names of the drawing tools, for announcements
+CanvasApp.TOOL_LABELS = {
+  select: 'Select',
+  ...Drawing.TOOLS,
+  ...Drawing.SHAPES,
+  eraser: 'Eraser'
+};
+
+// Eraser reach around the pointer, in screen pixels
+CanvasApp.ERASER_RADIUS = 8;
+
+// Unit vectors for keyboard focus movement and nudging
+CanvasApp.DIRECTIONS = {
+  left: { x: -1, y: 0 },
+  right: { x: 1, y: 0 },
+  up: { x: 0, y: -1 },
+  down: { x: 0, y: 1 }
+};
+
+// Keyboard nudge distances (canvas px) when grid snapping is off, and in grid cells when it is on
+CanvasApp.NUDGE_STEP = 1;
+CanvasApp.NUDGE_LARGE_STEP = 10;
+CanvasApp.NUDGE_LARGE_GRID_STEPS = 5;
+
+// Stacking commands: Store.restackItems mode and what screen readers hear
+CanvasApp.RESTACK_ACTIONS = {
+  'bring-to-front': ['front', 'Brought to front'],
+  'bring-forward': ['forward', 'Brought forward'],
+  'send-backward': ['backward', 'Sent backward'],
+  'send-to-back': ['back', 'Sent to back']
+};
+
+// Pointer movement (screen px) below which a press is still a tap, and how long a press must be held
+CanvasApp.TAP_SLOP = 8;
+CanvasApp.LONG_PRESS_MS = 500;
+
+// Items within this fraction of the viewport size beyond its edges are rendered too
+CanvasApp.RENDER_MARGIN = 0.5;
+
+// The grid extends this far beyond the outermost items, in steps of CANVAS_GROW_STEP
+CanvasApp.CANVAS_MARGIN = 2000;
+CanvasApp.CANVAS_GROW_STEP = 1000;
+
+// Items can't be moved further than this from the origin
+CanvasApp.MAX_CANVAS_EXTENT = 1000000;
+
+// Height of a collapsed container (title bar only); matches .container.collapsed in the overlay styles
+CanvasApp.COLLAPSED_CONTAINER_HEIGHT = 44;
+
 window.CanvasApp = CanvasApp;
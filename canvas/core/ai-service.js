@@ -6,29 +6,79 @@
 const AIService = (function () {
   'use strict';
 
-  // Provider configurations
+  // Provider configurations. models are suggestions; any model ID the provider accepts can be used
   const PROVIDERS = {
     claude: {
       name: 'Claude',
       url: 'https://api.anthropic.com/v1/messages',
-      model: 'claude-sonnet-4-20250514'
+      model: 'claude-sonnet-4-20250514',
+      models: ['claude-sonnet-4-20250514', 'claude-opus-4-20250514', 'claude-3-5-haiku-20241022'],
+      maxTemperature: 1
     },
     openai: {
       name: 'OpenAI',
       url: 'https://api.openai.com/v1/chat/completions',
-      model: 'gpt-4o-mini'
+      model: 'gpt-4o-mini',
+      models: ['gpt-4o-mini', 'gpt-4o', 'gpt-4.1-mini', 'gpt-4.1'],
+      maxTemperature: 2
     },
     gemini: {
       name: 'Gemini',
       baseUrl: 'https://generativelanguage.googleapis.com/v1beta/models',
-      model: 'gemini-2.5-flash'
+      model: 'gemini-2.5-flash',
+      models: ['gemini-2.5-flash', 'gemini-2.5-pro', 'gemini-2.0-flash'],
+      maxTemperature: 2
     }
   };
 
+  const DEFAULT_MAX_TOKENS = 1024;
+  const MAX_MAX_TOKENS = 65536;
+
+  // The connection test only needs a reply, not a useful one
+  const TEST_PROMPT = 'Reply with the single word OK.';
+  const TEST_MAX_TOKENS = 16;
+
+  /**
+   * Model and sampling options with defaults filled in and values in range.
+   * Temperature null means the provider's own default.
+   * @param {string} provider - Provider name
+   * @param {object} [options] - { model, temperature, maxTokens }
+   * @returns {{model: string, temperature: number|null, maxTokens: number}} Options to send
+   */
+  function normalizeOptions(provider, options = {}) {
+    const config = PROVIDERS[provider] || PROVIDERS.claude;
+    const temperature = options.temperature === null || options.temperature === undefined || options.temperature === ''
+      ? null
+      : Number(options.temperature);
+    const maxTokens = Math.round(Number(options.maxTokens));
+
+    return {
+      model: (options.model || '').trim() || config.model,
+      temperature: Number.isFinite(temperature) ? Math.min(Math.max(temperature, 0), config.maxTemperature) : null,
+      maxTokens: Number.isFinite(maxTokens) && maxTokens > 0 ? Math.min(maxTokens, MAX_MAX_TOKENS) : DEFAULT_MAX_TOKENS
+    };
+  }
+
+  /**
+   * Turn an unsuccessful response into an error people can act on
+   * @param {Response} response - Provider response
+   * @param {string} model - Model that was asked
+   */
+  async function throwResponseError(response, model) {
+    const error = await response.json().catch(() => ({}));
+    const message = error.error?.message || '';
+    if (response.status === 401 || response.status === 403 || /api key/i.test(message)) {
+      throw new Error('Invalid API key');
+    }
+    if (response.status === 404) throw new Error(`Model not found: ${model}`);
+    if (response.status === 429) throw new Error('Rate limited - please wait');
+    throw new Error(message || `API error: ${response.status}`);
+  }
+
   /**
    * Call Claude API
    */
-  async function callClaude(prompt, apiKey) {
+  async function callClaude(prompt, apiKey, options) {
     const response = await fetch(PROVIDERS.claude.url, {
       method: 'POST',
       headers: {
@@ -38,17 +88,15 @@ const AIService = (function () {
         'anthropic-dangerous-direct-browser-access': 'true'
       },
       body: JSON.stringify({
-        model: PROVIDERS.claude.model,
-        max_tokens: 1024,
+        model: options.model,
+        max_tokens: options.maxTokens,
+        ...(options.temperature !== null && { temperature: options.temperature }),
         messages: [{ role: 'user', content: prompt }]
       })
     });
 
     if (!response.ok) {
-      const error = await response.json().catch(() => ({}));
-      if (response.status === 401) throw new Error('Invalid API key');
-      if (response.status === 429) throw new Error('Rate limited - please wait');
-      throw new Error(error.error?.message || `API error: ${response.status}`);
+      await throwResponseError(response, options.model);
     }
 
     const data = await response.json();
@@ -58,7 +106,7 @@ const AIService = (function () {
   /**
    * Call OpenAI API
    */
-  async function callOpenAI(prompt, apiKey) {
+  async function callOpenAI(prompt, apiKey, options) {
     const response = await fetch(PROVIDERS.openai.url, {
       method: 'POST',
       headers: {
@@ -66,17 +114,15 @@ const AIService = (function () {
         'Authorization': `Bearer ${apiKey}`
       },
       body: JSON.stringify({
-        model: PROVIDERS.openai.model,
-        max_tokens: 1024,
+        model: options.model,
+        max_completion_tokens: options.maxTokens,
+        ...(options.temperature !== null && { temperature: options.temperature }),
         messages: [{ role: 'user', content: prompt }]
       })
     });
 
     if (!response.ok) {
-      const error = await response.json().catch(() => ({}));
-      if (response.status === 401) throw new Error('Invalid API key');
-      if (response.status === 429) throw new Error('Rate limited - please wait');
-      throw new Error(error.error?.message || `API error: ${response.status}`);
+      await throwResponseError(response, options.model);
     }
 
     const data = await response.json();
@@ -86,8 +132,8 @@ const AIService = (function () {
   /**
    * Call Gemini API
    */
-  async function callGemini(prompt, apiKey) {
-    const url = `${PROVIDERS.gemini.baseUrl}/${PROVIDERS.gemini.model}:generateContent?key=${apiKey}`;
+  async function callGemini(prompt, apiKey, options) {
+    const url = `${PROVIDERS.gemini.baseUrl}/${encodeURIComponent(options.model)}:generateContent?key=${encodeURIComponent(apiKey)}`;
 
     const response = await fetch(url, {
       method: 'POST',
@@ -97,16 +143,14 @@ const AIService = (function () {
       body: JSON.stringify({
         contents: [{ parts: [{ text: prompt }] }],
         generationConfig: {
-          maxOutputTokens: 1024
+          maxOutputTokens: options.maxTokens,
+          ...(options.temperature !== null && { temperature: options.temperature })
         }
       })
     });
 
     if (!response.ok) {
-      const error = await response.json().catch(() => ({}));
-      if (response.status === 400 || response.status === 403) throw new Error('Invalid API key');
-      if (response.status === 429) throw new Error('Rate limited - please wait');
-      throw new Error(error.error?.message || `API error: ${response.status}`);
+      await throwResponseError(response, options.model);
     }
 
     const data = await response.json();
@@ -115,17 +159,49 @@ const AIService = (function () {
 
   /**
    * Call the appropriate provider
+   * @param {string} prompt - Prompt to send
+   * @param {string} apiKey - API key for the provider
+   * @param {string} provider - Provider name
+   * @param {object} [options] - { model, temperature, maxTokens } (see normalizeOptions)
    */
-  async function callProvider(prompt, apiKey, provider) {
-    switch (provider) {
-      case 'openai':
-        return callOpenAI(prompt, apiKey);
-      case 'gemini':
-        return callGemini(prompt, apiKey);
-      case 'claude':
-      default:
-        return callClaude(prompt, apiKey);
+  async function callProvider(prompt, apiKey, provider, options = {}) {
+    const normalized = normalizeOptions(provider, options);
+    try {
+      switch (provider) {
+        case 'openai':
+          return await callOpenAI(prompt, apiKey, normalized);
+        case 'gemini':
+          return await callGemini(prompt, apiKey, normalized);
+        case 'claude':
+        default:
+          return await callClaude(prompt, apiKey, normalized);
+      }
+    } catch (err) {
+      // fetch only throws when the request didn't get an answer at all
+      if (err instanceof TypeError) {
+        const name = (PROVIDERS[provider] || PROVIDERS.claude).name;
+        throw new Error(`Could not reach ${name} - check your internet connection`);
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * Make the smallest possible request, to check a key and model work
+   * @param {string} apiKey - API key
+   * @param {string} provider - Provider name
+   * @param {object} [options] - { model, temperature, maxTokens }; maxTokens is ignored
+   * @returns {Promise<{model: string}>} The model that answered
+   * @throws {Error} What went wrong, e.g. 'Invalid API key'
+   */
+  async function testConnection(apiKey, provider = 'claude', options = {}) {
+    if (!apiKey) {
+      throw new Error('API key not configured');
     }
+
+    const { model } = normalizeOptions(provider, options);
+    await callProvider(TEST_PROMPT, apiKey, provider, { ...options, maxTokens: TEST_MAX_TOKENS });
+    return { model };
   }
 
   /**
@@ -161,9 +237,10 @@ const AIService = (function () {
    * @param {string} apiKey - API key
    * @param {string} provider - Provider name ('claude', 'openai', 'gemini')
    * @param {string} customPrompt - Optional custom prompt template
+   * @param {object} [options] - { model, temperature, maxTokens }
    * @returns {Promise<{title: string|null, items: string[]}>} Generated title and items
    */
-  async function generateChecklistItems(userPrompt, apiKey, provider = 'claude', customPrompt = null) {
+  async function generateChecklistItems(userPrompt, apiKey, provider = 'claude', customPrompt = null, options = {}) {
     if (!apiKey) {
       throw new Error('API key not configured');
     }
@@ -197,7 +274,7 @@ Rules:
       ? PromptManager.buildPrompt(promptTemplate, userPrompt)
       : promptTemplate.replace(/{prompt}/g, userPrompt);
 
-    const rawContent = await callProvider(prompt, apiKey, provider);
+    const rawContent = await callProvider(prompt, apiKey, provider, options);
 
     // Parse title and content
     const { title, content } = parseTitle(rawContent);
@@ -222,9 +299,10 @@ Rules:
    * @param {string} apiKey - API key
    * @param {string} provider - Provider name
    * @param {string} customPrompt - Optional custom prompt template
+   * @param {object} [options] - { model, temperature, maxTokens }
    * @returns {Promise<{title: string|null, content: string}>} Generated title and content
    */
-  async function expandNote(userPrompt, existingContent, apiKey, provider = 'claude', customPrompt = null) {
+  async function expandNote(userPrompt, existingContent, apiKey, provider = 'claude', customPrompt = null, options = {}) {
     if (!apiKey) {
       throw new Error('API key not configured');
     }
@@ -247,7 +325,7 @@ Rules:
 - First line must be a short title (3-5 words) prefixed with "TITLE:"
 - Then write the note content
 - Keep it concise and useful
-- Use plain text, no markdown
+- Markdown (headings, lists, bold, links) is fine; notes can show it formatted
 - 2-4 paragraphs maximum`;
     }
 
@@ -261,7 +339,7 @@ Rules:
       prompt += `\n\nExisting content to expand on:\n${existingContent}`;
     }
 
-    const rawContent = await callProvider(prompt, apiKey, provider);
+    const rawContent = await callProvider(prompt, apiKey, provider, options);
 
     // Parse title and content
     const { title, content } = parseTitle(rawContent);
@@ -270,18 +348,25 @@ Rules:
   }
 
   /**
-   * Get available providers
+   * Get available providers, with their default and suggested models
    */
   function getProviders() {
     return Object.entries(PROVIDERS).map(([id, config]) => ({
       id,
-      name: config.name
+      name: config.name,
+      model: config.model,
+      models: config.models.slice(),
+      maxTemperature: config.maxTemperature
     }));
   }
 
   return {
+    DEFAULT_MAX_TOKENS,
+    MAX_MAX_TOKENS,
     generateChecklistItems,
     expandNote,
+    testConnection,
+    normalizeOptions,
     getProviders
   };
 
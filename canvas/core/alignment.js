@@ -0,0 +1,178 @@
+/**
+ * Alignment - Align, distribute and snap guides for canvas items
+ * Works on plain rects ({ id, left, top, width, height }) in canvas
+ * coordinates and returns new rects, so callers decide how to apply them.
+ */
+
+const Alignment = (function () {
+  'use strict';
+
+  // How close (in screen pixels) edges must be before they snap together
+  const SNAP_THRESHOLD = 6;
+
+  /**
+   * Rectangle enclosing a list of rects
+   * @param {Array} rects - Rects (at least one)
+   * @returns {{left: number, top: number, width: number, height: number}}
+   */
+  function getBounds(rects) {
+    const left = Math.min(...rects.map(rect => rect.left));
+    const top = Math.min(...rects.map(rect => rect.top));
+    const right = Math.max(...rects.map(rect => rect.left + rect.width));
+    const bottom = Math.max(...rects.map(rect => rect.top + rect.height));
+    return { left, top, width: right - left, height: bottom - top };
+  }
+
+  /**
+   * Align rects to an edge or centre line of their combined bounds
+   * @param {Array} rects - Rects to align
+   * @param {string} mode - 'left' | 'center' | 'right' | 'top' | 'middle' | 'bottom'
+   * @returns {Array} Moved copies, in the same order
+   */
+  function align(rects, mode) {
+    const bounds = getBounds(rects);
+    return rects.map(rect => {
+      const next = { ...rect };
+      switch (mode) {
+        case 'left':
+          next.left = bounds.left;
+          break;
+        case 'center':
+          next.left = Math.round(bounds.left + (bounds.width - rect.width) / 2);
+          break;
+        case 'right':
+          next.left = bounds.left + bounds.width - rect.width;
+          break;
+        case 'top':
+          next.top = bounds.top;
+          break;
+        case 'middle':
+          next.top = Math.round(bounds.top + (bounds.height - rect.height) / 2);
+          break;
+        case 'bottom':
+          next.top = bounds.top + bounds.height - rect.height;
+          break;
+      }
+      return next;
+    });
+  }
+
+  /**
+   * Spread rects so the gaps between them are equal, keeping the outermost in place
+   * @param {Array} rects - Rects to distribute (at least three)
+   * @param {string} axis - 'horizontal' | 'vertical'
+   * @returns {Array} Moved copies, in the same order
+   */
+  function distribute(rects, axis) {
+    const copies = rects.map(rect => ({ ...rect }));
+    if (copies.length < 3) return copies;
+
+    const start = axis === 'horizontal' ? 'left' : 'top';
+    const size = axis === 'horizontal' ? 'width' : 'height';
+
+    const sorted = copies.slice().sort((a, b) => a[start] - b[start]);
+    const from = sorted[0][start];
+    const to = Math.max(...sorted.map(rect => rect[start] + rect[size]));
+    const total = sorted.reduce((sum, rect) => sum + rect[size], 0);
+    const gap = (to - from - total) / (sorted.length - 1);
+
+    let cursor = from;
+    sorted.forEach(rect => {
+      rect[start] = Math.round(cursor);
+      cursor += rect[size] + gap;
+    });
+    return copies;
+  }
+
+  /**
+   * Give every rect the width or height of the largest one
+   * @param {Array} rects - Rects to resize
+   * @param {string} dimension - 'width' | 'height'
+   * @returns {Array} Resized copies, in the same order
+   */
+  function matchSize(rects, dimension) {
+    const largest = Math.max(...rects.map(rect => rect[dimension]));
+    return rects.map(rect => ({ ...rect, [dimension]: largest }));
+  }
+
+  function getLines(rect, axis) {
+    return axis === 'x'
+      ? [rect.left, rect.left + rect.width / 2, rect.left + rect.width]
+      : [rect.top, rect.top + rect.height / 2, rect.top + rect.height];
+  }
+
+  /**
+   * Find the smallest move that lines an edge or centre of a rect up with another rect
+   * @param {object} rect - Moving rect
+   * @param {Array} others - Rects to snap to
+   * @param {number} [threshold] - Maximum distance in canvas units
+   * @returns {{x: number|null, y: number|null}} Offset to apply on each axis, or null when nothing is close
+   */
+  function findSnap(rect, others, threshold = SNAP_THRESHOLD) {
+    const result = { x: null, y: null };
+    ['x', 'y'].forEach(axis => {
+      const lines = getLines(rect, axis);
+      others.forEach(other => {
+        getLines(other, axis).forEach(target => {
+          lines.forEach(line => {
+            const offset = target - line;
+            if (Math.abs(offset) <= threshold &&
+                (result[axis] === null || Math.abs(offset) < Math.abs(result[axis]))) {
+              result[axis] = offset;
+            }
+          });
+        });
+      });
+    });
+    return result;
+  }
+
+  /**
+   * Guide lines for every edge or centre of a rect that lines up exactly with another rect
+   * @param {object} rect - Moving rect
+   * @param {Array} others - Rects it may line up with
+   * @returns {Array<{orientation: string, position: number, start: number, end: number}>} Guides
+   */
+  function getGuides(rect, others) {
+    const guides = new Map();
+
+    ['x', 'y'].forEach(axis => {
+      const orientation = axis === 'x' ? 'vertical' : 'horizontal';
+      const lines = getLines(rect, axis);
+      others.forEach(other => {
+        getLines(other, axis).forEach(target => {
+          if (!lines.some(line => Math.abs(line - target) < 0.5)) return;
+
+          // The guide spans both rects along the other axis
+          const start = axis === 'x' ? Math.min(rect.top, other.top) : Math.min(rect.left, other.left);
+          const end = axis === 'x'
+            ? Math.max(rect.top + rect.height, other.top + other.height)
+            : Math.max(rect.left + rect.width, other.left + other.width);
+          const key = `${orientation}:${Math.round(target)}`;
+          const guide = guides.get(key);
+          if (guide) {
+            guide.start = Math.min(guide.start, start);
+            guide.end = Math.max(guide.end, end);
+          } else {
+            guides.set(key, { orientation, position: target, start, end });
+          }
+        });
+      });
+    });
+
+    return Array.from(guides.values());
+  }
+
+  return {
+    SNAP_THRESHOLD,
+    getBounds,
+    align,
+    distribute,
+    matchSize,
+    findSnap,
+    getGuides
+  };
+
+})();
+
+window.Alignment = Alignment;
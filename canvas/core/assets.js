@@ -0,0 +1,116 @@
+/**
+ * Assets - Images and files kept outside of workspace data
+ * Image and attachment items only store an asset ID; the bytes live in the extension's
+ * IndexedDB, which the service worker owns (see background/asset-store.js).
+ * Assets are content-addressed, so storing the same image twice gives the
+ * same ID, and the service worker deletes assets nothing refers to any more.
+ */
+
+const AssetStore = (function () {
+  'use strict';
+
+  const ID_PATTERN = /^asset_[0-9a-f]{64}$/;
+
+  // Object URLs for assets already fetched in this tab, by asset ID
+  const urlCache = new Map();
+
+  function isAssetId(id) {
+    return typeof id === 'string' && ID_PATTERN.test(id);
+  }
+
+  /**
+   * Store data in the asset store
+   * @param {string} dataUrl - Data URL of the image
+   * @returns {Promise<string>} Asset ID
+   */
+  async function put(dataUrl) {
+    const response = await SpawnCanvasBridge.sendToBackground('PUT_ASSET', { dataUrl });
+    if (!response || !response.success) {
+      throw new Error((response && response.error) || 'Could not store image');
+    }
+    return response.id;
+  }
+
+  /**
+   * @param {string} id - Asset ID
+   * @returns {Promise<string>} Data URL of the asset
+   */
+  async function getDataUrl(id) {
+    const response = await SpawnCanvasBridge.sendToBackground('GET_ASSET', { id });
+    if (!response || !response.success) {
+      throw new Error((response && response.error) || `Asset not found: ${id}`);
+    }
+    return response.dataUrl;
+  }
+
+  /**
+   * Address an asset can be shown from (an object URL, kept for the life of the tab)
+   * @param {string} id - Asset ID
+   * @returns {Promise<string>} URL
+   */
+  function getUrl(id) {
+    if (!urlCache.has(id)) {
+      const url = getDataUrl(id)
+        .then(dataUrl => fetch(dataUrl))
+        .then(response => response.blob())
+        .then(blob => URL.createObjectURL(blob));
+      // A failed lookup is tried again next time
+      url.catch(() => urlCache.delete(id));
+      urlCache.set(id, url);
+    }
+    return urlCache.get(id);
+  }
+
+  /**
+   * Asset IDs used by items
+   * @param {Array} items - Workspace items
+   * @returns {Array<string>} Unique asset IDs
+   */
+  function collectIds(items) {
+    return [...new Set(items.map(item => item.assetId).filter(isAssetId))];
+  }
+
+  /**
+   * Data for embedding assets in an export file
+   * @param {Array<string>} ids - Asset IDs
+   * @returns {Promise<object>} Map of asset ID to data URL (missing assets are left out)
+   */
+  async function exportAssets(ids) {
+    const assets = {};
+    for (const id of ids) {
+      try {
+        assets[id] = await getDataUrl(id);
+      } catch (err) {
+        console.warn('[SpawnCanvas] Asset left out of export:', err);
+      }
+    }
+    return assets;
+  }
+
+  /**
+   * Store assets embedded in an import file
+   * @param {object} assets - Map of asset ID to data URL
+   * @returns {Promise<Map<string, string>>} Asset ID in the file to asset ID it was stored as
+   */
+  async function importAssets(assets) {
+    const ids = new Map();
+    for (const [id, dataUrl] of Object.entries(assets || {})) {
+      if (typeof dataUrl !== 'string' || !dataUrl.startsWith('data:')) continue;
+      ids.set(id, await put(dataUrl));
+    }
+    return ids;
+  }
+
+  return {
+    isAssetId,
+    put,
+    getDataUrl,
+    getUrl,
+    collectIds,
+    exportAssets,
+    importAssets
+  };
+
+})();
+
+window.AssetStore = AssetStore;
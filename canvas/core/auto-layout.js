@@ -0,0 +1,194 @@
+/**
+ * Auto Layout - Arrange items so they don't overlap
+ * Each layout takes rects ({ id, left, top, width, height, createdAt, title })
+ * and returns copies placed from an origin, in the same order as given.
+ */
+
+const AutoLayout = (function () {
+  'use strict';
+
+  const DEFAULT_GAP = 20;
+
+  const LAYOUTS = {
+    grid: 'Compact grid',
+    masonry: 'Masonry by height',
+    'flow-created': 'Flow by creation time',
+    'flow-title': 'Flow by title'
+  };
+
+  /**
+   * Number of columns that keeps the arrangement roughly square
+   */
+  function getColumnCount(count) {
+    return Math.max(1, Math.ceil(Math.sqrt(count)));
+  }
+
+  /**
+   * Reading order: top to bottom, then left to right
+   */
+  function byPosition(a, b) {
+    return a.top - b.top || a.left - b.left;
+  }
+
+  function placeAll(rects, placed) {
+    return rects.map(rect => ({ ...rect, ...placed.get(rect.id) }));
+  }
+
+  /**
+   * Equal-sized cells (the largest item) in a near-square grid, keeping the current reading order
+   */
+  function grid(rects, origin, gap) {
+    const columns = getColumnCount(rects.length);
+    const cellWidth = Math.max(...rects.map(rect => rect.width));
+    const placed = new Map();
+
+    let top = origin.top;
+    rects.slice().sort(byPosition).forEach((rect, index, sorted) => {
+      const column = index % columns;
+      if (column === 0 && index > 0) {
+        const previousRow = sorted.slice(index - columns, index);
+        top += Math.max(...previousRow.map(other => other.height)) + gap;
+      }
+      placed.set(rect.id, { left: origin.left + column * (cellWidth + gap), top });
+    });
+
+    return placeAll(rects, placed);
+  }
+
+  /**
+   * Tallest items first, each dropped into the currently shortest column
+   */
+  function masonry(rects, origin, gap) {
+    const columns = getColumnCount(rects.length);
+    const columnWidth = Math.max(...rects.map(rect => rect.width));
+    const heights = new Array(columns).fill(0);
+    const placed = new Map();
+
+    rects.slice()
+      .sort((a, b) => b.height - a.height || byPosition(a, b))
+      .forEach(rect => {
+        const column = heights.indexOf(Math.min(...heights));
+        placed.set(rect.id, {
+          left: origin.left + column * (columnWidth + gap),
+          top: origin.top + heights[column]
+        });
+        heights[column] += rect.height + gap;
+      });
+
+    return placeAll(rects, placed);
+  }
+
+  /**
+   * Left-to-right rows that wrap at a maximum width
+   */
+  function flow(rects, origin, gap, compare, maxWidth) {
+    const widest = Math.max(...rects.map(rect => rect.width));
+    const area = rects.reduce((sum, rect) => sum + (rect.width + gap) * (rect.height + gap), 0);
+    const rowWidth = Math.max(widest, maxWidth || Math.sqrt(area) * 1.5);
+    const placed = new Map();
+
+    let left = origin.left;
+    let top = origin.top;
+    let rowHeight = 0;
+    rects.slice().sort(compare).forEach(rect => {
+      if (left > origin.left && left - origin.left + rect.width > rowWidth) {
+        left = origin.left;
+        top += rowHeight + gap;
+        rowHeight = 0;
+      }
+      placed.set(rect.id, { left, top });
+      left += rect.width + gap;
+      rowHeight = Math.max(rowHeight, rect.height);
+    });
+
+    return placeAll(rects, placed);
+  }
+
+  /**
+   * Arrange rects with one of the layouts
+   * @param {Array} rects - Rects to arrange
+   * @param {string} layout - Key of LAYOUTS
+   * @param {object} [options]
+   * @param {object} [options.container] - Container the rects are laid out in (below its title bar, within its width)
+   * @param {{left: number, top: number}} [options.origin] - Top-left corner (defaults to the rects' current corner)
+   * @param {number} [options.gap] - Space between items
+   * @param {number} [options.maxWidth] - Row width for flow layouts
+   * @param {Array} [options.avoid] - Rects of other items; the arrangement moves down until it is clear of them
+   * @returns {Array} Placed copies, in the same order
+   */
+  function arrange(rects, layout, options = {}) {
+    if (rects.length === 0) return [];
+
+    const gap = options.gap !== undefined ? options.gap : DEFAULT_GAP;
+    let origin = options.origin || {
+      left: Math.min(...rects.map(rect => rect.left)),
+      top: Math.min(...rects.map(rect => rect.top))
+    };
+    let maxWidth = options.maxWidth;
+    if (options.container) {
+      const { position, size } = options.container;
+      origin = { left: position.x + Store.CONTAINER_PADDING, top: position.y + Store.CONTAINER_HEADER_HEIGHT };
+      maxWidth = size.width - Store.CONTAINER_PADDING * 2;
+    }
+
+    let placed;
+    switch (layout) {
+      case 'grid':
+        placed = grid(rects, origin, gap);
+        break;
+      case 'masonry':
+        placed = masonry(rects, origin, gap);
+        break;
+      case 'flow-created':
+        placed = flow(rects, origin, gap, (a, b) => (a.createdAt || 0) - (b.createdAt || 0), maxWidth);
+        break;
+      case 'flow-title':
+        placed = flow(rects, origin, gap,
+          (a, b) => (a.title || '').localeCompare(b.title || '', undefined, { numeric: true, sensitivity: 'base' }),
+          maxWidth);
+        break;
+      default:
+        return rects.map(rect => ({ ...rect }));
+    }
+
+    return options.avoid && options.avoid.length > 0 ? moveClear(placed, options.avoid, gap) : placed;
+  }
+
+  /**
+   * Move arranged rects down together until none of them overlaps an obstacle
+   * @param {Array} placed - Arranged rects
+   * @param {Array} obstacles - Rects to keep clear of
+   * @param {number} gap - Space to keep from obstacles
+   * @returns {Array} Moved copies, in the same order
+   */
+  function moveClear(placed, obstacles, gap) {
+    let offset = 0;
+    for (;;) {
+      // Each pass clears the lowest obstacle hit, so the offset only grows
+      let next = offset;
+      placed.forEach(rect => {
+        const top = rect.top + offset;
+        obstacles.forEach(other => {
+          const overlaps =
+            rect.left < other.left + other.width + gap && rect.left + rect.width + gap > other.left &&
+            top < other.top + other.height + gap && top + rect.height + gap > other.top;
+          if (overlaps) {
+            next = Math.max(next, other.top + other.height + gap - rect.top);
+          }
+        });
+      });
+      if (next === offset) break;
+      offset = next;
+    }
+    return placed.map(rect => ({ ...rect, top: rect.top + offset }));
+  }
+
+  return {
+    LAYOUTS,
+    DEFAULT_GAP,
+    arrange
+  };
+
+})();
+
+window.AutoLayout = AutoLayout;
@@ -0,0 +1,151 @@
+/**
+ * Capture - Crop and annotate screenshots
+ * Works on images and 2D canvas contexts, with points ([x, y]) and rects
+ * ({ x, y, width, height }) in image pixels, so callers decide where the
+ * pixels come from and what happens to the result.
+ */
+
+const Capture = (function () {
+  'use strict';
+
+  const TOOLS = {
+    arrow: 'Arrow',
+    box: 'Box',
+    blur: 'Blur'
+  };
+
+  const ANNOTATION_COLOR = '#ef4444';
+
+  // Drags shorter than this (image pixels) don't make a region or an annotation
+  const MIN_DRAG = 4;
+
+  /**
+   * Rect between two corners, in either order
+   * @param {Array<number>} start - [x, y] one corner
+   * @param {Array<number>} end - [x, y] the opposite corner
+   * @returns {{x: number, y: number, width: number, height: number}} Rect
+   */
+  function getRect(start, end) {
+    return {
+      x: Math.min(start[0], end[0]),
+      y: Math.min(start[1], end[1]),
+      width: Math.abs(end[0] - start[0]),
+      height: Math.abs(end[1] - start[1])
+    };
+  }
+
+  /**
+   * Whether a drag went far enough to count
+   */
+  function isDrag(start, end) {
+    return Math.hypot(end[0] - start[0], end[1] - start[1]) >= MIN_DRAG;
+  }
+
+  /**
+   * @param {string} src - Image address (usually a data URL)
+   * @returns {Promise<HTMLImageElement>} The image, once it can be drawn
+   */
+  async function loadImage(src) {
+    const image = new Image();
+    image.src = src;
+    await image.decode();
+    return image;
+  }
+
+  /**
+   * Copy part of an image onto a canvas of its own
+   * @param {CanvasImageSource} image - Image or canvas
+   * @param {{x: number, y: number, width: number, height: number}} rect - Part to keep
+   * @returns {HTMLCanvasElement} Canvas the size of the rect
+   */
+  function crop(image, rect) {
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(rect.width));
+    canvas.height = Math.max(1, Math.round(rect.height));
+    canvas.getContext('2d').drawImage(image,
+      Math.round(rect.x), Math.round(rect.y), canvas.width, canvas.height,
+      0, 0, canvas.width, canvas.height);
+    return canvas;
+  }
+
+  /**
+   * Line width that reads the same whatever the size of the image
+   */
+  function getLineWidth(width, height) {
+    return Math.max(3, Math.round(Math.max(width, height) / 300));
+  }
+
+  function drawArrow(ctx, from, to, lineWidth) {
+    const angle = Math.atan2(to[1] - from[1], to[0] - from[0]);
+    const headLength = lineWidth * 4;
+    // The shaft stops where the head starts, so its end doesn't poke through the tip
+    const shaftEnd = [to[0] - Math.cos(angle) * headLength * 0.8, to[1] - Math.sin(angle) * headLength * 0.8];
+
+    ctx.beginPath();
+    ctx.moveTo(from[0], from[1]);
+    ctx.lineTo(shaftEnd[0], shaftEnd[1]);
+    ctx.stroke();
+
+    ctx.beginPath();
+    ctx.moveTo(to[0], to[1]);
+    ctx.lineTo(to[0] - Math.cos(angle - Math.PI / 7) * headLength, to[1] - Math.sin(angle - Math.PI / 7) * headLength);
+    ctx.lineTo(to[0] - Math.cos(angle + Math.PI / 7) * headLength, to[1] - Math.sin(angle + Math.PI / 7) * headLength);
+    ctx.closePath();
+    ctx.fill();
+  }
+
+  /**
+   * Draw an image with its annotations onto a context the same size. Blurs go
+   * first, so boxes and arrows drawn over them stay sharp.
+   * @param {CanvasRenderingContext2D} ctx - Target context
+   * @param {CanvasImageSource} image - Image being annotated
+   * @param {Array<{tool: string, start: Array<number>, end: Array<number>}>} annotations - Marks, oldest first
+   */
+  function render(ctx, image, annotations) {
+    const { width, height } = ctx.canvas;
+    const lineWidth = getLineWidth(width, height);
+
+    ctx.clearRect(0, 0, width, height);
+    ctx.drawImage(image, 0, 0, width, height);
+
+    annotations.filter(annotation => annotation.tool === 'blur').forEach(annotation => {
+      const rect = getRect(annotation.start, annotation.end);
+      ctx.save();
+      ctx.beginPath();
+      ctx.rect(rect.x, rect.y, rect.width, rect.height);
+      ctx.clip();
+      ctx.filter = `blur(${Math.max(10, lineWidth * 4)}px)`;
+      ctx.drawImage(image, 0, 0, width, height);
+      ctx.restore();
+    });
+
+    ctx.save();
+    ctx.strokeStyle = ANNOTATION_COLOR;
+    ctx.fillStyle = ANNOTATION_COLOR;
+    ctx.lineWidth = lineWidth;
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+    annotations.forEach(annotation => {
+      if (annotation.tool === 'box') {
+        const rect = getRect(annotation.start, annotation.end);
+        ctx.strokeRect(rect.x, rect.y, rect.width, rect.height);
+      } else if (annotation.tool === 'arrow') {
+        drawArrow(ctx, annotation.start, annotation.end, lineWidth);
+      }
+    });
+    ctx.restore();
+  }
+
+  return {
+    TOOLS,
+    ANNOTATION_COLOR,
+    getRect,
+    isDrag,
+    loadImage,
+    crop,
+    render
+  };
+
+})();
+
+window.Capture = Capture;
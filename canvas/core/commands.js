@@ -0,0 +1,181 @@
+/**
+ * Command Registry - Named commands for the command palette
+ * Features register commands (or providers that build commands on demand)
+ * and the palette lists, fuzzy-matches and runs them.
+ */
+
+const CommandRegistry = (function () {
+  'use strict';
+
+  const commands = new Map();
+  const providers = new Set();
+
+  /**
+   * Register a command
+   * @param {object} command - Command definition
+   * @param {string} command.id - Unique ID
+   * @param {string} command.title - Label shown in the palette
+   * @param {Function} command.run - Called when the command is picked
+   * @param {string} [command.category] - Group label (e.g. 'View')
+   * @param {string|Function} [command.shortcut] - Keyboard shortcut to display (or a function returning it)
+   * @param {string} [command.keywords] - Extra words to match against
+   * @param {Function} [command.when] - Return false to hide the command
+   * @returns {Function} Unregister function
+   */
+  function register(command) {
+    if (!command || !command.id || typeof command.run !== 'function') {
+      console.error('[Commands] Invalid command:', command);
+      return () => {};
+    }
+    commands.set(command.id, command);
+    return () => unregister(command.id);
+  }
+
+  function unregister(id) {
+    commands.delete(id);
+  }
+
+  /**
+   * Register a function that returns a list of commands each time the palette opens
+   * (for lists that change, such as workspaces)
+   * @param {Function} provider - () => Array of command definitions
+   * @returns {Function} Unregister function
+   */
+  function registerProvider(provider) {
+    providers.add(provider);
+    return () => providers.delete(provider);
+  }
+
+  /**
+   * Get every currently available command
+   * @returns {Array} Commands
+   */
+  function getCommands() {
+    const all = Array.from(commands.values());
+    providers.forEach(provider => {
+      try {
+        all.push(...(provider() || []));
+      } catch (err) {
+        console.error('[Commands] Error in command provider:', err);
+      }
+    });
+
+    return all.filter(command => {
+      if (typeof command.when !== 'function') return true;
+      try {
+        return command.when();
+      } catch (err) {
+        return false;
+      }
+    });
+  }
+
+  /**
+   * Match query characters in order against text
+   * @param {string} query - Typed text
+   * @param {string} text - Candidate text
+   * @returns {{score: number, indices: Array<number>}|null} Match or null
+   */
+  function fuzzyMatch(query, text) {
+    const q = query.toLowerCase().replace(/\s+/g, '');
+    const t = text.toLowerCase();
+    if (!q) return { score: 0, indices: [] };
+
+    const indices = [];
+    let score = 0;
+    let from = 0;
+
+    for (const char of q) {
+      // Prefer the next word start holding this character, otherwise the next occurrence
+      let index = -1;
+      for (let i = from; i < t.length; i++) {
+        if (t[i] === char && (i === 0 || /[\s\-_:/(]/.test(t[i - 1]))) {
+          index = i;
+          break;
+        }
+      }
+      const next = t.indexOf(char, from);
+      if (next === -1) return null;
+      if (index === -1 || (indices.length && next === indices[indices.length - 1] + 1)) {
+        index = next;
+      }
+
+      score += 1;
+      if (index === 0) {
+        score += 10;
+      } else if (/[\s\-_:/(]/.test(t[index - 1])) {
+        score += 8;
+      }
+      if (indices.length && index === indices[indices.length - 1] + 1) {
+        score += 5;
+      }
+
+      indices.push(index);
+      from = index + 1;
+    }
+
+    // Shorter candidates win ties
+    score -= t.length * 0.01;
+    return { score, indices };
+  }
+
+  /**
+   * Rank available commands against a query
+   * @param {string} query - Typed text
+   * @returns {Array<{command: object, score: number, indices: Array<number>}>} Matches, best first
+   */
+  function search(query) {
+    const available = getCommands();
+
+    if (!query.trim()) {
+      return available
+        .map(command => ({ command, score: 0, indices: [] }))
+        .sort((a, b) =>
+          (a.command.category || '').localeCompare(b.command.category || '') ||
+          a.command.title.localeCompare(b.command.title));
+    }
+
+    const results = [];
+    available.forEach(command => {
+      const titleMatch = fuzzyMatch(query, command.title);
+      if (titleMatch) {
+        results.push({ command, score: titleMatch.score, indices: titleMatch.indices });
+        return;
+      }
+
+      // Category and keywords count for less and are not highlighted
+      const extra = `${command.category || ''} ${command.keywords || ''} ${command.title}`;
+      const extraMatch = fuzzyMatch(query, extra);
+      if (extraMatch) {
+        results.push({ command, score: extraMatch.score / 2, indices: [] });
+      }
+    });
+
+    return results.sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Run a command by ID
+   * @param {string} id - Command ID
+   * @returns {boolean} Whether the command was found
+   */
+  function execute(id) {
+    const command = getCommands().find(c => c.id === id);
+    if (!command) return false;
+    command.run();
+    return true;
+  }
+
+  return {
+    register,
+    unregister,
+    registerProvider,
+    getCommands,
+    fuzzyMatch,
+    search,
+    execute
+  };
+
+})();
+
+window.CommandRegistry = CommandRegistry;
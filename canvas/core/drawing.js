@@ -0,0 +1,306 @@
+/**
+ * Drawing - Geometry for freehand strokes and shapes
+ * Works on plain points ([x, y] in canvas coordinates) and item data, and
+ * returns item fields or SVG markup, so callers decide how to apply them.
+ */
+
+const Drawing = (function () {
+  'use strict';
+
+  const TOOLS = {
+    pen: 'Pen',
+    highlighter: 'Highlighter'
+  };
+
+  const SHAPES = {
+    rectangle: 'Rectangle',
+    ellipse: 'Ellipse',
+    diamond: 'Diamond',
+    line: 'Line'
+  };
+
+  const DEFAULT_COLOR = '#4dabf7';
+  const STROKE_WIDTHS = [2, 4, 8, 16];
+  const DEFAULT_STROKE_WIDTH = 4;
+  const MAX_STROKE_WIDTH = 64;
+
+  // Highlighter strokes are drawn this much wider than the chosen width (and see-through)
+  const HIGHLIGHTER_SCALE = 3;
+
+  // Points closer than this (canvas units) to the simplified path are dropped
+  const SIMPLIFY_TOLERANCE = 0.75;
+
+  // Shapes are drawn in a square viewBox of this size and stretched to the item
+  const SHAPE_BOX = 100;
+
+  // Size of a shape placed with a click instead of a drag
+  const DEFAULT_SHAPE_SIZE = 120;
+
+  // Sides of the polygon an ellipse is approximated by when hit-testing
+  const ELLIPSE_SEGMENTS = 32;
+
+  function normalizeColor(color) {
+    return /^#[0-9a-f]{6}$/i.test(color || '') ? color.toLowerCase() : DEFAULT_COLOR;
+  }
+
+  function normalizeStrokeWidth(width) {
+    const value = Number(width);
+    return Number.isFinite(value) && value > 0 ? Math.min(value, MAX_STROKE_WIDTH) : DEFAULT_STROKE_WIDTH;
+  }
+
+  /**
+   * Width the line is actually drawn at, in canvas units
+   */
+  function getDisplayWidth(item) {
+    const width = normalizeStrokeWidth(item.strokeWidth);
+    return item.type === 'stroke' && item.tool === 'highlighter' ? width * HIGHLIGHTER_SCALE : width;
+  }
+
+  function round(value) {
+    return Math.round(value * 10) / 10;
+  }
+
+  function distanceToSegment(point, a, b) {
+    const dx = b[0] - a[0];
+    const dy = b[1] - a[1];
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared === 0
+      ? 0
+      : Math.max(0, Math.min(1, ((point[0] - a[0]) * dx + (point[1] - a[1]) * dy) / lengthSquared));
+    return Math.hypot(point[0] - (a[0] + t * dx), point[1] - (a[1] + t * dy));
+  }
+
+  /**
+   * Drop points that don't change the shape of a path (Ramer-Douglas-Peucker)
+   * @param {Array<Array<number>>} points - [x, y] points
+   * @param {number} [tolerance] - Largest allowed deviation
+   * @returns {Array<Array<number>>} Remaining points, in order
+   */
+  function simplify(points, tolerance = SIMPLIFY_TOLERANCE) {
+    if (points.length < 3) return points.slice();
+
+    const keep = new Array(points.length).fill(false);
+    keep[0] = true;
+    keep[points.length - 1] = true;
+
+    const ranges = [[0, points.length - 1]];
+    while (ranges.length > 0) {
+      const [first, last] = ranges.pop();
+      let farthest = -1;
+      let farthestDistance = tolerance;
+      for (let i = first + 1; i < last; i++) {
+        const distance = distanceToSegment(points[i], points[first], points[last]);
+        if (distance > farthestDistance) {
+          farthest = i;
+          farthestDistance = distance;
+        }
+      }
+      if (farthest !== -1) {
+        keep[farthest] = true;
+        ranges.push([first, farthest], [farthest, last]);
+      }
+    }
+
+    return points.filter((point, index) => keep[index]);
+  }
+
+  /**
+   * Item fields for a freehand stroke. Points are stored relative to the item's
+   * top-left corner, in a viewBox that is stretched when the item is resized.
+   * @param {Array<Array<number>>} points - [x, y] points in canvas coordinates
+   * @returns {{position: object, size: object, points: Array, viewBox: object}} Stroke fields
+   */
+  function createStroke(points) {
+    const simplified = simplify(points);
+    const xs = simplified.map(point => point[0]);
+    const ys = simplified.map(point => point[1]);
+    const left = Math.min(...xs);
+    const top = Math.min(...ys);
+    const width = Math.max(1, round(Math.max(...xs) - left));
+    const height = Math.max(1, round(Math.max(...ys) - top));
+
+    return {
+      position: { x: round(left), y: round(top) },
+      size: { width, height },
+      points: simplified.map(point => [round(point[0] - left), round(point[1] - top)]),
+      viewBox: { width, height }
+    };
+  }
+
+  /**
+   * Smooth SVG path through points (quadratic curves between midpoints)
+   * @param {Array<Array<number>>} points - [x, y] points
+   * @returns {string} Path data
+   */
+  function buildStrokePath(points) {
+    if (!Array.isArray(points) || points.length === 0) return '';
+    // Numbers only, since the path ends up in markup
+    points = points.map(point => [Number(point[0]) || 0, Number(point[1]) || 0]);
+    const [first] = points;
+    if (points.length === 1) {
+      // A dot: round caps draw it as a circle
+      return `M ${first[0]} ${first[1]} L ${first[0]} ${first[1]}`;
+    }
+
+    let path = `M ${first[0]} ${first[1]}`;
+    for (let i = 1; i < points.length - 1; i++) {
+      const [x, y] = points[i];
+      const [nextX, nextY] = points[i + 1];
+      path += ` Q ${x} ${y} ${round((x + nextX) / 2)} ${round((y + nextY) / 2)}`;
+    }
+    const last = points[points.length - 1];
+    return `${path} L ${last[0]} ${last[1]}`;
+  }
+
+  /**
+   * Item fields for a shape dragged from one corner to the other
+   * @param {Array<number>} start - [x, y] where the drag started
+   * @param {Array<number>} end - [x, y] where it is now
+   * @param {string} shape - Key of SHAPES
+   * @param {boolean} [constrain] - Keep shapes square and lines at multiples of 45°
+   * @returns {{position: object, size: object, flip: boolean}} Shape fields
+   */
+  function getShapeBox(start, end, shape, constrain) {
+    let dx = end[0] - start[0];
+    let dy = end[1] - start[1];
+
+    if (constrain && shape === 'line') {
+      const angle = Math.round(Math.atan2(dy, dx) / (Math.PI / 4)) * (Math.PI / 4);
+      const length = Math.hypot(dx, dy);
+      dx = Math.round(Math.cos(angle) * length);
+      dy = Math.round(Math.sin(angle) * length);
+    } else if (constrain) {
+      const side = Math.max(Math.abs(dx), Math.abs(dy));
+      dx = Math.sign(dx || 1) * side;
+      dy = Math.sign(dy || 1) * side;
+    }
+
+    return {
+      position: { x: round(Math.min(start[0], start[0] + dx)), y: round(Math.min(start[1], start[1] + dy)) },
+      size: { width: Math.max(1, round(Math.abs(dx))), height: Math.max(1, round(Math.abs(dy))) },
+      // Lines normally run from the top-left corner to the bottom-right one
+      flip: shape === 'line' && (dx < 0) !== (dy < 0)
+    };
+  }
+
+  /**
+   * SVG element for a shape in a SHAPE_BOX-sized viewBox
+   * @param {string} shape - Key of SHAPES
+   * @param {boolean} [flip] - Lines run from the bottom-left corner to the top-right one
+   * @returns {string} Markup
+   */
+  function buildShapeMarkup(shape, flip) {
+    const size = SHAPE_BOX;
+    const half = SHAPE_BOX / 2;
+    switch (shape) {
+      case 'ellipse':
+        return `<ellipse cx="${half}" cy="${half}" rx="${half}" ry="${half}"></ellipse>`;
+      case 'diamond':
+        return `<polygon points="${half},0 ${size},${half} ${half},${size} 0,${half}"></polygon>`;
+      case 'line':
+        return flip
+          ? `<line x1="0" y1="${size}" x2="${size}" y2="0"></line>`
+          : `<line x1="0" y1="0" x2="${size}" y2="${size}"></line>`;
+      default:
+        return `<rect x="0" y="0" width="${size}" height="${size}"></rect>`;
+    }
+  }
+
+  /**
+   * The line an item draws, as a polyline in canvas coordinates
+   * @param {object} item - Stroke or shape item
+   * @returns {Array<Array<number>>} [x, y] points
+   */
+  function getOutline(item) {
+    const { x, y } = item.position;
+    const { width, height } = item.size;
+
+    if (item.type === 'stroke') {
+      const viewBox = item.viewBox || item.size;
+      const scaleX = width / (viewBox.width || 1);
+      const scaleY = height / (viewBox.height || 1);
+      return (item.points || []).map(point => [x + point[0] * scaleX, y + point[1] * scaleY]);
+    }
+
+    switch (item.shape) {
+      case 'ellipse':
+        return Array.from({ length: ELLIPSE_SEGMENTS + 1 }, (unused, i) => {
+          const angle = (i / ELLIPSE_SEGMENTS) * Math.PI * 2;
+          return [x + width / 2 + Math.cos(angle) * width / 2, y + height / 2 + Math.sin(angle) * height / 2];
+        });
+      case 'diamond':
+        return [
+          [x + width / 2, y], [x + width, y + height / 2],
+          [x + width / 2, y + height], [x, y + height / 2], [x + width / 2, y]
+        ];
+      case 'line':
+        return item.flip
+          ? [[x, y + height], [x + width, y]]
+          : [[x, y], [x + width, y + height]];
+      default:
+        return [[x, y], [x + width, y], [x + width, y + height], [x, y + height], [x, y]];
+    }
+  }
+
+  /**
+   * Whether a point is on (or within a radius of) the line an item draws
+   * @param {object} item - Stroke or shape item
+   * @param {Array<number>} point - [x, y] in canvas coordinates
+   * @param {number} radius - Extra distance allowed, in canvas units
+   * @returns {boolean} Hit
+   */
+  function hitTest(item, point, radius) {
+    const outline = getOutline(item);
+    const reach = radius + getDisplayWidth(item) / 2;
+    if (outline.length === 1) {
+      return distanceToSegment(point, outline[0], outline[0]) <= reach;
+    }
+    for (let i = 1; i < outline.length; i++) {
+      if (distanceToSegment(point, outline[i - 1], outline[i]) <= reach) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Whether an eraser moving from one point to another touches an item
+   * @param {object} item - Stroke or shape item
+   * @param {Array<number>} from - [x, y] previous eraser position
+   * @param {Array<number>} to - [x, y] current eraser position
+   * @param {number} radius - Eraser radius, in canvas units
+   * @returns {boolean} Hit
+   */
+  function hitTestSegment(item, from, to, radius) {
+    const steps = Math.max(1, Math.ceil(Math.hypot(to[0] - from[0], to[1] - from[1]) / radius));
+    for (let i = 0; i <= steps; i++) {
+      const t = i / steps;
+      if (hitTest(item, [from[0] + (to[0] - from[0]) * t, from[1] + (to[1] - from[1]) * t], radius)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  return {
+    TOOLS,
+    SHAPES,
+    DEFAULT_COLOR,
+    STROKE_WIDTHS,
+    DEFAULT_STROKE_WIDTH,
+    SHAPE_BOX,
+    DEFAULT_SHAPE_SIZE,
+    normalizeColor,
+    normalizeStrokeWidth,
+    getDisplayWidth,
+    simplify,
+    createStroke,
+    buildStrokePath,
+    getShapeBox,
+    buildShapeMarkup,
+    getOutline,
+    hitTest,
+    hitTestSegment
+  };
+
+})();
+
+window.Drawing = Drawing;
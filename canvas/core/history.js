@@ -1,19 +1,38 @@
 /**
  * SpawnCanvas History Manager
  * Handles undo/redo with per-workspace persistent history.
+ * Each undo step is a list of operations (create, update, delete) recorded
+ * from Store, so undoing applies their inverses instead of restoring a copy
+ * of the whole workspace.
  */
 
 const HistoryManager = (function() {
   'use strict';
 
-  const MAX_HISTORY = 42;
+  const DEFAULT_MAX_HISTORY = 100;
+  const MIN_HISTORY = 1;
+  const MAX_HISTORY = 1000;
   const STORAGE_PREFIX = 'spawncanvas_history_';
+  const FORMAT_VERSION = 2;
 
-  // Per-workspace history stacks
+  // Edits to the same field within this window are merged into one step
+  const COALESCE_MS = 1500;
+
+  // Steps bigger than this (such as huge pastes) stay in memory and are not persisted
+  const MAX_PERSISTED_STEP_CHARS = 20000;
+
+  const SAVE_DEBOUNCE_MS = 500;
+
+  // Per-workspace history stacks. A step is { ops, coalesceKey, time }
   let undoStack = [];
   let redoStack = [];
+  let pendingStep = null; // Started by beginStep, pushed when its first operation arrives
+  let openStep = null; // Step currently receiving operations
+  let coalescingStep = null; // Newest step, while later typing may still be merged into it
   let currentWorkspaceId = null;
-  let isRestoring = false; // Flag to prevent saving state during undo/redo
+  let isRestoring = false; // Flag to prevent recording during undo/redo
+  let maxHistory = DEFAULT_MAX_HISTORY;
+  let saveTimeout = null;
 
   /**
    * Check if chrome.storage API is available
@@ -26,7 +45,7 @@ const HistoryManager = (function() {
    * Deep clone an object
    */
   function deepClone(obj) {
-    return JSON.parse(JSON.stringify(obj));
+    return obj === undefined ? undefined : JSON.parse(JSON.stringify(obj));
   }
 
   /**
@@ -36,41 +55,65 @@ const HistoryManager = (function() {
     return STORAGE_PREFIX + workspaceId;
   }
 
+  function resetStacks() {
+    undoStack = [];
+    redoStack = [];
+    pendingStep = null;
+    openStep = null;
+    coalescingStep = null;
+  }
+
   /**
    * Load history from storage for a workspace
    */
   async function loadHistory(workspaceId) {
+    flushSave();
+    resetStacks();
+    currentWorkspaceId = workspaceId;
+
     if (!isStorageAvailable()) {
       console.warn('[History] Chrome storage not available');
-      undoStack = [];
-      redoStack = [];
-      currentWorkspaceId = workspaceId;
       return;
     }
     try {
       const key = getStorageKey(workspaceId);
       const result = await chrome.storage.local.get(key);
       const data = result[key];
-      if (data) {
+      // Older versions stored full snapshots; those are dropped
+      if (data && data.version === FORMAT_VERSION) {
         undoStack = data.undoStack || [];
         redoStack = data.redoStack || [];
-      } else {
-        undoStack = [];
-        redoStack = [];
+      } else if (data) {
+        await chrome.storage.local.remove(key);
       }
-      currentWorkspaceId = workspaceId;
       console.log(`[History] Loaded history for workspace: ${workspaceId} (${undoStack.length} undo, ${redoStack.length} redo)`);
     } catch (err) {
       console.error('[History] Error loading history:', err);
-      undoStack = [];
-      redoStack = [];
+      resetStacks();
     }
   }
 
+  /**
+   * The newest steps of a stack that are small enough to persist.
+   * Stops at the first large step, since older steps can't be reached without it.
+   */
+  function getPersistableSteps(stack) {
+    const steps = [];
+    for (let i = stack.length - 1; i >= 0; i--) {
+      if (JSON.stringify(stack[i]).length > MAX_PERSISTED_STEP_CHARS) break;
+      steps.unshift(stack[i]);
+    }
+    return steps;
+  }
+
   /**
    * Save history to storage
    */
   async function saveHistory() {
+    if (saveTimeout) {
+      clearTimeout(saveTimeout);
+      saveTimeout = null;
+    }
     if (!currentWorkspaceId) return;
     if (!isStorageAvailable()) {
       console.warn('[History] Chrome storage not available, history not persisted');
@@ -80,8 +123,9 @@ const HistoryManager = (function() {
       const key = getStorageKey(currentWorkspaceId);
       await chrome.storage.local.set({
         [key]: {
-          undoStack: undoStack,
-          redoStack: redoStack
+          version: FORMAT_VERSION,
+          undoStack: getPersistableSteps(undoStack),
+          redoStack: getPersistableSteps(redoStack)
         }
       });
     } catch (err) {
@@ -89,76 +133,190 @@ const HistoryManager = (function() {
     }
   }
 
+  function scheduleSave() {
+    if (saveTimeout) {
+      clearTimeout(saveTimeout);
+    }
+    saveTimeout = setTimeout(saveHistory, SAVE_DEBOUNCE_MS);
+  }
+
   /**
-   * Push current state to undo stack
-   * @param {Array} items - Current items array from Store
+   * Save immediately if a save is pending (e.g. before switching workspace)
    */
-  function push(items) {
-    if (isRestoring) return; // Don't save state during undo/redo operations
-
-    const state = deepClone(items);
-    undoStack.push(state);
+  function flushSave() {
+    if (saveTimeout) {
+      saveHistory();
+    }
+  }
 
-    // Trim to max history
-    if (undoStack.length > MAX_HISTORY) {
+  function trimUndoStack() {
+    while (undoStack.length > maxHistory) {
       undoStack.shift();
     }
+  }
 
-    // Clear redo stack on new action
-    redoStack = [];
+  /**
+   * Start a new undo step. Operations recorded while the calling code runs
+   * (until the current task's microtasks) belong to it; a step with no
+   * operations is discarded. Actions that span several events, like drags,
+   * start their step when they change something, not when they begin.
+   * @param {string} [coalesceKey] - Continue the previous step instead if it has the same key and was recent (used for typing)
+   */
+  function beginStep(coalesceKey) {
+    if (isRestoring) return;
+
+    const last = undoStack[undoStack.length - 1];
+    if (coalesceKey && last && last === coalescingStep && last.coalesceKey === coalesceKey &&
+        Date.now() - last.time < COALESCE_MS) {
+      pendingStep = null;
+      openStep = last;
+      endStepLater(last);
+      return;
+    }
 
-    // Persist history
-    saveHistory();
+    openStep = null;
+    coalescingStep = null;
+    pendingStep = { ops: [], coalesceKey: coalesceKey || null, time: Date.now() };
+    endStepLater(pendingStep);
+  }
 
-    console.log(`[History] Pushed state (${undoStack.length} undo states)`);
+  /**
+   * Close a step once the code that started it has run, so that later
+   * changes made outside of a user action don't join it
+   */
+  function endStepLater(step) {
+    queueMicrotask(() => {
+      if (pendingStep === step) pendingStep = null;
+      if (openStep === step) openStep = null;
+    });
+  }
+
+  /**
+   * Merge an update into the previous update of the same item (oldest before values, newest after values)
+   */
+  function mergeUpdate(previous, op) {
+    Object.keys(op.before).forEach(key => {
+      if (!(key in previous.before) && !(key in previous.after)) {
+        previous.before[key] = op.before[key];
+      }
+    });
+    Object.keys(op.after).forEach(key => {
+      previous.after[key] = op.after[key];
+    });
+    Object.keys(op.before).forEach(key => {
+      if (!(key in op.after)) delete previous.after[key];
+    });
+  }
+
+  /**
+   * Record an operation from Store into the current step
+   * @param {object} op - { type: 'create'|'delete', item, index } or { type: 'update', id, before, after }
+   */
+  function record(op) {
+    if (isRestoring) return;
+
+    if (pendingStep) {
+      undoStack.push(pendingStep);
+      openStep = pendingStep;
+      coalescingStep = pendingStep;
+      pendingStep = null;
+      redoStack = [];
+      trimUndoStack();
+    }
+    // Changes made outside of a user action (e.g. layout fixes while rendering) aren't undoable
+    if (!openStep) return;
+
+    const previous = openStep.ops[openStep.ops.length - 1];
+    if (op.type === 'update' && previous && previous.type === 'update' && previous.id === op.id) {
+      mergeUpdate(previous, op);
+    } else {
+      openStep.ops.push(op);
+    }
+    openStep.time = Date.now();
+
+    scheduleSave();
+  }
+
+  /**
+   * Apply one operation to an items array, forwards (redo) or backwards (undo)
+   */
+  function applyOp(items, op, forward) {
+    if (op.type === 'update') {
+      const item = items.find(i => i.id === op.id);
+      if (!item) return;
+      const values = forward ? op.after : op.before;
+      const keys = new Set([...Object.keys(op.before), ...Object.keys(op.after)]);
+      keys.forEach(key => {
+        if (key in values) {
+          item[key] = deepClone(values[key]);
+        } else {
+          delete item[key];
+        }
+      });
+      item.updatedAt = Date.now();
+      return;
+    }
+
+    const insert = (op.type === 'create') === forward;
+    const existingIndex = items.findIndex(i => i.id === op.item.id);
+    if (insert) {
+      if (existingIndex === -1) {
+        items.splice(Math.min(op.index, items.length), 0, deepClone(op.item));
+      }
+    } else if (existingIndex > -1) {
+      items.splice(existingIndex, 1);
+    }
   }
 
   /**
    * Undo last action
-   * @param {Array} currentItems - Current items array from Store
-   * @returns {Array|null} Previous state to restore, or null if nothing to undo
+   * @param {Array} items - Current workspace items array (modified in place)
+   * @returns {boolean} Whether anything was undone
    */
-  function undo(currentItems) {
+  function undo(items) {
     if (undoStack.length === 0) {
       console.log('[History] Nothing to undo');
-      return null;
+      return false;
     }
 
-    // Save current state to redo stack
-    redoStack.push(deepClone(currentItems));
-
-    // Pop from undo stack
-    const previousState = undoStack.pop();
+    const step = undoStack.pop();
+    for (let i = step.ops.length - 1; i >= 0; i--) {
+      applyOp(items, step.ops[i], false);
+    }
+    redoStack.push(step);
+    pendingStep = null;
+    openStep = null;
+    coalescingStep = null;
 
-    // Persist history
-    saveHistory();
+    scheduleSave();
 
     console.log(`[History] Undo (${undoStack.length} undo, ${redoStack.length} redo)`);
-    return previousState;
+    return true;
   }
 
   /**
    * Redo last undone action
-   * @param {Array} currentItems - Current items array from Store
-   * @returns {Array|null} Next state to restore, or null if nothing to redo
+   * @param {Array} items - Current workspace items array (modified in place)
+   * @returns {boolean} Whether anything was redone
    */
-  function redo(currentItems) {
+  function redo(items) {
     if (redoStack.length === 0) {
       console.log('[History] Nothing to redo');
-      return null;
+      return false;
     }
 
-    // Save current state to undo stack
-    undoStack.push(deepClone(currentItems));
+    const step = redoStack.pop();
+    step.ops.forEach(op => applyOp(items, op, true));
+    undoStack.push(step);
+    trimUndoStack();
+    pendingStep = null;
+    openStep = null;
+    coalescingStep = null;
 
-    // Pop from redo stack
-    const nextState = redoStack.pop();
-
-    // Persist history
-    saveHistory();
+    scheduleSave();
 
     console.log(`[History] Redo (${undoStack.length} undo, ${redoStack.length} redo)`);
-    return nextState;
+    return true;
   }
 
   /**
@@ -176,18 +334,38 @@ const HistoryManager = (function() {
   }
 
   /**
-   * Set restoring flag (prevents push during undo/redo)
+   * Set restoring flag (prevents recording during undo/redo)
    */
   function setRestoring(value) {
     isRestoring = value;
   }
 
+  /**
+   * Set how many undo steps are kept
+   * @param {number} depth - Number of steps
+   * @returns {number} The depth actually used
+   */
+  function setMaxDepth(depth) {
+    const value = parseInt(depth, 10);
+    maxHistory = Number.isFinite(value)
+      ? Math.min(MAX_HISTORY, Math.max(MIN_HISTORY, value))
+      : DEFAULT_MAX_HISTORY;
+    if (undoStack.length > maxHistory) {
+      trimUndoStack();
+      scheduleSave();
+    }
+    return maxHistory;
+  }
+
+  function getMaxDepth() {
+    return maxHistory;
+  }
+
   /**
    * Clear history for current workspace
    */
   function clear() {
-    undoStack = [];
-    redoStack = [];
+    resetStacks();
     saveHistory();
   }
 
@@ -195,6 +373,10 @@ const HistoryManager = (function() {
    * Delete history for a workspace (call when workspace is deleted)
    */
   async function deleteWorkspaceHistory(workspaceId) {
+    if (workspaceId === currentWorkspaceId && saveTimeout) {
+      clearTimeout(saveTimeout);
+      saveTimeout = null;
+    }
     if (!isStorageAvailable()) return;
     try {
       const key = getStorageKey(workspaceId);
@@ -206,13 +388,19 @@ const HistoryManager = (function() {
   }
 
   return {
+    DEFAULT_MAX_HISTORY,
+    MIN_HISTORY,
+    MAX_HISTORY,
     loadHistory,
-    push,
+    beginStep,
+    record,
     undo,
     redo,
     canUndo,
     canRedo,
     setRestoring,
+    setMaxDepth,
+    getMaxDepth,
     clear,
     deleteWorkspaceHistory
   };
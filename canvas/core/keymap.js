@@ -0,0 +1,237 @@
+/**
+ * Keymap Manager - User-configurable keyboard shortcuts
+ * Holds the default binding for each canvas action, merges the user's
+ * overrides from Store and turns keyboard events into action IDs.
+ */
+
+const KeymapManager = (function() {
+  'use strict';
+
+  // Actions with their default keys. Global actions are handled at document
+  // level, so they also work while typing in a field (unless they need no
+  // Ctrl or Alt, which would get in the way of typing). Defaults avoid keys that
+  // type text and keys the browser itself uses, such as Alt+←/→ for Back/Forward.
+  const ACTIONS = [
+    { id: 'undo', title: 'Undo', keys: ['Ctrl+Z'], global: true },
+    { id: 'redo', title: 'Redo', keys: ['Ctrl+Y', 'Ctrl+Shift+Z'], global: true },
+    { id: 'search', title: 'Search workspaces', keys: ['Ctrl+F'], global: true },
+    { id: 'command-palette', title: 'Command palette', keys: ['Ctrl+K'], global: true },
+    { id: 'duplicate', title: 'Duplicate selection', keys: ['Ctrl+D'] },
+    { id: 'delete-selection', title: 'Delete selection', keys: ['Delete', 'Backspace'] },
+    { id: 'center', title: 'Reset view to center', keys: ['Home'] },
+    { id: 'zoom-in', title: 'Zoom in', keys: ['+', '='] },
+    { id: 'zoom-out', title: 'Zoom out', keys: ['-'] },
+    { id: 'zoom-fit', title: 'Zoom to fit all items', keys: ['Shift+1'] },
+    { id: 'zoom-selection', title: 'Zoom to selection', keys: ['Shift+2'] },
+    { id: 'prev-item', title: 'Select previous item', keys: ['Alt+PageUp'] },
+    { id: 'next-item', title: 'Select next item', keys: ['Alt+PageDown'] },
+    { id: 'focus-left', title: 'Focus item to the left', keys: ['Alt+Shift+ArrowLeft'] },
+    { id: 'focus-right', title: 'Focus item to the right', keys: ['Alt+Shift+ArrowRight'] },
+    { id: 'focus-up', title: 'Focus item above', keys: ['Alt+Shift+ArrowUp'] },
+    { id: 'focus-down', title: 'Focus item below', keys: ['Alt+Shift+ArrowDown'] },
+    { id: 'nudge-left', title: 'Nudge selection left', keys: ['ArrowLeft'] },
+    { id: 'nudge-right', title: 'Nudge selection right', keys: ['ArrowRight'] },
+    { id: 'nudge-up', title: 'Nudge selection up', keys: ['ArrowUp'] },
+    { id: 'nudge-down', title: 'Nudge selection down', keys: ['ArrowDown'] },
+    { id: 'nudge-left-far', title: 'Nudge selection left (large step)', keys: ['Shift+ArrowLeft'] },
+    { id: 'nudge-right-far', title: 'Nudge selection right (large step)', keys: ['Shift+ArrowRight'] },
+    { id: 'nudge-up-far', title: 'Nudge selection up (large step)', keys: ['Shift+ArrowUp'] },
+    { id: 'nudge-down-far', title: 'Nudge selection down (large step)', keys: ['Shift+ArrowDown'] },
+    { id: 'bring-to-front', title: 'Bring selection to front', keys: ['Ctrl+Shift+ArrowUp'] },
+    { id: 'bring-forward', title: 'Bring selection forward', keys: ['Ctrl+ArrowUp'] },
+    { id: 'send-backward', title: 'Send selection backward', keys: ['Ctrl+ArrowDown'] },
+    { id: 'send-to-back', title: 'Send selection to back', keys: ['Ctrl+Shift+ArrowDown'] },
+    { id: 'tool-select', title: 'Select tool', keys: ['V'] },
+    { id: 'tool-pen', title: 'Pen tool', keys: ['P'] },
+    { id: 'tool-highlighter', title: 'Highlighter tool', keys: ['H'] },
+    { id: 'tool-rectangle', title: 'Rectangle tool', keys: ['R'] },
+    { id: 'tool-ellipse', title: 'Ellipse tool', keys: ['O'] },
+    { id: 'tool-diamond', title: 'Diamond tool', keys: ['D'] },
+    { id: 'tool-line', title: 'Line tool', keys: ['L'] },
+    { id: 'tool-eraser', title: 'Eraser tool', keys: ['E'] },
+    { id: 'close', title: 'Close canvas', keys: ['Escape'] }
+  ];
+
+  const MODIFIER_KEYS = ['Control', 'Shift', 'Alt', 'Meta', 'AltGraph', 'CapsLock'];
+
+  // User overrides: { bindings: { actionId: [combo] }, passthrough: [combo] }
+  let userKeymap = { bindings: {}, passthrough: [] };
+
+  /**
+   * Load the user's keymap from storage
+   * @returns {Promise<void>}
+   */
+  async function load() {
+    const stored = await Store.getKeymap();
+    userKeymap = {
+      bindings: (stored && stored.bindings) || {},
+      passthrough: (stored && stored.passthrough) || []
+    };
+  }
+
+  /**
+   * Save a keymap (only differences from the defaults are stored)
+   * @param {{bindings: object, passthrough: Array}} keymap - Full bindings and passthrough keys
+   * @returns {Promise<boolean>} Success
+   */
+  async function save(keymap) {
+    const overrides = {};
+    ACTIONS.forEach(action => {
+      const keys = keymap.bindings[action.id] || [];
+      if (keys.join('|') !== action.keys.join('|')) {
+        overrides[action.id] = keys;
+      }
+    });
+
+    userKeymap = { bindings: overrides, passthrough: keymap.passthrough.slice() };
+    const isDefault = Object.keys(overrides).length === 0 && userKeymap.passthrough.length === 0;
+    return Store.setKeymap(isDefault ? null : userKeymap);
+  }
+
+  function getActions() {
+    return ACTIONS;
+  }
+
+  function getAction(id) {
+    return ACTIONS.find(action => action.id === id) || null;
+  }
+
+  function getDefaultBindings() {
+    const bindings = {};
+    ACTIONS.forEach(action => {
+      bindings[action.id] = action.keys.slice();
+    });
+    return bindings;
+  }
+
+  /**
+   * Get the effective keys for every action
+   * @returns {object} Map of action ID to key combos
+   */
+  function getBindings() {
+    const bindings = getDefaultBindings();
+    Object.keys(userKeymap.bindings).forEach(id => {
+      if (bindings[id]) {
+        bindings[id] = userKeymap.bindings[id].slice();
+      }
+    });
+    return bindings;
+  }
+
+  function getPassthrough() {
+    return userKeymap.passthrough.slice();
+  }
+
+  /**
+   * Convert a keyboard event to a combo string such as 'Ctrl+Shift+Z'.
+   * Digits use the physical key so Shift+1 works on any layout; Shift is
+   * dropped for symbols it produces ('+' rather than 'Shift+=').
+   * @param {KeyboardEvent} e - Keyboard event
+   * @returns {string|null} Combo, or null for a lone modifier
+   */
+  function eventToCombo(e) {
+    if (!e.key || MODIFIER_KEYS.includes(e.key)) return null;
+
+    let key;
+    let shiftMatters = true;
+    if (/^Digit\d$/.test(e.code)) {
+      key = e.code.slice(5);
+    } else if (e.altKey && /^Key[A-Z]$/.test(e.code)) {
+      // Alt changes the produced character on some layouts
+      key = e.code.slice(3);
+    } else if (e.key === ' ') {
+      key = 'Space';
+    } else if (e.key.length === 1) {
+      key = e.key.toUpperCase();
+      shiftMatters = /[A-Z]/.test(key) || /\d/.test(key);
+    } else {
+      key = e.key;
+    }
+
+    const parts = [];
+    if (e.ctrlKey || e.metaKey) parts.push('Ctrl');
+    if (e.altKey) parts.push('Alt');
+    if (e.shiftKey && shiftMatters) parts.push('Shift');
+    parts.push(key);
+    return parts.join('+');
+  }
+
+  /**
+   * Whether the page should receive this key instead of the canvas
+   */
+  function isPassthrough(e) {
+    const combo = eventToCombo(e);
+    return !!combo && userKeymap.passthrough.includes(combo);
+  }
+
+  /**
+   * Find the action bound to a keyboard event
+   * @param {KeyboardEvent} e - Keyboard event
+   * @returns {string|null} Action ID
+   */
+  function match(e) {
+    const combo = eventToCombo(e);
+    if (!combo || userKeymap.passthrough.includes(combo)) return null;
+
+    const bindings = getBindings();
+    const action = ACTIONS.find(a => bindings[a.id].includes(combo));
+    return action ? action.id : null;
+  }
+
+  function isGlobal(id) {
+    const action = getAction(id);
+    return !!action && action.global === true;
+  }
+
+  /**
+   * Find keys bound to more than one action
+   * @param {object} bindings - Map of action ID to key combos
+   * @returns {object} Map of combo to the action IDs sharing it
+   */
+  function findConflicts(bindings) {
+    const owners = {};
+    Object.keys(bindings).forEach(id => {
+      bindings[id].forEach(combo => {
+        owners[combo] = owners[combo] || [];
+        owners[combo].push(id);
+      });
+    });
+
+    const conflicts = {};
+    Object.keys(owners).forEach(combo => {
+      if (owners[combo].length > 1) {
+        conflicts[combo] = owners[combo];
+      }
+    });
+    return conflicts;
+  }
+
+  /**
+   * Shortcut text for an action, e.g. 'Ctrl+Y / Ctrl+Shift+Z'
+   * @param {string} id - Action ID
+   * @returns {string} Shortcut text ('' when unbound)
+   */
+  function formatShortcut(id) {
+    const keys = getBindings()[id] || [];
+    return keys.filter(combo => !userKeymap.passthrough.includes(combo)).join(' / ');
+  }
+
+  return {
+    load,
+    save,
+    getActions,
+    getAction,
+    getDefaultBindings,
+    getBindings,
+    getPassthrough,
+    eventToCombo,
+    isPassthrough,
+    match,
+    isGlobal,
+    findConflicts,
+    formatShortcut
+  };
+
+})();
+
+window.KeymapManager = KeymapManager;
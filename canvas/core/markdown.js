@@ -0,0 +1,305 @@
+/**
+ * Markdown Renderer - Safe Markdown rendering for notes
+ * Supports headings, lists (with task checkboxes), code blocks, quotes, links
+ * and basic inline formatting. Output is sanitised against a tag/attribute
+ * whitelist before it is returned.
+ */
+
+const MarkdownRenderer = (function () {
+  'use strict';
+
+  // Tags and attributes allowed to survive sanitisation
+  const ALLOWED_TAGS = {
+    H1: [], H2: [], H3: [], H4: [], H5: [], H6: [],
+    P: [], BR: [], HR: [],
+    UL: [], OL: [], LI: ['class'],
+    STRONG: [], EM: [], DEL: [],
+    CODE: ['class'], PRE: [],
+    BLOCKQUOTE: [],
+    A: ['href', 'title', 'target', 'rel'],
+    INPUT: ['type', 'checked', 'data-task-index']
+  };
+
+  const SAFE_URL = /^(https?:|mailto:)/i;
+
+  const FENCE = /^\s*(```|~~~)\s*([\w+-]*)\s*$/;
+  const HEADING = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+  const RULE = /^\s*([-*_])(\s*\1){2,}\s*$/;
+  const QUOTE = /^\s*>\s?(.*)$/;
+  const LIST_ITEM = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+  const TASK = /^\[([ xX])\]\s+(.*)$/;
+
+  // Matches a task list line in the source, allowing for quote markers
+  const TASK_SOURCE = /^((?:\s*>)*\s*(?:[-*+]|\d+[.)])\s+\[)([ xX])(\]\s)/;
+
+  /**
+   * Escape text for use in HTML content and attribute values
+   */
+  function escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /**
+   * Render inline formatting for a single line of (unescaped) text
+   */
+  function renderInline(text) {
+    // Pull code spans and links out first so nothing inside them is formatted
+    const tokens = [];
+    const stash = (html) => {
+      tokens.push(html);
+      return `\u0000${tokens.length - 1}\u0000`;
+    };
+
+    let html = escapeHtml(text)
+      .replace(/`([^`]+)`/g, (match, code) => stash(`<code>${code}</code>`))
+      .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) => {
+        const href = url.replace(/&amp;/g, '&');
+        if (!SAFE_URL.test(href)) return label;
+        return stash(`<a href="${url}" target="_blank" rel="noopener noreferrer">${label}</a>`);
+      });
+
+    html = html
+      .replace(/\*\*(?=\S)(.+?)(?<=\S)\*\*/g, '<strong>$1</strong>')
+      .replace(/(^|\W)__(?=\S)(.+?)(?<=\S)__(?!\w)/g, '$1<strong>$2</strong>')
+      .replace(/\*(?=\S)(.+?)(?<=\S)\*/g, '<em>$1</em>')
+      .replace(/(^|\W)_(?=\S)(.+?)(?<=\S)_(?!\w)/g, '$1<em>$2</em>')
+      .replace(/~~(?=\S)(.+?)(?<=\S)~~/g, '<del>$1</del>');
+
+    return html.replace(/\u0000(\d+)\u0000/g, (match, index) => tokens[index]);
+  }
+
+  /**
+   * Render a run of list lines, nesting by indentation
+   */
+  function renderList(entries, state) {
+    let html = '';
+    const stack = [];
+
+    entries.forEach(entry => {
+      let top = stack[stack.length - 1];
+      while (top && entry.indent < top.indent) {
+        html += `</li></${top.tag}>`;
+        stack.pop();
+        top = stack[stack.length - 1];
+      }
+
+      if (!top || entry.indent > top.indent) {
+        html += `<${entry.tag}>`;
+        stack.push({ indent: entry.indent, tag: entry.tag });
+      } else if (top.tag !== entry.tag) {
+        // Switching between bullets and numbers starts a new list
+        html += `</li></${top.tag}><${entry.tag}>`;
+        top.tag = entry.tag;
+      } else {
+        html += '</li>';
+      }
+
+      const task = entry.text.match(TASK);
+      if (task) {
+        const checked = task[1] !== ' ' ? ' checked' : '';
+        html += `<li class="task-item"><input type="checkbox" data-task-index="${state.taskIndex++}"${checked}> ${renderInline(task[2])}`;
+      } else {
+        html += `<li>${renderInline(entry.text)}`;
+      }
+    });
+
+    while (stack.length) {
+      html += `</li></${stack.pop().tag}>`;
+    }
+    return html;
+  }
+
+  function isBlockStart(line) {
+    return FENCE.test(line) || HEADING.test(line) || RULE.test(line) ||
+      QUOTE.test(line) || LIST_ITEM.test(line);
+  }
+
+  /**
+   * Render block-level Markdown to (unsanitised) HTML
+   */
+  function renderBlocks(markdown, state) {
+    const lines = markdown.replace(/\r\n?/g, '\n').split('\n');
+    let html = '';
+    let i = 0;
+
+    while (i < lines.length) {
+      const line = lines[i];
+
+      // Fenced code block
+      const fence = line.match(FENCE);
+      if (fence) {
+        const code = [];
+        i++;
+        while (i < lines.length && !new RegExp(`^\\s*${fence[1]}\\s*$`).test(lines[i])) {
+          code.push(lines[i]);
+          i++;
+        }
+        i++; // Skip closing fence
+        const langClass = fence[2] ? ` class="language-${escapeHtml(fence[2])}"` : '';
+        html += `<pre><code${langClass}>${escapeHtml(code.join('\n'))}</code></pre>`;
+        continue;
+      }
+
+      if (line.trim() === '') {
+        i++;
+        continue;
+      }
+
+      const heading = line.match(HEADING);
+      if (heading) {
+        const level = heading[1].length;
+        html += `<h${level}>${renderInline(heading[2])}</h${level}>`;
+        i++;
+        continue;
+      }
+
+      // Checked before lists so "---" and "* * *" become rules
+      if (RULE.test(line)) {
+        html += '<hr>';
+        i++;
+        continue;
+      }
+
+      if (QUOTE.test(line)) {
+        const quoted = [];
+        while (i < lines.length && QUOTE.test(lines[i])) {
+          quoted.push(lines[i].match(QUOTE)[1]);
+          i++;
+        }
+        html += `<blockquote>${renderBlocks(quoted.join('\n'), state)}</blockquote>`;
+        continue;
+      }
+
+      if (LIST_ITEM.test(line)) {
+        const entries = [];
+        while (i < lines.length && LIST_ITEM.test(lines[i]) && !RULE.test(lines[i])) {
+          const [, indent, marker, text] = lines[i].match(LIST_ITEM);
+          entries.push({
+            indent: indent.replace(/\t/g, '  ').length,
+            tag: /\d/.test(marker) ? 'ol' : 'ul',
+            text
+          });
+          i++;
+        }
+        html += renderList(entries, state);
+        continue;
+      }
+
+      // Paragraph: consecutive lines keep their line breaks
+      const paragraph = [];
+      while (i < lines.length && lines[i].trim() !== '' && !isBlockStart(lines[i])) {
+        paragraph.push(renderInline(lines[i]));
+        i++;
+      }
+      html += `<p>${paragraph.join('<br>')}</p>`;
+    }
+
+    return html;
+  }
+
+  /**
+   * Strip everything not on the whitelist from an HTML string
+   * @param {string} html - HTML to sanitise
+   * @returns {string} Sanitised HTML
+   */
+  function sanitize(html) {
+    const template = document.createElement('template');
+    template.innerHTML = html;
+
+    const walk = (parent) => {
+      Array.from(parent.children).forEach(element => {
+        const allowedAttributes = ALLOWED_TAGS[element.tagName];
+
+        // Unknown elements are replaced by their (sanitised) children
+        if (!allowedAttributes) {
+          walk(element);
+          element.replaceWith(...element.childNodes);
+          return;
+        }
+
+        Array.from(element.attributes).forEach(attr => {
+          if (!allowedAttributes.includes(attr.name)) {
+            element.removeAttribute(attr.name);
+          }
+        });
+
+        if (element.tagName === 'A') {
+          const href = element.getAttribute('href') || '';
+          if (!SAFE_URL.test(href.trim())) {
+            element.removeAttribute('href');
+          }
+          element.setAttribute('target', '_blank');
+          element.setAttribute('rel', 'noopener noreferrer');
+        }
+
+        if (element.tagName === 'INPUT' && element.getAttribute('type') !== 'checkbox') {
+          element.remove();
+          return;
+        }
+
+        walk(element);
+      });
+    };
+
+    walk(template.content);
+    return template.innerHTML;
+  }
+
+  /**
+   * Render Markdown to sanitised HTML
+   * @param {string} markdown - Markdown source
+   * @returns {string} Safe HTML
+   */
+  function render(markdown) {
+    if (!markdown) return '';
+    return sanitize(renderBlocks(markdown, { taskIndex: 0 }));
+  }
+
+  /**
+   * Set the checked state of the n-th task list item in the source
+   * @param {string} markdown - Markdown source
+   * @param {number} index - Task index (as rendered in data-task-index)
+   * @param {boolean} checked - New checked state
+   * @returns {string} Updated Markdown source
+   */
+  function toggleTask(markdown, index, checked) {
+    const lines = markdown.split('\n');
+    let taskIndex = 0;
+    let fence = null;
+
+    for (let i = 0; i < lines.length; i++) {
+      const fenceMatch = lines[i].match(FENCE);
+      if (fenceMatch) {
+        if (!fence) {
+          fence = fenceMatch[1];
+        } else if (fenceMatch[1] === fence && !fenceMatch[2]) {
+          fence = null;
+        }
+        continue;
+      }
+      if (fence || !TASK_SOURCE.test(lines[i])) continue;
+
+      if (taskIndex === index) {
+        lines[i] = lines[i].replace(TASK_SOURCE, `$1${checked ? 'x' : ' '}$3`);
+        break;
+      }
+      taskIndex++;
+    }
+
+    return lines.join('\n');
+  }
+
+  return {
+    render,
+    sanitize,
+    toggleTask
+  };
+
+})();
+
+window.MarkdownRenderer = MarkdownRenderer;
@@ -31,7 +31,7 @@ Rules:
 - First line must be a short title (3-5 words) prefixed with "TITLE:"
 - Then write the note content
 - Keep it concise and useful
-- Use plain text, no markdown
+- Markdown (headings, lists, bold, links) is fine; notes can show it formatted
 - 2-4 paragraphs maximum
 
 Example format:
@@ -0,0 +1,241 @@
+/**
+ * Canvas Search - Ranked full-text search over workspaces and memories
+ * Builds a flat list of searchable entries (canvas items and Memory tab
+ * messages), scores them against a query and renders highlighted snippets.
+ */
+
+const CanvasSearch = (function () {
+  'use strict';
+
+  // How much a match in each field counts towards the score
+  const FIELD_WEIGHTS = {
+    title: 4,
+    checklist: 2,
+    content: 1,
+    prompt: 2,
+    response: 1
+  };
+
+  const SNIPPET_LENGTH = 90;
+
+  function escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  // Kept as typed; matching ignores case (see scoreField)
+  function tokenize(query) {
+    return (query || '').split(/\s+/).filter(Boolean);
+  }
+
+  function isWordStart(text, index) {
+    return index === 0 || !/[\p{L}\p{N}]/u.test(text[index - 1]);
+  }
+
+  function isWordEnd(text, index) {
+    return index >= text.length || !/[\p{L}\p{N}]/u.test(text[index]);
+  }
+
+  /**
+   * Collect searchable entries from workspace data and memories
+   * @param {Array} workspaces - Full workspace objects (with items)
+   * @param {object} memories - Memories object ({ projects })
+   * @returns {Array} Search entries
+   */
+  function buildEntries(workspaces, memories) {
+    const entries = [];
+
+    workspaces.forEach(workspace => {
+      (workspace.items || []).forEach(item => {
+        if (item.type === 'connector') return;
+
+        const fields = [{ name: 'title', text: item.title || '' }];
+        if (item.type === 'note') {
+          fields.push({ name: 'content', text: item.content || '' });
+        } else if (item.type === 'checklist') {
+          (item.items || []).forEach(checklistItem => {
+            fields.push({ name: 'checklist', text: checklistItem.text || '', checklistItemId: checklistItem.id });
+          });
+        } else if (item.type === 'link') {
+          fields.push(
+            { name: 'url', text: item.url || '' },
+            { name: 'description', text: item.description || '' },
+            { name: 'excerpt', text: item.excerpt || '' }
+          );
+        }
+
+        entries.push({
+          kind: 'item',
+          workspaceId: workspace.id,
+          workspaceName: workspace.name,
+          itemId: item.id,
+          itemType: item.type,
+          title: item.title || '',
+          updatedAt: item.updatedAt || 0,
+          fields: fields.filter(field => field.text)
+        });
+      });
+    });
+
+    Object.values((memories && memories.projects) || {}).forEach(project => {
+      (project.messages || []).forEach(message => {
+        entries.push({
+          kind: 'memory',
+          projectId: project.id,
+          messageId: message.id,
+          title: project.id,
+          updatedAt: message.responseTimestamp || message.promptTimestamp || 0,
+          fields: [
+            { name: 'prompt', text: message.prompt || '' },
+            { name: 'response', text: message.response || '' }
+          ].filter(field => field.text)
+        });
+      });
+    });
+
+    return entries;
+  }
+
+  /**
+   * Score one field against the query tokens
+   * @returns {{score: number, matched: Set<string>, ranges: Array}}
+   */
+  function scoreField(field, tokens, phrase) {
+    const text = field.text.toLowerCase();
+    const weight = FIELD_WEIGHTS[field.name] || 1;
+    const matched = new Set();
+    const ranges = [];
+    let score = 0;
+
+    tokens.forEach(token => {
+      let best = 0;
+      // Matched on the original text so the ranges line up with it (lowercasing can change lengths)
+      const pattern = new RegExp(escapeRegExp(token), 'giu');
+      let match;
+      while ((match = pattern.exec(field.text)) !== null) {
+        const start = match.index;
+        const end = start + match[0].length;
+        ranges.push([start, end]);
+        const wholeWord = isWordStart(field.text, start) && isWordEnd(field.text, end);
+        best = Math.max(best, isWordStart(field.text, start) ? (wholeWord ? 3 : 2) : 1);
+      }
+      if (best > 0) {
+        matched.add(token);
+        score += best * weight;
+      }
+    });
+
+    // Reward the whole query appearing as typed
+    if (tokens.length > 1 && text.includes(phrase)) {
+      score += 5 * weight;
+    }
+    if (field.name === 'title' && text === phrase) {
+      score += 10;
+    }
+
+    return { score, matched, ranges: mergeRanges(ranges) };
+  }
+
+  function mergeRanges(ranges) {
+    const sorted = ranges.slice().sort((a, b) => a[0] - b[0]);
+    const merged = [];
+    sorted.forEach(range => {
+      const last = merged[merged.length - 1];
+      if (last && range[0] <= last[1]) {
+        last[1] = Math.max(last[1], range[1]);
+      } else {
+        merged.push(range.slice());
+      }
+    });
+    return merged;
+  }
+
+  /**
+   * Search entries; every query word must appear somewhere in an entry
+   * @param {Array} entries - Entries from buildEntries
+   * @param {string} query - Search text
+   * @param {number} [limit=50] - Maximum results
+   * @returns {Array<{entry: object, score: number, field: object, ranges: Array}>} Results, best first
+   */
+  function search(entries, query, limit = 50) {
+    const tokens = tokenize(query);
+    if (tokens.length === 0) return [];
+    const phrase = tokens.join(' ').toLowerCase();
+
+    const results = [];
+    entries.forEach(entry => {
+      const matched = new Set();
+      let score = 0;
+      let best = null;
+
+      entry.fields.forEach(field => {
+        const result = scoreField(field, tokens, phrase);
+        if (result.score === 0) return;
+        result.matched.forEach(token => matched.add(token));
+        score += result.score;
+        if (!best || result.score > best.score) {
+          best = { ...result, field };
+        }
+      });
+
+      if (best && matched.size === tokens.length) {
+        results.push({ entry, score, field: best.field, ranges: best.ranges });
+      }
+    });
+
+    return results
+      .sort((a, b) => b.score - a.score || b.entry.updatedAt - a.entry.updatedAt)
+      .slice(0, limit);
+  }
+
+  /**
+   * Render text with matched ranges wrapped in <mark>, trimmed to a snippet around the first match
+   * @param {string} text - Field text
+   * @param {Array} ranges - Merged [start, end] ranges
+   * @param {number} [maxLength] - Snippet length (defaults to the whole text)
+   * @returns {string} Escaped HTML
+   */
+  function highlight(text, ranges, maxLength) {
+    let start = 0;
+    let end = text.length;
+    if (maxLength && text.length > maxLength) {
+      const first = ranges.length ? ranges[0][0] : 0;
+      start = Math.max(0, first - Math.floor(maxLength / 3));
+      end = Math.min(text.length, start + maxLength);
+    }
+
+    let html = start > 0 ? '…' : '';
+    let cursor = start;
+    ranges.forEach(([from, to]) => {
+      if (to <= start || from >= end) return;
+      from = Math.max(from, start);
+      to = Math.min(to, end);
+      html += escapeHtml(text.slice(cursor, from)) + `<mark>${escapeHtml(text.slice(from, to))}</mark>`;
+      cursor = to;
+    });
+    html += escapeHtml(text.slice(cursor, end));
+    if (end < text.length) html += '…';
+
+    // Snippets are shown on one line
+    return html.replace(/\s*\n\s*/g, ' ');
+  }
+
+  return {
+    SNIPPET_LENGTH,
+    tokenize,
+    buildEntries,
+    search,
+    highlight
+  };
+
+})();
+
+window.CanvasSearch = CanvasSearch;
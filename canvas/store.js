@@ -11,11 +11,17 @@ const Store = (function () {
   const WORKSPACES_LIST_KEY = STORAGE_PREFIX + 'workspaces_list';
   const CURRENT_WORKSPACE_KEY = STORAGE_PREFIX + 'current_workspace';
   const WORKSPACE_PREFIX = STORAGE_PREFIX + 'workspace_';
-  const API_KEY_KEY = STORAGE_PREFIX + 'api_key';
+  const API_KEY_KEY = STORAGE_PREFIX + 'api_key'; // Single key from before keys were per provider
+  const API_KEYS_KEY = STORAGE_PREFIX + 'api_keys';
   const AI_PROVIDER_KEY = STORAGE_PREFIX + 'ai_provider';
+  const AI_MODELS_KEY = STORAGE_PREFIX + 'ai_models';
+  const AI_OPTIONS_KEY = STORAGE_PREFIX + 'ai_options';
   const CHECKLIST_PROMPT_KEY = STORAGE_PREFIX + 'checklist_prompt';
   const NOTE_PROMPT_KEY = STORAGE_PREFIX + 'note_prompt';
   const MEMORIES_KEY = STORAGE_PREFIX + 'memories';
+  const KEYMAP_KEY = STORAGE_PREFIX + 'keymap';
+  const HISTORY_DEPTH_KEY = STORAGE_PREFIX + 'history_depth';
+  const CLIPBOARD_ASSETS_KEY = STORAGE_PREFIX + 'clipboard_assets'; // Kept by the asset cleanup (background/asset-store.js)
 
   // Default workspace
   const DEFAULT_WORKSPACE_ID = 'default';
@@ -24,6 +30,14 @@ const Store = (function () {
   // Debounce delay for auto-save (ms)
   const SAVE_DEBOUNCE_MS = 300;
 
+  // Space between a clipped item and other items (inside containers, the container padding applies)
+  const CLIP_GAP = 40;
+
+  // Space kept around a container's contents (below the title bar, and on the other sides);
+  // used when clipping into containers, by auto-layout and when containers grow to fit
+  const CONTAINER_HEADER_HEIGHT = 60;
+  const CONTAINER_PADDING = 20;
+
   // Storage soft limit (100MB)
   const STORAGE_LIMIT_BYTES = 100 * 1024 * 1024;
   let storageLimitWarningShown = false;
@@ -31,6 +45,9 @@ const Store = (function () {
   // State
   let currentWorkspace = null;
   let saveTimeout = null;
+  // Version (updatedAt) of each current workspace item in storage, as this tab last
+  // read or wrote it; tells changes saved by other tabs from our own unsaved ones
+  let storedVersions = new Map();
   let isInitialized = false;
 
   // Pub/Sub listeners
@@ -80,6 +97,13 @@ const Store = (function () {
     }
   }
 
+  /**
+   * Copy a plain JSON value so history entries don't share objects with live items
+   */
+  function cloneValue(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+  }
+
   // ============================================
   // WORKSPACE MANAGEMENT
   // ============================================
@@ -111,7 +135,10 @@ const Store = (function () {
       name,
       viewportX: 0,
       viewportY: 0,
+      viewportZoom: 1,
+      gridSnap: true,
       items: [],
+      containerMembership: true,
       createdAt: Date.now(),
       updatedAt: Date.now()
     };
@@ -319,7 +346,13 @@ const Store = (function () {
       }
     }
 
+    migrateContainerMembership(workspace);
+    migrateStackingOrder(workspace);
+    if (await migrateImageAssets(workspace)) {
+      await saveWorkspaceData(workspace);
+    }
     currentWorkspace = workspace;
+    rememberStoredVersions(workspace);
 
     // Save current workspace ID
     await chrome.storage.local.set({ [CURRENT_WORKSPACE_KEY]: id });
@@ -361,9 +394,48 @@ const Store = (function () {
     return `item_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
   }
 
+  /**
+   * Generate a unique checklist item ID
+   * @returns {string} Checklist item ID
+   */
+  function generateChecklistItemId() {
+    return `ci_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`;
+  }
+
+  /**
+   * Give imported or pasted items fresh IDs, remapping connector endpoints to match
+   * @param {Array} items - Items from an export file or clipboard payload
+   * @returns {Array} Items with regenerated IDs
+   */
+  function regenerateItemIds(items) {
+    const idMap = new Map();
+    items.forEach(item => idMap.set(item.id, generateItemId()));
+
+    const remapEndpoint = (endpoint) => endpoint ? {
+      ...endpoint,
+      itemId: idMap.get(endpoint.itemId) || endpoint.itemId
+    } : endpoint;
+
+    return items.map(item => ({
+      ...item,
+      id: idMap.get(item.id),
+      // Also regenerate checklist item IDs if present
+      items: item.items ? item.items.map(ci => ({
+        ...ci,
+        id: generateChecklistItemId()
+      })) : undefined,
+      // Keep only children that came along with their container
+      children: item.children ? item.children
+        .filter(childId => idMap.has(childId))
+        .map(childId => idMap.get(childId)) : undefined,
+      from: remapEndpoint(item.from),
+      to: remapEndpoint(item.to)
+    }));
+  }
+
   /**
    * Create a new item
-   * @param {string} type - Item type ('note', 'checklist', 'container')
+   * @param {string} type - Item type ('note', 'checklist', 'container', 'image', 'link', 'connector', 'stroke', 'shape')
    * @param {object} data - Item data
    * @returns {object} Created item
    */
@@ -373,12 +445,34 @@ const Store = (function () {
       return null;
     }
 
+    const item = buildItem(type, data, currentWorkspace);
+
+    currentWorkspace.items.push(item);
+    currentWorkspace.updatedAt = Date.now();
+
+    emit('item:operation', { type: 'create', item: cloneValue(item), index: currentWorkspace.items.length - 1 });
+    emit('item:created', item);
+    scheduleSave();
+
+    return item;
+  }
+
+  /**
+   * New item object with the defaults for its type, on top of a workspace's items
+   * @param {string} type - Item type
+   * @param {object} data - Item data
+   * @param {object} workspace - Workspace it is for
+   * @returns {object} Item (not yet added)
+   */
+  function buildItem(type, data, workspace) {
+    const size = data.size || { width: 250, height: 180 };
+    const center = getContentCenter(workspace.items);
     const item = {
       id: generateItemId(),
       type,
       title: data.title || '',
-      position: data.position || { x: 2500, y: 2500 },
-      size: data.size || { width: 250, height: 180 },
+      position: data.position || { x: center.x - size.width / 2, y: center.y - size.height / 2 },
+      size,
       createdAt: Date.now(),
       updatedAt: Date.now(),
       ...data
@@ -392,19 +486,70 @@ const Store = (function () {
     } else if (type === 'container') {
       item.color = data.color || 'blue';
       item.children = data.children || [];
+      item.collapsed = data.collapsed === true;
     } else if (type === 'image') {
-      item.imageData = data.imageData || '';
+      // The image is kept in AssetStore; imageData is only used (as the image's
+      // address) for clipped images that couldn't be fetched into it
+      item.assetId = data.assetId || '';
+      item.imageData = item.assetId ? '' : (data.imageData || '');
+    } else if (type === 'link') {
+      // Bookmark card for a web page; excerpt is text that was selected on it
+      item.url = data.url || '';
+      item.favicon = data.favicon || '';
+      item.description = data.description || '';
+      item.excerpt = data.excerpt || '';
+    } else if (type === 'attachment') {
+      // A dropped file, kept in AssetStore
+      item.assetId = data.assetId || '';
+      item.fileName = data.fileName || '';
+      item.mimeType = data.mimeType || '';
+      item.fileSize = data.fileSize || 0;
+    } else if (type === 'connector') {
+      // Endpoints: { itemId, side } where side is 'top' | 'right' | 'bottom' | 'left' | 'auto'
+      item.from = data.from || null;
+      item.to = data.to || null;
+      item.label = data.label || '';
+      item.arrowStart = data.arrowStart === true;
+      item.arrowEnd = data.arrowEnd !== false;
+    } else if (type === 'stroke') {
+      // Freehand line: points are [x, y] relative to the item, in a viewBox stretched to its size
+      item.tool = data.tool === 'highlighter' ? 'highlighter' : 'pen';
+      item.color = data.color || Drawing.DEFAULT_COLOR;
+      item.strokeWidth = data.strokeWidth || Drawing.DEFAULT_STROKE_WIDTH;
+      item.points = data.points || [];
+      item.viewBox = data.viewBox || { ...item.size };
+    } else if (type === 'shape') {
+      // Outline shape: 'rectangle' | 'ellipse' | 'diamond' | 'line'; flipped lines rise to the right
+      item.shape = data.shape || 'rectangle';
+      item.color = data.color || Drawing.DEFAULT_COLOR;
+      item.strokeWidth = data.strokeWidth || Drawing.DEFAULT_STROKE_WIDTH;
+      item.flip = data.flip === true;
     }
 
-    currentWorkspace.items.push(item);
-    currentWorkspace.updatedAt = Date.now();
-
-    emit('item:created', item);
-    scheduleSave();
+    // New items go on top
+    if (type !== 'connector' && typeof item.z !== 'number') {
+      item.z = getTopZ(workspace) + 1;
+    }
 
     return item;
   }
 
+  /**
+   * Middle of everything on a workspace's canvas, or the canvas origin when it is empty
+   * @param {Array} items - Workspace items
+   * @returns {{x: number, y: number}} Point
+   */
+  function getContentCenter(items) {
+    const spatial = items.filter(item => item.type !== 'connector');
+    if (spatial.length === 0) return { x: 0, y: 0 };
+
+    const left = Math.min(...spatial.map(item => item.position.x));
+    const top = Math.min(...spatial.map(item => item.position.y));
+    const right = Math.max(...spatial.map(item => item.position.x + item.size.width));
+    const bottom = Math.max(...spatial.map(item => item.position.y + item.size.height));
+    return { x: (left + right) / 2, y: (top + bottom) / 2 };
+  }
+
   /**
    * Update an existing item
    * @param {string} id - Item ID
@@ -419,10 +564,22 @@ const Store = (function () {
 
     const item = currentWorkspace.items[index];
 
+    // Record old and new values of the keys that actually change (for undo)
+    const before = {};
+    const after = {};
+    Object.keys(changes).forEach(key => {
+      if (key === 'updatedAt' || JSON.stringify(item[key]) === JSON.stringify(changes[key])) return;
+      if (item[key] !== undefined) before[key] = cloneValue(item[key]);
+      if (changes[key] !== undefined) after[key] = cloneValue(changes[key]);
+    });
+
     // Apply changes
     Object.assign(item, changes, { updatedAt: Date.now() });
     currentWorkspace.updatedAt = Date.now();
 
+    if (Object.keys(before).length > 0 || Object.keys(after).length > 0) {
+      emit('item:operation', { type: 'update', id, before, after });
+    }
     emit('item:updated', item);
     scheduleSave();
 
@@ -442,8 +599,28 @@ const Store = (function () {
 
     const [deletedItem] = currentWorkspace.items.splice(index, 1);
     currentWorkspace.updatedAt = Date.now();
+    emit('item:operation', { type: 'delete', item: cloneValue(deletedItem), index });
+
+    // Detach from its container; a deleted container releases its children to its own parent
+    const parent = getParentContainer(id);
+    if (parent) {
+      const children = parent.children.filter(childId => childId !== id);
+      if (deletedItem.type === 'container') {
+        children.push(...(deletedItem.children || []));
+      }
+      updateItem(parent.id, { children });
+    }
 
     emit('item:deleted', deletedItem);
+
+    // Remove connectors attached to the deleted item
+    if (deletedItem.type !== 'connector') {
+      currentWorkspace.items
+        .filter(item => item.type === 'connector' &&
+          (item.from?.itemId === id || item.to?.itemId === id))
+        .forEach(connector => deleteItem(connector.id));
+    }
+
     scheduleSave();
 
     return true;
@@ -468,37 +645,475 @@ const Store = (function () {
     return [...currentWorkspace.items];
   }
 
+  // ============================================
+  // CONTAINER MEMBERSHIP
+  // ============================================
+
+  /**
+   * Get the container an item belongs to
+   * @param {string} itemId - Item ID
+   * @returns {object|null} Parent container or null
+   */
+  function getParentContainer(itemId) {
+    if (!currentWorkspace) return null;
+    return currentWorkspace.items.find(item =>
+      item.type === 'container' && (item.children || []).includes(itemId)) || null;
+  }
+
+  /**
+   * Get every item inside a container, including items in nested containers
+   * @param {string} containerId - Container ID
+   * @returns {Array} Descendant items
+   */
+  function getDescendants(containerId) {
+    const result = [];
+    const visited = new Set([containerId]);
+    const queue = [containerId];
+
+    while (queue.length > 0) {
+      const container = getItem(queue.shift());
+      (container?.children || []).forEach(childId => {
+        if (visited.has(childId)) return;
+        visited.add(childId);
+        const child = getItem(childId);
+        if (!child) return;
+        result.push(child);
+        if (child.type === 'container') {
+          queue.push(childId);
+        }
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Move an item into a container (or out of any container)
+   * @param {string} itemId - Item ID
+   * @param {string|null} containerId - Target container ID, or null to release
+   * @returns {boolean} Success
+   */
+  function setItemParent(itemId, containerId) {
+    const item = getItem(itemId);
+    if (!item) return false;
+
+    if (containerId) {
+      const container = getItem(containerId);
+      if (!container || container.type !== 'container' || containerId === itemId) return false;
+      // A container cannot be placed inside its own descendants
+      if (getDescendants(itemId).some(descendant => descendant.id === containerId)) return false;
+    }
+
+    const current = getParentContainer(itemId);
+    if ((current?.id || null) === (containerId || null)) return true;
+
+    if (current) {
+      updateItem(current.id, { children: current.children.filter(childId => childId !== itemId) });
+    }
+    if (containerId) {
+      const container = getItem(containerId);
+      updateItem(containerId, { children: [...(container.children || []), itemId] });
+    }
+
+    emit('item:reparented', { itemId, containerId: containerId || null });
+    return true;
+  }
+
+  /**
+   * New sizes for a container and the containers around it so a rect fits inside
+   * @param {Array} items - Workspace items
+   * @param {object} container - Innermost container
+   * @param {{left: number, top: number, width: number, height: number}} rect - Rect to fit
+   * @returns {Array<{id: string, size: object}>} Containers that have to grow, innermost first
+   */
+  function getGrownContainers(items, container, rect) {
+    const grown = [];
+    const visited = new Set();
+    let current = container;
+    while (current && !visited.has(current.id)) {
+      visited.add(current.id);
+      const size = {
+        width: Math.max(current.size.width, rect.left + rect.width + CONTAINER_PADDING - current.position.x),
+        height: Math.max(current.size.height, rect.top + rect.height + CONTAINER_PADDING - current.position.y)
+      };
+      if (size.width === current.size.width && size.height === current.size.height) break;
+
+      grown.push({ id: current.id, size });
+      rect = { left: current.position.x, top: current.position.y, ...size };
+      const currentId = current.id;
+      current = items.find(item => item.type === 'container' && (item.children || []).includes(currentId));
+    }
+    return grown;
+  }
+
+  /**
+   * One-time migration: older workspaces grouped items by whether their center
+   * was inside a container. Record that grouping as explicit membership.
+   * @param {object} workspace - Workspace data
+   */
+  function migrateContainerMembership(workspace) {
+    if (workspace.containerMembership) return;
+
+    const containers = workspace.items.filter(item => item.type === 'container');
+    workspace.items.forEach(item => {
+      if (item.type === 'container' || item.type === 'connector') return;
+
+      const centerX = item.position.x + item.size.width / 2;
+      const centerY = item.position.y + item.size.height / 2;
+      const owners = containers.filter(container =>
+        centerX >= container.position.x && centerX <= container.position.x + container.size.width &&
+        centerY >= container.position.y && centerY <= container.position.y + container.size.height);
+      if (owners.length === 0) return;
+
+      // Innermost (smallest) container wins
+      const owner = owners.reduce((a, b) =>
+        a.size.width * a.size.height <= b.size.width * b.size.height ? a : b);
+      owner.children = [...(owner.children || []), item.id];
+    });
+
+    workspace.containerMembership = true;
+  }
+
+  // ============================================
+  // STACKING ORDER
+  // ============================================
+
+  /**
+   * One-time migration: items without a stored z took their stacking from their
+   * position in the items array. Record that as explicit z values.
+   * @param {object} workspace - Workspace data
+   */
+  function migrateStackingOrder(workspace) {
+    workspace.items.forEach((item, index) => {
+      if (item.type !== 'connector' && typeof item.z !== 'number') {
+        item.z = index;
+      }
+    });
+  }
+
+  function getTopZ(workspace = currentWorkspace) {
+    const values = workspace.items
+      .filter(item => typeof item.z === 'number')
+      .map(item => item.z);
+    return values.length > 0 ? Math.max(...values) : 0;
+  }
+
+  function compareZ(a, b) {
+    return (a.z || 0) - (b.z || 0);
+  }
+
+  /**
+   * Items (without connectors) in the order they are painted, bottom first.
+   * Each container comes directly before its contents, so it never covers them.
+   * @returns {Array} Items
+   */
+  function getStackingOrder() {
+    if (!currentWorkspace) return [];
+
+    const spatial = currentWorkspace.items.filter(item => item.type !== 'connector');
+    const childIds = new Set();
+    spatial
+      .filter(item => item.type === 'container')
+      .forEach(container => (container.children || []).forEach(id => childIds.add(id)));
+
+    const result = [];
+    const visited = new Set();
+    const visit = (item) => {
+      if (visited.has(item.id)) return;
+      visited.add(item.id);
+      result.push(item);
+      if (item.type === 'container') {
+        (item.children || [])
+          .map(id => getItem(id))
+          .filter(child => child && child.type !== 'connector')
+          .sort(compareZ)
+          .forEach(visit);
+      }
+    };
+    spatial.filter(item => !childIds.has(item.id)).sort(compareZ).forEach(visit);
+
+    // Anything left over (e.g. a membership cycle) goes on top
+    spatial.forEach(visit);
+    return result;
+  }
+
+  /**
+   * Change where items sit in the stacking order. Items only move among their
+   * siblings: items with the same parent container that are containers too, or
+   * are not (containers always stay beneath other items).
+   * @param {Array<string>} ids - Item IDs
+   * @param {string} mode - 'front' | 'back' | 'forward' | 'backward'
+   * @returns {boolean} Whether anything moved
+   */
+  function restackItems(ids, mode) {
+    if (!currentWorkspace) return false;
+
+    const moving = new Set(ids.filter(id => {
+      const item = getItem(id);
+      return item && item.type !== 'connector';
+    }));
+
+    // Group the moving items by sibling set
+    const groups = new Map();
+    moving.forEach(id => {
+      const item = getItem(id);
+      const parent = getParentContainer(id);
+      const key = `${parent ? parent.id : ''}|${item.type === 'container'}`;
+      if (!groups.has(key)) {
+        const siblings = (parent
+          ? (parent.children || []).map(childId => getItem(childId)).filter(Boolean)
+          : currentWorkspace.items.filter(other => !getParentContainer(other.id)))
+          .filter(other => other.type !== 'connector' && (other.type === 'container') === (item.type === 'container'));
+        groups.set(key, siblings.sort(compareZ));
+      }
+    });
+
+    let changed = false;
+    groups.forEach(siblings => {
+      let order = siblings.slice();
+      if (mode === 'front') {
+        order = [...order.filter(item => !moving.has(item.id)), ...order.filter(item => moving.has(item.id))];
+      } else if (mode === 'back') {
+        order = [...order.filter(item => moving.has(item.id)), ...order.filter(item => !moving.has(item.id))];
+      } else if (mode === 'forward') {
+        // Step each moving item over the next item that isn't moving, starting from the top
+        for (let i = order.length - 2; i >= 0; i--) {
+          if (moving.has(order[i].id) && !moving.has(order[i + 1].id)) {
+            [order[i], order[i + 1]] = [order[i + 1], order[i]];
+          }
+        }
+      } else if (mode === 'backward') {
+        for (let i = 1; i < order.length; i++) {
+          if (moving.has(order[i].id) && !moving.has(order[i - 1].id)) {
+            [order[i], order[i - 1]] = [order[i - 1], order[i]];
+          }
+        }
+      }
+
+      if (order.every((item, index) => item === siblings[index])) return;
+
+      // Reuse the siblings' own z values so the rest of the stack is untouched;
+      // ties (from older data) are spread out first
+      const values = siblings.map(item => item.z || 0);
+      for (let i = 1; i < values.length; i++) {
+        if (values[i] <= values[i - 1]) values[i] = values[i - 1] + 1;
+      }
+      order.forEach((item, index) => {
+        if (item.z !== values[index]) {
+          updateItem(item.id, { z: values[index] });
+        }
+      });
+      changed = true;
+    });
+
+    if (changed) {
+      emit('items:restacked', Array.from(moving));
+    }
+    return changed;
+  }
+
+  // ============================================
+  // IMAGE ASSETS
+  // ============================================
+
+  /**
+   * Migration: images used to be stored inline as data URLs (and still are in
+   * older export files). Move them into AssetStore, leaving an asset ID.
+   * @param {object} workspace - Workspace data
+   * @returns {Promise<boolean>} Whether any item changed
+   */
+  async function migrateImageAssets(workspace) {
+    let changed = false;
+    for (const item of workspace.items) {
+      if (item.type !== 'image' || item.assetId || !/^data:image\//i.test(item.imageData || '')) continue;
+      try {
+        item.assetId = await AssetStore.put(item.imageData);
+        item.imageData = '';
+        changed = true;
+      } catch (err) {
+        // Left inline, to try again next time
+        console.error('[Store] Could not move image to asset store:', err);
+      }
+    }
+    return changed;
+  }
+
+  /**
+   * Point imported items at the assets their file's images were stored as
+   * @param {Array} items - Imported items (changed in place)
+   * @param {Map<string, string>} ids - From AssetStore.importAssets
+   */
+  function remapAssetIds(items, ids) {
+    items.forEach(item => {
+      if (item.assetId && ids.has(item.assetId)) {
+        item.assetId = ids.get(item.assetId);
+      }
+    });
+  }
+
+  /**
+   * Note the assets of items copied to the clipboard, so they aren't cleaned up
+   * while they can still be pasted (even after the items themselves are deleted)
+   * @param {Array<string>} ids - Asset IDs
+   * @returns {Promise<void>}
+   */
+  async function setClipboardAssets(ids) {
+    try {
+      await chrome.storage.local.set({ [CLIPBOARD_ASSETS_KEY]: ids });
+    } catch (err) {
+      console.error('[Store] Error saving clipboard assets:', err);
+    }
+  }
+
+  // ============================================
+  // CLIPPING
+  // ============================================
+
+  /**
+   * Where a clipped item goes: below what its container already holds, or to
+   * the right of everything else (where it is easy to spot when the workspace opens)
+   * @param {Array} items - Workspace items
+   * @param {object} size - Size of the new item
+   * @param {object|null} container - Container it goes into
+   * @returns {{x: number, y: number}} Position
+   */
+  function findClipPosition(items, size, container) {
+    if (container) {
+      const children = items.filter(item => (container.children || []).includes(item.id));
+      const bottom = Math.max(
+        container.position.y + CONTAINER_HEADER_HEIGHT - CONTAINER_PADDING,
+        ...children.map(child => child.position.y + child.size.height));
+      return { x: container.position.x + CONTAINER_PADDING, y: bottom + CONTAINER_PADDING };
+    }
+
+    const spatial = items.filter(item => item.type !== 'connector');
+    if (spatial.length === 0) {
+      // Centred on the canvas origin, where an empty workspace's view opens
+      return { x: -size.width / 2, y: -size.height / 2 };
+    }
+    return {
+      x: Math.max(...spatial.map(item => item.position.x + item.size.width)) + CLIP_GAP,
+      y: Math.min(...spatial.map(item => item.position.y))
+    };
+  }
+
+  /**
+   * Add an item to any workspace, whether or not it is the one loaded (used by
+   * the web clipper). Without a position the item is placed by findClipPosition,
+   * and its container grows to fit it.
+   * @param {string} workspaceId - Target workspace ID
+   * @param {string} type - Item type
+   * @param {object} data - Item data
+   * @param {string|null} [containerId] - Container to put it in (ignored if it no longer exists)
+   * @returns {Promise<object|null>} Created item, or null if the workspace doesn't exist
+   */
+  async function addItemToWorkspace(workspaceId, type, data = {}, containerId = null) {
+    const isCurrent = currentWorkspace && currentWorkspace.id === workspaceId;
+    const workspace = isCurrent ? currentWorkspace : await loadWorkspaceData(workspaceId);
+    if (!workspace) {
+      console.error(`[Store] Workspace "${workspaceId}" not found`);
+      return null;
+    }
+    if (!isCurrent) {
+      migrateContainerMembership(workspace);
+      migrateStackingOrder(workspace);
+      await migrateImageAssets(workspace);
+    }
+
+    const container = containerId
+      ? workspace.items.find(item => item.id === containerId && item.type === 'container') || null
+      : null;
+    const size = data.size || { width: 250, height: 180 };
+    const position = data.position || findClipPosition(workspace.items, size, container);
+    const grown = container
+      ? getGrownContainers(workspace.items, container, { left: position.x, top: position.y, ...size })
+      : [];
+
+    if (isCurrent) {
+      const item = createItem(type, { ...data, position, size });
+      if (container) {
+        setItemParent(item.id, container.id);
+        grown.forEach(({ id, size: grownSize }) => updateItem(id, { size: grownSize }));
+      }
+      return item;
+    }
+
+    const item = buildItem(type, { ...data, position, size }, workspace);
+    workspace.items.push(item);
+    if (container) {
+      container.children = [...(container.children || []), item.id];
+      container.updatedAt = Date.now();
+      grown.forEach(({ id, size: grownSize }) => {
+        const grownContainer = workspace.items.find(other => other.id === id);
+        grownContainer.size = grownSize;
+        grownContainer.updatedAt = Date.now();
+      });
+    }
+    workspace.updatedAt = Date.now();
+
+    await saveWorkspaceData(workspace);
+    console.log(`[Store] Added ${type} to workspace: ${workspace.name}`);
+    return item;
+  }
+
   // ============================================
   // VIEWPORT MANAGEMENT
   // ============================================
 
   /**
-   * Update viewport position
+   * Update viewport position and zoom
    * @param {number} x - Viewport X offset
    * @param {number} y - Viewport Y offset
+   * @param {number} [zoom] - Zoom level (unchanged if omitted)
    */
-  function updateViewport(x, y) {
+  function updateViewport(x, y, zoom) {
     if (!currentWorkspace) return;
 
     currentWorkspace.viewportX = x;
     currentWorkspace.viewportY = y;
+    if (typeof zoom === 'number') {
+      currentWorkspace.viewportZoom = zoom;
+    }
     currentWorkspace.updatedAt = Date.now();
 
     scheduleSave();
   }
 
   /**
-   * Get viewport position
-   * @returns {{x: number, y: number}} Viewport position
+   * Get viewport position and zoom
+   * @returns {{x: number, y: number, zoom: number}} Viewport position and zoom
    */
   function getViewport() {
-    if (!currentWorkspace) return { x: 0, y: 0 };
+    if (!currentWorkspace) return { x: 0, y: 0, zoom: 1 };
     return {
       x: currentWorkspace.viewportX || 0,
-      y: currentWorkspace.viewportY || 0
+      y: currentWorkspace.viewportY || 0,
+      zoom: currentWorkspace.viewportZoom || 1
     };
   }
 
+  /**
+   * Turn grid snapping on or off for the current workspace
+   * @param {boolean} enabled - Whether items snap to the grid
+   */
+  function setGridSnap(enabled) {
+    if (!currentWorkspace) return;
+
+    currentWorkspace.gridSnap = enabled;
+    currentWorkspace.updatedAt = Date.now();
+
+    emit('workspace:gridSnap', enabled);
+    scheduleSave();
+  }
+
+  /**
+   * Whether items snap to the grid in the current workspace (on by default)
+   * @returns {boolean} Grid snapping enabled
+   */
+  function isGridSnapEnabled() {
+    return !currentWorkspace || currentWorkspace.gridSnap !== false;
+  }
+
   // ============================================
   // EXPORT / IMPORT
   // ============================================
@@ -521,14 +1136,19 @@ const Store = (function () {
       return null;
     }
 
+    // Images are embedded, so the file restores on its own
     const exportData = {
-      version: 1,
+      version: 2,
       exportedAt: Date.now(),
+      assets: await AssetStore.exportAssets(AssetStore.collectIds(workspace.items)),
       workspace: {
         name: workspace.name,
         viewportX: workspace.viewportX,
         viewportY: workspace.viewportY,
+        viewportZoom: workspace.viewportZoom,
+        gridSnap: workspace.gridSnap,
         items: workspace.items,
+        containerMembership: workspace.containerMembership,
         createdAt: workspace.createdAt,
         updatedAt: workspace.updatedAt
       }
@@ -560,21 +1180,19 @@ const Store = (function () {
         name,
         viewportX: data.workspace.viewportX || 0,
         viewportY: data.workspace.viewportY || 0,
+        viewportZoom: data.workspace.viewportZoom || 1,
+        gridSnap: data.workspace.gridSnap !== false,
         items: data.workspace.items || [],
+        containerMembership: data.workspace.containerMembership === true,
         createdAt: Date.now(),
         updatedAt: Date.now()
       };
 
       // Regenerate item IDs to avoid conflicts
-      workspace.items = workspace.items.map(item => ({
-        ...item,
-        id: generateItemId(),
-        // Also regenerate checklist item IDs if present
-        items: item.items ? item.items.map(ci => ({
-          ...ci,
-          id: `ci_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`
-        })) : undefined
-      }));
+      workspace.items = regenerateItemIds(workspace.items);
+
+      remapAssetIds(workspace.items, await AssetStore.importAssets(data.assets));
+      await migrateImageAssets(workspace);
 
       // Save the workspace
       await saveWorkspaceData(workspace);
@@ -613,17 +1231,22 @@ const Store = (function () {
             name: workspace.name,
             viewportX: workspace.viewportX,
             viewportY: workspace.viewportY,
+            viewportZoom: workspace.viewportZoom,
+            gridSnap: workspace.gridSnap,
             items: workspace.items,
+            containerMembership: workspace.containerMembership,
             createdAt: workspace.createdAt,
             updatedAt: workspace.updatedAt
           });
         }
       }
 
+      // Images are embedded once, however many workspaces use them
       const exportData = {
-        version: 1,
+        version: 2,
         exportedAt: Date.now(),
         type: 'all',
+        assets: await AssetStore.exportAssets(AssetStore.collectIds(workspaces.flatMap(workspace => workspace.items))),
         workspaces: workspaces
       };
 
@@ -649,6 +1272,7 @@ const Store = (function () {
       }
 
       const imported = [];
+      const assetIds = await AssetStore.importAssets(data.assets);
 
       for (const wsData of data.workspaces) {
         if (!wsData.name) continue;
@@ -661,20 +1285,19 @@ const Store = (function () {
           name,
           viewportX: wsData.viewportX || 0,
           viewportY: wsData.viewportY || 0,
+          viewportZoom: wsData.viewportZoom || 1,
+          gridSnap: wsData.gridSnap !== false,
           items: wsData.items || [],
+          containerMembership: wsData.containerMembership === true,
           createdAt: Date.now(),
           updatedAt: Date.now()
         };
 
         // Regenerate item IDs to avoid conflicts
-        workspace.items = workspace.items.map(item => ({
-          ...item,
-          id: generateItemId(),
-          items: item.items ? item.items.map(ci => ({
-            ...ci,
-            id: `ci_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`
-          })) : undefined
-        }));
+        workspace.items = regenerateItemIds(workspace.items);
+
+        remapAssetIds(workspace.items, assetIds);
+        await migrateImageAssets(workspace);
 
         // Save the workspace
         await saveWorkspaceData(workspace);
@@ -701,18 +1324,40 @@ const Store = (function () {
   }
 
   // ============================================
-  // API KEY MANAGEMENT
+  // AI SETTINGS
   // ============================================
 
   /**
-   * Get the stored API key
+   * API keys by provider. The single key stored by older versions becomes the
+   * key of the provider that was selected, since that is the one it was used with.
+   * @returns {Promise<object>} Map of provider name to API key
+   */
+  async function getApiKeys() {
+    const result = await chrome.storage.local.get([API_KEYS_KEY, API_KEY_KEY, AI_PROVIDER_KEY]);
+    const keys = result[API_KEYS_KEY] || {};
+
+    if (result[API_KEY_KEY]) {
+      const provider = result[AI_PROVIDER_KEY] || 'claude';
+      if (!keys[provider]) {
+        keys[provider] = result[API_KEY_KEY];
+      }
+      await chrome.storage.local.set({ [API_KEYS_KEY]: keys });
+      await chrome.storage.local.remove(API_KEY_KEY);
+      console.log('[Store] Moved API key to provider:', provider);
+    }
+    return keys;
+  }
+
+  /**
+   * Get the stored API key for a provider
+   * @param {string} [provider] - Provider name (defaults to the selected provider)
    * @returns {Promise<string|null>} API key or null
    */
-  async function getApiKey() {
+  async function getApiKey(provider) {
     if (!isStorageAvailable()) return null;
     try {
-      const result = await chrome.storage.local.get(API_KEY_KEY);
-      return result[API_KEY_KEY] || null;
+      const keys = await getApiKeys();
+      return keys[provider || await getAiProvider()] || null;
     } catch (err) {
       console.error('[Store] Error getting API key:', err);
       return null;
@@ -720,14 +1365,22 @@ const Store = (function () {
   }
 
   /**
-   * Set the API key
-   * @param {string} apiKey - The API key to store
+   * Set the API key for a provider
+   * @param {string} apiKey - The API key to store (empty to remove it)
+   * @param {string} [provider] - Provider name (defaults to the selected provider)
    * @returns {Promise<boolean>} Success
    */
-  async function setApiKey(apiKey) {
+  async function setApiKey(apiKey, provider) {
     if (!isStorageAvailable()) return false;
     try {
-      await chrome.storage.local.set({ [API_KEY_KEY]: apiKey });
+      const keys = await getApiKeys();
+      const name = provider || await getAiProvider();
+      if (apiKey) {
+        keys[name] = apiKey;
+      } else {
+        delete keys[name];
+      }
+      await chrome.storage.local.set({ [API_KEYS_KEY]: keys });
       return true;
     } catch (err) {
       console.error('[Store] Error setting API key:', err);
@@ -766,6 +1419,96 @@ const Store = (function () {
     }
   }
 
+  /**
+   * Get the model chosen for a provider
+   * @param {string} [provider] - Provider name (defaults to the selected provider)
+   * @returns {Promise<string|null>} Model ID, or null for the provider's default
+   */
+  async function getAiModel(provider) {
+    if (!isStorageAvailable()) return null;
+    try {
+      const result = await chrome.storage.local.get(AI_MODELS_KEY);
+      const models = result[AI_MODELS_KEY] || {};
+      return models[provider || await getAiProvider()] || null;
+    } catch (err) {
+      console.error('[Store] Error getting AI model:', err);
+      return null;
+    }
+  }
+
+  /**
+   * Set the model for a provider
+   * @param {string} model - Model ID (empty for the provider's default)
+   * @param {string} [provider] - Provider name (defaults to the selected provider)
+   * @returns {Promise<boolean>} Success
+   */
+  async function setAiModel(model, provider) {
+    if (!isStorageAvailable()) return false;
+    try {
+      const result = await chrome.storage.local.get(AI_MODELS_KEY);
+      const models = result[AI_MODELS_KEY] || {};
+      const name = provider || await getAiProvider();
+      if (model) {
+        models[name] = model;
+      } else {
+        delete models[name];
+      }
+      await chrome.storage.local.set({ [AI_MODELS_KEY]: models });
+      return true;
+    } catch (err) {
+      console.error('[Store] Error setting AI model:', err);
+      return false;
+    }
+  }
+
+  /**
+   * Get the generation options (shared by all providers)
+   * @returns {Promise<{temperature: number|null, maxTokens: number|null}>} Options; null means the default
+   */
+  async function getAiOptions() {
+    const defaults = { temperature: null, maxTokens: null };
+    if (!isStorageAvailable()) return defaults;
+    try {
+      const result = await chrome.storage.local.get(AI_OPTIONS_KEY);
+      return { ...defaults, ...result[AI_OPTIONS_KEY] };
+    } catch (err) {
+      console.error('[Store] Error getting AI options:', err);
+      return defaults;
+    }
+  }
+
+  /**
+   * Set the generation options
+   * @param {{temperature: number|null, maxTokens: number|null}} options - Options; null for the default
+   * @returns {Promise<boolean>} Success
+   */
+  async function setAiOptions(options) {
+    if (!isStorageAvailable()) return false;
+    try {
+      await chrome.storage.local.set({
+        [AI_OPTIONS_KEY]: { temperature: options.temperature, maxTokens: options.maxTokens }
+      });
+      return true;
+    } catch (err) {
+      console.error('[Store] Error setting AI options:', err);
+      return false;
+    }
+  }
+
+  /**
+   * Everything needed to call the selected provider
+   * @returns {Promise<{provider: string, apiKey: string|null, model: string|null, temperature: number|null, maxTokens: number|null}>}
+   */
+  async function getAiSettings() {
+    const provider = await getAiProvider();
+    const [apiKey, model, options] = await Promise.all([
+      getApiKey(provider),
+      getAiModel(provider),
+      getAiOptions()
+    ]);
+    return { provider, apiKey, model, ...options };
+  }
+
   // ============================================
   // PROMPT MANAGEMENT
   // ============================================
@@ -840,6 +1583,80 @@ const Store = (function () {
     }
   }
 
+  // ============================================
+  // KEYMAP
+  // ============================================
+
+  /**
+   * Get the user's keyboard shortcut overrides
+   * @returns {Promise<object|null>} Keymap ({ bindings, passthrough }) or null for defaults
+   */
+  async function getKeymap() {
+    if (!isStorageAvailable()) return null;
+    try {
+      const result = await chrome.storage.local.get(KEYMAP_KEY);
+      return result[KEYMAP_KEY] || null;
+    } catch (err) {
+      console.error('[Store] Error getting keymap:', err);
+      return null;
+    }
+  }
+
+  /**
+   * Set the user's keyboard shortcut overrides
+   * @param {object|null} keymap - Keymap to store (null to restore defaults)
+   * @returns {Promise<boolean>} Success
+   */
+  async function setKeymap(keymap) {
+    if (!isStorageAvailable()) return false;
+    try {
+      if (keymap === null) {
+        await chrome.storage.local.remove(KEYMAP_KEY);
+      } else {
+        await chrome.storage.local.set({ [KEYMAP_KEY]: keymap });
+      }
+      return true;
+    } catch (err) {
+      console.error('[Store] Error setting keymap:', err);
+      return false;
+    }
+  }
+
+  // ============================================
+  // HISTORY SETTINGS
+  // ============================================
+
+  /**
+   * Get the number of undo steps to keep
+   * @returns {Promise<number|null>} Depth or null for the default
+   */
+  async function getHistoryDepth() {
+    if (!isStorageAvailable()) return null;
+    try {
+      const result = await chrome.storage.local.get(HISTORY_DEPTH_KEY);
+      return result[HISTORY_DEPTH_KEY] || null;
+    } catch (err) {
+      console.error('[Store] Error getting history depth:', err);
+      return null;
+    }
+  }
+
+  /**
+   * Set the number of undo steps to keep
+   * @param {number} depth - Number of steps
+   * @returns {Promise<boolean>} Success
+   */
+  async function setHistoryDepth(depth) {
+    if (!isStorageAvailable()) return false;
+    try {
+      await chrome.storage.local.set({ [HISTORY_DEPTH_KEY]: depth });
+      return true;
+    } catch (err) {
+      console.error('[Store] Error setting history depth:', err);
+      return false;
+    }
+  }
+
   // ============================================
   // MEMORY STORAGE (Global Project Memories)
   // ============================================
@@ -987,7 +1804,9 @@ const Store = (function () {
     if (!currentWorkspace) return;
 
     try {
-      await saveWorkspaceData(currentWorkspace);
+      const saving = saveWorkspaceData(currentWorkspace);
+      rememberStoredVersions(currentWorkspace);
+      await saving;
       emit('workspace:saved', currentWorkspace);
       console.log('[Store] Workspace saved:', currentWorkspace.name);
     } catch (err) {
@@ -995,6 +1814,63 @@ const Store = (function () {
     }
   }
 
+  /**
+   * Note the versions of a workspace's items as they are in storage
+   * @param {object} workspace - Workspace data as read or written
+   */
+  function rememberStoredVersions(workspace) {
+    storedVersions = new Map(workspace.items.map(item => [item.id, item.updatedAt]));
+  }
+
+  /**
+   * Take in changes another tab saved to the current workspace (including clips
+   * it added), so that our next save doesn't overwrite them. Items changed in
+   * only one place keep that change; items changed in both keep the newer one.
+   * @param {object} stored - Workspace data now in storage
+   */
+  function mergeStoredWorkspace(stored) {
+    if (!currentWorkspace || !stored || stored.id !== currentWorkspace.id) return;
+
+    const items = currentWorkspace.items;
+    const storedIds = new Set();
+    let changed = false;
+
+    stored.items.forEach(storedItem => {
+      storedIds.add(storedItem.id);
+      const base = storedVersions.get(storedItem.id);
+      const index = items.findIndex(item => item.id === storedItem.id);
+      if (index === -1) {
+        // Not seen before: added elsewhere (seen before: we deleted it)
+        if (base === undefined) {
+          items.push(storedItem);
+          changed = true;
+        }
+        return;
+      }
+      const item = items[index];
+      if (storedItem.updatedAt === base) return;
+      if (item.updatedAt === base || storedItem.updatedAt > item.updatedAt) {
+        items[index] = storedItem;
+        changed = true;
+      }
+    });
+
+    // Deleted elsewhere, and not changed here since
+    for (let i = items.length - 1; i >= 0; i--) {
+      const item = items[i];
+      if (!storedIds.has(item.id) && storedVersions.get(item.id) === item.updatedAt) {
+        items.splice(i, 1);
+        changed = true;
+      }
+    }
+
+    rememberStoredVersions(stored);
+    if (changed) {
+      console.log('[Store] Took in changes saved from another tab:', currentWorkspace.name);
+      emit('workspace:merged', currentWorkspace);
+    }
+  }
+
   /**
    * Initialize the store - load current workspace
    * @returns {Promise<object>} Current workspace
@@ -1010,6 +1886,15 @@ const Store = (function () {
     // Switch to it (will create default if needed)
     await switchWorkspace(currentId);
 
+    // Other tabs (and clips sent to a workspace from them) write to storage directly
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName !== 'local' || !currentWorkspace) return;
+      const change = changes[WORKSPACE_PREFIX + currentWorkspace.id];
+      if (change && change.newValue) {
+        mergeStoredWorkspace(change.newValue);
+      }
+    });
+
     // Set up beforeunload to save on page close
     window.addEventListener('beforeunload', () => {
       // Use synchronous approach for beforeunload
@@ -1048,6 +1933,7 @@ const Store = (function () {
     deleteWorkspace,
     switchWorkspace,
     getCurrentWorkspace,
+    loadWorkspaceData,
 
     // Item CRUD
     createItem,
@@ -1055,10 +1941,31 @@ const Store = (function () {
     deleteItem,
     getItem,
     getAllItems,
+    regenerateItemIds,
+
+    // Container membership
+    getParentContainer,
+    getDescendants,
+    setItemParent,
+    getGrownContainers,
+    CONTAINER_HEADER_HEIGHT,
+    CONTAINER_PADDING,
+
+    // Stacking order
+    getStackingOrder,
+    restackItems,
+
+    // Clipping
+    addItemToWorkspace,
+
+    // Image assets
+    setClipboardAssets,
 
     // Viewport
     updateViewport,
     getViewport,
+    setGridSnap,
+    isGridSnapEnabled,
 
     // Persistence
     save: scheduleSave,
@@ -1070,11 +1977,16 @@ const Store = (function () {
     exportAllWorkspaces,
     importAllWorkspaces,
 
-    // API Key & Provider
+    // API Keys, Provider & Model
     getApiKey,
     setApiKey,
     getAiProvider,
     setAiProvider,
+    getAiModel,
+    setAiModel,
+    getAiOptions,
+    setAiOptions,
+    getAiSettings,
 
     // Prompts
     getChecklistPrompt,
@@ -1082,6 +1994,12 @@ const Store = (function () {
     getNotePrompt,
     setNotePrompt,
 
+    // Keymap
+    getKeymap,
+    setKeymap,
+    getHistoryDepth,
+    setHistoryDepth,
+
     // Memory Storage
     getMemories,
     getProjectMemory,
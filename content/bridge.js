@@ -92,6 +92,34 @@
       return document.title;
     },
 
+    /**
+     * Get the text currently selected on the page
+     * @returns {string} Selected text, or an empty string
+     */
+    getSelectedText() {
+      const selection = window.getSelection();
+      return selection ? selection.toString().trim() : '';
+    },
+
+    /**
+     * Describe the current page for a link card
+     * @returns {{url: string, title: string, favicon: string, description: string}} Page metadata
+     */
+    getPageMetadata() {
+      const getMeta = (selector) => {
+        const meta = document.querySelector(selector);
+        return meta ? (meta.getAttribute('content') || '').trim() : '';
+      };
+      const icon = document.querySelector('link[rel~="icon"][href], link[rel="apple-touch-icon"][href]');
+
+      return {
+        url: this.getCurrentUrl(),
+        title: this.getCurrentTitle().trim() || getMeta('meta[property="og:title"]') || window.location.hostname,
+        favicon: icon ? icon.href : `${window.location.origin}/favicon.ico`,
+        description: getMeta('meta[name="description"]') || getMeta('meta[property="og:description"]')
+      };
+    },
+
     /**
      * Check if we're on a restricted page (chrome://, about:, etc.)
      * @returns {boolean} True if on a restricted page
@@ -16,6 +16,7 @@
   let canvasApp = null;
   let isVisible = false;
   let isInitialized = false;
+  let appReady = null; // Resolves once CanvasApp has loaded the store
 
   /**
    * Get the inline styles for the canvas
@@ -49,7 +50,6 @@
         --container-pink: #F783AC;
         --toolbar-height: 48px;
         --grid-size: 20px;
-        --canvas-size: 5000px;
         --item-min-width: 200px;
         --item-min-height: 100px;
         --container-min-width: 300px;
@@ -57,7 +57,6 @@
         --transition-fast: 0.1s ease;
         --transition-normal: 0.15s ease;
         --z-items: 10;
-        --z-selected: 100;
         --z-dragging: 500;
         --z-toolbar: 1000;
       }
@@ -142,11 +141,80 @@
         background: transparent;
       }
 
+      .toolbar .grid-snap-btn {
+        font-size: 16px;
+        font-weight: 600;
+        opacity: 0.5;
+      }
+
+      .toolbar .grid-snap-btn.active {
+        color: var(--accent);
+        opacity: 1;
+      }
+
+      .draw-tools {
+        display: flex;
+        align-items: center;
+        gap: 2px;
+        padding-left: 8px;
+        border-left: 1px solid var(--item-border);
+      }
+
+      .toolbar .draw-tools .tool-btn {
+        font-size: 16px;
+        padding: 6px;
+        border-radius: 4px;
+      }
+
+      .toolbar .draw-tools .tool-btn.active {
+        color: var(--accent);
+        background: var(--item-bg);
+      }
+
+      .draw-color-input {
+        width: 28px;
+        height: 28px;
+        padding: 0;
+        border: 1px solid var(--item-border);
+        border-radius: 4px;
+        background: transparent;
+        cursor: pointer;
+      }
+
+      .draw-width-select {
+        background: var(--item-bg);
+        border: 1px solid var(--item-border);
+        color: var(--text-primary);
+        padding: 5px 6px;
+        border-radius: 4px;
+        font-size: 12px;
+        cursor: pointer;
+      }
+
       .toolbar .close-btn {
         font-size: 24px;
         padding: 4px 8px;
       }
 
+      .zoom-controls {
+        display: flex;
+        align-items: center;
+        gap: 2px;
+        margin-right: 8px;
+      }
+
+      .toolbar .zoom-controls .icon-btn {
+        font-size: 16px;
+        padding: 6px;
+      }
+
+      .toolbar .zoom-level {
+        min-width: 56px;
+        padding: 6px 8px;
+        font-size: 12px;
+        font-variant-numeric: tabular-nums;
+      }
+
       .workspace-selector {
         background: var(--item-bg);
         border: 1px solid var(--item-border);
@@ -172,28 +240,52 @@
         cursor: grab;
       }
 
+      /* Panning, pinch zoom and dragging items are handled by the canvas, not the
+         browser. Only the background and items claim touches, so text and previews
+         inside items still scroll with a finger */
+      .canvas-grid,
+      .center-anchor,
+      .connector-layer,
+      .canvas-item {
+        touch-action: none;
+      }
+
+      .item-content .note-content,
+      .item-content .markdown-preview {
+        touch-action: pan-y;
+      }
+
       .canvas-area:active,
       .canvas-area.panning {
         cursor: grabbing;
       }
 
+      /* Zero-size origin for canvas coordinates; items may sit at negative positions */
       .canvas-surface {
         position: absolute;
-        width: var(--canvas-size);
-        height: var(--canvas-size);
+        top: 0;
+        left: 0;
+        width: 0;
+        height: 0;
+        overflow: visible;
+        transform-origin: 0 0;
+        will-change: transform;
+      }
+
+      /* Sized by the app to cover the content plus a margin */
+      .canvas-grid {
+        position: absolute;
         background-color: var(--canvas-bg);
-        background-image: 
+        background-image:
           linear-gradient(var(--grid-color) 1px, transparent 1px),
           linear-gradient(90deg, var(--grid-color) 1px, transparent 1px);
         background-size: var(--grid-size) var(--grid-size);
-        transform-origin: 0 0;
-        will-change: transform;
       }
 
       .center-anchor {
         position: absolute;
-        top: calc(var(--canvas-size) / 2);
-        left: calc(var(--canvas-size) / 2);
+        top: 0;
+        left: 0;
         width: 12px;
         height: 12px;
         background: var(--accent);
@@ -249,7 +341,28 @@
       .canvas-item.selected {
         border-color: var(--accent);
         box-shadow: 0 0 0 1px var(--accent);
-        z-index: var(--z-selected);
+      }
+
+      .canvas-item:focus {
+        outline: none;
+      }
+
+      .canvas-item:focus-visible {
+        outline: 2px solid var(--accent);
+        outline-offset: 3px;
+      }
+
+      /* Read by screen readers, not shown */
+      .sr-only {
+        position: absolute;
+        width: 1px;
+        height: 1px;
+        margin: -1px;
+        padding: 0;
+        overflow: hidden;
+        clip: rect(0, 0, 0, 0);
+        white-space: nowrap;
+        border: 0;
       }
 
       .canvas-item.selected:hover {
@@ -347,6 +460,128 @@
         color: var(--text-muted);
       }
 
+      /* Markdown preview */
+      .markdown-preview {
+        display: none;
+        flex: 1;
+        overflow: auto;
+        font-size: 13px;
+        line-height: 1.5;
+        color: var(--text-primary);
+        word-break: break-word;
+      }
+
+      .note.markdown-mode .markdown-preview {
+        display: block;
+      }
+
+      .note.markdown-mode .note-content {
+        display: none;
+      }
+
+      .markdown-preview > :first-child {
+        margin-top: 0;
+      }
+
+      .markdown-preview h1,
+      .markdown-preview h2,
+      .markdown-preview h3,
+      .markdown-preview h4,
+      .markdown-preview h5,
+      .markdown-preview h6 {
+        margin: 12px 0 6px;
+        line-height: 1.3;
+        font-weight: 600;
+      }
+
+      .markdown-preview h1 { font-size: 18px; }
+      .markdown-preview h2 { font-size: 16px; }
+      .markdown-preview h3 { font-size: 14px; }
+      .markdown-preview h4,
+      .markdown-preview h5,
+      .markdown-preview h6 { font-size: 13px; color: var(--text-secondary); }
+
+      .markdown-preview p,
+      .markdown-preview ul,
+      .markdown-preview ol,
+      .markdown-preview pre,
+      .markdown-preview blockquote {
+        margin: 0 0 8px;
+      }
+
+      .markdown-preview ul,
+      .markdown-preview ol {
+        padding-left: 20px;
+      }
+
+      .markdown-preview ul ul,
+      .markdown-preview ol ol,
+      .markdown-preview ul ol,
+      .markdown-preview ol ul {
+        margin: 2px 0 0;
+      }
+
+      .markdown-preview li.task-item {
+        list-style: none;
+        margin-left: -18px;
+      }
+
+      .markdown-preview li.task-item input[type="checkbox"] {
+        width: 13px;
+        height: 13px;
+        margin-right: 4px;
+        vertical-align: -2px;
+        accent-color: var(--checkbox-checked);
+        cursor: pointer;
+      }
+
+      .markdown-preview code {
+        font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace;
+        font-size: 12px;
+        background: var(--canvas-bg);
+        border: 1px solid var(--item-border);
+        border-radius: 3px;
+        padding: 0 4px;
+      }
+
+      .markdown-preview pre {
+        background: var(--canvas-bg);
+        border: 1px solid var(--item-border);
+        border-radius: 4px;
+        padding: 8px;
+        overflow-x: auto;
+      }
+
+      .markdown-preview pre code {
+        background: transparent;
+        border: none;
+        padding: 0;
+        white-space: pre;
+      }
+
+      .markdown-preview blockquote {
+        border-left: 3px solid var(--item-border-hover);
+        padding-left: 10px;
+        color: var(--text-secondary);
+      }
+
+      .markdown-preview hr {
+        border: none;
+        border-top: 1px solid var(--item-border);
+        margin: 10px 0;
+      }
+
+      .markdown-preview a {
+        color: var(--accent);
+        text-decoration: none;
+        cursor: pointer;
+      }
+
+      .markdown-preview a:hover {
+        color: var(--accent-hover);
+        text-decoration: underline;
+      }
+
       .checklist-items {
         list-style: none;
         display: flex;
@@ -440,10 +675,6 @@
         z-index: 1;
       }
 
-      .canvas-item.container.selected {
-        z-index: 2;
-      }
-
       .canvas-item.container.dragging {
         z-index: 3;
       }
@@ -468,6 +699,51 @@
         min-height: 100px;
       }
 
+      .collapse-btn {
+        background: transparent;
+        border: none;
+        color: var(--text-secondary);
+        cursor: pointer;
+        padding: 2px 4px;
+        font-size: 12px;
+        border-radius: 3px;
+      }
+
+      .collapse-btn:hover {
+        background: var(--item-border);
+        color: var(--text-primary);
+      }
+
+      .container-count {
+        color: var(--text-muted);
+        font-size: 11px;
+        display: none;
+      }
+
+      /* Collapsed containers shrink to their title bar (see CanvasApp.COLLAPSED_CONTAINER_HEIGHT) */
+      .canvas-item.container.collapsed {
+        height: 44px !important;
+        min-height: 0;
+        overflow: hidden;
+      }
+
+      .canvas-item.container.collapsed .item-header {
+        border-bottom: none;
+      }
+
+      .canvas-item.container.collapsed .container-count {
+        display: inline;
+      }
+
+      .canvas-item.container.collapsed .container-content,
+      .canvas-item.container.collapsed .resize-handle {
+        display: none;
+      }
+
+      .canvas-item.collapsed-hidden {
+        display: none;
+      }
+
       .resize-handle {
         position: absolute;
         background: var(--accent);
@@ -571,6 +847,34 @@
         margin: 4px 0;
       }
 
+      .settings-history {
+        padding: 8px 12px;
+        display: flex;
+        align-items: center;
+        justify-content: space-between;
+        gap: 8px;
+      }
+
+      .settings-history label {
+        font-size: 12px;
+        color: var(--text-secondary);
+      }
+
+      .history-depth-input {
+        background: var(--item-bg);
+        border: 1px solid var(--item-border);
+        border-radius: 4px;
+        padding: 4px 6px;
+        color: var(--text-primary);
+        font-size: 12px;
+        width: 70px;
+      }
+
+      .history-depth-input:focus {
+        outline: none;
+        border-color: var(--accent);
+      }
+
       .settings-ai {
         padding: 8px 12px;
         display: flex;
@@ -598,7 +902,9 @@
         border-color: var(--accent);
       }
 
-      .api-key-input {
+      .api-key-input,
+      .ai-model-input,
+      .settings-ai-options input {
         background: var(--item-bg);
         border: 1px solid var(--item-border);
         border-radius: 4px;
@@ -609,7 +915,14 @@
         width: 100%;
       }
 
-      .api-key-input:focus {
+      .ai-model-input,
+      .settings-ai-options input {
+        font-family: inherit;
+      }
+
+      .api-key-input:focus,
+      .ai-model-input:focus,
+      .settings-ai-options input:focus {
         outline: none;
         border-color: var(--accent);
       }
@@ -629,6 +942,65 @@
         background: var(--accent-hover);
       }
 
+      .settings-ai-options {
+        display: flex;
+        gap: 8px;
+      }
+
+      .settings-ai-options label {
+        flex: 1;
+        display: flex;
+        flex-direction: column;
+        gap: 4px;
+      }
+
+      .settings-ai-actions {
+        display: flex;
+        gap: 6px;
+      }
+
+      .settings-ai-actions button {
+        flex: 1;
+      }
+
+      .api-key-test {
+        background: transparent;
+        border: 1px solid var(--item-border);
+        border-radius: 4px;
+        padding: 6px 12px;
+        color: var(--text-primary);
+        font-size: 12px;
+        cursor: pointer;
+        transition: border-color var(--transition-fast);
+      }
+
+      .api-key-test:hover {
+        border-color: var(--accent);
+      }
+
+      .api-key-test:disabled {
+        opacity: 0.6;
+        cursor: default;
+      }
+
+      .ai-test-status {
+        font-size: 12px;
+        color: var(--text-secondary);
+        word-break: break-word;
+      }
+
+      .ai-test-status:empty {
+        display: none;
+      }
+
+      .ai-test-status.success {
+        color: var(--checkbox-checked);
+      }
+
+      .ai-test-status.error {
+        color: var(--danger);
+      }
+
       .generate-btn {
         background: transparent;
         border: none;
@@ -648,8 +1020,9 @@
         cursor: not-allowed;
       }
 
-      /* Prompts Modal */
-      .prompts-modal {
+      /* Prompts Modal (also used by the keymap editor) */
+      .prompts-modal,
+      .keymap-modal {
         position: fixed;
         top: 0;
         left: 0;
@@ -662,7 +1035,8 @@
         z-index: calc(var(--z-toolbar) + 10);
       }
 
-      .prompts-modal.open {
+      .prompts-modal.open,
+      .keymap-modal.open {
         display: flex;
       }
 
@@ -799,21 +1173,105 @@
         font-size: 16px;
       }
 
-      /* AI Input Modal */
-      .ai-input-modal {
-        position: fixed;
-        top: 0;
-        left: 0;
-        width: 100%;
-        height: 100%;
-        background: rgba(0, 0, 0, 0.7);
-        display: none;
-        justify-content: center;
+      /* Keymap Editor */
+      .keymap-row {
+        display: flex;
+        flex-wrap: wrap;
         align-items: center;
-        z-index: calc(var(--z-toolbar) + 20);
+        gap: 8px;
+        padding: 8px 0;
+        border-bottom: 1px solid var(--item-border);
       }
 
-      .ai-input-modal.open {
+      .keymap-title {
+        flex: 1;
+        min-width: 160px;
+        font-size: 13px;
+        color: var(--text-primary);
+      }
+
+      .keymap-keys {
+        display: flex;
+        flex-wrap: wrap;
+        align-items: center;
+        gap: 6px;
+      }
+
+      .keymap-key {
+        display: inline-flex;
+        align-items: center;
+        gap: 4px;
+        font-size: 12px;
+        color: var(--text-primary);
+        background: var(--item-bg);
+        border: 1px solid var(--item-border);
+        border-radius: 3px;
+        padding: 2px 4px 2px 8px;
+      }
+
+      .keymap-key.conflict {
+        border-color: var(--danger);
+      }
+
+      .keymap-key.recording {
+        border-color: var(--accent);
+        color: var(--accent);
+        padding-right: 8px;
+      }
+
+      .keymap-key button,
+      .keymap-add,
+      .keymap-reset {
+        background: transparent;
+        border: none;
+        color: var(--text-secondary);
+        cursor: pointer;
+        font-size: 12px;
+        padding: 2px 4px;
+        border-radius: 3px;
+      }
+
+      .keymap-key button:hover,
+      .keymap-add:hover,
+      .keymap-reset:hover {
+        background: var(--item-border);
+        color: var(--text-primary);
+      }
+
+      .keymap-disabled {
+        font-size: 12px;
+        color: var(--text-muted);
+        font-style: italic;
+      }
+
+      .keymap-conflict {
+        flex-basis: 100%;
+        font-size: 11px;
+        color: var(--danger);
+      }
+
+      .keymap-footer {
+        justify-content: space-between;
+        align-items: center;
+      }
+
+      /* AI Input Modal */
+      .ai-input-modal,
+      .container-delete-modal {
+        position: fixed;
+        top: 0;
+        left: 0;
+        width: 100%;
+        height: 100%;
+        background: rgba(0, 0, 0, 0.7);
+        display: none;
+        justify-content: center;
+        align-items: center;
+        z-index: calc(var(--z-toolbar) + 20);
+      }
+
+      .ai-input-modal.open,
+      .container-delete-modal.open {
         display: flex;
       }
 
@@ -834,7 +1292,8 @@
         border-bottom: 1px solid var(--item-border);
       }
 
-      .ai-input-title {
+      .ai-input-title,
+      .container-delete-modal h3 {
         margin: 0;
         font-size: 16px;
         font-weight: 600;
@@ -938,6 +1397,163 @@
         background: var(--accent-hover);
       }
 
+      .container-delete-message {
+        margin: 0;
+        font-size: 14px;
+        line-height: 1.5;
+        color: var(--text-secondary);
+      }
+
+      .container-delete-all-btn {
+        background: var(--danger);
+      }
+
+      .container-delete-all-btn:hover {
+        background: var(--danger-hover);
+      }
+
+      /* Palettes (search, commands) */
+      .palette {
+        position: fixed;
+        top: 0;
+        left: 0;
+        width: 100%;
+        height: 100%;
+        background: rgba(0, 0, 0, 0.5);
+        display: none;
+        justify-content: center;
+        align-items: flex-start;
+        padding-top: 12vh;
+        box-sizing: border-box;
+        z-index: calc(var(--z-toolbar) + 20);
+      }
+
+      .palette.open {
+        display: flex;
+      }
+
+      .palette-content {
+        background: var(--toolbar-bg);
+        border: 1px solid var(--item-border);
+        border-radius: 8px;
+        width: 600px;
+        max-width: 90vw;
+        box-shadow: 0 20px 40px rgba(0, 0, 0, 0.5);
+        overflow: hidden;
+      }
+
+      .palette-input {
+        width: 100%;
+        box-sizing: border-box;
+        background: transparent;
+        border: none;
+        border-bottom: 1px solid var(--item-border);
+        color: var(--text-primary);
+        font-family: inherit;
+        font-size: 16px;
+        padding: 16px 20px;
+      }
+
+      .palette-input:focus {
+        outline: none;
+      }
+
+      .palette-input::placeholder {
+        color: var(--text-muted);
+      }
+
+      .palette-results {
+        max-height: 50vh;
+        overflow-y: auto;
+      }
+
+      .palette-item {
+        display: flex;
+        align-items: flex-start;
+        gap: 10px;
+        padding: 10px 20px;
+        cursor: pointer;
+      }
+
+      .palette-item:hover,
+      .palette-item.active {
+        background: var(--item-bg);
+      }
+
+      .palette-item.active {
+        box-shadow: inset 2px 0 0 var(--accent);
+      }
+
+      .palette-item-body {
+        flex: 1;
+        min-width: 0;
+      }
+
+      .palette-item-title {
+        font-size: 14px;
+        color: var(--text-primary);
+        white-space: nowrap;
+        overflow: hidden;
+        text-overflow: ellipsis;
+      }
+
+      .palette-item-snippet {
+        font-size: 12px;
+        color: var(--text-secondary);
+        margin-top: 2px;
+        white-space: nowrap;
+        overflow: hidden;
+        text-overflow: ellipsis;
+      }
+
+      .palette-item-meta {
+        font-size: 11px;
+        color: var(--text-muted);
+        white-space: nowrap;
+        max-width: 140px;
+        overflow: hidden;
+        text-overflow: ellipsis;
+      }
+
+      .palette-item kbd {
+        font-family: inherit;
+        font-size: 11px;
+        color: var(--text-secondary);
+        background: var(--item-bg);
+        border: 1px solid var(--item-border);
+        border-radius: 3px;
+        padding: 1px 6px;
+        white-space: nowrap;
+      }
+
+      .palette-item mark {
+        background: rgba(74, 158, 255, 0.35);
+        color: var(--text-primary);
+        border-radius: 2px;
+      }
+
+      .palette-empty {
+        padding: 16px 20px;
+        font-size: 13px;
+        color: var(--text-muted);
+      }
+
+      .palette-footer {
+        padding: 8px 20px;
+        font-size: 11px;
+        color: var(--text-muted);
+        border-top: 1px solid var(--item-border);
+      }
+
+      @keyframes search-hit {
+        0%, 60% { box-shadow: 0 0 0 3px var(--accent), 0 0 24px rgba(74, 158, 255, 0.6); }
+        100% { box-shadow: 0 0 0 0 transparent; }
+      }
+
+      .search-hit {
+        animation: search-hit 1.6s ease-out;
+      }
+
       ::-webkit-scrollbar {
         width: 8px;
         height: 8px;
@@ -1262,11 +1878,287 @@
         cursor: grab;
       }
 
+      /* Drawing tools: the pointer goes to the tool, not to items underneath */
+      .canvas-area.drawing-mode,
+      .canvas-area.drawing-mode .canvas-surface {
+        cursor: crosshair;
+      }
+
+      .canvas-area.drawing-mode.erasing,
+      .canvas-area.drawing-mode.erasing .canvas-surface {
+        cursor: cell;
+      }
+
+      .canvas-area.drawing-mode .canvas-surface * {
+        pointer-events: none;
+      }
+
       .canvas-area.pan-mode:active,
       .canvas-area.pan-mode.panning {
         cursor: grabbing;
       }
 
+      /* Connectors */
+      .connector-layer {
+        position: absolute;
+        overflow: visible;
+        pointer-events: none;
+        z-index: 5;
+      }
+
+      .connector-layer marker path {
+        fill: var(--text-secondary);
+      }
+
+      .connector-hit {
+        fill: none;
+        stroke: transparent;
+        stroke-width: 12px;
+        pointer-events: stroke;
+        cursor: pointer;
+      }
+
+      .connector-line {
+        fill: none;
+        stroke: var(--text-secondary);
+        stroke-width: 2px;
+        pointer-events: none;
+        transition: stroke var(--transition-fast);
+      }
+
+      .connector:hover .connector-line {
+        stroke: var(--text-primary);
+      }
+
+      .connector.selected .connector-line {
+        stroke: var(--accent);
+      }
+
+      .connector-label {
+        fill: var(--text-primary);
+        font-size: 12px;
+        text-anchor: middle;
+        dominant-baseline: middle;
+        paint-order: stroke;
+        stroke: var(--canvas-bg);
+        stroke-width: 4px;
+        pointer-events: none;
+      }
+
+      .connector-preview {
+        fill: none;
+        stroke: var(--accent);
+        stroke-width: 2px;
+        stroke-dasharray: 6 4;
+      }
+
+      .connect-handle {
+        position: absolute;
+        width: 10px;
+        height: 10px;
+        border-radius: 50%;
+        background: var(--canvas-bg);
+        border: 2px solid var(--accent);
+        opacity: 0;
+        cursor: crosshair;
+        z-index: 11;
+        transition: opacity var(--transition-fast);
+      }
+
+      .canvas-item:hover .connect-handle,
+      .canvas-area.connecting .connect-handle {
+        opacity: 1;
+      }
+
+      .connect-handle.top { top: -6px; left: 50%; margin-left: -5px; }
+      .connect-handle.bottom { bottom: -6px; left: 50%; margin-left: -5px; }
+      .connect-handle.left { left: -6px; top: 50%; margin-top: -5px; }
+      .connect-handle.right { right: -6px; top: 50%; margin-top: -5px; }
+
+      /* Touch: there is no hover, and handles need to be big enough for a finger */
+      @media (pointer: coarse) {
+        .canvas-item.selected .connect-handle {
+          opacity: 1;
+        }
+
+        .connect-handle {
+          width: 18px;
+          height: 18px;
+        }
+
+        .connect-handle.top { top: -12px; margin-left: -9px; }
+        .connect-handle.bottom { bottom: -12px; margin-left: -9px; }
+        .connect-handle.left { left: -12px; margin-top: -9px; }
+        .connect-handle.right { right: -12px; margin-top: -9px; }
+
+        .resize-handle.se {
+          bottom: -10px;
+          right: -10px;
+          width: 20px;
+          height: 20px;
+        }
+
+        .resize-handle.e {
+          right: -8px;
+          width: 16px;
+          height: 44px;
+        }
+
+        .resize-handle.s {
+          bottom: -8px;
+          width: 44px;
+          height: 16px;
+        }
+      }
+
+      .connector-actions {
+        position: absolute;
+        display: flex;
+        gap: 2px;
+        padding: 2px;
+        background: var(--toolbar-bg);
+        border: 1px solid var(--item-border);
+        border-radius: 4px;
+        transform: translate(-50%, calc(-100% - 12px));
+        z-index: 600;
+      }
+
+      .connector-actions button {
+        background: transparent;
+        border: none;
+        color: var(--text-secondary);
+        cursor: pointer;
+        padding: 4px 6px;
+        font-size: 12px;
+        border-radius: 3px;
+      }
+
+      .connector-actions button:hover {
+        background: var(--item-border);
+        color: var(--text-primary);
+      }
+
+      .canvas-area.connecting {
+        cursor: crosshair;
+      }
+
+      .selection-bounds {
+        position: absolute;
+        border: 1px dashed var(--accent);
+        border-radius: 4px;
+        pointer-events: none;
+        z-index: 590;
+      }
+
+      .selection-bounds .resize-handle {
+        opacity: 1;
+        pointer-events: auto;
+      }
+
+      .align-actions {
+        position: absolute;
+        display: flex;
+        align-items: center;
+        gap: 2px;
+        padding: 2px;
+        background: var(--toolbar-bg);
+        border: 1px solid var(--item-border);
+        border-radius: 4px;
+        transform: translate(-50%, calc(-100% - 12px));
+        z-index: 600;
+      }
+
+      .align-actions button {
+        background: transparent;
+        border: none;
+        color: var(--text-secondary);
+        cursor: pointer;
+        padding: 4px 6px;
+        min-width: 24px;
+        font-size: 12px;
+        font-weight: 600;
+        border-radius: 3px;
+      }
+
+      .align-actions button:hover {
+        background: var(--item-border);
+        color: var(--text-primary);
+      }
+
+      .align-actions-divider {
+        width: 1px;
+        height: 16px;
+        margin: 0 2px;
+        background: var(--item-border);
+      }
+
+      .snap-guide {
+        position: absolute;
+        background: #ff4d8d;
+        pointer-events: none;
+        z-index: 595;
+      }
+
+      .snap-guide.vertical {
+        width: 1px;
+      }
+
+      .snap-guide.horizontal {
+        height: 1px;
+      }
+
+      /* Minimap */
+      .minimap {
+        position: absolute;
+        right: 16px;
+        bottom: 16px;
+        background: var(--toolbar-bg);
+        border: 1px solid var(--item-border);
+        border-radius: 6px;
+        box-shadow: 0 10px 15px rgba(0, 0, 0, 0.5);
+        z-index: calc(var(--z-toolbar) - 1);
+        overflow: hidden;
+        user-select: none;
+        cursor: default;
+      }
+
+      .minimap-header {
+        display: flex;
+        align-items: center;
+        justify-content: space-between;
+        padding: 4px 8px;
+        font-size: 11px;
+        font-weight: 500;
+        color: var(--text-secondary);
+        text-transform: uppercase;
+        letter-spacing: 0.5px;
+      }
+
+      .minimap-toggle {
+        background: transparent;
+        border: none;
+        color: var(--text-secondary);
+        cursor: pointer;
+        font-size: 12px;
+        padding: 0 4px;
+      }
+
+      .minimap-toggle:hover {
+        color: var(--text-primary);
+      }
+
+      .minimap-canvas {
+        display: block;
+        border-top: 1px solid var(--item-border);
+        background: var(--canvas-bg);
+        cursor: pointer;
+        touch-action: none;
+      }
+
+      .minimap.collapsed .minimap-canvas {
+        display: none;
+      }
+
       /* Image item */
       .canvas-item.image {
         min-width: 50px;
@@ -1288,6 +2180,275 @@
         height: 100%;
         object-fit: contain;
       }
+
+      /* Screen capture: pick a region on a frozen screenshot, then annotate it */
+      .capture-layer {
+        position: fixed;
+        top: 0;
+        left: 0;
+        width: 100%;
+        height: 100%;
+        z-index: calc(var(--z-toolbar) + 30);
+        cursor: crosshair;
+        touch-action: none;
+        outline: none;
+        user-select: none;
+      }
+
+      .capture-screenshot {
+        display: block;
+        width: 100%;
+        height: 100%;
+        pointer-events: none;
+      }
+
+      .capture-selection {
+        position: absolute;
+        border: 1px dashed #FFFFFF;
+        box-shadow: 0 0 0 100vmax rgba(0, 0, 0, 0.45);
+        pointer-events: none;
+      }
+
+      .capture-hint {
+        position: absolute;
+        top: 16px;
+        left: 50%;
+        transform: translateX(-50%);
+        background: var(--toolbar-bg);
+        border: 1px solid var(--item-border);
+        border-radius: 6px;
+        padding: 8px 14px;
+        color: var(--text-secondary);
+        font-size: 13px;
+        pointer-events: none;
+        white-space: nowrap;
+      }
+
+      .capture-editor {
+        position: fixed;
+        top: 0;
+        left: 0;
+        width: 100%;
+        height: 100%;
+        background: rgba(0, 0, 0, 0.7);
+        display: none;
+        justify-content: center;
+        align-items: center;
+        z-index: calc(var(--z-toolbar) + 30);
+      }
+
+      .capture-editor.open {
+        display: flex;
+      }
+
+      .capture-editor-content {
+        width: auto;
+        min-width: 360px;
+      }
+
+      .capture-tools {
+        display: flex;
+        gap: 4px;
+        margin-left: auto;
+        margin-right: 12px;
+      }
+
+      .capture-tools button {
+        background: transparent;
+        border: 1px solid transparent;
+        color: var(--text-secondary);
+        font-size: 16px;
+        padding: 4px 8px;
+        border-radius: 4px;
+        cursor: pointer;
+      }
+
+      .capture-tools button:hover {
+        color: var(--text-primary);
+        background: var(--item-bg);
+      }
+
+      .capture-tools button.active {
+        color: var(--danger);
+        border-color: var(--item-border);
+        background: var(--item-bg);
+      }
+
+      .capture-canvas-wrap {
+        display: flex;
+        justify-content: center;
+        padding: 16px 20px;
+        background: var(--canvas-bg);
+      }
+
+      .capture-canvas {
+        max-width: 100%;
+        max-height: 60vh;
+        cursor: crosshair;
+        touch-action: none;
+      }
+
+      /* Clipped images have no header, so their actions float over the corner */
+      .canvas-item.image .image-actions {
+        position: absolute;
+        top: 6px;
+        right: 6px;
+        background: var(--item-bg);
+        border: 1px solid var(--item-border);
+        border-radius: 4px;
+      }
+
+      /* Link card */
+      .link-favicon {
+        width: 16px;
+        height: 16px;
+        flex-shrink: 0;
+        object-fit: contain;
+      }
+
+      .canvas-item.link .link-content {
+        gap: 6px;
+      }
+
+      .link-url {
+        color: var(--accent);
+        font-size: 12px;
+        white-space: nowrap;
+        overflow: hidden;
+        text-overflow: ellipsis;
+      }
+
+      .link-description {
+        color: var(--text-secondary);
+        font-size: 13px;
+        line-height: 1.4;
+        display: -webkit-box;
+        -webkit-line-clamp: 3;
+        -webkit-box-orient: vertical;
+        overflow: hidden;
+      }
+
+      .link-excerpt {
+        margin: 0;
+        padding-left: 10px;
+        border-left: 3px solid var(--item-border-hover);
+        color: var(--text-primary);
+        font-size: 13px;
+        line-height: 1.4;
+        white-space: pre-wrap;
+        overflow: hidden;
+      }
+
+      /* File attachment */
+      .canvas-item.attachment .attachment-content {
+        flex-direction: row;
+        align-items: center;
+        gap: 10px;
+      }
+
+      .attachment-icon {
+        font-size: 28px;
+        flex-shrink: 0;
+      }
+
+      .attachment-details {
+        display: flex;
+        flex-direction: column;
+        gap: 2px;
+        min-width: 0;
+      }
+
+      .attachment-name {
+        color: var(--text-primary);
+        font-size: 13px;
+        white-space: nowrap;
+        overflow: hidden;
+        text-overflow: ellipsis;
+      }
+
+      .attachment-meta {
+        color: var(--text-secondary);
+        font-size: 12px;
+      }
+
+      /* Something droppable is being dragged over the canvas */
+      .canvas-area.drop-target {
+        outline: 2px dashed var(--accent);
+        outline-offset: -4px;
+      }
+
+      /* Strokes and shapes: only the line is drawn and only the line takes the pointer */
+      .canvas-item.drawing,
+      .canvas-item.drawing:hover {
+        min-width: 0;
+        min-height: 0;
+        background: transparent;
+        border: 1px solid transparent;
+        border-radius: 0;
+        box-shadow: none;
+        pointer-events: none;
+      }
+
+      .canvas-item.drawing.selected,
+      .canvas-item.drawing.selected:hover {
+        border: 1px dashed var(--accent);
+      }
+
+      .canvas-area:not(.drawing-mode) .canvas-item.drawing .resize-handle,
+      .canvas-area:not(.drawing-mode) .canvas-item.drawing .connect-handle {
+        pointer-events: auto;
+      }
+
+      .canvas-item.drawing.erased {
+        opacity: 0.25;
+      }
+
+      .drawing-svg,
+      .draw-preview {
+        overflow: visible;
+        fill: none;
+        stroke: currentColor;
+        stroke-width: var(--line-width);
+        stroke-linecap: round;
+        stroke-linejoin: round;
+      }
+
+      /* Cover the border box, so the line sits exactly on the item's edges */
+      .drawing-svg {
+        position: absolute;
+        top: -1px;
+        left: -1px;
+        width: calc(100% + 2px);
+        height: calc(100% + 2px);
+      }
+
+      /* Line width stays the same however the item is stretched */
+      .drawing-svg *,
+      .draw-preview * {
+        vector-effect: non-scaling-stroke;
+      }
+
+      .drawing-hit {
+        stroke: transparent;
+        stroke-width: calc(var(--line-width) + 12px);
+        pointer-events: stroke;
+        cursor: move;
+      }
+
+      .canvas-item.highlighter .drawing-line,
+      .draw-preview.highlighter {
+        stroke-opacity: 0.4;
+      }
+
+      .draw-preview {
+        position: absolute;
+        top: 0;
+        left: 0;
+        width: 1px;
+        height: 1px;
+        pointer-events: none;
+        z-index: var(--z-dragging);
+      }
     `;
   }
 
@@ -1324,7 +2485,7 @@
     // Initialize the CanvasApp (loaded from canvas/app.js)
     if (typeof CanvasApp !== 'undefined') {
       canvasApp = new CanvasApp(shadowRoot);
-      canvasApp.init();
+      appReady = canvasApp.init();
 
       // Listen for close event from the app
       shadowRoot.addEventListener('spawn-canvas-close', () => {
@@ -1402,6 +2563,21 @@
     isVisible = false;
   }
 
+  /**
+   * Add something sent from the context menu, without showing the overlay
+   * @param {object} clip - Clip details from the service worker
+   * @returns {Promise<boolean>} Whether the item was added
+   */
+  async function receiveClip(clip) {
+    if (!isInitialized) {
+      createOverlay();
+    }
+    if (!canvasApp) return false;
+
+    await appReady;
+    return canvasApp.receiveClip(clip);
+  }
+
   /**
    * Toggles the overlay visibility
    */
@@ -1418,6 +2594,14 @@
     if (message.action === 'TOGGLE_OVERLAY') {
       toggleOverlay();
       sendResponse({ success: true, visible: isVisible });
+    } else if (message.action === 'CLIP_TO_CANVAS') {
+      receiveClip(message.clip)
+        .then(success => sendResponse({ success }))
+        .catch(err => {
+          console.error('[SpawnCanvas] Error adding clip:', err);
+          sendResponse({ success: false, error: err.message });
+        });
+      return true; // Keep channel open for async response
     }
     return false;
   });